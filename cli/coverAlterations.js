@@ -0,0 +1,259 @@
+/**
+ * Altered copies of a cover for the evaluation set
+ * Each alteration is something a reused cover commonly goes through: cropped to another aspect,
+ * recolored for another edition, or given a new title over the artwork. They work on decoded RGBA
+ * images ({ width, height, data }) and never change the input.
+ */
+
+function createImage(width, height) {
+  return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+}
+
+/**
+ * Crop by fractions of the width and height taken off each side
+ */
+function crop(image, { left = 0, top = 0, right = 0, bottom = 0 }) {
+  const x0 = Math.round(image.width * left);
+  const y0 = Math.round(image.height * top);
+  const width = Math.max(1, image.width - x0 - Math.round(image.width * right));
+  const height = Math.max(1, image.height - y0 - Math.round(image.height * bottom));
+  const cropped = createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    const from = ((y0 + y) * image.width + x0) * 4;
+    cropped.data.set(image.data.subarray(from, from + width * 4), y * width * 4);
+  }
+  return cropped;
+}
+
+/**
+ * Apply a function to every pixel's RGB (alpha is kept)
+ */
+function mapPixels(image, transform) {
+  const mapped = createImage(image.width, image.height);
+  const { data } = image;
+  for (let i = 0; i < data.length; i += 4) {
+    const [r, g, b] = transform(data[i], data[i + 1], data[i + 2]);
+    mapped.data[i] = r;
+    mapped.data[i + 1] = g;
+    mapped.data[i + 2] = b;
+    mapped.data[i + 3] = data[i + 3];
+  }
+  return mapped;
+}
+
+/**
+ * Rotate hues by an angle, keeping luminance roughly the same (the usual hue-rotate matrix)
+ */
+function hueRotate(image, degrees) {
+  const angle = (degrees * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const m = [
+    0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+    0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+    0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+  ];
+  return mapPixels(image, (r, g, b) => [
+    m[0] * r + m[1] * g + m[2] * b,
+    m[3] * r + m[4] * g + m[5] * b,
+    m[6] * r + m[7] * g + m[8] * b
+  ]);
+}
+
+// Same sequence of "letters" for the same cover, so runs are comparable
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * Paint a title band over part of the cover: a tinted bar with blocks of letter-sized strokes,
+ * which hashes like lettering without needing a font
+ * @param {Object} image
+ * @param {Object} options
+ * @param {number} options.top - Top of the band, as a fraction of the height
+ * @param {number} options.height - Band height, as a fraction of the height
+ * @param {number} options.opacity - Opacity of the bar behind the lettering (0 leaves the artwork visible)
+ * @param {Array<number>} options.background - RGB of the bar
+ * @param {Array<number>} options.ink - RGB of the lettering
+ */
+function overlayTitle(image, { top, height, opacity, background, ink }) {
+  const result = { width: image.width, height: image.height, data: new Uint8ClampedArray(image.data) };
+  const y0 = Math.round(image.height * top);
+  const y1 = Math.min(image.height, y0 + Math.max(1, Math.round(image.height * height)));
+  const paint = (x, y, [r, g, b], alpha) => {
+    const i = (y * image.width + x) * 4;
+    result.data[i] = result.data[i] * (1 - alpha) + r * alpha;
+    result.data[i + 1] = result.data[i + 1] * (1 - alpha) + g * alpha;
+    result.data[i + 2] = result.data[i + 2] * (1 - alpha) + b * alpha;
+  };
+
+  for (let y = y0; y < y1; y++) {
+    for (let x = 0; x < image.width; x++) paint(x, y, background, opacity);
+  }
+
+  // One or two lines of words, each letter a few vertical and horizontal strokes
+  const random = seededRandom(image.width * 31 + image.height);
+  const bandHeight = y1 - y0;
+  const lines = bandHeight > image.height * 0.12 ? 2 : 1;
+  const lineHeight = Math.floor(bandHeight / lines);
+  const letterHeight = Math.max(2, Math.round(lineHeight * 0.55));
+  const letterWidth = Math.max(2, Math.round(letterHeight * 0.6));
+  const stroke = Math.max(1, Math.round(letterHeight / 7));
+  const margin = Math.round(image.width * 0.08);
+
+  for (let line = 0; line < lines; line++) {
+    const baseY = y0 + line * lineHeight + Math.round((lineHeight - letterHeight) / 2);
+    let x = margin;
+    while (x + letterWidth < image.width - margin) {
+      const wordLength = 2 + Math.floor(random() * 6);
+      for (let letter = 0; letter < wordLength && x + letterWidth < image.width - margin; letter++) {
+        const strokes = [
+          [0, 0, stroke, letterHeight],
+          [letterWidth - stroke, 0, stroke, letterHeight],
+          [0, 0, letterWidth, stroke],
+          [0, Math.floor(letterHeight / 2), letterWidth, stroke],
+          [0, letterHeight - stroke, letterWidth, stroke]
+        ].filter(() => random() < 0.6);
+        strokes.forEach(([sx, sy, sw, sh]) => {
+          for (let y = baseY + sy; y < Math.min(y1, baseY + sy + sh); y++) {
+            for (let px = x + sx; px < Math.min(image.width, x + sx + sw); px++) paint(px, y, ink, 1);
+          }
+        });
+        x += letterWidth + stroke * 2;
+      }
+      x += letterWidth;
+    }
+  }
+  return result;
+}
+
+/**
+ * Box-filter downscale by an integer factor, as thumbnails and re-uploads do
+ */
+function downscale(image, factor) {
+  const width = Math.max(1, Math.floor(image.width / factor));
+  const height = Math.max(1, Math.floor(image.height / factor));
+  const scaled = createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sums = [0, 0, 0, 0];
+      for (let dy = 0; dy < factor; dy++) {
+        for (let dx = 0; dx < factor; dx++) {
+          const i = ((y * factor + dy) * image.width + (x * factor + dx)) * 4;
+          for (let c = 0; c < 4; c++) sums[c] += image.data[i + c];
+        }
+      }
+      const o = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) scaled.data[o + c] = sums[c] / (factor * factor);
+    }
+  }
+  return scaled;
+}
+
+/**
+ * Shrink an image so its longer side is at most maxSide (integer factors only, to keep it cheap)
+ * @param {{width: number, height: number, data: Uint8Array}} image
+ * @param {number} maxSide
+ * @returns {Object} The same image when it is small enough
+ */
+export function limitSize(image, maxSide) {
+  const factor = Math.ceil(Math.max(image.width, image.height) / maxSide);
+  return factor > 1 ? downscale(image, factor) : image;
+}
+
+/**
+ * Alterations applied to every cover, grouped by kind ('crop', 'recolor', 'text', 'resize', 'combined')
+ */
+export const COVER_ALTERATIONS = [
+  {
+    id: 'crop-edges',
+    kind: 'crop',
+    label: 'Cropped 5% on every side',
+    apply: image => crop(image, { left: 0.05, top: 0.05, right: 0.05, bottom: 0.05 })
+  },
+  {
+    id: 'crop-bottom',
+    kind: 'crop',
+    label: 'Bottom 15% cut off',
+    apply: image => crop(image, { bottom: 0.15 })
+  },
+  {
+    id: 'crop-square',
+    kind: 'crop',
+    label: 'Center square',
+    apply: (image) => {
+      const side = Math.min(image.width, image.height);
+      const horizontal = (image.width - side) / 2 / image.width;
+      const vertical = (image.height - side) / 2 / image.height;
+      return crop(image, { left: horizontal, right: horizontal, top: vertical, bottom: vertical });
+    }
+  },
+  {
+    id: 'grayscale',
+    kind: 'recolor',
+    label: 'Grayscale',
+    apply: image => mapPixels(image, (r, g, b) => {
+      const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+      return [luma, luma, luma];
+    })
+  },
+  {
+    id: 'hue-shift',
+    kind: 'recolor',
+    label: 'Hue rotated 120°',
+    apply: image => hueRotate(image, 120)
+  },
+  {
+    id: 'warm-contrast',
+    kind: 'recolor',
+    label: 'Warmer, higher contrast',
+    apply: image => mapPixels(image, (r, g, b) => [
+      (r - 128) * 1.3 + 148,
+      (g - 128) * 1.3 + 133,
+      (b - 128) * 1.3 + 103
+    ])
+  },
+  {
+    id: 'title-banner',
+    kind: 'text',
+    label: 'New title on a solid bottom banner',
+    apply: image => overlayTitle(image, {
+      top: 0.78,
+      height: 0.16,
+      opacity: 1,
+      background: [20, 20, 28],
+      ink: [245, 235, 210]
+    })
+  },
+  {
+    id: 'title-over-art',
+    kind: 'text',
+    label: 'New title lettered over the artwork',
+    apply: image => overlayTitle(image, {
+      top: 0.06,
+      height: 0.14,
+      opacity: 0,
+      background: [0, 0, 0],
+      ink: [255, 255, 255]
+    })
+  },
+  {
+    id: 'thumbnail',
+    kind: 'resize',
+    label: 'Quarter-size thumbnail',
+    apply: image => downscale(image, 4)
+  },
+  {
+    id: 'crop-recolor-title',
+    kind: 'combined',
+    label: 'Cropped, recolored and retitled',
+    apply: image => overlayTitle(
+      hueRotate(crop(image, { left: 0.04, right: 0.04, top: 0.03, bottom: 0.08 }), 40),
+      { top: 0.8, height: 0.14, opacity: 0.85, background: [240, 240, 240], ink: [30, 30, 30] }
+    )
+  }
+];
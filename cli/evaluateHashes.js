@@ -0,0 +1,298 @@
+/**
+ * Detection accuracy on a labeled set of cover pairs
+ *
+ *   npm run -s evaluate -- [options] [file|directory]...
+ *
+ * Every cover (public/covers by default) is altered the ways reused artwork usually is (crops, recolors,
+ * new title lettering, thumbnails; see COVER_ALTERATIONS). A cover and its altered copies are the
+ * positive pairs; every cover against every other cover and its copies are the negatives. Each pair is
+ * hashed through the app's pipeline and scored by every hash algorithm and by the weighted combination,
+ * and the report gives each one's ROC AUC, precision and recall at --threshold and at its best F1.
+ * Run it before and after changing the hashing to see whether detection got better.
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { PNG } from 'pngjs';
+import { confusionAt, summarizeDetection } from '../src/services/detectionMetrics';
+import { decodeImage, setImageDecoder } from '../src/services/imageDecoder';
+import {
+  calculateHashes,
+  compareHashSets,
+  DEFAULT_HASH_WEIGHTS,
+  HASH_ALGORITHM_VERSION,
+  listHashAlgorithms
+} from '../src/services/phashService';
+import { COVER_ALTERATIONS, limitSize } from './coverAlterations';
+import { collectImageFiles } from './imageFiles';
+import { decodeImageInNode } from './nodeImageDecoder';
+import { silencePipelineLogs } from './pipelineLogs';
+
+const COVERS_DIR = fileURLToPath(new URL('../public/covers', import.meta.url));
+
+// Name of the weighted combination of every algorithm in the report
+const COMBINED = 'combined';
+
+const USAGE = `Usage: npm run -s evaluate -- [options] [file|directory]...
+
+Evaluates every hash algorithm on original/altered/unrelated pairs made from the covers given
+(default: public/covers).
+
+Options:
+  --threshold <n>        Similarity % reported as the operating point (default 60)
+  --max-side <n>         Shrink covers to at most this many pixels per side first (default 512)
+  --algorithms <list>    Comma-separated hash algorithms (default: all registered)
+  --roc <file>           Write every ROC curve to this CSV file
+  --json                 Print the full report as JSON
+  --allow-skipped        Report on the covers that decode even when others can't (default: exit 2)
+  --verbose              Show pipeline logs
+  --help                 Show this message`;
+
+function parseCliArgs() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      threshold: { type: 'string', default: '60' },
+      'max-side': { type: 'string', default: '512' },
+      algorithms: { type: 'string' },
+      roc: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      'allow-skipped': { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  ['threshold', 'max-side'].forEach(name => {
+    if (Number.isNaN(Number(values[name]))) {
+      throw new Error(`--${name} must be a number`);
+    }
+  });
+
+  const algorithms = values.algorithms
+    ? values.algorithms.split(',').map(name => name.trim()).filter(Boolean)
+    : listHashAlgorithms();
+  const unknown = algorithms.filter(name => !listHashAlgorithms().includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown hash algorithm: ${unknown.join(', ')}`);
+  }
+
+  return { values, positionals, algorithms };
+}
+
+/**
+ * Hash decoded pixels through the same pipeline as downloaded covers (decode, trim, hash)
+ */
+function hashPixels(image, algorithms) {
+  const png = new PNG({ width: image.width, height: image.height });
+  png.data = Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength);
+  return calculateHashes(new Uint8Array(PNG.sync.write(png)), algorithms);
+}
+
+/**
+ * Decode every cover and hash it with each of its altered copies
+ * Covers that can't be decoded are skipped and reported.
+ */
+async function buildFixtures(files, algorithms, maxSide) {
+  const covers = [];
+  const skipped = [];
+  for (const file of files) {
+    const name = basename(file, extname(file));
+    try {
+      const original = limitSize(await decodeImage(await readFile(file)), maxSide);
+      const copies = [];
+      for (const alteration of COVER_ALTERATIONS) {
+        copies.push({ alteration, hashes: await hashPixels(alteration.apply(original), algorithms) });
+      }
+      covers.push({ name, hashes: await hashPixels(original, algorithms), copies });
+    } catch (error) {
+      skipped.push({ name, error: error.message });
+    }
+  }
+  return { covers, skipped };
+}
+
+/**
+ * Label and score every pair: each cover with its own copies (positive), with every other cover and
+ * that cover's copies (negative)
+ */
+function scorePairs(covers, algorithms) {
+  const weights = Object.fromEntries(algorithms.map(name => [name, DEFAULT_HASH_WEIGHTS[name] ?? 0]));
+  const pairs = [];
+  const addPair = (a, b, positive, alteration) => {
+    const { similarities, similarity } = compareHashSets(a.hashes, b.hashes, weights);
+    pairs.push({
+      a: a.name,
+      b: b.name,
+      positive,
+      alteration: alteration?.id || null,
+      kind: alteration?.kind || null,
+      scores: { ...similarities, [COMBINED]: similarity }
+    });
+  };
+
+  const copiesOf = (cover) => cover.copies.map(copy => ({
+    name: `${cover.name} (${copy.alteration.id})`,
+    hashes: copy.hashes,
+    alteration: copy.alteration
+  }));
+
+  covers.forEach((cover, i) => {
+    copiesOf(cover).forEach(copy => addPair(cover, copy, true, copy.alteration));
+    covers.forEach((other, j) => {
+      if (i === j) return;
+      if (i < j) addPair(cover, other, false);
+      copiesOf(other).forEach(copy => addPair(cover, copy, false));
+    });
+  });
+  return pairs;
+}
+
+function formatPercent(value) {
+  return value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatRows(header, body) {
+  const widths = header.map((title, i) => Math.max(title.length, ...body.map(cells => cells[i].length)));
+  const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+  return [line(header), widths.map(width => '-'.repeat(width)).join('  '), ...body.map(line)].join('\n');
+}
+
+function formatReport(report) {
+  const { detectors, alterations, threshold } = report;
+  const summary = formatRows(
+    ['Detector', 'AUC', `Precision @${threshold}%`, `Recall @${threshold}%`, 'FPR', 'Best F1', 'at', 'Precision', 'Recall'],
+    Object.entries(detectors).map(([name, { auc, atThreshold, bestF1 }]) => [
+      name,
+      auc.toFixed(3),
+      formatPercent(atThreshold.precision),
+      formatPercent(atThreshold.recall),
+      formatPercent(atThreshold.falsePositiveRate),
+      bestF1.f1 === null ? '-' : bestF1.f1.toFixed(3),
+      `${bestF1.threshold.toFixed(1)}%`,
+      formatPercent(bestF1.precision),
+      formatPercent(bestF1.recall)
+    ])
+  );
+
+  const names = Object.keys(detectors);
+  const byAlteration = formatRows(
+    ['Alteration', ...names],
+    alterations.map(({ label, recall }) => [label, ...names.map(name => formatPercent(recall[name]))])
+  );
+
+  const totals = `${report.covers.length} covers, ${report.positives} positive and ${report.negatives} negative pairs `
+    + `(hashing pipeline ${report.hashAlgorithmVersion})`
+    + (report.skipped.length > 0 ? `; ${report.skipped.length} skipped` : '');
+
+  return [summary, '', `Recall at ${threshold}% by alteration:`, byAlteration, '', totals].join('\n');
+}
+
+function formatRocCsv(detectors) {
+  const rows = [['detector', 'threshold', 'true_positive_rate', 'false_positive_rate']];
+  Object.entries(detectors).forEach(([name, { roc }]) => {
+    roc.forEach(point => rows.push([
+      name,
+      Number.isFinite(point.threshold) ? point.threshold.toFixed(2) : '',
+      point.truePositiveRate.toFixed(4),
+      point.falsePositiveRate.toFixed(4)
+    ]));
+  });
+  return `${rows.map(row => row.join(',')).join('\n')}\n`;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseCliArgs();
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals, algorithms } = args;
+  if (values.help) {
+    console.error(USAGE);
+    return 0;
+  }
+
+  if (!values.verbose) {
+    silencePipelineLogs();
+  }
+
+  setImageDecoder(decodeImageInNode);
+
+  let files;
+  try {
+    files = await collectImageFiles(positionals.length > 0 ? positionals : [COVERS_DIR]);
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  const threshold = Number(values.threshold);
+  const { covers, skipped } = await buildFixtures(files, algorithms, Number(values['max-side']));
+  // On stderr, so they show next to --json output too
+  skipped.forEach(({ name, error }) => console.error(`Skipped ${name}: ${error}`));
+  if (covers.length < 2) {
+    console.error(`Need at least two readable covers to make unrelated pairs (got ${covers.length})`);
+    return 2;
+  }
+  // Numbers from part of the labeled set aren't comparable with earlier runs, so that takes an opt-in
+  if (skipped.length > 0 && !values['allow-skipped']) {
+    console.error(`${skipped.length} of ${files.length} covers could not be decoded; the labeled set is incomplete. `
+      + 'Pass --allow-skipped to report on the rest.');
+    return 2;
+  }
+
+  const pairs = scorePairs(covers, algorithms);
+  const samplesFor = (name, filter = () => true) => pairs
+    .filter(filter)
+    .map(pair => ({ score: pair.scores[name], positive: pair.positive }));
+  const detectorNames = [...algorithms, COMBINED];
+
+  const detectors = Object.fromEntries(detectorNames.map(name => [
+    name,
+    summarizeDetection(samplesFor(name), { threshold })
+  ]));
+  const alterations = COVER_ALTERATIONS.map(({ id, kind, label }) => ({
+    id,
+    kind,
+    label,
+    recall: Object.fromEntries(detectorNames.map(name => [
+      name,
+      confusionAt(samplesFor(name, pair => pair.alteration === id), threshold).recall
+    ]))
+  }));
+
+  const report = {
+    threshold,
+    hashAlgorithmVersion: HASH_ALGORITHM_VERSION,
+    covers: covers.map(cover => cover.name),
+    skipped,
+    positives: pairs.filter(pair => pair.positive).length,
+    negatives: pairs.filter(pair => !pair.positive).length,
+    detectors,
+    alterations
+  };
+
+  if (values.roc) {
+    await writeFile(values.roc, formatRocCsv(detectors));
+  }
+
+  if (values.json) {
+    process.stdout.write(`${JSON.stringify({ ...report, pairs }, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${formatReport(report)}\n`);
+  }
+  return 0;
+}
+
+main().then(
+  (code) => { process.exitCode = code; },
+  (error) => {
+    console.error(error);
+    process.exitCode = 2;
+  }
+);
@@ -0,0 +1,55 @@
+import { existsSync } from 'node:fs';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+/**
+ * Hash index storage adapter backed by a JSON file (see createHashIndex)
+ * Writes are batched: every put schedules one rewrite of the whole file.
+ * @param {string} filePath - Index file, created on first write
+ * @returns {{loadAll: Function, put: Function, clear: Function, flush: Function}}
+ */
+export function createJsonFileStorage(filePath) {
+  const entries = new Map();
+  let pendingWrite = null;
+
+  const write = async () => {
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(filePath, `${JSON.stringify(Array.from(entries.values()), null, 2)}\n`);
+  };
+
+  const scheduleWrite = () => {
+    if (!pendingWrite) {
+      pendingWrite = Promise.resolve().then(async () => {
+        pendingWrite = null;
+        await write();
+      });
+    }
+    return pendingWrite;
+  };
+
+  return {
+    async loadAll() {
+      if (!existsSync(filePath)) return [];
+      const stored = JSON.parse(await readFile(filePath, 'utf8'));
+      stored.forEach(entry => entries.set(entry.isbn, entry));
+      return stored;
+    },
+
+    put(entry) {
+      entries.set(entry.isbn, entry);
+      return scheduleWrite();
+    },
+
+    clear() {
+      entries.clear();
+      return scheduleWrite();
+    },
+
+    /**
+     * Wait for pending writes
+     */
+    async flush() {
+      if (pendingWrite) await pendingWrite;
+    }
+  };
+}
@@ -0,0 +1,23 @@
+import { readdir, stat } from 'node:fs/promises';
+import { join } from 'node:path';
+
+const IMAGE_EXTENSIONS = /\.(jpg|jpeg|png|svg|webp|gif|avif)$/i;
+
+/**
+ * Expand directories into the image files they contain (non-recursive)
+ * @param {Array<string>} paths - Files and directories
+ * @returns {Promise<Array<string>>} Files given directly are kept whatever their extension
+ */
+export async function collectImageFiles(paths) {
+  const files = [];
+  for (const path of paths) {
+    const info = await stat(path);
+    if (info.isDirectory()) {
+      const names = (await readdir(path)).filter(name => IMAGE_EXTENSIONS.test(name)).sort();
+      files.push(...names.map(name => join(path, name)));
+    } else {
+      files.push(path);
+    }
+  }
+  return files;
+}
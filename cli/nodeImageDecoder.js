@@ -0,0 +1,102 @@
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import {
+  CorruptImageError,
+  IMAGE_LIMITS,
+  SVG_RASTER_SIZE,
+  UnsupportedImageError
+} from '../src/services/imageDecoder';
+import { detectImageFormat, IMAGE_FORMATS, readImageDimensions } from '../src/services/imageFormat';
+
+// Refuse to decode anything that would need more memory than this
+const MAX_DECODE_MEMORY_MB = 512;
+
+// Formats decoded through sharp (libvips); PNG and JPEG stay on the pure-JS decoders the pinned hashes come from
+const SHARP_FORMATS = ['webp', 'gif', 'avif', 'svg'];
+
+// SVG is rasterized at CSS pixels × density / 72
+const SVG_BASE_DENSITY = 72;
+
+let sharpModule = null;
+
+/**
+ * Load sharp on first use, so PNG and JPEG covers decode even where its native build is missing
+ */
+async function loadSharp(format) {
+  if (!sharpModule) {
+    try {
+      sharpModule = (await import('sharp')).default;
+    } catch (error) {
+      throw new UnsupportedImageError(
+        `Decoding ${IMAGE_FORMATS[format].label} in the CLI needs sharp, which failed to load: ${error.message}`,
+        format
+      );
+    }
+  }
+  return sharpModule;
+}
+
+/**
+ * Decode WebP, GIF (first frame), AVIF or SVG with sharp
+ * SVG is rendered at SVG_RASTER_SIZE on the longer side, like the browser decoder does.
+ */
+async function decodeWithSharp(buffer, format) {
+  const sharp = await loadSharp(format);
+  const options = { limitInputPixels: IMAGE_LIMITS.maxPixels };
+  let pipeline;
+  if (format === 'svg') {
+    const size = readImageDimensions(buffer, 'svg');
+    const density = size ? (SVG_BASE_DENSITY * SVG_RASTER_SIZE) / Math.max(size.width, size.height) : SVG_BASE_DENSITY;
+    pipeline = sharp(buffer, { ...options, density })
+      .resize({ width: SVG_RASTER_SIZE, height: SVG_RASTER_SIZE, fit: 'inside' });
+  } else {
+    pipeline = sharp(buffer, options);
+  }
+
+  const { data, info } = await pipeline.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return { width: info.width, height: info.height, data: new Uint8Array(data.buffer, data.byteOffset, data.byteLength) };
+}
+
+/**
+ * Image decoder for Node, where createImageBitmap doesn't exist
+ * PNG and JPEG use pure-JS decoders; WebP, GIF (first frame), AVIF and SVG go through sharp. The
+ * format is detected from the file's magic bytes. Install it with setImageDecoder so decodeImage
+ * checks the size limits around it.
+ * @param {Uint8Array} bytes - Encoded image
+ * @param {string|null} format - Format sniffed by decodeImage (sniffed here when not given)
+ * @returns {Promise<{width: number, height: number, data: Uint8Array}>} RGBA pixels
+ * @throws {UnsupportedImageError|CorruptImageError}
+ */
+export async function decodeImageInNode(bytes, format = detectImageFormat(bytes)) {
+  const buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (format !== 'png' && format !== 'jpeg' && !SHARP_FORMATS.includes(format)) {
+    throw new UnsupportedImageError(
+      format
+        ? `The CLI can't decode ${IMAGE_FORMATS[format].label} images`
+        : 'Not an image in a known format (PNG, JPEG, GIF, WebP, AVIF or SVG)',
+      format
+    );
+  }
+
+  try {
+    if (format === 'png') {
+      const png = PNG.sync.read(buffer);
+      return { width: png.width, height: png.height, data: new Uint8Array(png.data) };
+    }
+
+    if (format === 'jpeg') {
+      const image = jpeg.decode(buffer, {
+        useTArray: true,
+        formatAsRGBA: true,
+        maxMemoryUsageInMB: MAX_DECODE_MEMORY_MB
+      });
+      return { width: image.width, height: image.height, data: image.data };
+    }
+
+    return await decodeWithSharp(buffer, format);
+  } catch (error) {
+    if (error instanceof UnsupportedImageError) throw error;
+    throw new CorruptImageError(`The ${IMAGE_FORMATS[format].label} could not be decoded: ${error.message}`, format);
+  }
+}
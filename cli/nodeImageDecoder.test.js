@@ -0,0 +1,38 @@
+import { readFileSync } from 'node:fs';
+import sharp from 'sharp';
+import { describe, expect, it } from 'vitest';
+import { SVG_RASTER_SIZE } from '../src/services/imageDecoder';
+import { decodeImageInNode } from './nodeImageDecoder';
+
+const cover = name => new Uint8Array(readFileSync(new URL(`../public/covers/${name}`, import.meta.url)));
+
+describe('decodeImageInNode', () => {
+  it('decodes covers by their real format, whatever the extension says', async () => {
+    await expect(decodeImageInNode(cover('PARADOX.png'))).resolves.toMatchObject({ width: 1003, height: 1600 });
+    await expect(decodeImageInNode(cover('Simpk - Copy (2).png'))).resolves.toMatchObject({ width: 400, height: 400 });
+  });
+
+  it('rasterizes SVG at the same size as the browser', async () => {
+    const image = await decodeImageInNode(cover('cover1.svg'));
+    expect(image).toMatchObject({ width: SVG_RASTER_SIZE, height: SVG_RASTER_SIZE });
+    expect(image.data).toHaveLength(SVG_RASTER_SIZE * SVG_RASTER_SIZE * 4);
+  });
+
+  it('takes the first frame of an animated GIF', async () => {
+    const frame = (r, g, b) => sharp({ create: { width: 8, height: 6, channels: 3, background: { r, g, b } } })
+      .raw().toBuffer();
+    const frames = Buffer.concat([await frame(255, 0, 0), await frame(0, 0, 255)]);
+    const gif = await sharp(frames, { raw: { width: 8, height: 12, channels: 3, pageHeight: 6 } })
+      .gif().toBuffer();
+
+    const image = await decodeImageInNode(new Uint8Array(gif));
+    expect(image).toMatchObject({ width: 8, height: 6 });
+    expect(Array.from(image.data.subarray(0, 3))).toEqual([255, 0, 0]);
+  });
+
+  it('reports damaged and unknown files with typed errors', async () => {
+    const truncated = cover('PARADOX.png').subarray(0, 200);
+    await expect(decodeImageInNode(truncated)).rejects.toMatchObject({ kind: 'corrupt', format: 'webp' });
+    await expect(decodeImageInNode(new TextEncoder().encode('hello'))).rejects.toMatchObject({ kind: 'unsupported' });
+  });
+});
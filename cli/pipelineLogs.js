@@ -0,0 +1,10 @@
+/**
+ * Silence the pipeline's console logging for a CLI run
+ * The services log every search and hash, which would bury the table and corrupt --json on stdout.
+ * console.error is left alone for the CLI's own errors.
+ */
+export function silencePipelineLogs() {
+  console.log = () => {};
+  console.info = () => {};
+  console.warn = () => {};
+}
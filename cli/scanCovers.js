@@ -0,0 +1,406 @@
+/**
+ * Headless cover scanner
+ *
+ *   npm run scan -- [options] <file|directory>...
+ *
+ * Runs the same findSimilarCovers pipeline as the gallery for every cover and
+ * exits with 1 when any unlicensed match reaches --fail-threshold (or --fail-confidence), so it can gate CI.
+ * With --sweep-* options it runs monitor mode instead (monitorCatalog): the covers are the protected
+ * ones, and every catalog cover the sweep finds within --radius of one of them is reported.
+ * Exit codes: 0 clean, 1 match found, 2 usage error or a cover could not be checked.
+ */
+import { readFile } from 'node:fs/promises';
+import { basename, extname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { classifyScanResult, unlicensedResults } from '../src/services/batchScanService';
+import { createHashIndex } from '../src/services/hashIndex';
+import { setImageDecoder } from '../src/services/imageDecoder';
+import { findSimilarCovers, MATCH_TRANSFORM_LABELS, monitorCatalog } from '../src/services/isbndbService';
+import { LICENSE_STATUS, parseLicenseFile } from '../src/services/licenseRegistry';
+import { CONFIDENCE_TIERS, formatConfidence, meetsConfidence } from '../src/services/matchConfidence';
+import { loadTranslationDictionary } from '../src/services/translationService';
+import { HASH_TRANSFORMS } from '../src/services/phashService';
+import { createJsonFileStorage } from './fileIndexStorage';
+import { collectImageFiles } from './imageFiles';
+import { decodeImageInNode } from './nodeImageDecoder';
+import { silencePipelineLogs } from './pipelineLogs';
+
+const PUBLIC_DIR = fileURLToPath(new URL('../public', import.meta.url));
+
+const USAGE = `Usage: npm run scan -- [options] <file|directory>...
+
+Options:
+  --fail-threshold <n>   Exit with 1 when a match reaches this similarity % (default 90)
+  --fail-confidence <tier>
+                         Exit with 1 when a match reaches this confidence tier instead
+  --min-similarity <n>   Only report matches at or above this similarity % (default 60)
+  --min-confidence <tier>
+                         Only report matches of this confidence tier or better (default: any)
+  --top <n>              Matches reported per cover (default 10)
+  --query <text>         Fallback catalog query when the title finds nothing (default "fiction")
+  --author <name>        Expected author; title matches by other authors rank lower (repeatable)
+  --min-relevance <n>    Skip title search hits below this text relevance % (default 50)
+  --dictionary <file>    Extra title dictionary (JSON) merged over the bundled one
+  --title-scripts <list> Also search the title transliterated into cyrillic, kana and/or han
+  --max-results <n>      Books fetched for the fallback query (default 50)
+  --concurrency <n>      Covers downloaded and hashed at once (default 4)
+  --providers <list>     Comma-separated metadata providers (default: configured ones)
+  --index <file>         JSON hash index to query and update
+  --offline              Only compare against --index, never call the catalog
+  --radius <n>           Max pHash Hamming distance for index lookups and sweep matches (default 12)
+  --variants             Also match mirrored, rotated and cropped copies
+  --no-trim              Don't trim uniform borders before hashing
+  --regions              Also find artwork reused inside a different layout
+  --licenses <file>      License registry (JSON or CSV); licensed matches don't fail the scan
+  --region <code>        Market to check licenses for, e.g. US (default: any)
+  --sweep-query <text>   Monitor mode: search the catalog for this keyword (repeatable)
+  --sweep-subject <text> Monitor mode: search the catalog for this subject (repeatable)
+  --sweep-publisher <name>
+                         Monitor mode: search the catalog for this publisher (repeatable)
+  --sweep-results <n>    Books fetched per sweep search (default 40)
+  --json                 Print JSON instead of a table
+  --verbose              Show pipeline logs
+  --help                 Show this message`;
+
+function parseCliArgs() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'fail-threshold': { type: 'string', default: '90' },
+      'fail-confidence': { type: 'string' },
+      'min-similarity': { type: 'string', default: '60' },
+      'min-confidence': { type: 'string' },
+      top: { type: 'string', default: '10' },
+      query: { type: 'string', default: 'fiction' },
+      author: { type: 'string', multiple: true },
+      'min-relevance': { type: 'string', default: '50' },
+      dictionary: { type: 'string' },
+      'title-scripts': { type: 'string' },
+      'max-results': { type: 'string', default: '50' },
+      concurrency: { type: 'string', default: '4' },
+      providers: { type: 'string' },
+      index: { type: 'string' },
+      offline: { type: 'boolean', default: false },
+      radius: { type: 'string', default: '12' },
+      variants: { type: 'boolean', default: false },
+      'no-trim': { type: 'boolean', default: false },
+      regions: { type: 'boolean', default: false },
+      licenses: { type: 'string' },
+      region: { type: 'string' },
+      'sweep-query': { type: 'string', multiple: true },
+      'sweep-subject': { type: 'string', multiple: true },
+      'sweep-publisher': { type: 'string', multiple: true },
+      'sweep-results': { type: 'string', default: '40' },
+      json: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  const numbers = [
+    'fail-threshold', 'min-similarity', 'min-relevance', 'top', 'max-results', 'concurrency', 'radius', 'sweep-results'
+  ];
+  numbers.forEach(name => {
+    if (Number.isNaN(Number(values[name]))) {
+      throw new Error(`--${name} must be a number`);
+    }
+  });
+
+  const tiers = CONFIDENCE_TIERS.map(tier => tier.id);
+  ['fail-confidence', 'min-confidence'].forEach(name => {
+    if (values[name] && !tiers.includes(values[name])) {
+      throw new Error(`--${name} must be one of ${tiers.join(', ')}`);
+    }
+  });
+
+  if (values.offline && !values.index) {
+    throw new Error('--offline needs a hash index: pass --index <file>');
+  }
+
+  return { values, positionals };
+}
+
+/**
+ * Let fetch() resolve app-relative URLs the way the dev server does:
+ * /covers/... comes from public/, /api/... needs VITE_API_BASE_URL.
+ */
+function installRelativeFetch() {
+  const nodeFetch = globalThis.fetch;
+
+  globalThis.fetch = async (input, init) => {
+    const url = typeof input === 'string' ? input : input.toString();
+    if (!url.startsWith('/')) return nodeFetch(input, init);
+
+    if (url.startsWith('/api/')) {
+      throw new TypeError('The API proxy is unreachable from the CLI: set VITE_API_BASE_URL or use --providers');
+    }
+
+    const filePath = join(PUBLIC_DIR, decodeURIComponent(url.split('?')[0]));
+    try {
+      return new Response(await readFile(filePath));
+    } catch {
+      return new Response(null, { status: 404, statusText: 'Not Found' });
+    }
+  };
+}
+
+/**
+ * Configured providers, minus ISBNdb when there is no proxy to reach it
+ * @returns {Array<string>|undefined} Undefined keeps the app's own selection
+ */
+function defaultProviders() {
+  const env = import.meta.env;
+  if (env.VITE_API_BASE_URL || env.VITE_USE_MOCK_PROVIDER === 'true') return undefined;
+
+  return (env.VITE_BOOK_PROVIDERS || 'isbndb,openlibrary,googlebooks')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name !== 'isbndb');
+}
+
+function describeMatch(match) {
+  if (match.matchedByRegion) {
+    return `Region (${match.region.tiles} of ${match.region.totalTiles} tiles)`;
+  }
+  return MATCH_TRANSFORM_LABELS[match.transform] || match.transform;
+}
+
+/**
+ * Whether an unlicensed match fails the run: by confidence tier when --fail-confidence is given,
+ * by similarity otherwise
+ */
+function failsGate(match, values) {
+  if (!match || match.license?.status === LICENSE_STATUS.LICENSED) return false;
+  if (values['fail-confidence']) return meetsConfidence(match.confidence, values['fail-confidence']);
+  return match.similarity >= Number(values['fail-threshold']);
+}
+
+function formatTable(rows) {
+  const header = [
+    'Cover', 'Status', 'Best match', 'Matched as', 'Confidence', 'Similarity', 'Relevance', 'Distance', 'License', 'Compared'
+  ];
+  const body = rows.map(row => [
+    row.file,
+    row.status,
+    row.error || (row.topMatch ? `${row.topMatch.book.title} (${row.topMatch.book.isbn || 'no ISBN'})` : '-'),
+    row.topMatch ? describeMatch(row.topMatch) : '-',
+    row.topMatch ? formatConfidence(row.topMatch.confidence) : '-',
+    row.topMatch ? `${row.topMatch.similarity}%` : '-',
+    typeof row.topMatch?.textRelevance === 'number' ? `${row.topMatch.textRelevance}%` : '-',
+    row.topMatch ? String(row.topMatch.hammingDistance) : '-',
+    row.topMatch?.license?.status || '-',
+    row.result ? String(row.result.totalCompared) : '-'
+  ]);
+
+  const widths = header.map((title, i) => Math.min(
+    60,
+    Math.max(title.length, ...body.map(cells => cells[i].length))
+  ));
+  const line = (cells) => cells.map((cell, i) => cell.slice(0, widths[i]).padEnd(widths[i])).join('  ');
+
+  return [line(header), widths.map(width => '-'.repeat(width)).join('  '), ...body.map(line)].join('\n');
+}
+
+function isMonitorMode(values) {
+  return ['sweep-query', 'sweep-subject', 'sweep-publisher'].some(name => values[name]?.length > 0);
+}
+
+function formatMonitorTable(result) {
+  const header = ['Protected cover', 'Match', 'Publisher', 'Confidence', 'Distance', 'Similarity', 'License', 'Found by'];
+  const body = result.matches.map(match => [
+    match.cover.name,
+    `${match.book.title} (${match.book.isbn || 'no ISBN'})`,
+    match.book.publisher || '-',
+    formatConfidence(match.confidence),
+    String(match.hammingDistance),
+    `${match.similarity}%`,
+    match.license?.status || '-',
+    match.foundBy.map(({ field, term }) => (field === 'any' ? `"${term}"` : `${field} "${term}"`)).join(', ')
+  ]);
+
+  const widths = header.map((title, i) => Math.min(
+    60,
+    Math.max(title.length, ...body.map(cells => cells[i].length))
+  ));
+  const line = (cells) => cells.map((cell, i) => cell.slice(0, widths[i]).padEnd(widths[i])).join('  ');
+
+  const notes = [
+    ...result.protectedCovers.filter(cover => cover.error).map(cover => `Could not read ${cover.name}: ${cover.error}`),
+    ...result.terms.filter(term => term.error).map(term => `Search ${term.field} "${term.term}" failed: ${term.error}`),
+    `Swept ${result.terms.length} search(es), compared ${result.totalCandidates} covers `
+      + `(${result.hashed} hashed, ${result.skipped} from the index, ${result.failed} failed)`
+  ];
+  const table = body.length > 0
+    ? [line(header), widths.map(width => '-'.repeat(width)).join('  '), ...body.map(line)]
+    : ['No catalog cover is within the radius of a protected cover.'];
+  return [...table, '', ...notes].join('\n');
+}
+
+/**
+ * Monitor mode: sweep the catalog for covers reusing the given (protected) covers
+ */
+async function runMonitor(files, values, { index, providers, licenses }) {
+  const protectedCovers = [];
+  for (const file of files) {
+    protectedCovers.push({ name: basename(file, extname(file)), src: new Uint8Array(await readFile(file)) });
+  }
+
+  const result = await monitorCatalog(protectedCovers, {
+    queries: values['sweep-query'] || [],
+    subjects: values['sweep-subject'] || [],
+    publishers: values['sweep-publisher'] || [],
+    maxResultsPerTerm: Number(values['sweep-results']),
+    radius: Number(values.radius),
+    concurrency: Number(values.concurrency),
+    useIndex: Boolean(index),
+    index,
+    transforms: values.variants ? Object.keys(HASH_TRANSFORMS) : [],
+    trimBorders: !values['no-trim'],
+    licenses,
+    licenseRegion: values.region,
+    providers
+  });
+
+  if (values.json) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${formatMonitorTable(result)}\n`);
+  }
+
+  if (result.matches.some(match => failsGate(match, values))) return 1;
+  if (result.protectedCovers.some(cover => cover.error)) return 2;
+  return 0;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseCliArgs();
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = args;
+  if (values.help || positionals.length === 0) {
+    console.error(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  if (!values.verbose) {
+    silencePipelineLogs();
+  }
+
+  setImageDecoder(decodeImageInNode);
+  installRelativeFetch();
+
+  const storage = values.index ? createJsonFileStorage(resolve(values.index)) : null;
+  const index = storage ? createHashIndex({ storage }) : null;
+  const providers = values.providers
+    ? values.providers.split(',').map(name => name.trim())
+    : defaultProviders();
+
+  let files;
+  let licenses;
+  try {
+    files = await collectImageFiles(positionals);
+    licenses = values.licenses
+      ? parseLicenseFile(await readFile(values.licenses, 'utf8'), values.licenses)
+      : [];
+    if (values.dictionary) {
+      loadTranslationDictionary(JSON.parse(await readFile(values.dictionary, 'utf8')));
+    }
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  // Offline, the index is all there is to compare against: an empty one would pass every cover
+  if (values.offline) {
+    try {
+      await index.load();
+    } catch (error) {
+      console.error(`Could not read the hash index ${values.index}: ${error.message}`);
+      return 2;
+    }
+    if (index.size === 0) {
+      console.error(`The hash index ${values.index} holds no covers, so --offline has nothing to compare against`);
+      return 2;
+    }
+  }
+
+  if (isMonitorMode(values)) {
+    try {
+      return await runMonitor(files, values, { index, providers, licenses });
+    } catch (error) {
+      console.error(error.message);
+      return 2;
+    } finally {
+      await storage?.flush();
+    }
+  }
+
+  const rows = [];
+
+  for (const file of files) {
+    const name = basename(file, extname(file));
+    try {
+      const bytes = new Uint8Array(await readFile(file));
+      const result = await findSimilarCovers(bytes, {
+        imageName: name,
+        query: values.query,
+        authors: values.author || [],
+        minTextRelevance: Number(values['min-relevance']),
+        titleScripts: values['title-scripts'] ? values['title-scripts'].split(',').map(name => name.trim()) : [],
+        maxResults: Number(values['max-results']),
+        similarityThreshold: Number(values['min-similarity']),
+        minConfidence: values['min-confidence'],
+        topN: Number(values.top),
+        concurrency: Number(values.concurrency),
+        indexRadius: Number(values.radius),
+        useIndex: Boolean(index),
+        index,
+        offline: values.offline,
+        transforms: values.variants ? Object.keys(HASH_TRANSFORMS) : [],
+        trimBorders: !values['no-trim'],
+        regionMatching: values.regions,
+        licenses,
+        licenseRegion: values.region,
+        providers
+      });
+      // Licensed matches are expected; report the best one that isn't, and gate on any of them
+      // (results are ordered by p-value, so the best isn't necessarily the most similar)
+      const [topMatch = null] = unlicensedResults(result);
+      rows.push({
+        file,
+        status: classifyScanResult(result),
+        topMatch,
+        failed: result.results.some(match => failsGate(match, values)),
+        result
+      });
+    } catch (error) {
+      rows.push({ file, status: 'error', topMatch: null, failed: false, error: error.message });
+    }
+  }
+
+  await storage?.flush();
+
+  if (values.json) {
+    process.stdout.write(`${JSON.stringify(rows, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${formatTable(rows)}\n`);
+  }
+
+  if (rows.some(row => row.failed)) return 1;
+  if (rows.some(row => row.status === 'error')) return 2;
+  return 0;
+}
+
+main().then(
+  (code) => { process.exitCode = code; },
+  (error) => {
+    console.error(error);
+    process.exitCode = 2;
+  }
+);
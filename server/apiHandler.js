@@ -0,0 +1,250 @@
+/**
+ * ISBNdb proxy
+ * Keeps the ISBNdb key on the server and exposes:
+ *   GET /api/books/search?q=&page=&pageSize=&column=  -> ISBNdb /books/:q
+ *   GET /api/books/:isbn                               -> ISBNdb /book/:isbn
+ *   GET /api/covers/:isbn                              -> cover image bytes (cached in memory)
+ * Used both as Vite dev/preview middleware and by the standalone server.
+ */
+
+const ISBNDB_BASE_URL = 'https://api2.isbndb.com';
+const COVER_CACHE_MAX_BYTES = 64 * 1024 * 1024;
+const COVER_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_COVER_BYTES = 15 * 1024 * 1024;
+
+/**
+ * Least-recently-used cache of cover images bounded by total size
+ */
+function createCoverCache(maxBytes, ttl) {
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    totalBytes -= entry.body.length;
+    entries.delete(key);
+  };
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt < Date.now()) {
+        remove(key);
+        return null;
+      }
+      // Re-insert to mark as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    set(key, body, contentType) {
+      remove(key);
+      if (body.length > maxBytes) return;
+      entries.set(key, { body, contentType, expiresAt: Date.now() + ttl });
+      totalBytes += body.length;
+
+      for (const oldest of entries.keys()) {
+        if (totalBytes <= maxBytes) break;
+        remove(oldest);
+      }
+    }
+  };
+}
+
+/**
+ * Read a response body up to maxBytes
+ * Refuses on Content-Length first, then stops reading once the stream passes the limit,
+ * so an oversized cover is never buffered whole.
+ * @returns {Promise<Buffer|null>} The body, or null when it is too large
+ */
+async function readBodyWithin(response, maxBytes) {
+  if (Number(response.headers.get('Content-Length')) > maxBytes) {
+    await response.body?.cancel();
+    return null;
+  }
+  if (!response.body) return Buffer.from(await response.arrayBuffer());
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    received += value.byteLength;
+    if (received > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks, received);
+}
+
+/**
+ * Decode a path segment, or null when it holds a malformed percent-escape
+ */
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    if (error instanceof URIError) return null;
+    throw error;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create a connect-style middleware (req, res, next) serving /api routes
+ * @param {Object} options
+ * @param {string} options.apiKey - ISBNdb API key
+ * @param {string|null} options.corsOrigin - Value of Access-Control-Allow-Origin. Default null sends no CORS
+ *   headers, so only same-origin pages can call the proxy and spend the ISBNdb quota; opt in with the
+ *   frontend's origin (or '*') when it is served from elsewhere.
+ * @returns {Function} Middleware
+ */
+export function createApiMiddleware({ apiKey, corsOrigin = null } = {}) {
+  const coverCache = createCoverCache(COVER_CACHE_MAX_BYTES, COVER_CACHE_TTL_MS);
+
+  const isbndbFetch = (path, params = {}) => {
+    const url = new URL(`${ISBNDB_BASE_URL}${path}`);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) url.searchParams.set(key, value);
+    });
+    return fetch(url, {
+      headers: {
+        'Authorization': apiKey,
+        'Content-Type': 'application/json'
+      }
+    });
+  };
+
+  // Pass ISBNdb's status through so the browser client can retry 429/5xx
+  const relay = async (res, upstream) => {
+    const retryAfter = upstream.headers.get('Retry-After');
+    if (retryAfter) res.setHeader('Retry-After', retryAfter);
+    res.statusCode = upstream.status;
+    res.setHeader('Content-Type', upstream.headers.get('Content-Type') || 'application/json');
+    res.end(Buffer.from(await upstream.arrayBuffer()));
+  };
+
+  const handleSearch = async (res, searchParams) => {
+    const query = searchParams.get('q') || '';
+    const upstream = await isbndbFetch(`/books/${encodeURIComponent(query)}`, {
+      page: searchParams.get('page') || 1,
+      pageSize: searchParams.get('pageSize') || 20,
+      column: searchParams.get('column')
+    });
+    await relay(res, upstream);
+  };
+
+  const handleBook = async (res, isbn) => {
+    await relay(res, await isbndbFetch(`/book/${encodeURIComponent(isbn)}`));
+  };
+
+  const handleCover = async (res, isbn) => {
+    let cached = coverCache.get(isbn);
+
+    if (!cached) {
+      const bookResponse = await isbndbFetch(`/book/${encodeURIComponent(isbn)}`);
+      if (!bookResponse.ok) {
+        await relay(res, bookResponse);
+        return;
+      }
+
+      const { book } = await bookResponse.json();
+      if (!book?.image) {
+        sendJson(res, 404, { error: `No cover image for ISBN ${isbn}` });
+        return;
+      }
+
+      const imageResponse = await fetch(book.image);
+      if (!imageResponse.ok) {
+        sendJson(res, 502, { error: `Cover download failed: ${imageResponse.status}` });
+        return;
+      }
+
+      const body = await readBodyWithin(imageResponse, MAX_COVER_BYTES);
+      if (!body) {
+        sendJson(res, 413, { error: 'Cover image too large' });
+        return;
+      }
+
+      const contentType = imageResponse.headers.get('Content-Type') || 'application/octet-stream';
+      coverCache.set(isbn, body, contentType);
+      cached = { body, contentType };
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', cached.contentType);
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.end(cached.body);
+  };
+
+  return async (req, res, next) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (!url.pathname.startsWith('/api/')) {
+      next();
+      return;
+    }
+
+    if (corsOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin);
+      res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+      if (corsOrigin !== '*') res.setHeader('Vary', 'Origin');
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+
+    if (req.method !== 'GET') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    if (!apiKey) {
+      // The code tells this apart from ISBNdb's own 503s, which the client retries
+      sendJson(res, 503, {
+        error: 'ISBNdb API key not configured on the server. Set ISBNDB_API_KEY.',
+        code: 'missing_api_key'
+      });
+      return;
+    }
+
+    try {
+      const coverMatch = url.pathname.match(/^\/api\/covers\/([^/]+)$/);
+      const bookMatch = url.pathname.match(/^\/api\/books\/([^/]+)$/);
+      const isbn = decodePathSegment((coverMatch || bookMatch)?.[1] ?? '');
+
+      if (url.pathname === '/api/books/search') {
+        await handleSearch(res, url.searchParams);
+      } else if ((coverMatch || bookMatch) && isbn === null) {
+        sendJson(res, 400, { error: 'Malformed ISBN in the request path' });
+      } else if (coverMatch) {
+        await handleCover(res, isbn);
+      } else if (bookMatch) {
+        await handleBook(res, isbn);
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      console.error('API proxy error:', error);
+      if (!res.headersSent) {
+        sendJson(res, 502, { error: `Upstream request failed: ${error.message}` });
+      } else {
+        res.end();
+      }
+    }
+  };
+}
@@ -0,0 +1,27 @@
+import { createServer } from 'node:http';
+import { createApiMiddleware } from './apiHandler.js';
+
+/**
+ * Standalone API server for production deployments
+ * Serve the built frontend from any static host and point VITE_API_BASE_URL here.
+ *   ISBNDB_API_KEY=... PORT=8787 CORS_ORIGIN=https://covers.example.com npm run server
+ */
+
+const port = Number(process.env.PORT) || 8787;
+
+const handleApi = createApiMiddleware({
+  apiKey: process.env.ISBNDB_API_KEY || '',
+  corsOrigin: process.env.CORS_ORIGIN || null
+});
+
+const server = createServer((req, res) => {
+  handleApi(req, res, () => {
+    res.statusCode = 404;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ error: 'Not found' }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`API proxy listening on http://localhost:${port}`);
+});
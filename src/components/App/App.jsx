@@ -1,26 +1,74 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useBatchScan } from '../../hooks/useBatchScan';
+import { useGalleryClusters } from '../../hooks/useGalleryClusters';
+import { useLicenses } from '../../hooks/useLicenses';
 import { useModal } from '../../hooks/useModal';
+import { useMonitor } from '../../hooks/useMonitor';
+import { useScanSettings } from '../../hooks/useScanSettings';
+import { useUploadedCovers } from '../../hooks/useUploadedCovers';
 import { ImageGrid } from '../ImageGrid/ImageGrid';
+import { LicenseManager } from '../LicenseManager/LicenseManager';
 import { Modal } from '../Modal/Modal';
+import { MonitorPanel } from '../MonitorPanel/MonitorPanel';
+import { ScanSummary } from '../ScanSummary/ScanSummary';
+import { SettingsPanel } from '../SettingsPanel/SettingsPanel';
+import { UploadArea } from '../UploadArea/UploadArea';
 import styles from './App.module.css';
 
+// Dynamically load all images from public/covers folder
+const coverModules = import.meta.glob('/public/covers/*.(jpg|jpeg|png|svg|webp|gif)', { eager: true, query: '?url', import: 'default' });
+
+const bundledImages = Object.entries(coverModules).map(([path, url], index) => {
+  // Extract filename without extension for the name
+  const filename = path.split('/').pop().replace(/\.[^/.]+$/, '');
+  const displayName = filename
+    .replace(/[-_]/g, ' ')
+    .replace(/\b\w/g, char => char.toUpperCase());
+
+  return {
+    id: index + 1,
+    name: displayName,
+    src: url
+  };
+});
+
+// Default largest pHash distance at which two gallery covers count as near-duplicates
+const DEFAULT_CLUSTER_DISTANCE = 10;
+
 function App() {
   const { isOpen, selectedImage, openModal, closeModal } = useModal();
+  const { uploadedCovers, addFiles, renameCover, removeCover } = useUploadedCovers();
+  const { isRunning, statuses, summary, completed, startBatch, cancelBatch, clearBatch } = useBatchScan();
+  const { licenses, saveLicense, removeLicense, importFile } = useLicenses();
+  const [showLicenses, setShowLicenses] = useState(false);
+  const {
+    settings,
+    presets,
+    activePreset,
+    sharedPreset,
+    sharedPresetError,
+    updateSettings,
+    applyPreset,
+    savePreset,
+    removePreset,
+    importPresets
+  } = useScanSettings();
+  const [showSettings, setShowSettings] = useState(false);
+  const monitor = useMonitor();
+  const [showMonitor, setShowMonitor] = useState(false);
+  const [groupDuplicates, setGroupDuplicates] = useState(false);
+  const [clusterDistance, setClusterDistance] = useState(DEFAULT_CLUSTER_DISTANCE);
+
+  // Opening a shared preset link changes the settings; show the panel so that's not a surprise
+  useEffect(() => {
+    if (sharedPreset || sharedPresetError) setShowSettings(true);
+  }, [sharedPreset, sharedPresetError]);
 
-  // Dynamically load all images from public/covers folder
-  const coverModules = import.meta.glob('/public/covers/*.(jpg|jpeg|png|svg|webp|gif)', { eager: true, query: '?url', import: 'default' });
-
-  const images = Object.entries(coverModules).map(([path, url], index) => {
-    // Extract filename without extension for the name
-    const filename = path.split('/').pop().replace(/\.[^/.]+$/, '');
-    const displayName = filename
-      .replace(/[-_]/g, ' ')
-      .replace(/\b\w/g, char => char.toUpperCase());
-
-    return {
-      id: index + 1,
-      name: displayName,
-      src: url
-    };
+  // Stable between renders, so hashing the gallery for clusters only reruns when uploads change
+  const images = useMemo(() => [...bundledImages, ...uploadedCovers], [uploadedCovers]);
+  const { clusters, isHashing, progress: clusterProgress } = useGalleryClusters(images, {
+    enabled: groupDuplicates,
+    maxDistance: clusterDistance
   });
 
   return (
@@ -28,13 +76,122 @@ function App() {
       <header className={styles.header}>
         <h1 className={styles.title}>Cover Gallery</h1>
         <p className={styles.subtitle}>Click on any cover to view it up close</p>
+        <div className={styles.headerActions}>
+          {isRunning ? (
+            <>
+              <span className={styles.batchProgress}>
+                Scanned {completed} of {images.length} covers
+              </span>
+              <button className={styles.headerBtn} onClick={cancelBatch}>
+                Cancel
+              </button>
+            </>
+          ) : (
+            <button
+              className={styles.headerBtn}
+              onClick={() => startBatch(images, settings)}
+              disabled={images.length === 0}
+            >
+              Scan All Covers
+            </button>
+          )}
+          <button className={styles.headerBtn} onClick={() => setShowLicenses(shown => !shown)}>
+            Licenses ({licenses.length})
+          </button>
+          <button
+            className={styles.headerBtn}
+            onClick={() => setGroupDuplicates(grouped => !grouped)}
+            aria-pressed={groupDuplicates}
+          >
+            {groupDuplicates ? 'Show All Covers' : 'Group Duplicates'}
+          </button>
+          <button className={styles.headerBtn} onClick={() => setShowMonitor(shown => !shown)}>
+            Monitor{monitor.isRunning ? ' (running)' : ''}
+          </button>
+          <button className={styles.headerBtn} onClick={() => setShowSettings(shown => !shown)}>
+            Settings{activePreset ? ` (${activePreset.name})` : ''}
+          </button>
+        </div>
+        {groupDuplicates && (
+          <div className={styles.clusterControls}>
+            <label className={styles.clusterSlider}>
+              Max distance {clusterDistance}
+              <input
+                type="range"
+                min={0}
+                max={32}
+                value={clusterDistance}
+                onChange={(e) => setClusterDistance(Number(e.target.value))}
+              />
+            </label>
+            <span className={styles.batchProgress}>
+              {isHashing
+                ? `Hashing ${clusterProgress.completed} of ${clusterProgress.total} covers…`
+                : clusters && `${clusters.filter(cluster => cluster.members.length > 1).length} group(s) of near-duplicates`}
+            </span>
+          </div>
+        )}
       </header>
 
       <main>
-        <ImageGrid images={images} onImageClick={openModal} />
+        <UploadArea
+          covers={uploadedCovers}
+          onAddFiles={addFiles}
+          onRename={renameCover}
+          onRemove={removeCover}
+        />
+        {showLicenses && (
+          <LicenseManager
+            licenses={licenses}
+            artworkNames={images.map(image => image.name)}
+            onSave={saveLicense}
+            onRemove={removeLicense}
+            onImport={importFile}
+            onClose={() => setShowLicenses(false)}
+          />
+        )}
+        {showSettings && (
+          <SettingsPanel
+            settings={settings}
+            presets={presets}
+            activePreset={activePreset}
+            sharedPreset={sharedPreset}
+            sharedPresetError={sharedPresetError}
+            onChange={updateSettings}
+            onApplyPreset={applyPreset}
+            onSavePreset={savePreset}
+            onRemovePreset={removePreset}
+            onImportPresets={importPresets}
+            onClose={() => setShowSettings(false)}
+          />
+        )}
+        {showMonitor && (
+          <MonitorPanel
+            images={images}
+            settings={settings}
+            isRunning={monitor.isRunning}
+            progress={monitor.progress}
+            result={monitor.result}
+            error={monitor.error}
+            onChangeSettings={updateSettings}
+            onStart={monitor.startMonitor}
+            onCancel={monitor.cancelMonitor}
+            onSelect={openModal}
+            onClose={() => setShowMonitor(false)}
+          />
+        )}
+        {summary && (
+          <ScanSummary rows={summary} onSelect={openModal} onClose={clearBatch} />
+        )}
+        <ImageGrid
+          images={images}
+          clusters={groupDuplicates ? clusters : null}
+          statuses={statuses}
+          onImageClick={openModal}
+        />
       </main>
 
-      <Modal isOpen={isOpen} image={selectedImage} onClose={closeModal} />
+      <Modal isOpen={isOpen} image={selectedImage} settings={settings} onClose={closeModal} />
     </div>
   );
 }
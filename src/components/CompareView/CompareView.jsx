@@ -0,0 +1,213 @@
+import { useEffect, useRef, useState } from 'react';
+import { compareHashBits, computeDifferenceHeatmap } from '../../services/imageDiff';
+import { MATCH_TRANSFORM_LABELS } from '../../services/isbndbService';
+import styles from './CompareView.module.css';
+
+// Both covers are drawn onto a canvas of this size before diffing
+const NORMALIZED_WIDTH = 240;
+const NORMALIZED_HEIGHT = 360;
+
+const MODES = [
+  { id: 'slider', label: 'Slider' },
+  { id: 'blend', label: 'Blend' },
+  { id: 'heatmap', label: 'Difference' }
+];
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Failed to load ${src}`));
+    img.src = src;
+  });
+}
+
+function readNormalizedPixels(img) {
+  const canvas = document.createElement('canvas');
+  canvas.width = NORMALIZED_WIDTH;
+  canvas.height = NORMALIZED_HEIGHT;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(img, 0, 0, NORMALIZED_WIDTH, NORMALIZED_HEIGHT);
+  return context.getImageData(0, 0, NORMALIZED_WIDTH, NORMALIZED_HEIGHT);
+}
+
+function HashBitGrid({ targetHex, matchHex }) {
+  const { size, cells } = compareHashBits(targetHex, matchHex);
+  const differing = cells.filter(cell => cell.differs).length;
+
+  return (
+    <div className={styles.bitGridWrapper}>
+      <div
+        className={styles.bitGrid}
+        style={{ gridTemplateColumns: `repeat(${size}, 1fr)` }}
+      >
+        {cells.map((cell, index) => (
+          <span
+            key={index}
+            className={`${styles.bit} ${cell.differs ? styles.bitDiffers : ''} ${cell.a ? styles.bitOn : ''}`}
+            title={`Bit ${index}: target ${cell.a}, match ${cell.b}`}
+          />
+        ))}
+      </div>
+      <p className={styles.bitLegend}>
+        {differing} of {cells.length} bits differ (red). Dark cells are set in the target hash.
+      </p>
+    </div>
+  );
+}
+
+export function CompareView({ targetImage, targetHashes, result, onClose }) {
+  const [mode, setMode] = useState('slider');
+  const [sliderPosition, setSliderPosition] = useState(50);
+  const [opacity, setOpacity] = useState(50);
+  const [heatmapError, setHeatmapError] = useState(null);
+  const [meanDifference, setMeanDifference] = useState(null);
+  const [algorithm, setAlgorithm] = useState(targetHashes.phash ? 'phash' : Object.keys(targetHashes)[0]);
+  const heatmapRef = useRef(null);
+
+  // Draw the difference heatmap on the normalized canvas
+  useEffect(() => {
+    if (mode !== 'heatmap') return;
+    let cancelled = false;
+    setHeatmapError(null);
+
+    Promise.all([loadImage(targetImage.src), loadImage(result.book.image)])
+      .then(([targetImg, matchImg]) => {
+        if (cancelled || !heatmapRef.current) return;
+        const heatmap = computeDifferenceHeatmap(readNormalizedPixels(targetImg), readNormalizedPixels(matchImg));
+        const context = heatmapRef.current.getContext('2d');
+        context.putImageData(new ImageData(heatmap.data, heatmap.width, heatmap.height), 0, 0);
+        setMeanDifference(heatmap.meanDifference);
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.warn('Failed to build difference heatmap:', error);
+        setHeatmapError(error.name === 'SecurityError'
+          ? 'The matched cover is served without CORS headers, so its pixels cannot be read.'
+          : error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [mode, targetImage.src, result.book.image]);
+
+  return (
+    <section className={styles.compareView}>
+      <div className={styles.header}>
+        <h3 className={styles.title}>
+          Compare with "{result.book.title}" ({result.similarity}%)
+        </h3>
+        <button className={styles.closeBtn} onClick={onClose} aria-label="Close comparison">
+          ×
+        </button>
+      </div>
+
+      {result.transform && result.transform !== 'identity' && (
+        <p className={styles.control}>
+          Matched as: {MATCH_TRANSFORM_LABELS[result.transform] || result.transform}.
+          The overlays show both covers untransformed; the hash bits compare the matching variant.
+        </p>
+      )}
+
+      <div className={styles.modes}>
+        {MODES.map(({ id, label }) => (
+          <button
+            key={id}
+            className={`${styles.modeBtn} ${mode === id ? styles.modeActive : ''}`}
+            onClick={() => setMode(id)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className={styles.stage} style={{ width: NORMALIZED_WIDTH, height: NORMALIZED_HEIGHT }}>
+        {mode === 'slider' && (
+          <>
+            <img src={result.book.image} alt={result.book.title} className={styles.layer} />
+            <img
+              src={targetImage.src}
+              alt={targetImage.name}
+              className={styles.layer}
+              style={{ clipPath: `inset(0 ${100 - sliderPosition}% 0 0)` }}
+            />
+            <div className={styles.divider} style={{ left: `${sliderPosition}%` }} />
+          </>
+        )}
+
+        {mode === 'blend' && (
+          <>
+            <img src={result.book.image} alt={result.book.title} className={styles.layer} />
+            <img
+              src={targetImage.src}
+              alt={targetImage.name}
+              className={styles.layer}
+              style={{ opacity: opacity / 100 }}
+            />
+          </>
+        )}
+
+        {mode === 'heatmap' && (
+          heatmapError
+            ? <p className={styles.heatmapError}>{heatmapError}</p>
+            : <canvas
+                ref={heatmapRef}
+                width={NORMALIZED_WIDTH}
+                height={NORMALIZED_HEIGHT}
+                className={styles.layer}
+              />
+        )}
+      </div>
+
+      {mode === 'slider' && (
+        <label className={styles.control}>
+          Target ◀ ▶ Match
+          <input
+            type="range"
+            min="0"
+            max="100"
+            value={sliderPosition}
+            onChange={(e) => setSliderPosition(Number(e.target.value))}
+          />
+        </label>
+      )}
+
+      {mode === 'blend' && (
+        <label className={styles.control}>
+          Target opacity {opacity}%
+          <input
+            type="range"
+            min="0"
+            max="100"
+            value={opacity}
+            onChange={(e) => setOpacity(Number(e.target.value))}
+          />
+        </label>
+      )}
+
+      {mode === 'heatmap' && meanDifference !== null && !heatmapError && (
+        <p className={styles.control}>
+          Mean pixel difference: {(meanDifference * 100).toFixed(1)}% (black = identical, red = very different)
+        </p>
+      )}
+
+      {result.hashes && (
+        <div className={styles.bits}>
+          <div className={styles.bitsHeader}>
+            <h4 className={styles.bitsTitle}>Hash bits</h4>
+            <select value={algorithm} onChange={(e) => setAlgorithm(e.target.value)} className={styles.select}>
+              {Object.keys(result.hashes).filter(name => targetHashes[name]).map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </div>
+          {targetHashes[algorithm] && result.hashes[algorithm] && (
+            <HashBitGrid targetHex={targetHashes[algorithm]} matchHex={result.hashes[algorithm]} />
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -1,14 +1,57 @@
+import { formatConfidence } from '../../services/matchConfidence';
 import styles from './ImageCard.module.css';
 
-export function ImageCard({ image, onClick }) {
+const STATUS_BADGES = {
+  pending: { label: 'Queued', className: styles.pending },
+  scanning: { label: 'Scanning…', className: styles.scanning },
+  clean: { label: 'Clean', className: styles.clean },
+  suspicious: { label: 'Suspicious', className: styles.suspicious },
+  'likely-reuse': { label: 'Likely reuse', className: styles.likelyReuse },
+  error: { label: 'Error', className: styles.error }
+};
+
+/**
+ * One gallery cover
+ * `cluster` ({ size, expanded, onToggle }) marks the representative of a near-duplicate group;
+ * `distance` marks a group member with its pHash distance to the representative.
+ */
+export function ImageCard({ image, status, cluster = null, distance = null, onClick }) {
+  const isMember = typeof distance === 'number';
   return (
-    <div className={styles.card} onClick={() => onClick(image)}>
+    <div className={`${styles.card} ${isMember ? styles.clusterMember : ''}`} onClick={() => onClick(image)}>
       <img
         src={image.src}
         alt={image.name}
         className={styles.image}
         loading="lazy"
       />
+      {status && (
+        <span
+          className={`${styles.statusBadge} ${STATUS_BADGES[status.status].className}`}
+          title={status.error || (status.topMatch ? `Best match: ${status.topMatch.book.title} (${status.topSimilarity}%)` : undefined)}
+        >
+          {STATUS_BADGES[status.status].label}
+          {status.topMatch?.confidence && ` · ${formatConfidence(status.topMatch.confidence)}`}
+        </span>
+      )}
+      {cluster && (
+        <button
+          className={styles.clusterBadge}
+          onClick={(e) => {
+            e.stopPropagation();
+            cluster.onToggle();
+          }}
+          aria-expanded={cluster.expanded}
+          title={cluster.expanded ? 'Hide the near-duplicates' : 'Show the near-duplicates'}
+        >
+          {cluster.expanded ? 'Collapse' : `${cluster.size} covers`}
+        </button>
+      )}
+      {isMember && (
+        <span className={styles.clusterBadge} title="pHash distance to the group's representative">
+          Distance {distance}
+        </span>
+      )}
       <div className={styles.overlay}>
         <p className={styles.name}>{image.name}</p>
       </div>
@@ -1,16 +1,68 @@
+import { useState } from 'react';
 import { ImageCard } from '../ImageCard/ImageCard';
 import styles from './ImageGrid.module.css';
 
-export function ImageGrid({ images, onImageClick }) {
+/**
+ * Gallery grid; with clusters, one card per cluster (its representative) that expands into the
+ * other members
+ */
+export function ImageGrid({ images, clusters = null, statuses = {}, onImageClick }) {
+  const [expandedIds, setExpandedIds] = useState(() => new Set());
+
+  const toggleCluster = (id) => {
+    setExpandedIds(current => {
+      const next = new Set(current);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  if (!clusters) {
+    return (
+      <div className={styles.grid}>
+        {images.map((image) => (
+          <ImageCard
+            key={image.id}
+            image={image}
+            status={statuses[image.id]}
+            onClick={onImageClick}
+          />
+        ))}
+      </div>
+    );
+  }
+
   return (
     <div className={styles.grid}>
-      {images.map((image) => (
-        <ImageCard
-          key={image.id}
-          image={image}
-          onClick={onImageClick}
-        />
-      ))}
+      {clusters.flatMap((cluster) => {
+        const expanded = expandedIds.has(cluster.id);
+        const cards = [
+          <ImageCard
+            key={cluster.id}
+            image={cluster.representative}
+            status={statuses[cluster.id]}
+            cluster={cluster.members.length > 1
+              ? { size: cluster.members.length, expanded, onToggle: () => toggleCluster(cluster.id) }
+              : null}
+            onClick={onImageClick}
+          />
+        ];
+        if (expanded) {
+          cluster.members
+            .filter(member => member.image.id !== cluster.id)
+            .forEach(member => cards.push(
+              <ImageCard
+                key={member.image.id}
+                image={member.image}
+                status={statuses[member.image.id]}
+                distance={member.distance}
+                onClick={onImageClick}
+              />
+            ));
+        }
+        return cards;
+      })}
     </div>
   );
 }
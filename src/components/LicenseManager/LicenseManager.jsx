@@ -0,0 +1,197 @@
+import { useRef, useState } from 'react';
+import { downloadFile } from '../../services/exportService';
+import { toArtworkId } from '../../services/licenseRegistry';
+import styles from './LicenseManager.module.css';
+
+const EMPTY_FORM = {
+  id: '',
+  artworkId: '',
+  isbns: '',
+  publishers: '',
+  regions: '',
+  validFrom: '',
+  validUntil: '',
+  notes: ''
+};
+
+function toForm(license) {
+  return {
+    ...license,
+    isbns: license.isbns.join('; '),
+    publishers: license.publishers.join('; '),
+    regions: license.regions.join('; '),
+    validFrom: license.validFrom || '',
+    validUntil: license.validUntil || ''
+  };
+}
+
+function describeTerm({ validFrom, validUntil }) {
+  if (!validFrom && !validUntil) return 'Open-ended';
+  return `${validFrom || '…'} – ${validUntil || '…'}`;
+}
+
+export function LicenseManager({ licenses, artworkNames, onSave, onRemove, onImport, onClose }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [message, setMessage] = useState(null);
+  const inputRef = useRef(null);
+
+  const setField = (field) => (e) => setForm(current => ({ ...current, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const saved = await onSave(form);
+      setMessage({ type: 'info', text: `Saved license ${saved.id}` });
+      setForm(EMPTY_FORM);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    // Allow picking the same file again
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const count = await onImport(file);
+      setMessage({ type: 'info', text: `Imported ${count} license(s) from ${file.name}` });
+    } catch (error) {
+      setMessage({ type: 'error', text: `${file.name}: ${error.message}` });
+    }
+  };
+
+  const handleExport = () => {
+    downloadFile(JSON.stringify({ licenses }, null, 2), 'licenses.json', 'application/json');
+  };
+
+  return (
+    <section className={styles.manager}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>License Registry</h2>
+        <p className={styles.hint}>
+          Matches covered by a license are marked licensed and don&apos;t flag a cover
+        </p>
+        <button className={styles.closeBtn} onClick={onClose} aria-label="Close licenses">
+          ×
+        </button>
+      </div>
+
+      <div className={styles.toolbar}>
+        <button className={styles.toolBtn} onClick={() => inputRef.current?.click()}>
+          Import JSON / CSV
+        </button>
+        <button className={styles.toolBtn} onClick={handleExport} disabled={licenses.length === 0}>
+          Export JSON
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          className={styles.fileInput}
+          onChange={handleImport}
+        />
+        {message && (
+          <span className={message.type === 'error' ? styles.error : styles.info}>{message.text}</span>
+        )}
+      </div>
+
+      <form className={styles.form} onSubmit={handleSubmit}>
+        <label>
+          Artwork
+          <input
+            value={form.artworkId}
+            onChange={setField('artworkId')}
+            list="license-artworks"
+            placeholder="the-girl-in-the-peach-tree"
+            required
+          />
+          <datalist id="license-artworks">
+            {artworkNames.map(name => (
+              <option key={name} value={toArtworkId(name)}>{name}</option>
+            ))}
+          </datalist>
+        </label>
+        <label>
+          ISBNs
+          <input value={form.isbns} onChange={setField('isbns')} placeholder="9780000000002; …" />
+        </label>
+        <label>
+          Publishers
+          <input value={form.publishers} onChange={setField('publishers')} placeholder="Orchard House" />
+        </label>
+        <label>
+          Regions
+          <input value={form.regions} onChange={setField('regions')} placeholder="US; CA (blank = any)" />
+        </label>
+        <label>
+          Valid from
+          <input type="date" value={form.validFrom} onChange={setField('validFrom')} />
+        </label>
+        <label>
+          Valid until
+          <input type="date" value={form.validUntil} onChange={setField('validUntil')} />
+        </label>
+        <label className={styles.notes}>
+          Notes
+          <input value={form.notes} onChange={setField('notes')} />
+        </label>
+        <div className={styles.formActions}>
+          <button type="submit" className={styles.saveBtn}>
+            {form.id ? 'Update License' : 'Add License'}
+          </button>
+          {form.id && (
+            <button type="button" className={styles.toolBtn} onClick={() => setForm(EMPTY_FORM)}>
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {licenses.length > 0 ? (
+        <div className={styles.tableWrapper}>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th>Artwork</th>
+                <th>ISBNs</th>
+                <th>Publishers</th>
+                <th>Regions</th>
+                <th>Term</th>
+                <th>Notes</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {licenses.map(license => (
+                <tr key={license.id}>
+                  <td>{license.artworkId}</td>
+                  <td>{license.isbns.join(', ') || '—'}</td>
+                  <td>{license.publishers.join(', ') || '—'}</td>
+                  <td>{license.regions.join(', ') || 'Any'}</td>
+                  <td>{describeTerm(license)}</td>
+                  <td>{license.notes || '—'}</td>
+                  <td className={styles.rowActions}>
+                    <button className={styles.toolBtn} onClick={() => setForm(toForm(license))}>
+                      Edit
+                    </button>
+                    <button
+                      className={styles.removeBtn}
+                      onClick={() => onRemove(license.id)}
+                      aria-label={`Remove license ${license.id}`}
+                    >
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className={styles.empty}>No licenses yet. Add one above or import a file.</p>
+      )}
+    </section>
+  );
+}
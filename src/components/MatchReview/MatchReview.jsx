@@ -0,0 +1,61 @@
+import { useEffect, useState } from 'react';
+import { REVIEW_VERDICTS } from '../../services/scanHistory';
+import styles from './MatchReview.module.css';
+
+const VERDICT_LABELS = {
+  [REVIEW_VERDICTS.CONFIRMED]: 'Confirmed infringement',
+  [REVIEW_VERDICTS.FALSE_POSITIVE]: 'False positive',
+  [REVIEW_VERDICTS.LICENSED]: 'Licensed'
+};
+
+const VERDICT_CLASSES = {
+  [REVIEW_VERDICTS.CONFIRMED]: 'confirmed',
+  [REVIEW_VERDICTS.FALSE_POSITIVE]: 'falsePositive',
+  [REVIEW_VERDICTS.LICENSED]: 'licensed'
+};
+
+/**
+ * Reviewer verdict and notes for one match
+ * Clicking the active verdict clears it; notes are saved when the field loses focus.
+ */
+export function MatchReview({ review, onChange }) {
+  const [notes, setNotes] = useState(review?.notes || '');
+
+  useEffect(() => {
+    setNotes(review?.notes || '');
+  }, [review?.notes]);
+
+  const verdict = review?.verdict || null;
+
+  return (
+    <div className={styles.review}>
+      <div className={styles.verdicts} role="group" aria-label="Review verdict">
+        {Object.entries(VERDICT_LABELS).map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            className={`${styles.verdictBtn} ${verdict === value ? styles[VERDICT_CLASSES[value]] : ''}`}
+            aria-pressed={verdict === value}
+            onClick={() => onChange({ verdict: verdict === value ? null : value, notes })}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <textarea
+        className={styles.notes}
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        onBlur={() => {
+          if (notes !== (review?.notes || '')) onChange({ verdict, notes });
+        }}
+        placeholder="Reviewer notes"
+        rows={2}
+        aria-label="Reviewer notes"
+      />
+      {review?.reviewedAt && (
+        <p className={styles.reviewedAt}>Reviewed {new Date(review.reviewedAt).toLocaleString()}</p>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,114 @@
-import { useEffect, useState } from 'react';
-import { findSimilarCovers } from '../../services/isbndbService';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useScanHistory } from '../../hooks/useScanHistory';
+import {
+  buildCsvExport,
+  buildEvidenceReport,
+  buildJsonExport,
+  downloadFile,
+  embedReportImages,
+  exportFileName,
+  openPrintableReport
+} from '../../services/exportService';
+import { findSimilarCovers, MATCH_TRANSFORM_LABELS } from '../../services/isbndbService';
+import { LICENSE_STATUS } from '../../services/licenseRegistry';
+import { CONFIDENCE_TIERS, formatPValue } from '../../services/matchConfidence';
+import { HASH_TRANSFORMS } from '../../services/phashService';
+import { applyReviews, dismissedMatchKeys } from '../../services/scanHistory';
+import { toScanOptions } from '../../services/scanSettings';
+import { isAbortError } from '../../services/taskPool';
+import { CompareView } from '../CompareView/CompareView';
+import { MatchReview } from '../MatchReview/MatchReview';
+import { ScanHistory } from '../ScanHistory/ScanHistory';
 import styles from './Modal.module.css';
 
-export function Modal({ isOpen, image, onClose }) {
+const LICENSE_LABELS = {
+  [LICENSE_STATUS.LICENSED]: '✓ Licensed',
+  [LICENSE_STATUS.UNLICENSED]: '✗ Unlicensed',
+  [LICENSE_STATUS.EXPIRED]: '⌛ License Expired'
+};
+
+const CONFIDENCE_LABELS = Object.fromEntries(CONFIDENCE_TIERS.map(tier => [tier.id, tier.label]));
+
+const LICENSE_BADGE_CLASSES = {
+  [LICENSE_STATUS.LICENSED]: 'licensed',
+  [LICENSE_STATUS.UNLICENSED]: 'unlicensed',
+  [LICENSE_STATUS.EXPIRED]: 'expired'
+};
+
+// Why a cover couldn't be compared, by ImageError kind
+const FAILURE_LABELS = {
+  download: 'Download failed',
+  unsupported: 'Unsupported format',
+  'too-large': 'Too large',
+  corrupt: 'Unreadable image',
+  other: 'Failed'
+};
+
+/**
+ * Explain a scan failure, using the error kind set by the ISBNdb client or the image decoder
+ */
+function describeScanError(error) {
+  switch (error.kind) {
+    case 'download':
+    case 'unsupported':
+    case 'too-large':
+    case 'corrupt':
+      return `Your cover could not be read: ${error.message}`;
+    case 'quota':
+      return `Catalog quota exceeded: ${error.message} Wait a while and scan again.`;
+    case 'auth':
+      return `Catalog authentication failed: ${error.message}`;
+    case 'network':
+      return `Could not reach the catalog: ${error.message} Check your connection and try again.`;
+    default:
+      return error.message || 'Failed to scan for similar covers';
+  }
+}
+
+/**
+ * Cover thumbnail with the shared region outlined (box in 0-1 fractions of the image)
+ */
+function RegionThumbnail({ src, alt, box, caption }) {
+  return (
+    <figure className={styles.regionThumb}>
+      <img src={src} alt={alt} />
+      <div
+        className={styles.regionBox}
+        style={{
+          left: `${box.x * 100}%`,
+          top: `${box.y * 100}%`,
+          width: `${box.width * 100}%`,
+          height: `${box.height * 100}%`
+        }}
+      />
+      <figcaption>{caption}</figcaption>
+    </figure>
+  );
+}
+
+const EMPTY_PROGRESS = { total: 0, completed: 0, fetched: 0, hashed: 0, failed: 0, skipped: 0, book: '' };
+
+export function Modal({ isOpen, image, settings, onClose }) {
   const [isScanning, setIsScanning] = useState(false);
-  const [scanResults, setScanResults] = useState(null);
+  // The scan as the scanner returned it; what's shown has the reviews applied
+  const [rawResults, setRawResults] = useState(null);
+  const [activeScanId, setActiveScanId] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showDismissed, setShowDismissed] = useState(false);
   const [scanError, setScanError] = useState(null);
-  const [scanProgress, setScanProgress] = useState({ current: 0, total: 0, book: '' });
+  const [scanProgress, setScanProgress] = useState(EMPTY_PROGRESS);
+  const [showFailures, setShowFailures] = useState(false);
+  const [compareResult, setCompareResult] = useState(null);
+  const [checkVariants, setCheckVariants] = useState(false);
+  const [checkRegions, setCheckRegions] = useState(false);
+  const scanControllerRef = useRef(null);
+  const { scans, reviews, recordScan, removeScan, reviewMatch } = useScanHistory(isOpen ? image : null);
+
+  const scanResults = useMemo(
+    () => (rawResults ? applyReviews(rawResults, reviews) : null),
+    [rawResults, reviews]
+  );
+  const activeScan = scans.find(scan => scan.id === activeScanId) || null;
 
   // Close modal on ESC key press
   useEffect(() => {
@@ -31,47 +133,111 @@ export function Modal({ isOpen, image, onClose }) {
   // Reset scan results when modal closes or image changes
   useEffect(() => {
     if (!isOpen) {
-      setScanResults(null);
+      setRawResults(null);
+      setActiveScanId(null);
+      setShowHistory(false);
+      setShowDismissed(false);
+      setShowFailures(false);
       setScanError(null);
-      setScanProgress({ current: 0, total: 0, book: '' });
+      setScanProgress(EMPTY_PROGRESS);
+      setCompareResult(null);
     }
   }, [isOpen, image]);
 
+  // Stop any running scan when the modal closes, the image changes or we unmount
+  useEffect(() => {
+    return () => {
+      scanControllerRef.current?.abort();
+      scanControllerRef.current = null;
+      setIsScanning(false);
+    };
+  }, [isOpen, image]);
+
+  const handleCancel = () => {
+    scanControllerRef.current?.abort();
+  };
+
   const handleScan = async () => {
     if (!image) return;
 
+    const controller = new AbortController();
+    scanControllerRef.current = controller;
+
     setIsScanning(true);
     setScanError(null);
-    setScanResults(null);
-    setScanProgress({ current: 0, total: 0, book: '' });
+    setRawResults(null);
+    setActiveScanId(null);
+    setScanProgress(EMPTY_PROGRESS);
+    setCompareResult(null);
 
     try {
       // Scan for similar covers using phash algorithm
       // First searches by title (in multiple languages), then compares covers
       const data = await findSimilarCovers(image.src, {
+        ...toScanOptions(settings),
         imageName: image.name, // Pass the image name to extract title
-        query: 'fiction', // Fallback query if title search doesn't work
-        maxResults: 50,
-        similarityThreshold: 60,
-        topN: 10,
-        onProgress: (current, total, bookTitle) => {
-          setScanProgress({ current, total, book: bookTitle });
-        }
+        dismissedMatches: dismissedMatchKeys(reviews),
+        transforms: checkVariants ? Object.keys(HASH_TRANSFORMS) : [],
+        regionMatching: checkRegions,
+        signal: controller.signal,
+        onProgress: setScanProgress
       });
 
-      setScanResults(data);
+      setRawResults(data);
+      const scan = await recordScan(data);
+      if (scan) setActiveScanId(scan.id);
 
-      if (data.results.length === 0) {
+      const { results, dismissed } = applyReviews(data, reviews);
+      if (results.length === 0) {
         const methodInfo = data.searchMethod === 'title-based'
           ? `Searched by title "${data.searchQuery}" (including translations).`
           : `Used generic search "${data.searchQuery}".`;
-        setScanError(`No similar covers found. Compared against ${data.totalCompared} books. ${methodInfo}`);
+        const dismissedInfo = dismissed.length > 0 ? ` ${dismissed.length} match(es) dismissed as false positives are hidden.` : '';
+        setScanError(`No similar covers found. Compared against ${data.totalCompared} books. ${methodInfo}${dismissedInfo}`);
       }
     } catch (error) {
+      if (isAbortError(error)) {
+        if (scanControllerRef.current === controller) {
+          setScanError('Scan cancelled.');
+        }
+        return;
+      }
       console.error('Scan error:', error);
-      setScanError(error.message || 'Failed to scan for similar covers');
+      setScanError(describeScanError(error));
     } finally {
-      setIsScanning(false);
+      if (scanControllerRef.current === controller) {
+        scanControllerRef.current = null;
+        setIsScanning(false);
+      }
+    }
+  };
+
+  const handleOpenScan = (scan) => {
+    setRawResults(scan.result);
+    setActiveScanId(scan.id);
+    setScanError(null);
+    setCompareResult(null);
+  };
+
+  const handleRemoveScan = (id) => {
+    removeScan(id);
+    if (id === activeScanId) setActiveScanId(null);
+  };
+
+  const handleExportJson = () => {
+    const json = JSON.stringify(buildJsonExport(scanResults, image), null, 2);
+    downloadFile(json, exportFileName(image.name, 'json'), 'application/json');
+  };
+
+  const handleExportCsv = () => {
+    downloadFile(buildCsvExport(scanResults, image), exportFileName(image.name, 'csv'), 'text/csv');
+  };
+
+  const handleExportReport = async () => {
+    const html = buildEvidenceReport(scanResults, image, await embedReportImages(scanResults, image));
+    if (!openPrintableReport(html)) {
+      // Popup blocked: save the report instead
+      downloadFile(html, exportFileName(image.name, 'html'), 'text/html');
     }
   };
 
@@ -106,20 +272,62 @@ export function Modal({ isOpen, image, onClose }) {
           >
             {isScanning ? 'Scanning...' : 'Scan for Similar Covers'}
           </button>
+          <label className={styles.variantToggle}>
+            <input
+              type="checkbox"
+              checked={checkVariants}
+              onChange={(e) => setCheckVariants(e.target.checked)}
+              disabled={isScanning}
+            />
+            Also match mirrored, rotated and cropped copies
+          </label>
+          <label className={styles.variantToggle}>
+            <input
+              type="checkbox"
+              checked={checkRegions}
+              onChange={(e) => setCheckRegions(e.target.checked)}
+              disabled={isScanning}
+            />
+            Find artwork reused in other layouts
+          </label>
+          {isScanning && (
+            <button className={styles.cancelBtn} onClick={handleCancel}>
+              Cancel
+            </button>
+          )}
+          <button
+            className={styles.historyBtn}
+            onClick={() => setShowHistory(shown => !shown)}
+            aria-expanded={showHistory}
+          >
+            History ({scans.length})
+          </button>
         </div>
 
+        {showHistory && (
+          <ScanHistory
+            scans={scans}
+            activeScanId={activeScanId}
+            onOpen={handleOpenScan}
+            onRemove={handleRemoveScan}
+          />
+        )}
+
         {isScanning && scanProgress.total > 0 && (
           <div className={styles.progress}>
             <div className={styles.progressBar}>
               <div
                 className={styles.progressFill}
-                style={{ width: `${(scanProgress.current / scanProgress.total) * 100}%` }}
+                style={{ width: `${(scanProgress.completed / scanProgress.total) * 100}%` }}
               />
             </div>
             <p className={styles.progressText}>
-              Comparing {scanProgress.current} of {scanProgress.total} books
+              Compared {scanProgress.completed} of {scanProgress.total} books
               {scanProgress.book && `: ${scanProgress.book.substring(0, 40)}...`}
             </p>
+            <p className={styles.progressText}>
+              {scanProgress.fetched} fetched · {scanProgress.hashed} hashed · {scanProgress.skipped} from index · {scanProgress.failed} failed
+            </p>
           </div>
         )}
 
@@ -129,9 +337,22 @@ export function Modal({ isOpen, image, onClose }) {
           </div>
         )}
 
+        {scanResults && scanResults.warnings?.length > 0 && (
+          <div className={styles.warning}>
+            {scanResults.warnings.map(warning => (
+              <p key={`${warning.provider}-${warning.kind}`}>
+                <strong>{warning.provider}</strong>: {describeScanError(warning)}
+              </p>
+            ))}
+          </div>
+        )}
+
         {scanResults && scanResults.targetHash && (
           <div className={styles.hashInfo}>
             <h3 className={styles.hashTitle}>Your Cover's Perceptual Hash (phash)</h3>
+            {activeScan && (
+              <p className={styles.scanDate}>Scan from {new Date(activeScan.scannedAt).toLocaleString()}</p>
+            )}
             <code className={styles.hashCode}>{scanResults.targetHash}</code>
             <p className={styles.hashDescription}>
               {scanResults.searchMethod === 'title-based' && (
@@ -146,8 +367,21 @@ export function Modal({ isOpen, image, onClose }) {
                   {' '}
                 </>
               )}
-              Compared {scanResults.totalCompared} book covers using phash + Hamming distance algorithm.
+              {scanResults.searchMethod === 'index' && (
+                <>
+                  <strong>Local index only:</strong> Book search was unavailable.
+                  {' '}
+                </>
+              )}
+              {scanResults.indexMatches > 0 && `${scanResults.indexMatches} candidates came from the local hash index. `}
+              Compared {scanResults.totalCompared} book covers using {Object.keys(scanResults.targetHashes).join(', ')} hashes + weighted Hamming distance.
             </p>
+            <div className={styles.exportActions}>
+              <span className={styles.exportLabel}>Export:</span>
+              <button className={styles.exportBtn} onClick={handleExportJson}>JSON</button>
+              <button className={styles.exportBtn} onClick={handleExportCsv}>CSV</button>
+              <button className={styles.exportBtn} onClick={handleExportReport}>Evidence Report</button>
+            </div>
           </div>
         )}
 
@@ -156,45 +390,175 @@ export function Modal({ isOpen, image, onClose }) {
             <h3 className={styles.resultsTitle}>
               Similar Covers Found ({scanResults.results.length})
             </h3>
+            {compareResult && (
+              <CompareView
+                targetImage={image}
+                targetHashes={compareResult.targetHashes || scanResults.targetHashes}
+                result={compareResult}
+                onClose={() => setCompareResult(null)}
+              />
+            )}
             <div className={styles.resultsList}>
               {scanResults.results.map((result, index) => (
                 <div key={index} className={styles.resultItem}>
-                  <img
-                    src={result.book.image}
-                    alt={result.book.title}
-                    className={styles.resultImage}
-                  />
+                  {result.region ? (
+                    <div className={styles.regionThumbs}>
+                      <RegionThumbnail src={image.src} alt={image.name} box={result.region.targetBox} caption="Yours" />
+                      <RegionThumbnail
+                        src={result.book.image}
+                        alt={result.book.title}
+                        box={result.region.matchBox}
+                        caption="Match"
+                      />
+                    </div>
+                  ) : (
+                    <img
+                      src={result.book.image}
+                      alt={result.book.title}
+                      className={styles.resultImage}
+                    />
+                  )}
                   <div className={styles.resultInfo}>
                     <h4 className={styles.resultTitle}>
                       {result.book.title}
                       {result.matchedByTitle && (
-                        <span className={styles.titleMatchBadge} title="Matched by title search">
+                        <span
+                          className={styles.titleMatchBadge}
+                          title={`Title matches "${result.matchedTitle}"`}
+                        >
                           📖 Title Match
                         </span>
                       )}
+                      {result.transform && result.transform !== 'identity' && (
+                        <span className={styles.transformBadge} title="Variant that matched best">
+                          ↻ {MATCH_TRANSFORM_LABELS[result.transform] || result.transform}
+                        </span>
+                      )}
+                      {result.matchedByRegion && (
+                        <span
+                          className={styles.regionBadge}
+                          title={`${result.region.tiles} of ${result.region.totalTiles} tiles found inside this cover`}
+                        >
+                          ▣ Reused Artwork
+                        </span>
+                      )}
+                      {result.license && (
+                        <span
+                          className={`${styles.licenseBadge} ${styles[LICENSE_BADGE_CLASSES[result.license.status]]}`}
+                          title={result.license.reason}
+                        >
+                          {LICENSE_LABELS[result.license.status]}
+                        </span>
+                      )}
+                      {result.source === 'index' && (
+                        <span className={styles.indexBadge} title="Found in the local hash index">
+                          🗂 Indexed
+                        </span>
+                      )}
                     </h4>
                     <p className={styles.resultAuthors}>
                       {result.book.authors.join(', ')}
                     </p>
+                    {result.license && (
+                      <p className={styles.licenseReason}>{result.license.reason}</p>
+                    )}
+                    {result.confidence && (
+                      <p className={styles.resultConfidence}>
+                        <span className={`${styles.confidenceBadge} ${styles[result.confidence.tier]}`}>
+                          {CONFIDENCE_LABELS[result.confidence.tier]}
+                        </span>
+                        <span
+                          title={result.confidence.source === 'binomial'
+                            ? 'Compared with random hashes: the local index is still too small to calibrate on'
+                            : 'Calibrated on random pairs of covers in the local index'}
+                        >
+                          {formatPValue(result.confidence.pValue)} that an unrelated cover comes this close
+                        </span>
+                      </p>
+                    )}
                     <p className={styles.resultSimilarity}>
-                      Similarity: {result.similarity}%
+                      Combined Similarity: {result.similarity}%
                     </p>
+                    {typeof result.textRelevance === 'number' && (
+                      <p className={styles.resultRelevance}>
+                        Text Relevance: {result.textRelevance}%
+                      </p>
+                    )}
                     <p className={styles.resultDistance}>
-                      Hamming Distance: {result.hammingDistance} / 64
+                      Hamming Distance:{' '}
+                      {Object.entries(result.distances).map(([name, distance]) => (
+                        `${name} ${distance} / ${result.bitLengths[name]}`
+                      )).join(' · ')}
                     </p>
                     <details className={styles.hashDetails}>
                       <summary className={styles.hashSummary}>View Hash</summary>
-                      <code className={styles.hashCode}>{result.hashHex}</code>
+                      {Object.entries(result.hashes).map(([name, hex]) => (
+                        <code key={name} className={styles.hashCode}>{name}: {hex}</code>
+                      ))}
                     </details>
                     {result.book.isbn && (
                       <p className={styles.resultIsbn}>ISBN: {result.book.isbn}</p>
                     )}
+                    {result.book.providers?.length > 0 && (
+                      <p className={styles.resultIsbn}>Source: {result.book.providers.join(', ')}</p>
+                    )}
+                    <button className={styles.compareBtn} onClick={() => setCompareResult(result)}>
+                      Compare visually
+                    </button>
+                    <MatchReview review={result.review} onChange={(review) => reviewMatch(result.book, review)} />
                   </div>
                 </div>
               ))}
             </div>
           </div>
         )}
+
+        {scanResults && scanResults.dismissed.length > 0 && (
+          <div className={styles.dismissed}>
+            <button className={styles.dismissedToggle} onClick={() => setShowDismissed(shown => !shown)}>
+              {showDismissed ? 'Hide' : 'Show'} {scanResults.dismissed.length} match(es) dismissed as false positives
+            </button>
+            {showDismissed && (
+              <ul className={styles.dismissedList}>
+                {scanResults.dismissed.map(result => (
+                  <li key={`${result.book.isbn}-${result.book.image}`} className={styles.dismissedItem}>
+                    <span>
+                      {result.book.title} · {result.similarity}%
+                      {result.review.notes && ` · “${result.review.notes}”`}
+                    </span>
+                    <button
+                      className={styles.exportBtn}
+                      onClick={() => reviewMatch(result.book, { verdict: null, notes: result.review.notes })}
+                    >
+                      Restore
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {scanResults && scanResults.failures?.length > 0 && (
+          <div className={styles.dismissed}>
+            <button className={styles.dismissedToggle} onClick={() => setShowFailures(shown => !shown)}>
+              {showFailures ? 'Hide' : 'Show'} {scanResults.failures.length} cover(s) that could not be compared
+            </button>
+            {showFailures && (
+              <ul className={styles.dismissedList}>
+                {scanResults.failures.map((failure, index) => (
+                  <li key={`${failure.book.isbn}-${index}`} className={styles.failureItem}>
+                    <span className={styles.failureKind}>{FAILURE_LABELS[failure.kind] || FAILURE_LABELS.other}</span>
+                    <span>
+                      <strong>{failure.book.title}</strong>
+                      {failure.book.isbn && ` (${failure.book.isbn})`}: {failure.message}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,259 @@
+import { useEffect, useState } from 'react';
+import { LICENSE_STATUS } from '../../services/licenseRegistry';
+import { formatConfidence } from '../../services/matchConfidence';
+import { SETTING_LIMITS } from '../../services/scanSettings';
+import styles from './MonitorPanel.module.css';
+
+const LICENSE_CLASSES = {
+  [LICENSE_STATUS.LICENSED]: 'licensed',
+  [LICENSE_STATUS.UNLICENSED]: 'unlicensed',
+  [LICENSE_STATUS.EXPIRED]: 'expired'
+};
+
+const FIELD_LABELS = {
+  any: 'Query',
+  subject: 'Subject',
+  publisher: 'Publisher'
+};
+
+function toForm(settings) {
+  return {
+    sweepQueries: settings.sweepQueries.join('\n'),
+    sweepSubjects: settings.sweepSubjects.join('\n'),
+    sweepPublishers: settings.sweepPublishers.join('\n'),
+    sweepRadius: settings.sweepRadius,
+    sweepResults: settings.sweepResults
+  };
+}
+
+function toLines(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+function describeProgress(progress) {
+  if (!progress) return 'Hashing protected covers…';
+  if (progress.phase === 'searching') {
+    return `Searching ${Math.min(progress.searched + 1, progress.terms)} of ${progress.terms}`;
+  }
+  return `Checked ${progress.completed} of ${progress.total} covers · ${progress.matches} match(es)`;
+}
+
+export function MonitorPanel({
+  images,
+  settings,
+  isRunning,
+  progress,
+  result,
+  error,
+  onChangeSettings,
+  onStart,
+  onCancel,
+  onSelect,
+  onClose
+}) {
+  const [form, setForm] = useState(() => toForm(settings));
+  const [selectedIds, setSelectedIds] = useState(() => new Set(images.map(image => image.id)));
+  const [message, setMessage] = useState(null);
+
+  // Settings can change from a preset or the settings panel
+  useEffect(() => {
+    setForm(toForm(settings));
+  }, [settings]);
+
+  const setField = (field) => (e) => setForm(current => ({ ...current, [field]: e.target.value }));
+
+  const toggleCover = (id) => {
+    setSelectedIds(current => {
+      const next = new Set(current);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      const saved = onChangeSettings({
+        sweepQueries: toLines(form.sweepQueries),
+        sweepSubjects: toLines(form.sweepSubjects),
+        sweepPublishers: toLines(form.sweepPublishers),
+        sweepRadius: form.sweepRadius,
+        sweepResults: form.sweepResults
+      });
+      setMessage(null);
+      onStart(images.filter(image => selectedIds.has(image.id)), saved);
+    } catch (submitError) {
+      setMessage(submitError.message);
+    }
+  };
+
+  const imagesByName = new Map(images.map(image => [image.name, image]));
+
+  return (
+    <section className={styles.panel}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>Catalog Monitor</h2>
+        <p className={styles.hint}>
+          Sweeps the catalog for covers that reuse the selected artwork under any title
+        </p>
+        <button className={styles.closeBtn} onClick={onClose} aria-label="Close monitor">
+          ×
+        </button>
+      </div>
+
+      <form className={styles.form} onSubmit={handleSubmit}>
+        <label>
+          Queries (one per line)
+          <textarea value={form.sweepQueries} onChange={setField('sweepQueries')} rows={4} placeholder="fantasy&#10;young adult" />
+        </label>
+        <label>
+          Subjects
+          <textarea value={form.sweepSubjects} onChange={setField('sweepSubjects')} rows={4} placeholder="mystery" />
+        </label>
+        <label>
+          Publishers
+          <textarea value={form.sweepPublishers} onChange={setField('sweepPublishers')} rows={4} placeholder="Gaslight" />
+        </label>
+        <div className={styles.numbers}>
+          <label>
+            Max distance
+            <input
+              type="number"
+              min={SETTING_LIMITS.sweepRadius.min}
+              max={SETTING_LIMITS.sweepRadius.max}
+              value={form.sweepRadius}
+              onChange={setField('sweepRadius')}
+              required
+            />
+          </label>
+          <label>
+            Books per search
+            <input
+              type="number"
+              min={SETTING_LIMITS.sweepResults.min}
+              max={SETTING_LIMITS.sweepResults.max}
+              value={form.sweepResults}
+              onChange={setField('sweepResults')}
+              required
+            />
+          </label>
+        </div>
+
+        <fieldset className={styles.covers}>
+          <legend>
+            Protected covers ({selectedIds.size} of {images.length})
+            <button
+              type="button"
+              className={styles.linkBtn}
+              onClick={() => setSelectedIds(new Set(selectedIds.size === images.length ? [] : images.map(image => image.id)))}
+            >
+              {selectedIds.size === images.length ? 'None' : 'All'}
+            </button>
+          </legend>
+          {images.map(image => (
+            <label key={image.id} className={styles.cover}>
+              <input type="checkbox" checked={selectedIds.has(image.id)} onChange={() => toggleCover(image.id)} />
+              {image.name}
+            </label>
+          ))}
+        </fieldset>
+
+        <div className={styles.formActions}>
+          {isRunning ? (
+            <>
+              <span className={styles.progress}>{describeProgress(progress)}</span>
+              <button type="button" className={styles.toolBtn} onClick={onCancel}>Cancel</button>
+            </>
+          ) : (
+            <button type="submit" className={styles.runBtn} disabled={selectedIds.size === 0}>
+              Run Sweep
+            </button>
+          )}
+          {(message || error) && <span className={styles.error}>{message || error}</span>}
+        </div>
+      </form>
+
+      {result && (
+        <>
+          <p className={styles.summary}>
+            {result.terms.length} search(es) · {result.totalCandidates} covers compared
+            ({result.hashed} hashed, {result.skipped} from the index, {result.failed} failed)
+            · {result.matches.length} within distance {result.parameters.radius}
+          </p>
+          {result.terms.filter(term => term.error).map(term => (
+            <p key={`${term.field}:${term.term}`} className={styles.error}>
+              {FIELD_LABELS[term.field]} &quot;{term.term}&quot; failed: {term.error}
+            </p>
+          ))}
+          {result.protectedCovers.filter(cover => cover.error).map(cover => (
+            <p key={cover.name} className={styles.error}>Could not read {cover.name}: {cover.error}</p>
+          ))}
+
+          {result.matches.length > 0 ? (
+            <div className={styles.tableWrapper}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th>Protected cover</th>
+                    <th>Catalog cover</th>
+                    <th>Publisher</th>
+                    <th>Confidence</th>
+                    <th>Distance</th>
+                    <th>Similarity</th>
+                    <th>License</th>
+                    <th>Found by</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.matches.map(match => {
+                    const image = imagesByName.get(match.cover.name);
+                    return (
+                      <tr
+                        key={`${match.cover.artworkId}-${match.book.isbn || match.book.image}`}
+                        className={image ? styles.row : ''}
+                        onClick={() => image && onSelect(image)}
+                      >
+                        <td>
+                          <div className={styles.coverCell}>
+                            {image && <img src={image.src} alt={image.name} className={styles.thumbnail} />}
+                            {match.cover.name}
+                          </div>
+                        </td>
+                        <td>
+                          <div className={styles.coverCell}>
+                            <img src={match.book.image} alt={match.book.title} className={styles.thumbnail} />
+                            {match.book.title}{match.book.isbn ? ` (${match.book.isbn})` : ''}
+                          </div>
+                        </td>
+                        <td>{match.book.publisher || '—'}</td>
+                        <td>{formatConfidence(match.confidence)}</td>
+                        <td>{match.hammingDistance}</td>
+                        <td>{match.similarity}%</td>
+                        <td>
+                          {match.license && (
+                            <span
+                              className={`${styles.licenseBadge} ${styles[LICENSE_CLASSES[match.license.status]]}`}
+                              title={match.license.reason}
+                            >
+                              {match.license.status}
+                            </span>
+                          )}
+                        </td>
+                        <td>
+                          {match.foundBy.map(({ field, term }) => `${FIELD_LABELS[field]}: ${term}`).join(', ')}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className={styles.empty}>No catalog cover is within the distance of a protected cover.</p>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,50 @@
+import styles from './ScanHistory.module.css';
+
+/**
+ * Short description of the options a scan ran with
+ */
+function describeParameters(parameters) {
+  const parts = [`≥ ${parameters.similarityThreshold ?? '?'}%`];
+  if (parameters.minConfidence) parts.push(`${parameters.minConfidence} or better`);
+  if (parameters.transforms?.length > 0) parts.push('variants');
+  if (parameters.regionMatching) parts.push('regions');
+  if (parameters.trimBorders === false) parts.push('no trim');
+  if (parameters.offline) parts.push('offline');
+  return parts.join(' · ');
+}
+
+export function ScanHistory({ scans, activeScanId, onOpen, onRemove }) {
+  if (scans.length === 0) {
+    return <p className={styles.empty}>No earlier scans of this cover.</p>;
+  }
+
+  return (
+    <ul className={styles.list}>
+      {scans.map(scan => {
+        const [topMatch] = scan.result.results;
+        return (
+          <li
+            key={scan.id}
+            className={`${styles.item} ${scan.id === activeScanId ? styles.active : ''}`}
+          >
+            <button className={styles.openBtn} onClick={() => onOpen(scan)}>
+              <span className={styles.date}>{new Date(scan.scannedAt).toLocaleString()}</span>
+              <span className={styles.detail}>
+                {scan.result.results.length} match(es) of {scan.result.totalCompared} compared
+                {topMatch && ` · best ${topMatch.similarity}% ${topMatch.book.title}`}
+              </span>
+              <span className={styles.detail}>{describeParameters(scan.parameters)}</span>
+            </button>
+            <button
+              className={styles.removeBtn}
+              onClick={() => onRemove(scan.id)}
+              aria-label={`Delete scan from ${new Date(scan.scannedAt).toLocaleString()}`}
+            >
+              ×
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
@@ -0,0 +1,67 @@
+import { formatConfidence } from '../../services/matchConfidence';
+import styles from './ScanSummary.module.css';
+
+const STATUS_LABELS = {
+  clean: 'Clean',
+  suspicious: 'Suspicious',
+  'likely-reuse': 'Likely reuse',
+  error: 'Error'
+};
+
+export function ScanSummary({ rows, onSelect, onClose }) {
+  const counts = rows.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+
+  return (
+    <section className={styles.summary}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>Batch Scan Report</h2>
+        <p className={styles.counts}>
+          {Object.entries(STATUS_LABELS).map(([status, label]) => (
+            `${counts[status] || 0} ${label.toLowerCase()}`
+          )).join(' · ')}
+        </p>
+        <button className={styles.closeBtn} onClick={onClose} aria-label="Close report">
+          ×
+        </button>
+      </div>
+
+      <div className={styles.tableWrapper}>
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th>Cover</th>
+              <th>Status</th>
+              <th>Best Match</th>
+              <th>Confidence</th>
+              <th>Similarity</th>
+              <th>Hamming Distance</th>
+              <th>Compared</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.image.id} className={styles.row} onClick={() => onSelect(row.image)}>
+                <td className={styles.coverCell}>
+                  <img src={row.image.src} alt={row.image.name} className={styles.thumbnail} />
+                  {row.image.name}
+                </td>
+                <td>
+                  <span className={styles.status}>{STATUS_LABELS[row.status]}</span>
+                </td>
+                <td>
+                  {row.topMatch
+                    ? `${row.topMatch.book.title}${row.topMatch.book.isbn ? ` (${row.topMatch.book.isbn})` : ''}`
+                    : row.error || '—'}
+                </td>
+                <td>{row.topMatch?.confidence ? formatConfidence(row.topMatch.confidence) : '—'}</td>
+                <td>{row.topMatch ? `${row.topSimilarity}%` : '—'}</td>
+                <td>{row.topMatch ? row.topMatch.hammingDistance : '—'}</td>
+                <td>{row.result ? row.result.totalCompared : '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,236 @@
+import { useEffect, useRef, useState } from 'react';
+import { downloadFile } from '../../services/exportService';
+import { CONFIDENCE_TIERS } from '../../services/matchConfidence';
+import { BUILT_IN_PRESETS, presetToUrl, SETTING_LIMITS } from '../../services/scanSettings';
+import { TARGET_LANGUAGES } from '../../services/translationService';
+import styles from './SettingsPanel.module.css';
+
+const NUMBER_FIELDS = [
+  { field: 'similarityThreshold', label: 'Min similarity %' },
+  { field: 'topN', label: 'Matches shown' },
+  { field: 'maxResults', label: 'Books fetched' },
+  { field: 'minTextRelevance', label: 'Min text relevance %' },
+  { field: 'concurrency', label: 'Covers hashed at once' },
+  { field: 'batchConcurrency', label: 'Covers scanned at once (Scan All)' }
+];
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+function isBuiltIn(preset) {
+  return BUILT_IN_PRESETS.some(({ id }) => id === preset.id);
+}
+
+export function SettingsPanel({
+  settings,
+  presets,
+  activePreset,
+  sharedPreset,
+  sharedPresetError,
+  onChange,
+  onApplyPreset,
+  onSavePreset,
+  onRemovePreset,
+  onImportPresets,
+  onClose
+}) {
+  const [form, setForm] = useState(settings);
+  const [presetName, setPresetName] = useState('');
+  const [message, setMessage] = useState(() => {
+    if (sharedPresetError) return { type: 'error', text: sharedPresetError };
+    if (sharedPreset) return { type: 'info', text: `Applied the shared preset "${sharedPreset.name}"` };
+    return null;
+  });
+  const inputRef = useRef(null);
+
+  // Applying a preset replaces whatever was being edited
+  useEffect(() => {
+    setForm(settings);
+  }, [settings]);
+
+  const setField = (field) => (e) => setForm(current => ({ ...current, [field]: e.target.value }));
+
+  const toggleLanguage = (code) => {
+    setForm(current => ({
+      ...current,
+      languages: current.languages.includes(code)
+        ? current.languages.filter(language => language !== code)
+        : [...current.languages, code]
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      onChange(form);
+      setMessage({ type: 'info', text: 'Settings saved' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleSavePreset = (e) => {
+    e.preventDefault();
+    try {
+      onSavePreset(presetName, form);
+      setMessage({ type: 'info', text: `Saved preset "${presetName.trim()}"` });
+      setPresetName('');
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleCopyLink = async (preset) => {
+    const url = presetToUrl(preset);
+    try {
+      await navigator.clipboard.writeText(url);
+      setMessage({ type: 'info', text: `Copied a link to "${preset.name}"` });
+    } catch {
+      // Clipboard access needs a secure context and permission; show the link instead
+      setMessage({ type: 'info', text: url });
+    }
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    // Allow picking the same file again
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const count = await onImportPresets(file);
+      setMessage({ type: 'info', text: `Imported ${count} preset(s) from ${file.name}` });
+    } catch (error) {
+      setMessage({ type: 'error', text: `${file.name}: ${error.message}` });
+    }
+  };
+
+  const handleExport = () => {
+    const custom = presets.filter(preset => !isBuiltIn(preset));
+    downloadFile(JSON.stringify({ presets: custom }, null, 2), 'scan-presets.json', 'application/json');
+  };
+
+  return (
+    <section className={styles.panel}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>Scan Settings</h2>
+        <p className={styles.hint}>
+          Used by the cover scan and Scan All · {activePreset ? `preset: ${activePreset.name}` : 'custom'}
+        </p>
+        <button className={styles.closeBtn} onClick={onClose} aria-label="Close settings">
+          ×
+        </button>
+      </div>
+
+      <div className={styles.toolbar}>
+        <button className={styles.toolBtn} onClick={() => inputRef.current?.click()}>
+          Import presets
+        </button>
+        <button
+          className={styles.toolBtn}
+          onClick={handleExport}
+          disabled={presets.every(isBuiltIn)}
+        >
+          Export presets
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".json,application/json"
+          className={styles.fileInput}
+          onChange={handleImport}
+        />
+        {message && (
+          <span className={message.type === 'error' ? styles.error : styles.info}>{message.text}</span>
+        )}
+      </div>
+
+      <ul className={styles.presets}>
+        {presets.map(preset => (
+          <li
+            key={preset.id}
+            className={`${styles.preset} ${preset.id === activePreset?.id ? styles.active : ''}`}
+          >
+            <button className={styles.presetBtn} onClick={() => onApplyPreset(preset)}>
+              {preset.name}
+            </button>
+            <button
+              className={styles.linkBtn}
+              onClick={() => handleCopyLink(preset)}
+              aria-label={`Copy a link to preset ${preset.name}`}
+            >
+              Link
+            </button>
+            {!isBuiltIn(preset) && (
+              <button
+                className={styles.removeBtn}
+                onClick={() => onRemovePreset(preset.id)}
+                aria-label={`Delete preset ${preset.name}`}
+              >
+                ×
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <form className={styles.form} onSubmit={handleSubmit}>
+        <label>
+          Fallback query
+          <input value={form.query} onChange={setField('query')} required />
+        </label>
+        <label>
+          Min confidence
+          <select value={form.minConfidence} onChange={setField('minConfidence')}>
+            <option value="any">Any (similarity only)</option>
+            {CONFIDENCE_TIERS.filter(tier => tier.id !== 'weak').map(tier => (
+              <option key={tier.id} value={tier.id}>{tier.label} (p ≤ {tier.maxPValue})</option>
+            ))}
+          </select>
+        </label>
+        {NUMBER_FIELDS.map(({ field, label }) => (
+          <label key={field}>
+            {label}
+            <input
+              type="number"
+              min={SETTING_LIMITS[field].min}
+              max={SETTING_LIMITS[field].max}
+              value={form[field]}
+              onChange={setField(field)}
+              required
+            />
+          </label>
+        ))}
+        <fieldset className={styles.languages}>
+          <legend>Translate titles into</legend>
+          {TARGET_LANGUAGES.map(code => (
+            <label key={code} className={styles.language}>
+              <input
+                type="checkbox"
+                checked={form.languages.includes(code)}
+                onChange={() => toggleLanguage(code)}
+              />
+              {languageNames.of(code)}
+            </label>
+          ))}
+        </fieldset>
+        <div className={styles.formActions}>
+          <button type="submit" className={styles.saveBtn}>Save Settings</button>
+          <button type="button" className={styles.toolBtn} onClick={() => setForm(settings)}>
+            Discard changes
+          </button>
+        </div>
+      </form>
+
+      <form className={styles.savePreset} onSubmit={handleSavePreset}>
+        <input
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder="Preset name"
+          aria-label="Preset name"
+          required
+        />
+        <button type="submit" className={styles.toolBtn}>Save these settings as a preset</button>
+      </form>
+    </section>
+  );
+}
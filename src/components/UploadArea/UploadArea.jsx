@@ -0,0 +1,93 @@
+import { useEffect, useRef, useState } from 'react';
+import styles from './UploadArea.module.css';
+
+export function UploadArea({ covers, onAddFiles, onRename, onRemove }) {
+  const [isDragging, setIsDragging] = useState(false);
+  const inputRef = useRef(null);
+
+  // Accept images pasted anywhere on the page
+  useEffect(() => {
+    const handlePaste = (e) => {
+      const files = Array.from(e.clipboardData?.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.getAsFile())
+        .filter(Boolean);
+
+      if (files.length > 0) {
+        e.preventDefault();
+        onAddFiles(files);
+      }
+    };
+
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, [onAddFiles]);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    onAddFiles(e.dataTransfer.files);
+  };
+
+  const handleFileChange = (e) => {
+    onAddFiles(e.target.files);
+    // Allow picking the same file again
+    e.target.value = '';
+  };
+
+  return (
+    <section className={styles.uploadArea}>
+      <div
+        className={`${styles.dropZone} ${isDragging ? styles.dragging : ''}`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => inputRef.current?.click()}
+        role="button"
+        tabIndex={0}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' || e.key === ' ') inputRef.current?.click();
+        }}
+      >
+        <p className={styles.dropText}>
+          <strong>Drop covers here</strong>, click to choose files, or paste an image
+        </p>
+        <input
+          ref={inputRef}
+          type="file"
+          accept="image/*"
+          multiple
+          className={styles.fileInput}
+          onChange={handleFileChange}
+        />
+      </div>
+
+      {covers.length > 0 && (
+        <ul className={styles.uploadList}>
+          {covers.map(cover => (
+            <li key={cover.id} className={styles.uploadItem}>
+              <img src={cover.src} alt={cover.name} className={styles.thumbnail} />
+              <input
+                className={styles.nameInput}
+                value={cover.name}
+                onChange={(e) => onRename(cover.id, e.target.value)}
+                placeholder="Book title"
+                aria-label="Cover name"
+              />
+              <button
+                className={styles.removeBtn}
+                onClick={() => onRemove(cover.id)}
+                aria-label={`Remove ${cover.name}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,88 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { runBatchScan, SCAN_STATUS } from '../services/batchScanService';
+import { getScanHistory } from '../services/scanHistory';
+import { DEFAULT_SCAN_SETTINGS, toScanOptions } from '../services/scanSettings';
+import { isAbortError } from '../services/taskPool';
+
+/**
+ * "Scan all" state for the gallery
+ * Tracks a status per image id plus the final summary table.
+ */
+export function useBatchScan() {
+  const [isRunning, setIsRunning] = useState(false);
+  const [statuses, setStatuses] = useState({});
+  const [summary, setSummary] = useState(null);
+  const [completed, setCompleted] = useState(0);
+  const controllerRef = useRef(null);
+
+  // Stop the batch if the app unmounts
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const startBatch = useCallback(async (images, settings = DEFAULT_SCAN_SETTINGS) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setIsRunning(true);
+    setSummary(null);
+    setCompleted(0);
+    setStatuses(Object.fromEntries(images.map(image => [image.id, { status: SCAN_STATUS.PENDING }])));
+
+    try {
+      // Scans still run when history can't be stored; they're just not kept
+      const history = await getScanHistory().catch(error => {
+        console.warn('Scan history unavailable:', error);
+        return null;
+      });
+      const rows = await runBatchScan(images, {
+        scanOptions: toScanOptions(settings),
+        concurrency: settings.batchConcurrency,
+        signal: controller.signal,
+        history,
+        onImageStart: (image) => {
+          setStatuses(current => ({ ...current, [image.id]: { status: SCAN_STATUS.SCANNING } }));
+        },
+        onImageComplete: (row) => {
+          setCompleted(count => count + 1);
+          setStatuses(current => ({ ...current, [row.image.id]: row }));
+        }
+      });
+      setSummary(rows);
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Batch scan error:', error);
+      }
+      // Forget statuses of covers that never finished
+      setStatuses(current => Object.fromEntries(
+        Object.entries(current).filter(([, entry]) => (
+          entry.status !== SCAN_STATUS.PENDING && entry.status !== SCAN_STATUS.SCANNING
+        ))
+      ));
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsRunning(false);
+      }
+    }
+  }, []);
+
+  const cancelBatch = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  const clearBatch = useCallback(() => {
+    setStatuses({});
+    setSummary(null);
+    setCompleted(0);
+  }, []);
+
+  return {
+    isRunning,
+    statuses,
+    summary,
+    completed,
+    startBatch,
+    cancelBatch,
+    clearBatch
+  };
+}
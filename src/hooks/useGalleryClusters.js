@@ -0,0 +1,43 @@
+import { useEffect, useMemo, useState } from 'react';
+import { clusterImages, hashGalleryImages } from '../services/galleryClusters';
+import { isAbortError } from '../services/taskPool';
+
+/**
+ * Near-duplicate clusters of the gallery, regrouped whenever the distance changes
+ * @param {Array<Object>} images - Gallery images
+ * @param {Object} options
+ * @param {boolean} options.enabled - Hash and group only while the grouped view is on
+ * @param {number} options.maxDistance - Largest pHash Hamming distance that links two covers
+ */
+export function useGalleryClusters(images, { enabled, maxDistance }) {
+  const [hashed, setHashed] = useState(null);
+  const [progress, setProgress] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const controller = new AbortController();
+    setProgress({ completed: 0, total: images.length });
+    hashGalleryImages(images, { signal: controller.signal, onProgress: setProgress })
+      .then(setHashed)
+      .catch(error => {
+        if (!isAbortError(error)) console.error('Failed to hash the gallery:', error);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setProgress(null);
+      });
+
+    return () => controller.abort();
+  }, [images, enabled]);
+
+  const clusters = useMemo(
+    () => (enabled && hashed ? clusterImages(hashed, maxDistance) : null),
+    [enabled, hashed, maxDistance]
+  );
+
+  return {
+    clusters,
+    isHashing: progress !== null,
+    progress
+  };
+}
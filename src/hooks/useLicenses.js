@@ -0,0 +1,49 @@
+import { useCallback, useEffect, useState } from 'react';
+import { getLicenseRegistry, parseLicenseFile } from '../services/licenseRegistry';
+
+/**
+ * The license registry as React state
+ * Every change goes through the shared registry, so scans see it right away.
+ */
+export function useLicenses() {
+  const [licenses, setLicenses] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    getLicenseRegistry()
+      .then(registry => {
+        if (!cancelled) setLicenses(registry.list());
+      })
+      .catch(error => console.warn('Failed to load licenses:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Registry methods validate their input, so errors are left to the caller to show
+  const update = useCallback(async (change) => {
+    const registry = await getLicenseRegistry();
+    const result = await change(registry);
+    setLicenses(registry.list());
+    return result;
+  }, []);
+
+  const saveLicense = useCallback((license) => update(registry => registry.save(license)), [update]);
+
+  const removeLicense = useCallback((id) => update(registry => registry.remove(id)), [update]);
+
+  const importFile = useCallback(async (file) => {
+    const imported = parseLicenseFile(await file.text(), file.name);
+    await update(registry => registry.saveAll(imported));
+    return imported.length;
+  }, [update]);
+
+  return {
+    licenses,
+    saveLicense,
+    removeLicense,
+    importFile
+  };
+}
@@ -0,0 +1,61 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { monitorCatalog } from '../services/isbndbService';
+import { DEFAULT_SCAN_SETTINGS, toMonitorOptions } from '../services/scanSettings';
+import { isAbortError } from '../services/taskPool';
+
+/**
+ * Monitor sweep state: progress, the last result and any error
+ */
+export function useMonitor() {
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  // Stop the sweep if the app unmounts
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const startMonitor = useCallback(async (covers, settings = DEFAULT_SCAN_SETTINGS) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setIsRunning(true);
+    setProgress(null);
+    setResult(null);
+    setError(null);
+
+    try {
+      const sweep = await monitorCatalog(covers, {
+        ...toMonitorOptions(settings),
+        signal: controller.signal,
+        onProgress: setProgress
+      });
+      setResult(sweep);
+    } catch (sweepError) {
+      if (!isAbortError(sweepError)) {
+        console.error('Monitor sweep error:', sweepError);
+        setError(sweepError.message);
+      }
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsRunning(false);
+      }
+    }
+  }, []);
+
+  const cancelMonitor = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  return {
+    isRunning,
+    progress,
+    result,
+    error,
+    startMonitor,
+    cancelMonitor
+  };
+}
@@ -0,0 +1,71 @@
+import { useCallback, useEffect, useState } from 'react';
+import { coverKey, getScanHistory } from '../services/scanHistory';
+
+/**
+ * Past scans and match reviews of one cover
+ * @param {Object|null} image - The cover, or null when none is open
+ */
+export function useScanHistory(image) {
+  const [scans, setScans] = useState([]);
+  const [reviews, setReviews] = useState([]);
+  const key = image ? coverKey(image) : null;
+
+  useEffect(() => {
+    let cancelled = false;
+    setScans([]);
+    setReviews([]);
+    if (!key) return undefined;
+
+    getScanHistory()
+      .then(history => {
+        if (cancelled) return;
+        setScans(history.scansFor(key));
+        setReviews(history.reviewsFor(key));
+      })
+      .catch(error => console.warn('Failed to load scan history:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key]);
+
+  const recordScan = useCallback(async (scanResult) => {
+    try {
+      const history = await getScanHistory();
+      const scan = await history.recordScan(image, scanResult);
+      setScans(history.scansFor(key));
+      return scan;
+    } catch (error) {
+      console.warn('Failed to record scan:', error);
+      return null;
+    }
+  }, [image, key]);
+
+  const removeScan = useCallback(async (id) => {
+    try {
+      const history = await getScanHistory();
+      await history.removeScan(id);
+      setScans(history.scansFor(key));
+    } catch (error) {
+      console.warn('Failed to remove scan:', error);
+    }
+  }, [key]);
+
+  const reviewMatch = useCallback(async (book, review) => {
+    try {
+      const history = await getScanHistory();
+      await history.reviewMatch(key, book, review);
+      setReviews(history.reviewsFor(key));
+    } catch (error) {
+      console.warn('Failed to save review:', error);
+    }
+  }, [key]);
+
+  return {
+    scans,
+    reviews,
+    recordScan,
+    removeScan,
+    reviewMatch
+  };
+}
@@ -0,0 +1,84 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  BUILT_IN_PRESETS,
+  importSharedPreset,
+  loadCustomPresets,
+  loadScanSettings,
+  parsePresetsJson,
+  removeCustomPreset,
+  sameSettings,
+  saveCustomPresets,
+  saveScanSettings,
+  withoutPresetParam
+} from '../services/scanSettings';
+
+/**
+ * Scan settings and presets as React state, saved to local storage
+ * A preset shared as a link is imported and applied on load.
+ */
+export function useScanSettings() {
+  const [settings, setSettings] = useState(loadScanSettings);
+  const [customPresets, setCustomPresets] = useState(loadCustomPresets);
+  const [sharedPreset, setSharedPreset] = useState(null);
+  const [sharedPresetError, setSharedPresetError] = useState(null);
+
+  useEffect(() => {
+    try {
+      const shared = importSharedPreset(window.location.href);
+      if (!shared) return;
+      setCustomPresets(shared.customPresets);
+      setSettings(shared.settings);
+      setSharedPreset(shared.preset);
+    } catch (error) {
+      setSharedPresetError(error.message);
+    }
+    // Reloading shouldn't import it again
+    window.history.replaceState(null, '', withoutPresetParam(window.location.href));
+  }, []);
+
+  const presets = useMemo(() => [...BUILT_IN_PRESETS, ...customPresets], [customPresets]);
+
+  // The preset the current settings came from, if they haven't been changed since
+  const activePreset = useMemo(
+    () => presets.find(preset => sameSettings(preset.settings, settings)) || null,
+    [presets, settings]
+  );
+
+  // Validation errors are left to the caller to show
+  const updateSettings = useCallback((changes) => {
+    const saved = saveScanSettings({ ...settings, ...changes });
+    setSettings(saved);
+    return saved;
+  }, [settings]);
+
+  const applyPreset = useCallback((preset) => {
+    setSettings(saveScanSettings(preset.settings));
+  }, []);
+
+  const savePreset = useCallback((name, presetSettings = settings) => {
+    setCustomPresets(saveCustomPresets([{ name, settings: presetSettings }]));
+  }, [settings]);
+
+  const removePreset = useCallback((id) => {
+    setCustomPresets(removeCustomPreset(id));
+  }, []);
+
+  const importPresets = useCallback(async (file) => {
+    const imported = parsePresetsJson(await file.text());
+    setCustomPresets(saveCustomPresets(imported));
+    return imported.length;
+  }, []);
+
+  return {
+    settings,
+    presets,
+    activePreset,
+    sharedPreset,
+    sharedPresetError,
+    updateSettings,
+    applyPreset,
+    savePreset,
+    removePreset,
+    importPresets
+  };
+}
@@ -0,0 +1,149 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { isIndexedDbAvailable, openStore } from '../services/idbStore';
+
+const ACCEPTED_TYPES = /^image\//;
+
+// Renames are saved once typing pauses, not on every keystroke
+const RENAME_SAVE_DELAY_MS = 400;
+
+/**
+ * Turn a filename into a readable cover name ("the_girl-copy.jpg" -> "The Girl Copy")
+ */
+function toDisplayName(filename) {
+  return filename
+    .replace(/\.[^/.]+$/, '')
+    .replace(/[-_]/g, ' ')
+    .replace(/\b\w/g, char => char.toUpperCase());
+}
+
+function createId() {
+  return `upload-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Covers added by the user (drag-and-drop, file picker or paste)
+ * The files are persisted in IndexedDB so they survive a reload; each one is
+ * exposed to the gallery through an object URL.
+ */
+export function useUploadedCovers() {
+  const [covers, setCovers] = useState([]);
+  const storeRef = useRef(isIndexedDbAvailable() ? openStore('uploadedCovers') : null);
+  const urlsRef = useRef(new Map());
+  // Stored records by id, so a rename writes the record without reading it back first
+  const recordsRef = useRef(new Map());
+  // Pending rename saves by id: { timer, name }
+  const renamesRef = useRef(new Map());
+
+  const toImage = (record) => {
+    let src = urlsRef.current.get(record.id);
+    if (!src) {
+      src = URL.createObjectURL(record.blob);
+      urlsRef.current.set(record.id, src);
+    }
+    return { id: record.id, name: record.name, src, uploaded: true, addedAt: record.addedAt };
+  };
+
+  const saveRecord = async (record, action) => {
+    try {
+      await storeRef.current?.put(record);
+    } catch (error) {
+      console.warn(`Failed to ${action} uploaded cover:`, error);
+    }
+  };
+
+  const saveRename = (id) => {
+    const pending = renamesRef.current.get(id);
+    renamesRef.current.delete(id);
+    const stored = recordsRef.current.get(id);
+    if (!pending || !stored) return;
+    const record = { ...stored, name: pending.name };
+    recordsRef.current.set(id, record);
+    saveRecord(record, 'rename');
+  };
+
+  // Restore persisted uploads once
+  useEffect(() => {
+    let cancelled = false;
+    const urls = urlsRef.current;
+    const renames = renamesRef.current;
+
+    storeRef.current?.getAll()
+      .then(records => {
+        if (cancelled) return;
+        records.sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+        records.forEach(record => {
+          if (!recordsRef.current.has(record.id)) recordsRef.current.set(record.id, record);
+        });
+        // Files added while the store was being read are already in state; keep them after the older ones
+        setCovers(current => {
+          const shown = new Set(current.map(cover => cover.id));
+          return [...records.filter(record => !shown.has(record.id)).map(toImage), ...current];
+        });
+      })
+      .catch(error => console.warn('Failed to restore uploaded covers:', error));
+
+    return () => {
+      cancelled = true;
+      // Save renames still waiting on their delay
+      renames.forEach(({ timer }, id) => {
+        clearTimeout(timer);
+        saveRename(id);
+      });
+      urls.forEach(url => URL.revokeObjectURL(url));
+      urls.clear();
+    };
+  }, []);
+
+  const addFiles = useCallback(async (files) => {
+    const images = Array.from(files).filter(file => ACCEPTED_TYPES.test(file.type));
+    const records = images.map(file => ({
+      id: createId(),
+      name: file.name ? toDisplayName(file.name) : 'Pasted Image',
+      blob: file,
+      addedAt: new Date().toISOString()
+    }));
+
+    records.forEach(record => recordsRef.current.set(record.id, record));
+    setCovers(current => [...current, ...records.map(toImage)]);
+
+    await Promise.all(records.map(record => saveRecord(record, 'persist')));
+
+    return records.length;
+  }, []);
+
+  const renameCover = useCallback((id, name) => {
+    setCovers(current => current.map(cover => (cover.id === id ? { ...cover, name } : cover)));
+
+    clearTimeout(renamesRef.current.get(id)?.timer);
+    const timer = setTimeout(() => saveRename(id), RENAME_SAVE_DELAY_MS);
+    renamesRef.current.set(id, { timer, name });
+  }, []);
+
+  const removeCover = useCallback(async (id) => {
+    setCovers(current => current.filter(cover => cover.id !== id));
+
+    // A late rename save would write the record back
+    clearTimeout(renamesRef.current.get(id)?.timer);
+    renamesRef.current.delete(id);
+    recordsRef.current.delete(id);
+
+    const url = urlsRef.current.get(id);
+    if (url) {
+      URL.revokeObjectURL(url);
+      urlsRef.current.delete(id);
+    }
+
+    try {
+      await storeRef.current?.delete(id);
+    } catch (error) {
+      console.warn('Failed to remove uploaded cover:', error);
+    }
+  }, []);
+
+  return {
+    uploadedCovers: covers,
+    addFiles,
+    renameCover,
+    removeCover
+  };
+}
@@ -0,0 +1,131 @@
+import { findSimilarCovers } from './isbndbService';
+import { LICENSE_STATUS } from './licenseRegistry';
+import { meetsConfidence } from './matchConfidence';
+import { createRateLimiter } from './rateLimiter';
+import { applyReviews, coverKey, dismissedMatchKeys, REVIEW_VERDICTS } from './scanHistory';
+import { isAbortError, runWithConcurrency, throwIfAborted } from './taskPool';
+
+/**
+ * Per-cover verdicts shown on the gallery cards
+ */
+export const SCAN_STATUS = {
+  PENDING: 'pending',
+  SCANNING: 'scanning',
+  CLEAN: 'clean',
+  SUSPICIOUS: 'suspicious',
+  LIKELY_REUSE: 'likely-reuse',
+  ERROR: 'error'
+};
+
+/**
+ * Best-match confidence tier (see CONFIDENCE_TIERS) from which a cover is flagged
+ */
+export const STATUS_THRESHOLDS = {
+  suspicious: 'strong',
+  likelyReuse: 'certain'
+};
+
+/**
+ * Matches that count against a cover: everything except licensed uses of its artwork, whether
+ * the license registry or a reviewer says so (see applyReviews)
+ * @param {Object} scanResult - Result of findSimilarCovers
+ * @returns {Array<Object>} Results, best first
+ */
+export function unlicensedResults(scanResult) {
+  return scanResult.results.filter(result => (
+    result.license?.status !== LICENSE_STATUS.LICENSED && result.review?.verdict !== REVIEW_VERDICTS.LICENSED
+  ));
+}
+
+/**
+ * Turn a findSimilarCovers result into a verdict
+ * Licensed matches are ignored; artwork found inside another layout (a region match) is at least suspicious.
+ * @param {Object} scanResult - Result of findSimilarCovers
+ * @param {Object} thresholds - Confidence tier cut-offs (default STATUS_THRESHOLDS)
+ * @returns {string} One of SCAN_STATUS
+ */
+export function classifyScanResult(scanResult, thresholds = STATUS_THRESHOLDS) {
+  const results = unlicensedResults(scanResult);
+  const topConfidence = results[0]?.confidence;
+  if (topConfidence && meetsConfidence(topConfidence, thresholds.likelyReuse)) return SCAN_STATUS.LIKELY_REUSE;
+  if (topConfidence && meetsConfidence(topConfidence, thresholds.suspicious)) return SCAN_STATUS.SUSPICIOUS;
+  if (results.some(result => result.region)) return SCAN_STATUS.SUSPICIOUS;
+  return SCAN_STATUS.CLEAN;
+}
+
+/**
+ * Scan every image against the catalog with one shared request budget
+ * @param {Array<{id: *, name: string, src: string}>} images - Gallery images
+ * @param {Object} options
+ * @param {Object} options.scanOptions - Options passed to findSimilarCovers for each image
+ * @param {number} options.concurrency - Images scanned at once (default 2)
+ * @param {number} options.requestsPerSecond - Shared catalog request budget (requests per second) (default 1)
+ * @param {AbortSignal} options.signal - Cancels the whole batch
+ * @param {Object} options.history - Scan history (see createScanHistory); when given, every scan is recorded
+ *   and matches reviewers dismissed as false positives are left out
+ * @param {Function} options.onImageStart - (image) => void
+ * @param {Function} options.onImageComplete - (summary) => void, called for every image
+ * @returns {Promise<Array<Object>>} One summary per image (its best unlicensed match as topMatch), most
+ *   confident match first
+ */
+export async function runBatchScan(images, options = {}) {
+  const {
+    scanOptions = {},
+    concurrency = 2,
+    requestsPerSecond = 1,
+    signal,
+    history = null,
+    onImageStart = null,
+    onImageComplete = null
+  } = options;
+
+  const rateLimiter = createRateLimiter({ tokensPerInterval: requestsPerSecond, interval: 1000 });
+
+  const scanImage = async (image) => {
+    if (onImageStart) onImageStart(image);
+
+    let summary;
+    try {
+      const reviews = history ? history.reviewsFor(coverKey(image)) : [];
+      const scanned = await findSimilarCovers(image.src, {
+        ...scanOptions,
+        imageName: image.name,
+        dismissedMatches: dismissedMatchKeys(reviews),
+        rateLimiter,
+        signal
+      });
+      const result = history ? applyReviews(scanned, reviews) : scanned;
+      if (history) {
+        await history.recordScan(image, result).catch(error => console.warn('Failed to record scan:', error));
+      }
+      const [topMatch = null] = unlicensedResults(result);
+      summary = {
+        image,
+        status: classifyScanResult(result),
+        topMatch,
+        topSimilarity: topMatch?.similarity ?? 0,
+        result
+      };
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      summary = {
+        image,
+        status: SCAN_STATUS.ERROR,
+        topMatch: null,
+        topSimilarity: 0,
+        error: error.message || 'Scan failed'
+      };
+    }
+
+    throwIfAborted(signal);
+    if (onImageComplete) onImageComplete(summary);
+    return summary;
+  };
+
+  const settled = await runWithConcurrency(images, scanImage, { concurrency, signal });
+
+  return settled
+    .map(entry => entry.value)
+    .sort((a, b) => (a.topMatch?.confidence?.pValue ?? 1) - (b.topMatch?.confidence?.pValue ?? 1)
+      || b.topSimilarity - a.topSimilarity);
+}
@@ -0,0 +1,74 @@
+/**
+ * BK-tree for nearest-neighbour lookups in a discrete metric space
+ * Used with Hamming distance over hex hashes: a radius query only visits
+ * subtrees whose edge distance lies within [d - radius, d + radius].
+ */
+export class BKTree {
+  /**
+   * @param {Function} distance - (keyA, keyB) => non-negative integer distance
+   */
+  constructor(distance) {
+    this.distance = distance;
+    this.root = null;
+    this.size = 0;
+  }
+
+  /**
+   * Insert a key with an attached value
+   * Keys already in the tree get the value appended instead of a new node.
+   * @param {*} key - Key to index (e.g. a hex hash)
+   * @param {*} value - Value returned by searches
+   */
+  add(key, value) {
+    this.size++;
+
+    if (!this.root) {
+      this.root = { key, values: [value], children: new Map() };
+      return;
+    }
+
+    let node = this.root;
+    for (;;) {
+      const d = this.distance(key, node.key);
+      if (d === 0) {
+        node.values.push(value);
+        return;
+      }
+
+      const child = node.children.get(d);
+      if (!child) {
+        node.children.set(d, { key, values: [value], children: new Map() });
+        return;
+      }
+      node = child;
+    }
+  }
+
+  /**
+   * Find every value whose key lies within a radius of the query key
+   * @param {*} key - Query key
+   * @param {number} radius - Maximum distance (inclusive)
+   * @returns {Array<{value: *, key: *, distance: number}>} Matches sorted by distance
+   */
+  search(key, radius) {
+    const matches = [];
+    const stack = this.root ? [this.root] : [];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const d = this.distance(key, node.key);
+
+      if (d <= radius) {
+        node.values.forEach(value => matches.push({ value, key: node.key, distance: d }));
+      }
+
+      node.children.forEach((child, edge) => {
+        if (edge >= d - radius && edge <= d + radius) {
+          stack.push(child);
+        }
+      });
+    }
+
+    return matches.sort((a, b) => a.distance - b.distance);
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Detection accuracy metrics
+ * Every sample is a labeled pair of covers with a score, the similarity % the detector gave it:
+ * `positive` pairs show the same artwork, the rest unrelated covers. A pair counts as detected when its
+ * score reaches the threshold, so sweeping the threshold from strict to loose traces the ROC curve.
+ */
+
+/**
+ * Confusion counts and rates at one threshold
+ * @param {Array<{score: number, positive: boolean}>} samples
+ * @param {number} threshold - Minimum score for a detection
+ * @returns {{threshold: number, truePositives: number, falsePositives: number, trueNegatives: number,
+ *   falseNegatives: number, precision: number|null, recall: number|null, falsePositiveRate: number|null,
+ *   f1: number|null}} Rates are null when undefined (e.g. precision without any detection)
+ */
+export function confusionAt(samples, threshold) {
+  let truePositives = 0;
+  let falsePositives = 0;
+  let trueNegatives = 0;
+  let falseNegatives = 0;
+  samples.forEach(({ score, positive }) => {
+    const detected = score >= threshold;
+    if (positive && detected) truePositives++;
+    else if (positive) falseNegatives++;
+    else if (detected) falsePositives++;
+    else trueNegatives++;
+  });
+
+  const ratio = (part, whole) => (whole > 0 ? part / whole : null);
+  const precision = ratio(truePositives, truePositives + falsePositives);
+  const recall = ratio(truePositives, truePositives + falseNegatives);
+  return {
+    threshold,
+    truePositives,
+    falsePositives,
+    trueNegatives,
+    falseNegatives,
+    precision,
+    recall,
+    falsePositiveRate: ratio(falsePositives, falsePositives + trueNegatives),
+    f1: precision !== null && recall !== null && precision + recall > 0
+      ? (2 * precision * recall) / (precision + recall)
+      : null
+  };
+}
+
+/**
+ * ROC curve: true and false positive rates at every distinct score, strictest first
+ * Starts at (0, 0) with an unreachable threshold and ends at (1, 1).
+ * @param {Array<{score: number, positive: boolean}>} samples - Needs positive and negative samples
+ * @returns {Array<{threshold: number, truePositiveRate: number, falsePositiveRate: number}>}
+ */
+export function rocCurve(samples) {
+  const positives = samples.filter(sample => sample.positive).length;
+  const negatives = samples.length - positives;
+  if (positives === 0 || negatives === 0) {
+    throw new Error('A ROC curve needs both positive and negative samples');
+  }
+
+  const sorted = [...samples].sort((a, b) => b.score - a.score);
+  const points = [{ threshold: Infinity, truePositiveRate: 0, falsePositiveRate: 0 }];
+  let truePositives = 0;
+  let falsePositives = 0;
+  sorted.forEach((sample, i) => {
+    if (sample.positive) truePositives++;
+    else falsePositives++;
+    // Samples with the same score are detected together
+    if (i === sorted.length - 1 || sorted[i + 1].score !== sample.score) {
+      points.push({
+        threshold: sample.score,
+        truePositiveRate: truePositives / positives,
+        falsePositiveRate: falsePositives / negatives
+      });
+    }
+  });
+  return points;
+}
+
+/**
+ * Area under a ROC curve (trapezoids): 1 separates perfectly, 0.5 is chance
+ * @param {Array<{truePositiveRate: number, falsePositiveRate: number}>} points - See rocCurve
+ * @returns {number}
+ */
+export function areaUnderCurve(points) {
+  let area = 0;
+  for (let i = 1; i < points.length; i++) {
+    const width = points[i].falsePositiveRate - points[i - 1].falsePositiveRate;
+    area += width * (points[i].truePositiveRate + points[i - 1].truePositiveRate) / 2;
+  }
+  return area;
+}
+
+/**
+ * The threshold with the best F1 score (the strictest one on ties)
+ * @param {Array<{score: number, positive: boolean}>} samples
+ * @returns {Object} See confusionAt
+ */
+export function bestF1Threshold(samples) {
+  const thresholds = Array.from(new Set(samples.map(sample => sample.score))).sort((a, b) => b - a);
+  return thresholds
+    .map(threshold => confusionAt(samples, threshold))
+    .reduce((best, candidate) => ((candidate.f1 ?? -1) > (best.f1 ?? -1) ? candidate : best));
+}
+
+/**
+ * Everything the evaluation reports for one detector
+ * @param {Array<{score: number, positive: boolean}>} samples
+ * @param {Object} options
+ * @param {number} options.threshold - Operating threshold to report precision and recall at (default 60)
+ * @returns {{positives: number, negatives: number, auc: number, atThreshold: Object, bestF1: Object,
+ *   roc: Array<Object>}}
+ */
+export function summarizeDetection(samples, { threshold = 60 } = {}) {
+  const roc = rocCurve(samples);
+  const positives = samples.filter(sample => sample.positive).length;
+  return {
+    positives,
+    negatives: samples.length - positives,
+    auc: areaUnderCurve(roc),
+    atThreshold: confusionAt(samples, threshold),
+    bestF1: bestF1Threshold(samples),
+    roc
+  };
+}
@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { areaUnderCurve, bestF1Threshold, confusionAt, rocCurve, summarizeDetection } from './detectionMetrics';
+
+const sample = (score, positive) => ({ score, positive });
+
+// Two of three positives score above every negative; one negative ties a positive at 70
+const SAMPLES = [
+  sample(95, true),
+  sample(90, true),
+  sample(70, true),
+  sample(70, false),
+  sample(55, false),
+  sample(40, false)
+];
+
+describe('confusionAt', () => {
+  it('counts samples at or above the threshold as detected', () => {
+    expect(confusionAt(SAMPLES, 70)).toMatchObject({
+      truePositives: 3,
+      falsePositives: 1,
+      trueNegatives: 2,
+      falseNegatives: 0,
+      precision: 0.75,
+      recall: 1,
+      falsePositiveRate: 1 / 3
+    });
+  });
+
+  it('leaves precision undefined when nothing is detected', () => {
+    const confusion = confusionAt(SAMPLES, 100);
+    expect(confusion.precision).toBeNull();
+    expect(confusion.recall).toBe(0);
+    expect(confusion.f1).toBeNull();
+  });
+});
+
+describe('rocCurve', () => {
+  it('goes from (0, 0) to (1, 1), detecting tied scores together', () => {
+    expect(rocCurve(SAMPLES).map(({ truePositiveRate, falsePositiveRate }) => [truePositiveRate, falsePositiveRate]))
+      .toEqual([[0, 0], [1 / 3, 0], [2 / 3, 0], [1, 1 / 3], [1, 2 / 3], [1, 1]]);
+  });
+
+  it('needs both kinds of samples', () => {
+    expect(() => rocCurve([sample(90, true)])).toThrow('both positive and negative');
+  });
+});
+
+describe('areaUnderCurve', () => {
+  it('is 1 for a perfect separation and 0.5 for a coin flip', () => {
+    expect(areaUnderCurve(rocCurve([sample(90, true), sample(10, false)]))).toBe(1);
+    expect(areaUnderCurve(rocCurve([sample(50, true), sample(50, false)]))).toBe(0.5);
+  });
+
+  it('gives ties half credit', () => {
+    expect(areaUnderCurve(rocCurve(SAMPLES))).toBeCloseTo(1 - 1 / 18);
+  });
+});
+
+describe('bestF1Threshold', () => {
+  it('picks the threshold that balances precision and recall best', () => {
+    const best = bestF1Threshold(SAMPLES);
+    expect(best.threshold).toBe(70);
+    expect(best.f1).toBeCloseTo(6 / 7);
+  });
+});
+
+describe('summarizeDetection', () => {
+  it('reports the operating threshold next to the best one', () => {
+    const summary = summarizeDetection(SAMPLES, { threshold: 90 });
+    expect(summary).toMatchObject({ positives: 3, negatives: 3 });
+    expect(summary.atThreshold).toMatchObject({ precision: 1, recall: 2 / 3 });
+    expect(summary.bestF1.threshold).toBe(70);
+  });
+});
@@ -0,0 +1,318 @@
+import { HASH_ALGORITHM_VERSION } from './phashService';
+import { MATCH_TRANSFORM_LABELS } from './isbndbService';
+import { formatConfidence } from './matchConfidence';
+
+/**
+ * Export helpers for scan results
+ * Produces JSON, CSV and a printable HTML evidence report from a findSimilarCovers result.
+ */
+
+/**
+ * Build the JSON export: the full scan result plus provenance
+ * @param {Object} scanResult - Result of findSimilarCovers
+ * @param {{name: string, src: string}} image - The scanned cover
+ * @returns {Object} Serializable export object
+ */
+export function buildJsonExport(scanResult, image) {
+  return {
+    exportedAt: new Date().toISOString(),
+    algorithmVersion: HASH_ALGORITHM_VERSION,
+    target: {
+      name: image.name,
+      src: image.src
+    },
+    ...scanResult
+  };
+}
+
+/**
+ * Quote a value for CSV (RFC 4180)
+ * Catalog text is untrusted: a cell starting like a formula gets a leading ' so spreadsheets show it as text.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const joined = Array.isArray(value) ? value.join('; ') : String(value);
+  const text = typeof value !== 'number' && /^[=+\-@\t\r]/.test(joined) ? `'${joined}` : joined;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the CSV export with one row per matched book
+ * @param {Object} scanResult - Result of findSimilarCovers
+ * @param {{name: string}} image - The scanned cover
+ * @returns {string} CSV text
+ */
+export function buildCsvExport(scanResult, image) {
+  const algorithms = Object.keys(scanResult.targetHashes || {});
+  const header = [
+    'target_name',
+    'target_hash',
+    'title',
+    'authors',
+    'isbn',
+    'publisher',
+    'publish_date',
+    'image_url',
+    'similarity',
+    'confidence_tier',
+    'p_value',
+    'text_relevance',
+    'hamming_distance',
+    'transform',
+    'region_tiles',
+    'license_status',
+    'license_reason',
+    'review_verdict',
+    'review_notes',
+    ...algorithms.map(name => `${name}_distance`),
+    ...algorithms.map(name => `${name}_hash`),
+    'search_method',
+    'source',
+    'algorithm_version',
+    'exported_at'
+  ];
+
+  const exportedAt = new Date().toISOString();
+  const rows = scanResult.results.map(result => [
+    image.name,
+    scanResult.targetHash,
+    result.book.title,
+    result.book.authors,
+    result.book.isbn,
+    result.book.publisher,
+    result.book.publishDate,
+    result.book.image,
+    result.similarity,
+    result.confidence?.tier,
+    result.confidence?.pValue,
+    result.textRelevance,
+    result.hammingDistance,
+    result.transform || 'identity',
+    result.region ? `${result.region.tiles}/${result.region.totalTiles}` : '',
+    result.license?.status,
+    result.license?.reason,
+    result.review?.verdict,
+    result.review?.notes,
+    ...algorithms.map(name => result.distances?.[name]),
+    ...algorithms.map(name => result.hashes?.[name]),
+    scanResult.searchMethod,
+    result.source,
+    HASH_ALGORITHM_VERSION,
+    exportedAt
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a hex hash as a square grid of bits (HTML table)
+ * Bits that differ from `compareHex` are highlighted.
+ */
+function renderHashBits(hex, compareHex) {
+  const bits = Array.from(hex).flatMap(char => parseInt(char, 16).toString(2).padStart(4, '0').split(''));
+  const otherBits = compareHex
+    ? Array.from(compareHex).flatMap(char => parseInt(char, 16).toString(2).padStart(4, '0').split(''))
+    : null;
+  const side = Math.round(Math.sqrt(bits.length));
+
+  const rows = [];
+  for (let y = 0; y < side; y++) {
+    const cells = [];
+    for (let x = 0; x < side; x++) {
+      const i = y * side + x;
+      const classes = [bits[i] === '1' ? 'on' : 'off'];
+      if (otherBits && otherBits[i] !== bits[i]) classes.push('diff');
+      cells.push(`<td class="${classes.join(' ')}"></td>`);
+    }
+    rows.push(`<tr>${cells.join('')}</tr>`);
+  }
+
+  return `<table class="bits">${rows.join('')}</table><code>${escapeHtml(hex)}</code>`;
+}
+
+function describeRegion({ tiles, totalTiles, targetBox, matchBox }) {
+  const percent = (box) => `${Math.round(box.x * 100)}%, ${Math.round(box.y * 100)}% (${Math.round(box.width * 100)}% x ${Math.round(box.height * 100)}%)`;
+  return `${tiles} of ${totalTiles} tiles; target area at ${percent(targetBox)}, found at ${percent(matchBox)}`;
+}
+
+/**
+ * Build a self-contained, print-ready HTML evidence report
+ * @param {Object} scanResult - Result of findSimilarCovers
+ * @param {{name: string, src: string}} image - The scanned cover
+ * @param {Object} options
+ * @param {string} options.targetDataUrl - Embedded copy of the target image (falls back to image.src)
+ * @param {Object<string, string>} options.matchDataUrls - Embedded copies of matched covers by image URL
+ *   (each falls back to its URL)
+ * @returns {string} HTML document
+ */
+export function buildEvidenceReport(scanResult, image, { targetDataUrl, matchDataUrls = {} } = {}) {
+  const generatedAt = new Date().toISOString();
+  const targetSrc = targetDataUrl || image.src;
+  // A match found through a variant (mirrored, rotated, cropped) is compared with that variant's hash
+  const primaryAlgorithm = scanResult.targetHashes?.phash ? 'phash' : Object.keys(scanResult.targetHashes || {})[0];
+  const targetHashFor = (result) => result.targetHashes?.[primaryAlgorithm] || scanResult.targetHash;
+
+  const matches = scanResult.results.map((result, index) => `
+    <section class="match">
+      <h2>Match ${index + 1}: ${escapeHtml(result.book.title)}</h2>
+      <table class="meta">
+        <tr><th>Authors</th><td>${escapeHtml((result.book.authors || []).join(', '))}</td></tr>
+        <tr><th>ISBN</th><td>${escapeHtml(result.book.isbn)}</td></tr>
+        <tr><th>Publisher</th><td>${escapeHtml(result.book.publisher)}</td></tr>
+        <tr><th>Published</th><td>${escapeHtml(result.book.publishDate)}</td></tr>
+        <tr><th>Similarity</th><td>${escapeHtml(result.similarity)}%</td></tr>
+        ${result.confidence ? `<tr><th>Confidence</th><td>${escapeHtml(formatConfidence(result.confidence))}, the chance an unrelated cover comes this close (${result.confidence.source === 'binomial' ? 'compared with random hashes' : 'calibrated on the local index'})</td></tr>` : ''}
+        ${typeof result.textRelevance === 'number' ? `<tr><th>Text relevance</th><td>${escapeHtml(result.textRelevance)}%${result.matchedTitle ? ` (title "${escapeHtml(result.matchedTitle)}")` : ''}</td></tr>` : ''}
+        <tr><th>Hamming distance</th><td>${Object.entries(result.distances || {})
+          .map(([name, distance]) => `${escapeHtml(name)} ${distance} / ${result.bitLengths[name]}`)
+          .join(', ')}</td></tr>
+        <tr><th>Matched as</th><td>${escapeHtml(MATCH_TRANSFORM_LABELS[result.transform || 'identity'] || result.transform)}</td></tr>
+        ${result.region ? `<tr><th>Shared region</th><td>${escapeHtml(describeRegion(result.region))}</td></tr>` : ''}
+        ${result.license ? `<tr><th>License</th><td>${escapeHtml(result.license.status)}: ${escapeHtml(result.license.reason)}</td></tr>` : ''}
+        ${result.review ? `<tr><th>Review</th><td>${escapeHtml(result.review.verdict || 'notes only')}${result.review.notes ? ` — ${escapeHtml(result.review.notes)}` : ''}</td></tr>` : ''}
+        <tr><th>Cover URL</th><td class="url">${escapeHtml(result.book.image)}</td></tr>
+      </table>
+      <div class="side-by-side">
+        <figure>
+          <img src="${escapeHtml(targetSrc)}" alt="Target cover" />
+          <figcaption>Target: ${escapeHtml(image.name)}</figcaption>
+          ${renderHashBits(targetHashFor(result), result.hashHex)}
+        </figure>
+        <figure>
+          <img src="${escapeHtml(matchDataUrls[result.book.image] || result.book.image)}" alt="Matched cover" />
+          <figcaption>Match: ${escapeHtml(result.book.title)}</figcaption>
+          ${renderHashBits(result.hashHex, targetHashFor(result))}
+        </figure>
+      </div>
+    </section>`).join('');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Cover Evidence Report - ${escapeHtml(image.name)}</title>
+<style>
+  body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #333; margin: 2rem; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.1rem; margin: 0 0 0.5rem; }
+  .summary { color: #555; margin-bottom: 1.5rem; font-size: 0.9rem; }
+  .match { border-top: 2px solid #eee; padding: 1rem 0; page-break-inside: avoid; }
+  .meta th { text-align: left; padding-right: 1rem; font-weight: 600; vertical-align: top; }
+  .meta td, .meta th { font-size: 0.85rem; padding-bottom: 0.15rem; }
+  .url { word-break: break-all; }
+  .side-by-side { display: flex; gap: 2rem; margin-top: 1rem; }
+  figure { margin: 0; flex: 1; }
+  figure img { max-width: 100%; max-height: 320px; display: block; margin-bottom: 0.5rem; }
+  figcaption { font-size: 0.85rem; font-weight: 600; margin-bottom: 0.5rem; }
+  .bits { border-collapse: collapse; margin-bottom: 0.25rem; }
+  .bits td { width: 12px; height: 12px; border: 1px solid #ccc; padding: 0; }
+  .bits td.on { background: #1e293b; }
+  .bits td.off { background: #fff; }
+  .bits td.diff { outline: 2px solid #dc2626; outline-offset: -2px; }
+  code { font-family: 'Courier New', monospace; font-size: 0.8rem; }
+  @media print { body { margin: 1cm; } }
+</style>
+</head>
+<body>
+  <h1>Cover Evidence Report: ${escapeHtml(image.name)}</h1>
+  <p class="summary">
+    Generated ${escapeHtml(generatedAt)} · Algorithm version ${escapeHtml(HASH_ALGORITHM_VERSION)}<br />
+    ${scanResult.artworkId ? `Artwork: ${escapeHtml(scanResult.artworkId)} · ` : ''}Search: ${escapeHtml(scanResult.searchMethod)} "${escapeHtml(scanResult.searchQuery)}" ·
+    ${escapeHtml(scanResult.totalCompared)} covers compared ·
+    ${escapeHtml(scanResult.results.length)} matches<br />
+    Target hash: <code>${escapeHtml(scanResult.targetHash)}</code>
+  </p>
+  ${matches || '<p>No matches above the similarity threshold.</p>'}
+</body>
+</html>`;
+}
+
+/**
+ * Read an image URL (including object URLs) into a data URL so reports stay self-contained
+ * @param {string} imageUrl
+ * @returns {Promise<string|null>} Data URL, or null if the image can't be read
+ */
+export async function imageToDataUrl(imageUrl) {
+  try {
+    const response = await fetch(imageUrl);
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    console.warn('Failed to embed image in report:', error);
+    return null;
+  }
+}
+
+/**
+ * Read the target and every matched cover into data URLs for buildEvidenceReport
+ * Covers that can't be read are left out, so the report links to them instead.
+ * @param {Object} scanResult - Result of findSimilarCovers
+ * @param {{src: string}} image - The scanned cover
+ * @returns {Promise<{targetDataUrl: string|null, matchDataUrls: Object<string, string>}>}
+ */
+export async function embedReportImages(scanResult, image) {
+  const matchUrls = [...new Set(scanResult.results.map(result => result.book.image).filter(Boolean))];
+  const [targetDataUrl, ...matchData] = await Promise.all([image.src, ...matchUrls].map(imageToDataUrl));
+
+  const matchDataUrls = {};
+  matchUrls.forEach((url, i) => {
+    if (matchData[i]) matchDataUrls[url] = matchData[i];
+  });
+  return { targetDataUrl, matchDataUrls };
+}
+
+/**
+ * Make a filesystem-friendly base name for exports
+ */
+export function exportFileName(imageName, extension) {
+  const base = imageName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'cover';
+  const date = new Date().toISOString().slice(0, 10);
+  return `${base}-scan-${date}.${extension}`;
+}
+
+/**
+ * Trigger a browser download of text content
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Open an HTML report in a new window and show the print dialog
+ * @param {string} html - Report document
+ * @returns {boolean} False when the popup was blocked
+ */
+export function openPrintableReport(html) {
+  const reportWindow = window.open('', '_blank');
+  if (!reportWindow) return false;
+
+  reportWindow.document.open();
+  reportWindow.document.write(html);
+  reportWindow.document.close();
+  reportWindow.addEventListener('load', () => reportWindow.print(), { once: true });
+  return true;
+}
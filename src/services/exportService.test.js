@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { buildCsvExport } from './exportService';
+
+const scanResult = book => ({
+  targetHash: 'ffff0000ffff0000',
+  targetHashes: {},
+  searchMethod: 'title-based',
+  results: [{ book, similarity: 91, hammingDistance: 6 }]
+});
+
+const firstRow = csv => csv.split('\r\n')[1];
+
+describe('buildCsvExport', () => {
+  it('keeps catalog text that looks like a formula from running in a spreadsheet', () => {
+    const book = {
+      title: '=HYPERLINK("http://evil.example","Click")',
+      authors: ['+1 Author', 'Second'],
+      isbn: '9780306406157',
+      publisher: '@SUM(A1:A2)',
+      publishDate: '-2020',
+      image: 'https://covers.example.org/1.jpg'
+    };
+    const row = firstRow(buildCsvExport(scanResult(book), { name: 'Cover' }));
+
+    expect(row).toContain('"\'=HYPERLINK(""http://evil.example"",""Click"")"');
+    expect(row).toContain(',\'+1 Author; Second,');
+    expect(row).toContain(',\'@SUM(A1:A2),');
+    expect(row).toContain(',\'-2020,');
+  });
+
+  it('leaves ordinary text and numbers alone', () => {
+    const book = { title: 'The Hobbit', authors: ['J. R. R. Tolkien'], isbn: '9780261103344', publisher: 'HarperCollins' };
+    const row = firstRow(buildCsvExport(scanResult(book), { name: 'Cover' }));
+
+    expect(row.startsWith('Cover,ffff0000ffff0000,The Hobbit,J. R. R. Tolkien,9780261103344,HarperCollins,,,91,')).toBe(true);
+  });
+});
@@ -0,0 +1,102 @@
+import { BKTree } from './bkTree';
+import { hexHammingDistance } from './imageHash';
+import { analyzeImage } from './phashService';
+import { isAbortError, runWithConcurrency } from './taskPool';
+import { UnionFind } from './unionFind';
+
+/**
+ * Duplicate and near-duplicate clusters within the gallery
+ * Every gallery cover is hashed once (pHash of the border-trimmed image); covers within a Hamming
+ * distance of each other are linked and linked covers form a cluster (single linkage, through a
+ * union-find). Regrouping at another distance only re-runs the linking, never the hashing.
+ */
+
+// Hashes by image URL, so reopening the view or changing the distance doesn't hash again
+const hashCache = new Map();
+
+/**
+ * pHash every gallery image
+ * @param {Array<{id: *, name: string, src: string}>} images
+ * @param {Object} options
+ * @param {number} options.concurrency - Images hashed at once (default 4)
+ * @param {AbortSignal} options.signal - Cancels the remaining work
+ * @param {Function} options.onProgress - ({ completed, total }) => void
+ * @returns {Promise<Array<{image: Object, hash: string|null, error: string|null}>>} In gallery order
+ */
+export async function hashGalleryImages(images, { concurrency = 4, signal, onProgress = null } = {}) {
+  const hashed = new Array(images.length);
+  let completed = 0;
+
+  const hashImage = async (image, i, poolSignal) => {
+    try {
+      if (!hashCache.has(image.src)) {
+        const { variants } = await analyzeImage(image.src, ['phash'], { signal: poolSignal });
+        hashCache.set(image.src, variants.identity.phash.toHex());
+      }
+      hashed[i] = { image, hash: hashCache.get(image.src), error: null };
+    } catch (error) {
+      if (isAbortError(error) && poolSignal?.aborted) throw error;
+      console.warn(`Failed to hash gallery image ${image.name}:`, error);
+      hashed[i] = { image, hash: null, error: error.message };
+    } finally {
+      completed++;
+      if (onProgress && !signal?.aborted) onProgress({ completed, total: images.length });
+    }
+  };
+
+  await runWithConcurrency(images, hashImage, { concurrency, signal });
+  return hashed;
+}
+
+/**
+ * The member closest to all others (smallest total distance); ties go to the earliest
+ */
+function findMedoid(members) {
+  const totals = members.map(member => members.reduce(
+    (sum, other) => sum + hexHammingDistance(member.hash, other.hash),
+    0
+  ));
+  return totals.indexOf(Math.min(...totals));
+}
+
+/**
+ * Group hashed images whose hashes lie within a Hamming distance of each other
+ * Images that couldn't be hashed stay on their own.
+ * @param {Array<{image: Object, hash: string|null}>} hashed - See hashGalleryImages
+ * @param {number} maxDistance - Largest pHash Hamming distance that links two images
+ * @returns {Array<Object>} Clusters { id, representative, members, maxDistance }, largest first, then in
+ *   gallery order; members are { image, hash, distance } with the distance to the representative, closest first
+ */
+export function clusterImages(hashed, maxDistance) {
+  const sets = new UnionFind(hashed.length);
+  const tree = new BKTree(hexHammingDistance);
+  hashed.forEach(({ hash }, i) => {
+    if (!hash) return;
+    tree.search(hash, maxDistance).forEach(({ value }) => sets.union(i, value));
+    tree.add(hash, i);
+  });
+
+  const clusters = sets.groups().map(indices => {
+    const members = indices.map(i => hashed[i]);
+    const hashedMembers = members.filter(member => member.hash);
+    const representative = hashedMembers.length > 0 ? hashedMembers[findMedoid(hashedMembers)] : members[0];
+
+    const withDistances = members
+      .map(member => ({
+        image: member.image,
+        hash: member.hash,
+        distance: member.hash && representative.hash ? hexHammingDistance(member.hash, representative.hash) : null
+      }))
+      .sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+
+    return {
+      id: representative.image.id,
+      representative: representative.image,
+      members: withDistances,
+      maxDistance: Math.max(0, ...withDistances.map(member => member.distance ?? 0))
+    };
+  });
+
+  // groups() keeps gallery order, and sort is stable
+  return clusters.sort((a, b) => b.members.length - a.members.length);
+}
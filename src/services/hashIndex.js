@@ -0,0 +1,200 @@
+import { BKTree } from './bkTree';
+import { hexHammingDistance } from './imageHash';
+import { isIndexedDbAvailable, openStore } from './idbStore';
+import { HASH_ALGORITHM_VERSION } from './phashService';
+
+/**
+ * Storage adapter backed by the IndexedDB 'coverHashes' store
+ */
+export function createIndexedDbStorage() {
+  const store = openStore('coverHashes');
+  return {
+    loadAll: () => store.getAll(),
+    put: (entry) => store.put(entry),
+    clear: () => store.clear()
+  };
+}
+
+/**
+ * Storage adapter that keeps entries in memory only
+ * @param {Array<Object>} initialEntries - Entries to start with
+ */
+export function createMemoryStorage(initialEntries = []) {
+  const entries = new Map(initialEntries.map(entry => [entry.isbn, entry]));
+  return {
+    loadAll: async () => Array.from(entries.values()),
+    put: async (entry) => { entries.set(entry.isbn, entry); },
+    clear: async () => { entries.clear(); }
+  };
+}
+
+/**
+ * Create a local index of cover hashes keyed by ISBN
+ * Each entry looks like { isbn, hashes: { phash: 'hex', ... }, variants: { centerCrop: { phash: 'hex' } },
+ * book: {...}, version, indexedAt }. Entries hashed by another pipeline version count as stale: their
+ * bits can't be compared with today's, so radius queries leave them out.
+ * Radius queries go through one BK-tree per algorithm and hash length, built lazily.
+ * @param {Object} options
+ * @param {Object} options.storage - Adapter with loadAll(), put(entry) and clear()
+ * @returns {Object} Hash index API
+ */
+export function createHashIndex({ storage = createMemoryStorage() } = {}) {
+  const entries = new Map();
+  const trees = new Map();
+  let loadPromise = null;
+
+  const treeKey = (algorithm, hex) => `${algorithm}:${hex.length}`;
+
+  const addToTrees = (entry) => {
+    Object.entries(entry.hashes).forEach(([algorithm, hex]) => {
+      const tree = trees.get(treeKey(algorithm, hex));
+      if (tree) tree.add(hex, entry.isbn);
+    });
+  };
+
+  const getTree = (algorithm, hex) => {
+    const key = treeKey(algorithm, hex);
+    if (!trees.has(key)) {
+      const tree = new BKTree(hexHammingDistance);
+      entries.forEach(entry => {
+        if (entry.version !== HASH_ALGORITHM_VERSION) return;
+        const entryHex = entry.hashes[algorithm];
+        if (entryHex && entryHex.length === hex.length) {
+          tree.add(entryHex, entry.isbn);
+        }
+      });
+      trees.set(key, tree);
+    }
+    return trees.get(key);
+  };
+
+  const index = {
+    /**
+     * Load persisted entries (safe to call repeatedly)
+     */
+    load() {
+      if (!loadPromise) {
+        loadPromise = storage.loadAll().then(stored => {
+          stored.forEach(entry => entries.set(entry.isbn, entry));
+          trees.clear();
+          return index;
+        }).catch(error => {
+          loadPromise = null;
+          throw error;
+        });
+      }
+      return loadPromise;
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    /**
+     * Get the entry for an ISBN
+     * @param {string} isbn
+     * @returns {Object|undefined}
+     */
+    get(isbn) {
+      return entries.get(isbn);
+    },
+
+    /**
+     * Whether an ISBN is indexed with every requested hash by the current pipeline version
+     * @param {string} isbn
+     * @param {Object} expectedHashes - { algorithm: sampleHex } to match names and lengths
+     * @param {Array<string>} variants - Image variants that must be indexed too (e.g. ['centerCrop'])
+     * @returns {boolean}
+     */
+    hasHashes(isbn, expectedHashes, variants = []) {
+      const entry = entries.get(isbn);
+      if (!entry || entry.version !== HASH_ALGORITHM_VERSION) return false;
+
+      const hasAll = (hexMap) => Boolean(hexMap) && Object.entries(expectedHashes).every(([algorithm, hex]) => (
+        hexMap[algorithm]?.length === hex.length
+      ));
+      return hasAll(entry.hashes) && variants.every(transform => hasAll(entry.variants?.[transform]));
+    },
+
+    /**
+     * Add or update an entry, merging hashes with any existing ones of the same version
+     * @param {{isbn: string, hashes: Object, variants: Object, book: Object}} entry
+     * @returns {Promise<Object>} The stored entry
+     */
+    async add({ isbn, hashes, variants = {}, book }) {
+      const existing = entries.get(isbn);
+      const current = existing?.version === HASH_ALGORITHM_VERSION ? existing : null;
+      const mergedVariants = { ...current?.variants };
+      Object.entries(variants).forEach(([transform, hexMap]) => {
+        mergedVariants[transform] = { ...mergedVariants[transform], ...hexMap };
+      });
+
+      const stored = {
+        isbn,
+        hashes: { ...current?.hashes, ...hashes },
+        variants: mergedVariants,
+        book: book || existing?.book,
+        version: HASH_ALGORITHM_VERSION,
+        indexedAt: new Date().toISOString()
+      };
+
+      entries.set(isbn, stored);
+      if (existing) {
+        // Hashes may have changed: rebuild trees on next query
+        trees.clear();
+      } else {
+        addToTrees(stored);
+      }
+
+      await storage.put(stored);
+      return stored;
+    },
+
+    /**
+     * Find indexed covers within a Hamming radius of a hash (current pipeline version only)
+     * @param {string} hex - Query hash
+     * @param {number} radius - Maximum Hamming distance
+     * @param {string} algorithm - Algorithm the hash was computed with (default 'phash')
+     * @returns {Array<{entry: Object, distance: number}>} Matches sorted by distance
+     */
+    query(hex, radius, algorithm = 'phash') {
+      return getTree(algorithm, hex)
+        .search(hex, radius)
+        .map(({ value, distance }) => ({ entry: entries.get(value), distance }));
+    },
+
+    /**
+     * All indexed entries
+     * @returns {Array<Object>}
+     */
+    entries() {
+      return Array.from(entries.values());
+    },
+
+    /**
+     * Remove every entry
+     */
+    async clear() {
+      entries.clear();
+      trees.clear();
+      await storage.clear();
+    }
+  };
+
+  return index;
+}
+
+let coverHashIndex = null;
+
+/**
+ * Shared cover hash index, persisted to IndexedDB when available
+ * @returns {Promise<Object>} Loaded hash index
+ */
+export function getCoverHashIndex() {
+  if (!coverHashIndex) {
+    coverHashIndex = createHashIndex({
+      storage: isIndexedDbAvailable() ? createIndexedDbStorage() : createMemoryStorage()
+    });
+  }
+  return coverHashIndex.load();
+}
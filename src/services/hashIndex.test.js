@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { createHashIndex, createMemoryStorage } from './hashIndex';
+import { HASH_ALGORITHM_VERSION } from './phashService';
+
+const entry = (isbn, phash, version = HASH_ALGORITHM_VERSION) => ({
+  isbn,
+  hashes: { phash },
+  variants: {},
+  book: { title: isbn },
+  version,
+  indexedAt: '2024-01-01T00:00:00.000Z'
+});
+
+describe('createHashIndex', () => {
+  it('finds covers within the radius, closest first', async () => {
+    const index = await createHashIndex({
+      storage: createMemoryStorage([
+        entry('far', '00000000000000ff'),
+        entry('exact', '0000000000000000'),
+        entry('near', '0000000000000003')
+      ])
+    }).load();
+
+    expect(index.query('0000000000000000', 4).map(({ entry: found, distance }) => [found.isbn, distance]))
+      .toEqual([['exact', 0], ['near', 2]]);
+  });
+
+  it('leaves out covers hashed by another pipeline version', async () => {
+    const index = await createHashIndex({
+      storage: createMemoryStorage([entry('stale', '0000000000000000', '0.9.0'), entry('current', '0000000000000001')])
+    }).load();
+
+    expect(index.query('0000000000000000', 4).map(({ entry: found }) => found.isbn)).toEqual(['current']);
+
+    await index.add({ isbn: 'stale', hashes: { phash: '0000000000000000' } });
+    expect(index.query('0000000000000000', 4).map(({ entry: found }) => found.isbn)).toEqual(['stale', 'current']);
+  });
+});
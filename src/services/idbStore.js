@@ -0,0 +1,88 @@
+/**
+ * Minimal promise wrapper around IndexedDB
+ * All persistent app data lives in one database with one object store per feature.
+ */
+
+const DB_NAME = 'fraud-detector';
+const DB_VERSION = 5;
+
+// Object stores and their key paths
+const STORES = {
+  coverHashes: 'isbn',
+  uploadedCovers: 'id',
+  apiCache: 'key',
+  licenses: 'id',
+  scanHistory: 'id',
+  matchReviews: 'key'
+};
+
+let dbPromise = null;
+
+/**
+ * Whether IndexedDB can be used in this environment
+ * @returns {boolean}
+ */
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and upgrade if needed) the app database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(STORES).forEach(([name, keyPath]) => {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, { keyPath });
+        }
+      });
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Get a small async API for one object store
+ * @param {string} storeName - One of the names in STORES
+ * @returns {{get: Function, getAll: Function, put: Function, delete: Function, clear: Function}}
+ */
+export function openStore(storeName) {
+  if (!STORES[storeName]) {
+    throw new Error(`Unknown IndexedDB store: ${storeName}`);
+  }
+
+  const withStore = async (mode, operation) => {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, mode);
+    return requestToPromise(operation(transaction.objectStore(storeName)));
+  };
+
+  return {
+    get: (key) => withStore('readonly', store => store.get(key)),
+    getAll: () => withStore('readonly', store => store.getAll()),
+    put: (value) => withStore('readwrite', store => store.put(value)),
+    delete: (key) => withStore('readwrite', store => store.delete(key)),
+    clear: () => withStore('readwrite', store => store.clear())
+  };
+}
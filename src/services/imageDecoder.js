@@ -0,0 +1,298 @@
+/**
+ * Image decoding helpers
+ * Turns raw image bytes into RGBA pixel data using the browser's decoders
+ * (createImageBitmap + OffscreenCanvas, falling back to a DOM canvas). The real format is sniffed
+ * from the bytes first, and oversized images are refused before they are decoded.
+ */
+import { detectImageFormat, IMAGE_FORMATS, readImageDimensions } from './imageFormat';
+
+/**
+ * Largest image the decoding stage accepts
+ * A decoded image takes width × height × 4 bytes, so maxPixels is what bounds memory.
+ */
+export const IMAGE_LIMITS = {
+  maxBytes: 25 * 1024 * 1024,
+  maxDimension: 12000,
+  maxPixels: 40 * 1000 * 1000
+};
+
+/**
+ * Longest side SVG covers are rasterized at (also by the CLI decoder, so both hash the same raster)
+ * Hashes are scale independent, so this only sets the detail kept.
+ */
+export const SVG_RASTER_SIZE = 1024;
+
+/**
+ * Base class for images that can't be hashed
+ * `kind` is one of 'download', 'unsupported', 'too-large' or 'corrupt' so the UI can explain what
+ * went wrong; `format` is the sniffed format, when known.
+ */
+export class ImageError extends Error {
+  constructor(message, { kind = 'corrupt', format = null } = {}) {
+    super(message);
+    this.name = 'ImageError';
+    this.kind = kind;
+    this.format = format;
+  }
+
+  /**
+   * Plain copy that survives postMessage (see restoreImageError)
+   */
+  toJSON() {
+    return { name: this.name, message: this.message, kind: this.kind, format: this.format };
+  }
+}
+
+/**
+ * Image couldn't be downloaded (HTTP error or network failure)
+ */
+export class ImageDownloadError extends ImageError {
+  constructor(message, status = null) {
+    super(message, { kind: 'download' });
+    this.name = 'ImageDownloadError';
+    this.status = status;
+  }
+}
+
+/**
+ * Not an image, or a format this environment can't decode
+ */
+export class UnsupportedImageError extends ImageError {
+  constructor(message, format = null) {
+    super(message, { kind: 'unsupported', format });
+    this.name = 'UnsupportedImageError';
+  }
+}
+
+/**
+ * File or pixel size over IMAGE_LIMITS
+ */
+export class ImageTooLargeError extends ImageError {
+  constructor(message, format = null) {
+    super(message, { kind: 'too-large', format });
+    this.name = 'ImageTooLargeError';
+  }
+}
+
+/**
+ * Recognized format, but the data is damaged or truncated
+ */
+export class CorruptImageError extends ImageError {
+  constructor(message, format = null) {
+    super(message, { kind: 'corrupt', format });
+    this.name = 'CorruptImageError';
+  }
+}
+
+const ERROR_CLASSES = {
+  unsupported: UnsupportedImageError,
+  'too-large': ImageTooLargeError,
+  corrupt: CorruptImageError
+};
+
+/**
+ * Rebuild an image error sent from a worker
+ * @param {{message: string, kind: string, format: string|null}} data - From ImageError#toJSON
+ * @returns {ImageError}
+ */
+export function restoreImageError({ message, kind, format = null }) {
+  if (kind === 'download') return new ImageDownloadError(message);
+  const ErrorClass = ERROR_CLASSES[kind] || CorruptImageError;
+  return new ErrorClass(message, format);
+}
+
+function formatLabel(format) {
+  return IMAGE_FORMATS[format]?.label || 'image';
+}
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Refuse byte counts over the limit (also used on Content-Length before downloading)
+ * @param {number} byteLength
+ * @param {Object} limits - See IMAGE_LIMITS
+ * @param {string|null} format
+ */
+export function checkImageByteSize(byteLength, limits = IMAGE_LIMITS, format = null) {
+  if (byteLength > limits.maxBytes) {
+    throw new ImageTooLargeError(
+      `Image is ${formatMegabytes(byteLength)}, over the ${formatMegabytes(limits.maxBytes)} limit`,
+      format
+    );
+  }
+}
+
+function checkDimensions({ width, height }, limits, format) {
+  if (!(width > 0) || !(height > 0)) {
+    throw new CorruptImageError(`The ${formatLabel(format)} has no pixels (${width}×${height})`, format);
+  }
+  if (Math.max(width, height) > limits.maxDimension || width * height > limits.maxPixels) {
+    throw new ImageTooLargeError(
+      `The ${formatLabel(format)} is ${width}×${height} pixels, over the limit of `
+        + `${limits.maxDimension} per side and ${(limits.maxPixels / 1e6).toFixed(0)} megapixels`,
+      format
+    );
+  }
+}
+
+/**
+ * Check encoded bytes before decoding: size, real format and, when the header says, pixel size
+ * @param {Uint8Array} bytes - Encoded image
+ * @param {Object} limits - See IMAGE_LIMITS
+ * @returns {{format: string|null, width: number|null, height: number|null}} Format from detectImageFormat
+ * @throws {ImageTooLargeError} When the file or its header's pixel size is over the limits
+ */
+export function inspectImageBytes(bytes, limits = IMAGE_LIMITS) {
+  const format = detectImageFormat(bytes);
+  checkImageByteSize(bytes.byteLength, limits, format);
+  const size = format ? readImageDimensions(bytes, format) : null;
+  // SVG sizes are only a layout hint; rasterizing picks its own size
+  if (size && format !== 'svg') checkDimensions(size, limits, format);
+  return { format, width: size?.width ?? null, height: size?.height ?? null };
+}
+
+/**
+ * Create a 2D canvas of the given size
+ * Uses OffscreenCanvas when available so this also works inside workers
+ */
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  throw new Error('No canvas implementation available to decode images');
+}
+
+/**
+ * Whether SVG can be rasterized here: it needs an <img> element, which workers don't have
+ * @returns {boolean}
+ */
+export function canRasterizeSvg() {
+  return typeof Image !== 'undefined' && typeof URL?.createObjectURL === 'function';
+}
+
+/**
+ * Draw an SVG into a canvas with its aspect ratio, at SVG_RASTER_SIZE on the longer side
+ * createImageBitmap can't take SVG blobs, so it goes through an <img> element.
+ */
+async function rasterizeSvg(bytes, size) {
+  if (!canRasterizeSvg()) {
+    throw new UnsupportedImageError('SVG covers can only be rasterized on the page, not in a worker', 'svg');
+  }
+
+  const url = URL.createObjectURL(new Blob([bytes], { type: IMAGE_FORMATS.svg.mimeType }));
+  try {
+    const image = new Image();
+    image.src = url;
+    try {
+      await image.decode();
+    } catch {
+      throw new CorruptImageError('The SVG could not be rendered (invalid markup)', 'svg');
+    }
+
+    // Intrinsic size from the browser, else the header, else square
+    const intrinsic = image.naturalWidth > 0 && image.naturalHeight > 0
+      ? { width: image.naturalWidth, height: image.naturalHeight }
+      : size || { width: 1, height: 1 };
+    const scale = SVG_RASTER_SIZE / Math.max(intrinsic.width, intrinsic.height);
+    const width = Math.max(1, Math.round(intrinsic.width * scale));
+    const height = Math.max(1, Math.round(intrinsic.height * scale));
+
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(image, 0, 0, width, height);
+    return { width, height, data: context.getImageData(0, 0, width, height).data };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Decode a raster format with createImageBitmap
+ * Animated GIFs (and WebPs) give their first frame.
+ */
+async function decodeBitmap(bytes, format) {
+  if (typeof createImageBitmap === 'undefined') {
+    throw new Error('createImageBitmap is not supported in this environment');
+  }
+
+  let bitmap;
+  try {
+    // Ask the browser not to touch the pixels so hashes stay reproducible
+    bitmap = await createImageBitmap(new Blob([bytes], { type: IMAGE_FORMATS[format].mimeType }), {
+      colorSpaceConversion: 'none',
+      premultiplyAlpha: 'none'
+    });
+  } catch {
+    // Support for the newer formats varies by browser, so a failure there may not mean damage
+    const label = formatLabel(format);
+    throw format === 'avif' || format === 'webp'
+      ? new UnsupportedImageError(`The ${label} could not be decoded: it is damaged, or this browser can't read ${label}`, format)
+      : new CorruptImageError(`The ${label} could not be decoded (damaged or truncated)`, format);
+  }
+
+  try {
+    const { width, height } = bitmap;
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0);
+    const imageData = context.getImageData(0, 0, width, height);
+    return { width, height, data: imageData.data };
+  } finally {
+    bitmap.close();
+  }
+}
+
+// Decoder used instead of createImageBitmap, e.g. pure-JS decoders under Node
+let customDecoder = null;
+
+/**
+ * Replace the browser decoder
+ * Custom decoders get the sniffed format (null when unknown) and decide for themselves what they can read;
+ * size limits are checked before and after them.
+ * @param {Function|null} decoder - async (Uint8Array, format) => { width, height, data }, or null to restore the default
+ */
+export function setImageDecoder(decoder) {
+  customDecoder = decoder;
+}
+
+/**
+ * Decode image bytes into RGBA pixels
+ * PNG, JPEG, GIF (first frame), WebP, AVIF and BMP go through createImageBitmap; SVG is rasterized
+ * through a canvas (on the page only).
+ * @param {Uint8Array|ArrayBuffer|Blob} bytes - Encoded image data
+ * @param {Object} limits - See IMAGE_LIMITS
+ * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}>} Decoded pixels
+ * @throws {ImageError} UnsupportedImageError, ImageTooLargeError or CorruptImageError
+ */
+export async function decodeImage(bytes, limits = IMAGE_LIMITS) {
+  const data = bytes instanceof Blob ? new Uint8Array(await bytes.arrayBuffer()) : new Uint8Array(bytes);
+  const { format, width, height } = inspectImageBytes(data, limits);
+
+  let decoded;
+  if (customDecoder) {
+    decoded = await customDecoder(data, format);
+  } else if (!format) {
+    throw new UnsupportedImageError('Not an image in a known format (PNG, JPEG, GIF, WebP, AVIF, BMP or SVG)');
+  } else if (format === 'svg') {
+    decoded = await rasterizeSvg(data, width && height ? { width, height } : null);
+  } else {
+    decoded = await decodeBitmap(data, format);
+  }
+
+  // Headers can lie (or be missing), so check what actually came out
+  if (!decoded?.data) {
+    throw new CorruptImageError(`The ${formatLabel(format)} could not be decoded`, format);
+  }
+  checkDimensions(decoded, limits, format);
+  return decoded;
+}
@@ -0,0 +1,76 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  CorruptImageError,
+  decodeImage,
+  IMAGE_LIMITS,
+  ImageTooLargeError,
+  restoreImageError,
+  setImageDecoder,
+  UnsupportedImageError
+} from './imageDecoder';
+
+// PNG signature and IHDR with the given size; nothing after it, so only the header can be read
+function pngHeader(width, height) {
+  const bytes = new Uint8Array(33);
+  bytes.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(16, width);
+  view.setUint32(20, height);
+  return bytes;
+}
+
+const pixels = (width, height) => ({ width, height, data: new Uint8Array(width * height * 4) });
+
+afterEach(() => {
+  setImageDecoder(null);
+});
+
+describe('decodeImage', () => {
+  it('hands the sniffed format to a custom decoder', async () => {
+    const decoder = vi.fn(async () => pixels(4, 6));
+    setImageDecoder(decoder);
+
+    await expect(decodeImage(pngHeader(4, 6))).resolves.toMatchObject({ width: 4, height: 6 });
+    expect(decoder).toHaveBeenCalledWith(expect.any(Uint8Array), 'png');
+  });
+
+  it('refuses oversized images before decoding them', async () => {
+    const decoder = vi.fn(async () => pixels(1, 1));
+    setImageDecoder(decoder);
+
+    await expect(decodeImage(pngHeader(IMAGE_LIMITS.maxDimension + 1, 10))).rejects.toThrow(ImageTooLargeError);
+    await expect(decodeImage(pngHeader(8000, 8000))).rejects.toThrow('over the limit');
+    await expect(decodeImage(pngHeader(100, 100), { ...IMAGE_LIMITS, maxBytes: 16 })).rejects.toMatchObject({
+      kind: 'too-large',
+      format: 'png'
+    });
+    expect(decoder).not.toHaveBeenCalled();
+  });
+
+  it('checks what the decoder returned too, since headers can lie', async () => {
+    setImageDecoder(async () => pixels(20000, 2));
+    await expect(decodeImage(pngHeader(2, 2))).rejects.toThrow(ImageTooLargeError);
+
+    setImageDecoder(async () => undefined);
+    await expect(decodeImage(pngHeader(2, 2))).rejects.toThrow(CorruptImageError);
+  });
+
+  it('rejects bytes that are not an image with the browser decoder', async () => {
+    await expect(decodeImage(new TextEncoder().encode('<html>Not Found</html>'))).rejects.toThrow(UnsupportedImageError);
+  });
+
+  it('can not rasterize SVG without an <img> element', async () => {
+    const svg = new TextEncoder().encode('<svg xmlns="http://www.w3.org/2000/svg" width="60" height="90"></svg>');
+    await expect(decodeImage(svg)).rejects.toMatchObject({ kind: 'unsupported', format: 'svg' });
+  });
+});
+
+describe('restoreImageError', () => {
+  it('rebuilds the typed error a worker sent as JSON', () => {
+    const sent = JSON.parse(JSON.stringify(new ImageTooLargeError('Too big', 'webp')));
+    const restored = restoreImageError(sent);
+
+    expect(restored).toBeInstanceOf(ImageTooLargeError);
+    expect(restored).toMatchObject({ message: 'Too big', kind: 'too-large', format: 'webp' });
+  });
+});
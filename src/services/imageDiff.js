@@ -0,0 +1,77 @@
+/**
+ * Pixel-level comparison helpers for the visual diff view
+ */
+
+/**
+ * Map a 0-1 value to a heatmap colour (black -> blue -> yellow -> red)
+ */
+function heatColor(t) {
+  const stops = [
+    [0, [0, 0, 0]],
+    [0.25, [30, 64, 175]],
+    [0.6, [250, 204, 21]],
+    [1, [220, 38, 38]]
+  ];
+
+  for (let i = 1; i < stops.length; i++) {
+    const [end, endColor] = stops[i];
+    if (t <= end) {
+      const [start, startColor] = stops[i - 1];
+      const f = (t - start) / (end - start);
+      return startColor.map((c, j) => Math.round(c + (endColor[j] - c) * f));
+    }
+  }
+  return stops[stops.length - 1][1];
+}
+
+/**
+ * Build a per-pixel difference heatmap of two images of the same size
+ * Differences are measured on luma and mapped to a colour scale.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageA - RGBA pixels
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageB - RGBA pixels, same size
+ * @returns {{width: number, height: number, data: Uint8ClampedArray, meanDifference: number}}
+ *   Heatmap pixels plus the mean absolute difference (0-1)
+ */
+export function computeDifferenceHeatmap(imageA, imageB) {
+  if (imageA.width !== imageB.width || imageA.height !== imageB.height) {
+    throw new Error('Images must be normalized to the same size before diffing');
+  }
+
+  const { width, height } = imageA;
+  const data = new Uint8ClampedArray(width * height * 4);
+  let total = 0;
+
+  for (let p = 0; p < data.length; p += 4) {
+    const lumaA = 0.2126 * imageA.data[p] + 0.7152 * imageA.data[p + 1] + 0.0722 * imageA.data[p + 2];
+    const lumaB = 0.2126 * imageB.data[p] + 0.7152 * imageB.data[p + 1] + 0.0722 * imageB.data[p + 2];
+    const diff = Math.abs(lumaA - lumaB) / 255;
+    total += diff;
+
+    const [r, g, b] = heatColor(diff);
+    data[p] = r;
+    data[p + 1] = g;
+    data[p + 2] = b;
+    data[p + 3] = 255;
+  }
+
+  return { width, height, data, meanDifference: total / (width * height) };
+}
+
+/**
+ * Per-bit comparison of two hex hashes laid out as a square grid
+ * @param {string} hexA - First hash
+ * @param {string} hexB - Second hash
+ * @returns {{size: number, cells: Array<{a: number, b: number, differs: boolean}>}} Grid cells row by row
+ */
+export function compareHashBits(hexA, hexB) {
+  const toBits = (hex) => Array.from(hex).flatMap(char => {
+    const nibble = parseInt(char, 16);
+    return [3, 2, 1, 0].map(shift => (nibble >> shift) & 1);
+  });
+
+  const bitsA = toBits(hexA);
+  const bitsB = toBits(hexB);
+  const cells = bitsA.map((a, i) => ({ a, b: bitsB[i], differs: a !== bitsB[i] }));
+
+  return { size: Math.round(Math.sqrt(cells.length)), cells };
+}
@@ -0,0 +1,167 @@
+/**
+ * Image format sniffing
+ * Tells the real format of image bytes from their magic numbers (file names and Content-Type headers
+ * lie: a ".png" cover is often a WebP) and reads the pixel size from the header, so oversized images
+ * can be refused before anything is decoded.
+ */
+
+/**
+ * Formats the decoding stage knows, with display labels and MIME types
+ */
+export const IMAGE_FORMATS = {
+  png: { label: 'PNG', mimeType: 'image/png' },
+  jpeg: { label: 'JPEG', mimeType: 'image/jpeg' },
+  gif: { label: 'GIF', mimeType: 'image/gif' },
+  webp: { label: 'WebP', mimeType: 'image/webp' },
+  avif: { label: 'AVIF', mimeType: 'image/avif' },
+  bmp: { label: 'BMP', mimeType: 'image/bmp' },
+  svg: { label: 'SVG', mimeType: 'image/svg+xml' }
+};
+
+// SVG is text, so look for the root element near the start instead of a magic number
+const SVG_SNIFF_BYTES = 1024;
+// AVIF keeps its metadata (and so its sizes) in the boxes at the start of the file
+const AVIF_HEADER_BYTES = 64 * 1024;
+
+function ascii(bytes, start, length) {
+  return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+function isSvg(bytes) {
+  const text = new TextDecoder().decode(bytes.subarray(0, SVG_SNIFF_BYTES)).replace(/^\uFEFF/, '').trimStart();
+  return text.startsWith('<') && /<svg[\s>]/i.test(text) && !/<html[\s>]/i.test(text);
+}
+
+/**
+ * ISO-BMFF files (AVIF, HEIC, MP4) start with an ftyp box; AVIF names itself as the major or a compatible brand
+ */
+function isAvif(bytes) {
+  if (bytes.length < 16 || ascii(bytes, 4, 4) !== 'ftyp') return false;
+  const boxSize = Math.min(bytes.length, new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0));
+  for (let offset = 8; offset + 4 <= boxSize; offset += 4) {
+    // Skips the minor version at 12, which is a number rather than a brand
+    if (offset === 12) continue;
+    const brand = ascii(bytes, offset, 4);
+    if (brand === 'avif' || brand === 'avis') return true;
+  }
+  return false;
+}
+
+/**
+ * Detect an image's format from its first bytes
+ * @param {Uint8Array} bytes - Encoded image
+ * @returns {string|null} A key of IMAGE_FORMATS, or null when the bytes aren't a known image
+ */
+export function detectImageFormat(bytes) {
+  if (bytes.length >= 8 && bytes[0] === 0x89 && ascii(bytes, 1, 3) === 'PNG') return 'png';
+  if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpeg';
+  if (bytes.length >= 6 && (ascii(bytes, 0, 6) === 'GIF87a' || ascii(bytes, 0, 6) === 'GIF89a')) return 'gif';
+  if (bytes.length >= 12 && ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') return 'webp';
+  if (isAvif(bytes)) return 'avif';
+  if (bytes.length >= 26 && ascii(bytes, 0, 2) === 'BM') return 'bmp';
+  if (isSvg(bytes)) return 'svg';
+  return null;
+}
+
+function jpegDimensions(bytes, view) {
+  let offset = 2;
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    // Fill bytes, and markers that stand alone without a length
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+      offset += 2;
+      continue;
+    }
+    // Start of frame (any coding except the DHT, JPG and DAC markers that share the range)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      if (offset + 9 > bytes.length) return null;
+      return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+    }
+    offset += 2 + view.getUint16(offset + 2);
+  }
+  return null;
+}
+
+function webpDimensions(bytes, view) {
+  const chunk = ascii(bytes, 12, 4);
+  if (chunk === 'VP8 ' && bytes.length >= 30) {
+    return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && bytes.length >= 25) {
+    const [b0, b1, b2, b3] = bytes.subarray(21, 25);
+    return {
+      width: 1 + (((b1 & 0x3f) << 8) | b0),
+      height: 1 + (((b3 & 0x0f) << 10) | (b2 << 2) | ((b1 & 0xc0) >> 6))
+    };
+  }
+  if (chunk === 'VP8X' && bytes.length >= 30) {
+    const uint24 = offset => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+    return { width: 1 + uint24(24), height: 1 + uint24(27) };
+  }
+  return null;
+}
+
+/**
+ * AVIF stores sizes in 'ispe' properties, one per image item (the cover, its alpha plane, thumbnails);
+ * the largest one is what decoding will cost
+ */
+function avifDimensions(bytes, view) {
+  let largest = null;
+  const end = Math.min(bytes.length, AVIF_HEADER_BYTES);
+  for (let offset = 4; offset + 16 <= end; offset++) {
+    if (bytes[offset] !== 0x69 || ascii(bytes, offset, 4) !== 'ispe') continue;
+    const size = { width: view.getUint32(offset + 8), height: view.getUint32(offset + 12) };
+    if (!largest || size.width * size.height > largest.width * largest.height) largest = size;
+  }
+  return largest;
+}
+
+function svgDimensions(bytes) {
+  const text = new TextDecoder().decode(bytes);
+  const tag = text.match(/<svg\b[^>]*>/i)?.[0];
+  if (!tag) return null;
+  const attribute = name => tag.match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(px)?\\s*["']`, 'i'));
+  const width = attribute('width');
+  const height = attribute('height');
+  if (width && height) return { width: Number(width[1]), height: Number(height[1]) };
+
+  const viewBox = tag.match(/\sviewBox\s*=\s*["']([^"']+)["']/i)?.[1].trim().split(/[\s,]+/).map(Number);
+  if (viewBox?.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { width: viewBox[2], height: viewBox[3] };
+  }
+  return null;
+}
+
+/**
+ * Read an image's pixel size from its header, without decoding it
+ * SVG sizes are in CSS pixels (width/height attributes, else the viewBox).
+ * @param {Uint8Array} bytes - Encoded image
+ * @param {string} format - Format from detectImageFormat
+ * @returns {{width: number, height: number}|null} null when the header doesn't say (or is cut short)
+ */
+export function readImageDimensions(bytes, format) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  switch (format) {
+    case 'png':
+      return bytes.length >= 24 ? { width: view.getUint32(16), height: view.getUint32(20) } : null;
+    case 'jpeg':
+      return jpegDimensions(bytes, view);
+    case 'gif':
+      return bytes.length >= 10 ? { width: view.getUint16(6, true), height: view.getUint16(8, true) } : null;
+    case 'webp':
+      return webpDimensions(bytes, view);
+    case 'avif':
+      return avifDimensions(bytes, view);
+    case 'bmp':
+      return { width: Math.abs(view.getInt32(18, true)), height: Math.abs(view.getInt32(22, true)) };
+    case 'svg':
+      return svgDimensions(bytes);
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,81 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { detectImageFormat, readImageDimensions } from './imageFormat';
+
+const cover = name => new Uint8Array(readFileSync(new URL(`../../public/covers/${name}`, import.meta.url)));
+
+function bytesOf(...parts) {
+  const chunks = parts.map(part => (typeof part === 'string' ? new TextEncoder().encode(part) : Uint8Array.from(part)));
+  const bytes = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+}
+
+const uint32 = value => [value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+const uint16le = value => [value & 0xff, value >>> 8];
+const uint24le = value => [value & 0xff, (value >>> 8) & 0xff, value >>> 16];
+
+describe('detectImageFormat', () => {
+  it('goes by the bytes, not the file name', () => {
+    expect(detectImageFormat(cover('kirkification.png'))).toBe('png');
+    expect(detectImageFormat(cover('TheGirlInThePeachTree.jpg'))).toBe('jpeg');
+    expect(detectImageFormat(cover('PARADOX.png'))).toBe('webp');
+    expect(detectImageFormat(cover('Simpk - Copy (2).png'))).toBe('jpeg');
+    expect(detectImageFormat(cover('cover1.svg'))).toBe('svg');
+  });
+
+  it('recognizes GIF, BMP and AVIF headers', () => {
+    expect(detectImageFormat(bytesOf('GIF89a', [0, 0, 0, 0]))).toBe('gif');
+    expect(detectImageFormat(bytesOf('BM', new Array(24).fill(0)))).toBe('bmp');
+    expect(detectImageFormat(bytesOf(uint32(24), 'ftypmif1', uint32(0), 'avifmiaf'))).toBe('avif');
+    expect(detectImageFormat(bytesOf(uint32(20), 'ftypheic', uint32(0), 'mif1'))).toBeNull();
+  });
+
+  it('finds SVG after an XML prolog, but not inside an HTML page', () => {
+    expect(detectImageFormat(bytesOf('\uFEFF<?xml version="1.0"?>\n<svg viewBox="0 0 10 10"></svg>'))).toBe('svg');
+    expect(detectImageFormat(bytesOf('<!DOCTYPE html><html><body><svg></svg></body></html>'))).toBeNull();
+    expect(detectImageFormat(bytesOf('Not Found'))).toBeNull();
+    expect(detectImageFormat(new Uint8Array(0))).toBeNull();
+  });
+});
+
+describe('readImageDimensions', () => {
+  it('reads the size from PNG, JPEG, WebP and SVG headers', () => {
+    expect(readImageDimensions(cover('kirkification.png'), 'png')).toEqual({ width: 1600, height: 1200 });
+    expect(readImageDimensions(cover('TheGirlInThePeachTree.jpg'), 'jpeg')).toEqual({ width: 333, height: 500 });
+    expect(readImageDimensions(cover('PARADOX.png'), 'webp')).toEqual({ width: 1003, height: 1600 });
+    expect(readImageDimensions(cover('cover1.svg'), 'svg')).toEqual({ width: 600, height: 600 });
+  });
+
+  it('reads lossless and extended WebP headers', () => {
+    // 4000×3000: width - 1 in 14 bits, then height - 1 in the next 14
+    const packed = (4000 - 1) | ((3000 - 1) << 14);
+    const lossless = bytesOf('RIFF', uint32(0), 'WEBPVP8L', uint32(0), [0x2f], uint32(packed).reverse(), [0, 0, 0, 0, 0]);
+    expect(readImageDimensions(lossless, 'webp')).toEqual({ width: 4000, height: 3000 });
+
+    const extended = bytesOf('RIFF', uint32(0), 'WEBPVP8X', uint32(0), [0, 0, 0, 0], uint24le(20000 - 1), uint24le(500 - 1));
+    expect(readImageDimensions(extended, 'webp')).toEqual({ width: 20000, height: 500 });
+  });
+
+  it('reads GIF and BMP sizes, and the largest AVIF image', () => {
+    expect(readImageDimensions(bytesOf('GIF89a', uint16le(320), uint16le(480)), 'gif')).toEqual({ width: 320, height: 480 });
+
+    const bmp = bytesOf('BM', new Array(16).fill(0), [200, 0, 0, 0], [0x38, 0xff, 0xff, 0xff]);
+    expect(readImageDimensions(bmp, 'bmp')).toEqual({ width: 200, height: 200 });
+
+    const avif = bytesOf(uint32(24), 'ftypavif', uint32(0), 'mif1miaf',
+      uint32(20), 'ispe', uint32(0), uint32(160), uint32(240),
+      uint32(20), 'ispe', uint32(0), uint32(1600), uint32(2400));
+    expect(readImageDimensions(avif, 'avif')).toEqual({ width: 1600, height: 2400 });
+  });
+
+  it('falls back to the SVG viewBox and gives up on truncated headers', () => {
+    expect(readImageDimensions(bytesOf('<svg width="100%" viewBox="0 0 300 450"/>'), 'svg')).toEqual({ width: 300, height: 450 });
+    expect(readImageDimensions(bytesOf('<svg/>'), 'svg')).toBeNull();
+    expect(readImageDimensions(cover('TheGirlInThePeachTree.jpg').subarray(0, 40), 'jpeg')).toBeNull();
+  });
+});
@@ -0,0 +1,437 @@
+/**
+ * Pure JavaScript image hashes
+ * The perceptual hash is the fallback for when the WASM module can't be loaded
+ * and mirrors the Rust pipeline step for step so both produce the same bits:
+ * luma conversion -> Lanczos3 resize to 32x32 -> 2D DCT -> 8x8 low frequencies -> median threshold
+ * Average, difference and wavelet hashes share the same grayscale input, which can be
+ * trimmed of borders or mirrored, rotated and cropped before hashing.
+ */
+
+/**
+ * Hash object exposing the same surface as the WASM ImageHash
+ */
+export class ImageHash {
+  /**
+   * @param {Uint8Array} bits - One entry (0 or 1) per hash bit, most significant first
+   */
+  constructor(bits) {
+    this.bits = bits;
+  }
+
+  /**
+   * Rebuild a hash from its hex representation
+   * @param {string} hex - Output of toHex()
+   * @returns {ImageHash}
+   */
+  static fromHex(hex) {
+    const bits = new Uint8Array(hex.length * 4);
+    for (let i = 0; i < hex.length; i++) {
+      const nibble = parseInt(hex[i], 16);
+      for (let j = 0; j < 4; j++) {
+        bits[i * 4 + j] = (nibble >> (3 - j)) & 1;
+      }
+    }
+    return new ImageHash(bits);
+  }
+
+  /**
+   * Hex string representation of the hash (big-endian, 4 bits per character)
+   * @returns {string}
+   */
+  toHex() {
+    let hex = '';
+    for (let i = 0; i < this.bits.length; i += 4) {
+      let nibble = 0;
+      for (let j = 0; j < 4; j++) {
+        nibble = (nibble << 1) | (this.bits[i + j] || 0);
+      }
+      hex += nibble.toString(16);
+    }
+    return hex;
+  }
+
+  /**
+   * Number of differing bits between this hash and another
+   * Accepts any hash object with a toHex() method, including WASM hashes
+   * @param {Object} other - Hash to compare against
+   * @returns {number} Hamming distance
+   */
+  hammingDistance(other) {
+    return hexHammingDistance(this.toHex(), other.toHex());
+  }
+}
+
+/**
+ * Hamming distance between two hex-encoded hashes of equal length
+ * @param {string} hexA - First hash
+ * @param {string} hexB - Second hash
+ * @returns {number} Number of differing bits
+ */
+export function hexHammingDistance(hexA, hexB) {
+  if (hexA.length !== hexB.length) {
+    throw new Error(`Cannot compare hashes of different lengths (${hexA.length} vs ${hexB.length})`);
+  }
+
+  let distance = 0;
+  for (let i = 0; i < hexA.length; i++) {
+    let diff = parseInt(hexA[i], 16) ^ parseInt(hexB[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Convert RGBA pixels to 8-bit luma (Rec. 709 weights, same as the Rust image crate)
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - RGBA image
+ * @returns {{width: number, height: number, data: Float32Array}} Grayscale image
+ */
+export function toGrayscale(image) {
+  const { width, height, data } = image;
+  const gray = new Float32Array(width * height);
+
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = Math.round((2126 * data[p] + 7152 * data[p + 1] + 722 * data[p + 2]) / 10000);
+  }
+
+  return { width, height, data: gray };
+}
+
+function sinc(x) {
+  if (x === 0) return 1;
+  const a = x * Math.PI;
+  return Math.sin(a) / a;
+}
+
+function lanczos3(x) {
+  return Math.abs(x) < 3 ? sinc(x) * sinc(x / 3) : 0;
+}
+
+/**
+ * Precompute normalized filter weights for one resampling axis
+ */
+function computeWeights(srcSize, dstSize) {
+  const ratio = srcSize / dstSize;
+  const scale = Math.max(ratio, 1);
+  const support = 3 * scale;
+  const weights = [];
+
+  for (let out = 0; out < dstSize; out++) {
+    const center = (out + 0.5) * ratio;
+    const left = Math.min(Math.max(Math.floor(center - support), 0), srcSize - 1);
+    const right = Math.min(Math.max(Math.ceil(center + support), left + 1), srcSize);
+    const taps = [];
+    let sum = 0;
+
+    for (let i = left; i < right; i++) {
+      const w = lanczos3((i - (center - 0.5)) / scale);
+      taps.push(w);
+      sum += w;
+    }
+
+    weights.push({ left, taps: taps.map(w => w / sum) });
+  }
+
+  return weights;
+}
+
+/**
+ * Resize a grayscale image with a separable Lanczos3 filter
+ * Vertical pass first, then horizontal, rounding to 8 bits at the end
+ * @param {{width: number, height: number, data: Float32Array}} gray - Source image
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {{width: number, height: number, data: Float32Array}} Resized image
+ */
+export function resizeGrayscale(gray, width, height) {
+  const vertical = computeWeights(gray.height, height);
+  const tmp = new Float32Array(gray.width * height);
+
+  for (let y = 0; y < height; y++) {
+    const { left, taps } = vertical[y];
+    for (let x = 0; x < gray.width; x++) {
+      let acc = 0;
+      for (let k = 0; k < taps.length; k++) {
+        acc += gray.data[(left + k) * gray.width + x] * taps[k];
+      }
+      tmp[y * gray.width + x] = acc;
+    }
+  }
+
+  const horizontal = computeWeights(gray.width, width);
+  const out = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const { left, taps } = horizontal[x];
+      let acc = 0;
+      for (let k = 0; k < taps.length; k++) {
+        acc += tmp[y * gray.width + left + k] * taps[k];
+      }
+      out[y * width + x] = Math.min(Math.max(Math.round(acc), 0), 255);
+    }
+  }
+
+  return { width, height, data: out };
+}
+
+/**
+ * Orthonormal 2D DCT-II of a square matrix
+ * @param {Float32Array} values - Row-major N x N values
+ * @param {number} size - N
+ * @returns {Float64Array} Row-major DCT coefficients
+ */
+export function dct2d(values, size) {
+  const cos = new Float64Array(size * size);
+  for (let k = 0; k < size; k++) {
+    for (let n = 0; n < size; n++) {
+      cos[k * size + n] = Math.cos((Math.PI / size) * (n + 0.5) * k);
+    }
+  }
+
+  const scale = (k) => (k === 0 ? Math.sqrt(1 / size) : Math.sqrt(2 / size));
+
+  // Rows
+  const rows = new Float64Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let k = 0; k < size; k++) {
+      let acc = 0;
+      for (let n = 0; n < size; n++) {
+        acc += values[y * size + n] * cos[k * size + n];
+      }
+      rows[y * size + k] = acc * scale(k);
+    }
+  }
+
+  // Columns
+  const out = new Float64Array(size * size);
+  for (let x = 0; x < size; x++) {
+    for (let k = 0; k < size; k++) {
+      let acc = 0;
+      for (let n = 0; n < size; n++) {
+        acc += rows[n * size + x] * cos[k * size + n];
+      }
+      out[k * size + x] = acc * scale(k);
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Median of a list of numbers (mean of the two middle values for even lengths)
+ */
+export function median(values) {
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Threshold values into hash bits
+ */
+function thresholdBits(values, threshold) {
+  const bits = new Uint8Array(values.length);
+  for (let i = 0; i < bits.length; i++) {
+    bits[i] = values[i] > threshold ? 1 : 0;
+  }
+  return new ImageHash(bits);
+}
+
+/**
+ * Perceptual hash: low DCT frequencies thresholded at their median
+ * @param {{width: number, height: number, data: Float32Array}} gray - Grayscale image
+ * @param {number} hashSize - Hash side length (hashSize^2 bits, default 8)
+ * @returns {ImageHash}
+ */
+export function perceptualHash(gray, hashSize = 8) {
+  const dctSize = hashSize * 4;
+  const small = resizeGrayscale(gray, dctSize, dctSize);
+  const coefficients = dct2d(small.data, dctSize);
+
+  const lowFrequencies = new Float64Array(hashSize * hashSize);
+  for (let y = 0; y < hashSize; y++) {
+    for (let x = 0; x < hashSize; x++) {
+      lowFrequencies[y * hashSize + x] = coefficients[y * dctSize + x];
+    }
+  }
+
+  return thresholdBits(lowFrequencies, median(lowFrequencies));
+}
+
+/**
+ * Average hash: downscaled pixels thresholded at their mean
+ * @param {{width: number, height: number, data: Float32Array}} gray - Grayscale image
+ * @param {number} hashSize - Hash side length (hashSize^2 bits, default 8)
+ * @returns {ImageHash}
+ */
+export function averageHash(gray, hashSize = 8) {
+  const small = resizeGrayscale(gray, hashSize, hashSize);
+  const mean = small.data.reduce((sum, value) => sum + value, 0) / small.data.length;
+  return thresholdBits(small.data, mean);
+}
+
+/**
+ * Difference hash: one bit per horizontal gradient sign
+ * @param {{width: number, height: number, data: Float32Array}} gray - Grayscale image
+ * @param {number} hashSize - Hash side length (hashSize^2 bits, default 8)
+ * @returns {ImageHash}
+ */
+export function differenceHash(gray, hashSize = 8) {
+  const small = resizeGrayscale(gray, hashSize + 1, hashSize);
+  const bits = new Uint8Array(hashSize * hashSize);
+
+  for (let y = 0; y < hashSize; y++) {
+    for (let x = 0; x < hashSize; x++) {
+      const row = y * (hashSize + 1);
+      bits[y * hashSize + x] = small.data[row + x + 1] > small.data[row + x] ? 1 : 0;
+    }
+  }
+
+  return new ImageHash(bits);
+}
+
+/**
+ * Wavelet hash: Haar LL band with the DC component removed, thresholded at its median
+ * @param {{width: number, height: number, data: Float32Array}} gray - Grayscale image
+ * @param {number} hashSize - Hash side length (hashSize^2 bits, default 8)
+ * @returns {ImageHash}
+ */
+export function waveletHash(gray, hashSize = 8) {
+  const scale = hashSize * 4;
+  const small = resizeGrayscale(gray, scale, scale);
+
+  // Dropping the coarsest Haar LL coefficient is the same as removing the mean
+  const mean = small.data.reduce((sum, value) => sum + value, 0) / small.data.length;
+  let size = scale;
+  let band = Float64Array.from(small.data, value => (value - mean) / 255);
+
+  // Each Haar level keeps the (orthonormal) LL quadrant: scaled 2x2 block sums
+  while (size > hashSize) {
+    const half = size / 2;
+    const next = new Float64Array(half * half);
+    for (let y = 0; y < half; y++) {
+      for (let x = 0; x < half; x++) {
+        const i = 2 * y * size + 2 * x;
+        next[y * half + x] = (band[i] + band[i + 1] + band[i + size] + band[i + size + 1]) / 2;
+      }
+    }
+    band = next;
+    size = half;
+  }
+
+  return thresholdBits(band, median(band));
+}
+
+/**
+ * Copy a rectangle out of a grayscale image
+ * @param {{width: number, height: number, data: Float32Array}} gray - Source image
+ * @param {number} left - First column kept
+ * @param {number} top - First row kept
+ * @param {number} width - Columns kept
+ * @param {number} height - Rows kept
+ * @returns {{width: number, height: number, data: Float32Array}} Cropped image
+ */
+export function cropGrayscale(gray, left, top, width, height) {
+  const data = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const start = (top + y) * gray.width + left;
+    data.set(gray.data.subarray(start, start + width), y * width);
+  }
+  return { width, height, data };
+}
+
+/**
+ * Whether every pixel of a row or column is within tolerance of a reference value
+ */
+function isUniformLine(gray, index, horizontal, reference, tolerance) {
+  const length = horizontal ? gray.width : gray.height;
+  for (let i = 0; i < length; i++) {
+    const value = horizontal ? gray.data[index * gray.width + i] : gray.data[i * gray.width + index];
+    if (Math.abs(value - reference) > tolerance) return false;
+  }
+  return true;
+}
+
+/**
+ * Count the uniform lines at one edge, all matching the colour of the outermost pixel
+ */
+function countBorderLines(gray, horizontal, fromEnd, limit, tolerance) {
+  const lines = horizontal ? gray.height : gray.width;
+  const edge = fromEnd ? lines - 1 : 0;
+  const reference = horizontal ? gray.data[edge * gray.width] : gray.data[edge];
+
+  let count = 0;
+  while (count < limit) {
+    const index = fromEnd ? lines - 1 - count : count;
+    if (!isUniformLine(gray, index, horizontal, reference, tolerance)) break;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Remove solid-colour borders (padding, letterboxing, scanner margins)
+ * Each edge loses at most maxTrim of its dimension, so a plain image is never cropped away.
+ * @param {{width: number, height: number, data: Float32Array}} gray - Grayscale image
+ * @param {Object} options
+ * @param {number} options.tolerance - Max luma difference still counted as border (default 12)
+ * @param {number} options.maxTrim - Max fraction of the width/height trimmed per edge (default 0.25)
+ * @returns {{width: number, height: number, data: Float32Array}} The trimmed image, or the input when there is no border
+ */
+export function trimBorders(gray, { tolerance = 12, maxTrim = 0.25 } = {}) {
+  const rowLimit = Math.floor(gray.height * maxTrim);
+  const columnLimit = Math.floor(gray.width * maxTrim);
+
+  const top = countBorderLines(gray, true, false, rowLimit, tolerance);
+  const bottom = countBorderLines(gray, true, true, rowLimit, tolerance);
+  const left = countBorderLines(gray, false, false, columnLimit, tolerance);
+  const right = countBorderLines(gray, false, true, columnLimit, tolerance);
+
+  if (top + bottom + left + right === 0) return gray;
+  return cropGrayscale(gray, left, top, gray.width - left - right, gray.height - top - bottom);
+}
+
+/**
+ * Keep the central part of an image
+ * @param {{width: number, height: number, data: Float32Array}} gray - Grayscale image
+ * @param {number} fraction - Share of the width and height kept (default 0.8)
+ * @returns {{width: number, height: number, data: Float32Array}} Cropped image
+ */
+export function centerCrop(gray, fraction = 0.8) {
+  const width = Math.max(1, Math.round(gray.width * fraction));
+  const height = Math.max(1, Math.round(gray.height * fraction));
+  return cropGrayscale(gray, (gray.width - width) >> 1, (gray.height - height) >> 1, width, height);
+}
+
+/**
+ * Remap every pixel of a grayscale image through a coordinate function
+ * @param {Function} source - (x, y) of the output => index into the input
+ */
+function remapGrayscale(gray, width, height, source) {
+  const data = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data[y * width + x] = gray.data[source(x, y)];
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Geometric variants of an image, keyed by name
+ * Rotations are clockwise.
+ */
+export const GRAYSCALE_TRANSFORMS = {
+  mirror: (gray) => remapGrayscale(gray, gray.width, gray.height,
+    (x, y) => y * gray.width + (gray.width - 1 - x)),
+  rotate90: (gray) => remapGrayscale(gray, gray.height, gray.width,
+    (x, y) => (gray.height - 1 - x) * gray.width + y),
+  rotate180: (gray) => remapGrayscale(gray, gray.width, gray.height,
+    (x, y) => (gray.height - 1 - y) * gray.width + (gray.width - 1 - x)),
+  rotate270: (gray) => remapGrayscale(gray, gray.height, gray.width,
+    (x, y) => x * gray.width + (gray.width - 1 - y)),
+  centerCrop: (gray) => centerCrop(gray)
+};
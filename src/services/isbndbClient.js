@@ -0,0 +1,236 @@
+import { createRateLimiter } from './rateLimiter';
+import { createResponseCache } from './responseCache';
+import { createAbortError, isAbortError } from './taskPool';
+
+// ISBNdb is reached through our API proxy (server/apiHandler.js), which holds the key.
+// Empty means same origin, i.e. the Vite dev/preview middleware.
+const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || '').replace(/\/$/, '');
+
+// The basic ISBNdb plan allows one request per second
+const REQUESTS_PER_SECOND = Number(import.meta.env.VITE_ISBNDB_REQUESTS_PER_SECOND) || 1;
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 1000;
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_PAGE_SIZE = 1000;
+// Error code the proxy (server/apiHandler.js) sends with its 503 when ISBNDB_API_KEY isn't set
+const MISSING_API_KEY_CODE = 'missing_api_key';
+
+/**
+ * Base class for ISBNdb failures
+ * `kind` is one of 'auth', 'quota', 'network' or 'http' so the UI can explain what went wrong.
+ */
+export class IsbndbError extends Error {
+  constructor(message, { status = null, kind = 'http' } = {}) {
+    super(message);
+    this.name = 'IsbndbError';
+    this.status = status;
+    this.kind = kind;
+  }
+}
+
+/**
+ * Missing, invalid or unauthorized API key
+ */
+export class IsbndbAuthError extends IsbndbError {
+  constructor(message, status = null) {
+    super(message, { status, kind: 'auth' });
+    this.name = 'IsbndbAuthError';
+  }
+}
+
+/**
+ * Rate limit or daily quota exhausted (HTTP 429 after retries)
+ */
+export class IsbndbQuotaError extends IsbndbError {
+  constructor(message, status = 429) {
+    super(message, { status, kind: 'quota' });
+    this.name = 'IsbndbQuotaError';
+  }
+}
+
+/**
+ * Request never got a usable answer (offline, DNS, CORS, or 5xx after retries)
+ */
+export class IsbndbNetworkError extends IsbndbError {
+  constructor(message, status = null) {
+    super(message, { status, kind: 'network' });
+    this.name = 'IsbndbNetworkError';
+  }
+}
+
+const rateLimiter = createRateLimiter({ tokensPerInterval: REQUESTS_PER_SECOND, interval: 1000 });
+const cache = createResponseCache({ ttl: CACHE_TTL_MS, namespace: 'isbndb' });
+
+/**
+ * Whether ISBNdb can be used
+ * The key lives on the proxy, so this can be switched off with VITE_ISBNDB_ENABLED=false
+ * when the proxy isn't deployed.
+ * @returns {boolean}
+ */
+export function isIsbndbConfigured() {
+  return import.meta.env.VITE_ISBNDB_ENABLED !== 'false';
+}
+
+/**
+ * URL of a cover image served (and cached) by the proxy
+ * Same-origin covers also avoid CORS problems when hashing.
+ * @param {string} isbn - ISBN-10 or ISBN-13
+ * @returns {string}
+ */
+export function getProxiedCoverUrl(isbn) {
+  return `${API_BASE_URL}/api/covers/${encodeURIComponent(isbn)}`;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Delay before the next attempt: Retry-After when given, else exponential backoff with jitter
+ */
+function backoffDelay(attempt, response) {
+  const retryAfter = Number(response?.headers.get('Retry-After'));
+  if (retryAfter > 0) return retryAfter * 1000;
+  return BASE_BACKOFF_MS * 2 ** attempt + Math.random() * 250;
+}
+
+/**
+ * Whether the proxy itself refused the request for lack of a key
+ * It answers 503 with `code: 'missing_api_key'`; any other 503 is ISBNdb's own and worth retrying.
+ */
+async function isMissingApiKey(response) {
+  if (response.status !== 503) return false;
+  try {
+    const body = await response.clone().json();
+    return body?.code === MISSING_API_KEY_CODE;
+  } catch {
+    return false;
+  }
+}
+
+function errorForResponse(response, missingApiKey) {
+  const message = `ISBNDB API error: ${response.status} ${response.statusText}`;
+  if (response.status === 401 || response.status === 403) {
+    return new IsbndbAuthError(`${message}. Check ISBNDB_API_KEY on the API server.`, response.status);
+  }
+  if (missingApiKey) {
+    return new IsbndbAuthError('ISBNdb API key not configured on the API server. Set ISBNDB_API_KEY.', response.status);
+  }
+  if (response.status === 429) {
+    return new IsbndbQuotaError(`${message}. The ISBNdb rate limit or daily quota was exceeded.`);
+  }
+  if (response.status >= 500) {
+    return new IsbndbNetworkError(message, response.status);
+  }
+  return new IsbndbError(message, { status: response.status });
+}
+
+/**
+ * GET an API proxy endpoint with caching, rate limiting and retries
+ * 429 and 5xx responses (except the proxy's own 503 for a missing key) and network failures are
+ * retried with backoff.
+ * @param {string} path - Proxy path, e.g. '/api/books/search'
+ * @param {Object} params - Query string parameters
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels waiting and the request
+ * @param {boolean} options.useCache - Read and write the response cache (default true)
+ * @returns {Promise<Object|null>} Parsed JSON, or null for 404
+ */
+export async function isbndbRequest(path, params = {}, { signal, useCache = true } = {}) {
+  const search = new URLSearchParams(params).toString();
+  const url = `${API_BASE_URL}${path}${search ? `?${search}` : ''}`;
+  const cacheKey = url;
+
+  if (useCache) {
+    const cached = await cache.get(cacheKey);
+    if (cached !== undefined) return cached;
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    await rateLimiter.acquire(signal);
+
+    let response;
+    try {
+      response = await fetch(url, { signal });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      if (attempt < MAX_RETRIES) {
+        await sleep(backoffDelay(attempt), signal);
+        continue;
+      }
+      throw new IsbndbNetworkError(`ISBNDB request failed: ${error.message}`);
+    }
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (response.ok) {
+      const data = await response.json();
+      if (useCache) await cache.set(cacheKey, data);
+      return data;
+    }
+
+    const missingApiKey = await isMissingApiKey(response);
+    const retryable = !missingApiKey && (response.status === 429 || response.status >= 500);
+    if (retryable && attempt < MAX_RETRIES) {
+      await sleep(backoffDelay(attempt, response), signal);
+      continue;
+    }
+
+    throw errorForResponse(response, missingApiKey);
+  }
+}
+
+/**
+ * Search books, following pagination until the result budget is reached
+ * @param {string} query - Search query
+ * @param {Object} options
+ * @param {string} options.column - Limit the search to one ISBNdb column, e.g. 'subjects' (default: all)
+ * @param {number} options.page - First page to read (default 1)
+ * @param {number} options.pageSize - Results per page (default 20)
+ * @param {number} options.maxResults - Result budget across pages (default pageSize, i.e. one page)
+ * @param {AbortSignal} options.signal - Cancels the remaining requests
+ * @returns {Promise<Array>} Raw ISBNdb book records
+ */
+export async function searchIsbndbBooks(query, { column, page = 1, pageSize = 20, maxResults = pageSize, signal } = {}) {
+  const size = Math.min(pageSize, MAX_PAGE_SIZE);
+  const books = [];
+
+  for (let current = page; books.length < maxResults; current++) {
+    const data = await isbndbRequest(
+      '/api/books/search',
+      { q: query, page: current, pageSize: size, ...(column && { column }) },
+      { signal }
+    );
+    const pageBooks = data?.books || [];
+    books.push(...pageBooks);
+
+    const total = data?.total ?? 0;
+    if (pageBooks.length < size || current * size >= total) break;
+  }
+
+  return books.slice(0, maxResults);
+}
+
+/**
+ * Get one book by ISBN
+ * @param {string} isbn - ISBN-10 or ISBN-13
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object|null>} Raw ISBNdb book record
+ */
+export async function getIsbndbBook(isbn, { signal } = {}) {
+  const data = await isbndbRequest(`/api/books/${encodeURIComponent(isbn)}`, {}, { signal });
+  return data?.book || null;
+}
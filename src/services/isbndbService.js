@@ -1,42 +1,37 @@
-import { compareImages, calculateHash, getImageHashHex } from './phashService';
-import { getTitleVariations, extractBookTitle } from './translationService';
-
-// ISBNDB API configuration
-const ISBNDB_API_KEY = import.meta.env.VITE_ISBNDB_API_KEY || '';
-const ISBNDB_BASE_URL = 'https://api2.isbndb.com';
+import { analyzeImage, compareHashSets, DEFAULT_HASH_WEIGHTS, HASH_TRANSFORMS } from './phashService';
+import { findSharedRegion } from './regionMatcher';
+import { rankBooksByRelevance, scoreBookRelevance } from './textRelevance';
+import { getMultilingualTitles, extractBookTitle } from './translationService';
+import { getCoverHashIndex } from './hashIndex';
+import { describeCalibration, getIndexCalibration, meetsConfidence, scoreMatchConfidence } from './matchConfidence';
+import { evaluateLicense, getLicenseRegistry, toArtworkId } from './licenseRegistry';
+import { matchKey } from './scanHistory';
+import { ImageHash } from './imageHash';
+import { isAbortError, runWithConcurrency, throwIfAborted, withTimeout } from './taskPool';
+import { searchCatalog, SEARCH_FIELDS } from './providers';
 
 /**
- * Search for books on ISBNDB
+ * Search for books across the configured metadata providers
+ * (ISBNdb, Open Library, Google Books or the offline mock), merged by ISBN-13
  * @param {string} query - Search query
  * @param {number} page - Page number (default 1)
  * @param {number} pageSize - Results per page (default 20)
+ * @param {Object} options
+ * @param {string} options.field - What the query is matched against, one of SEARCH_FIELDS (default: any)
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {Object} options.rateLimiter - Shared limiter from createRateLimiter to wait on before requesting
+ * @param {Array<string>} options.providers - Provider names to use instead of the configured ones
+ * @param {number} options.maxResults - Result budget for providers that paginate (default pageSize)
+ * @param {Function} options.onProviderError - (providerName, error) => void when one provider fails
  * @returns {Promise<Array>} Array of book results
  */
-export async function searchBooks(query = '', page = 1, pageSize = 20) {
-  if (!ISBNDB_API_KEY) {
-    throw new Error('ISBNDB API key not configured. Please set VITE_ISBNDB_API_KEY in .env file');
-  }
-
+export async function searchBooks(query = '', page = 1, pageSize = 20, options = {}) {
   try {
-    const url = new URL(`${ISBNDB_BASE_URL}/books/${encodeURIComponent(query)}`);
-    url.searchParams.set('page', page);
-    url.searchParams.set('pageSize', pageSize);
-
-    const response = await fetch(url, {
-      headers: {
-        'Authorization': ISBNDB_API_KEY,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`ISBNDB API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data.books || [];
+    return await searchCatalog(query, { page, pageSize, ...options });
   } catch (error) {
-    console.error('ISBNDB search error:', error);
+    if (!isAbortError(error)) {
+      console.error('Book search error:', error);
+    }
     throw error;
   }
 }
@@ -45,10 +40,11 @@ export async function searchBooks(query = '', page = 1, pageSize = 20) {
  * Get books with cover images
  * @param {string} query - Search query
  * @param {number} maxResults - Maximum number of results to return
+ * @param {Object} requestOptions - Same options as searchBooks
  * @returns {Promise<Array>} Books with cover images
  */
-export async function getBooksWithCovers(query = 'fiction', maxResults = 50) {
-  const books = await searchBooks(query, 1, maxResults);
+export async function getBooksWithCovers(query = 'fiction', maxResults = 50, requestOptions = {}) {
+  const books = await searchBooks(query, 1, Math.min(maxResults, 20), { ...requestOptions, maxResults });
 
   // Filter to only books with cover images
   return books.filter(book => book.image && book.image.trim() !== '');
@@ -56,13 +52,24 @@ export async function getBooksWithCovers(query = 'fiction', maxResults = 50) {
 
 /**
  * Search for books by title in multiple languages
+ * Hits are scored against the title (and expected authors), ranked, and weak ones dropped.
  * @param {string} title - Book title to search for
  * @param {number} maxResultsPerQuery - Max results per search query
- * @returns {Promise<Array>} Books matching the title (with covers)
+ * @param {Object} requestOptions - Same options as searchBooks
+ * @param {Object} titleOptions - Options for getMultilingualTitles (scripts, maxVariations, maxLanguages), plus:
+ * @param {Array<string>} titleOptions.variations - Title variations to search (default: from getMultilingualTitles)
+ * @param {Array<string>} titleOptions.authors - Expected authors, counted in the relevance score (default: none)
+ * @param {number} titleOptions.minRelevance - Books below this text relevance (0-1) are dropped (default 0.5)
+ * @param {number} titleOptions.maxBooks - Max books returned (default: all)
+ * @returns {Promise<Array>} Books matching the title (with covers), most relevant first, each with a
+ *   `relevance` of { score, title, author, matchedTitle } (see scoreBookRelevance)
  */
-export async function searchBooksByTitle(title, maxResultsPerQuery = 20) {
-  // Get title variations (including potential translations)
-  const titleVariations = getTitleVariations(title);
+export async function searchBooksByTitle(title, maxResultsPerQuery = 20, requestOptions = {}, titleOptions = {}) {
+  const { variations, authors = [], minRelevance = 0.5, maxBooks = Infinity, ...variationOptions } = titleOptions;
+
+  // Get title variations: dictionary translations, transliterations and machine translations
+  const titleVariations = variations
+    || await getMultilingualTitles(title, { ...variationOptions, signal: requestOptions.signal });
 
   console.log(`Searching for title variations: ${titleVariations.join(', ')}`);
 
@@ -72,7 +79,7 @@ export async function searchBooksByTitle(title, maxResultsPerQuery = 20) {
   // Search for each title variation
   for (const variation of titleVariations) {
     try {
-      const books = await searchBooks(variation, 1, maxResultsPerQuery);
+      const books = await searchBooks(variation, 1, maxResultsPerQuery, requestOptions);
 
       // Filter to books with covers and avoid duplicates
       books.forEach(book => {
@@ -83,45 +90,157 @@ export async function searchBooksByTitle(title, maxResultsPerQuery = 20) {
         }
       });
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.warn(`Failed to search for "${variation}":`, error);
       // Continue with other variations
     }
   }
 
-  return allBooks;
+  const ranked = rankBooksByRelevance(allBooks, { titles: titleVariations, authors }, {
+    minScore: minRelevance,
+    limit: maxBooks
+  });
+  console.log(`Kept ${ranked.length} of ${allBooks.length} books relevant to "${title}"`);
+  return ranked;
 }
 
 /**
- * Find similar book covers using perceptual hashing
- * Now with enhanced title-based search first
- * @param {string} targetImageUrl - URL of the image to compare against
- * @param {Object} options - Search options
- * @param {string} options.imageName - Name of the image file (used to extract title)
- * @param {string} options.query - Fallback ISBNDB search query (default: 'fiction')
- * @param {number} options.maxResults - Max books to fetch from ISBNDB (default: 50)
- * @param {number} options.similarityThreshold - Minimum similarity % to include (default: 70)
- * @param {number} options.topN - Max number of similar results to return (default: 10)
- * @param {Function} options.onProgress - Progress callback (current, total, bookTitle)
- * @returns {Promise<Object>} Object containing results and target hash info
+ * Convert a map of hash objects to hex strings
  */
-export async function findSimilarCovers(targetImageUrl, options = {}) {
+function toHexMap(hashes) {
+  return Object.fromEntries(Object.entries(hashes).map(([name, hash]) => [name, hash.toHex()]));
+}
+
+/**
+ * Convert a map of hex strings back to hash objects
+ */
+function fromHexMap(hexes) {
+  return Object.fromEntries(Object.entries(hexes).map(([name, hex]) => [name, ImageHash.fromHex(hex)]));
+}
+
+/**
+ * How a match was found: the variant of the target (or of the matched cover) that fit best
+ */
+export const MATCH_TRANSFORM_LABELS = {
+  identity: 'As uploaded',
+  ...HASH_TRANSFORMS,
+  centerCrop: 'Center of the upload (padded copy)',
+  matchCenterCrop: 'Center of the match (cropped copy)'
+};
+
+/**
+ * Compare every target variant with a candidate cover and keep the closest pairing
+ * The candidate's center crop stands in for targets that are cropped copies of it.
+ * Ties go to the untransformed image; `pairings` counts the pairings the best one was picked from.
+ */
+function bestVariantMatch(targetVariants, bookVariants, weights) {
+  const pairings = Object.entries(targetVariants).map(([transform, targetHashes]) => ({
+    transform,
+    targetHashes,
+    bookHashes: bookVariants.identity
+  }));
+  if (bookVariants.centerCrop) {
+    pairings.push({
+      transform: 'matchCenterCrop',
+      targetHashes: targetVariants.identity,
+      bookHashes: bookVariants.centerCrop
+    });
+  }
+
+  const best = pairings
+    .map(pairing => ({ ...pairing, ...compareHashSets(pairing.targetHashes, pairing.bookHashes, weights) }))
+    .reduce((closest, candidate) => (candidate.similarity > closest.similarity ? candidate : closest));
+  return { ...best, pairings: pairings.length };
+}
+
+/**
+ * Reduce a catalog book to the metadata we keep in results and in the hash index
+ */
+function toResultBook(book) {
+  return {
+    title: book.title,
+    authors: book.authors || [],
+    isbn: book.isbn13 || book.isbn,
+    publisher: book.publisher,
+    image: book.image,
+    publishDate: book.date_published,
+    providers: book.providers || []
+  };
+}
+
+/**
+ * Hash a catalog cover, reusing its indexed hashes when the index has them all
+ * Freshly hashed covers with an ISBN are added to the index. Region signatures need the cover's
+ * pixels, which the index doesn't keep, so asking for one always downloads the cover.
+ * @param {Object} book - Book as returned by toResultBook
+ * @param {Object} options
+ * @param {Array<string>|Object} options.algorithms - Hash algorithms (see analyzeImage)
+ * @param {Array<string>} options.transforms - Cover variants hashed too (keys of HASH_TRANSFORMS)
+ * @param {boolean} options.trimBorders - Trim uniform borders before hashing
+ * @param {boolean} options.regionSignature - Also compute the region signature
+ * @param {Object|null} options.index - Hash index to read and update
+ * @param {Object} options.expectedHashes - { algorithm: sampleHex } indexed hashes must match (see hasHashes)
+ * @param {number} options.imageTimeout - Time limit in ms for downloading and hashing, 0 to disable
+ * @param {AbortSignal} options.signal - Cancels the download
+ * @param {Function} options.onFetched - Called once the cover is downloaded
+ * @returns {Promise<{variants: Object, regionSignature: Object|null, fromIndex: boolean}>}
+ */
+async function hashCandidateCover(book, options) {
   const {
-    imageName = '',
-    query = 'fiction',
-    maxResults = 50,
-    similarityThreshold = 70,
-    topN = 10,
-    onProgress = null
+    algorithms,
+    transforms,
+    trimBorders,
+    regionSignature = false,
+    index,
+    expectedHashes,
+    imageTimeout,
+    signal,
+    onFetched
   } = options;
 
-  // Calculate target image hash first
-  const targetHash = await calculateHash(targetImageUrl);
-  const targetHashHex = targetHash.toHex();
+  if (index && !regionSignature && book.isbn && index.hasHashes(book.isbn, expectedHashes, transforms)) {
+    const entry = index.get(book.isbn);
+    const variants = { identity: fromHexMap(entry.hashes) };
+    transforms.forEach(transform => {
+      variants[transform] = fromHexMap(entry.variants[transform]);
+    });
+    return { variants, regionSignature: null, fromIndex: true };
+  }
+
+  const analysis = await withTimeout(
+    (taskSignal) => analyzeImage(book.image, algorithms, {
+      transforms,
+      trimBorders,
+      regionSignature,
+      signal: taskSignal,
+      onFetched
+    }),
+    imageTimeout,
+    signal
+  );
+  if (index && book.isbn) {
+    const { identity, ...variants } = analysis.variants;
+    await index.add({
+      isbn: book.isbn,
+      hashes: toHexMap(identity),
+      variants: Object.fromEntries(Object.entries(variants).map(([transform, hashes]) => [transform, toHexMap(hashes)])),
+      book
+    });
+  }
+  return { variants: analysis.variants, regionSignature: analysis.regionSignature || null, fromIndex: false };
+}
 
+/**
+ * Search books by title, falling back to a generic query
+ * @returns {Promise<{books: Array, searchMethod: string, relevanceQuery: Object|null}>} relevanceQuery is
+ *   what title-based hits were scored against, for scoring other candidates the same way
+ */
+async function searchCandidateBooks(imageName, query, maxResults, requestOptions, titleOptions) {
   let books = [];
   let searchMethod = 'generic';
+  let relevanceQuery = null;
 
-  // Step 1: Try to search by title if we have an image name
+  // Try to search by title if we have an image name
   if (imageName) {
     const extractedTitle = extractBookTitle(imageName);
     console.log(`Extracted title from image name: "${extractedTitle}"`);
@@ -131,87 +250,661 @@ export async function findSimilarCovers(targetImageUrl, options = {}) {
       console.log('Searching by title in multiple languages...');
 
       try {
-        books = await searchBooksByTitle(extractedTitle, 20);
+        const { authors, ...variationOptions } = titleOptions;
+        const variations = await getMultilingualTitles(extractedTitle, { ...variationOptions, signal: requestOptions.signal });
+        relevanceQuery = { titles: variations, authors };
+        books = await searchBooksByTitle(extractedTitle, 20, requestOptions, {
+          ...titleOptions,
+          variations,
+          maxBooks: maxResults
+        });
         console.log(`Found ${books.length} books matching title variations`);
       } catch (error) {
+        if (isAbortError(error)) throw error;
         console.warn('Title-based search failed, falling back to generic search:', error);
         searchMethod = 'generic-fallback';
       }
     }
   }
 
-  // Step 2: Fallback to generic search if title search didn't work or wasn't possible
+  // Fallback to generic search if title search didn't work or wasn't possible
   if (books.length === 0) {
     console.log(`Falling back to generic search with query: "${query}"`);
-    books = await getBooksWithCovers(query, maxResults);
+    books = await getBooksWithCovers(query, maxResults, requestOptions);
     searchMethod = books.length > 0 ? 'generic' : 'none';
   }
 
-  if (books.length === 0) {
+  return { books, searchMethod, relevanceQuery };
+}
+
+// Title similarity (0-1) from which a result counts as a title match
+const TITLE_MATCH_SCORE = 0.8;
+
+/**
+ * Licenses to check matches against; a missing registry means every match is unlicensed
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadLicenses(customLicenses) {
+  if (customLicenses) return customLicenses;
+  try {
+    return (await getLicenseRegistry()).list();
+  } catch (error) {
+    console.warn('License registry unavailable:', error);
+    return [];
+  }
+}
+
+/**
+ * Find similar book covers using perceptual hashing
+ * Queries the local hash index first, then searches the book catalog by title (falling back
+ * to a generic query). Covers already in the index are never hashed again.
+ * @param {string|Uint8Array|Blob} targetImageUrl - URL of the image to compare against, or its bytes
+ * @param {Object} options - Search options
+ * @param {string} options.imageName - Name of the image file (used to extract title)
+ * @param {string} options.query - Fallback catalog search query (default: 'fiction')
+ * @param {Array<string>|string} options.authors - Expected authors; title search hits by other authors rank lower
+ * @param {number} options.minTextRelevance - Title search hits below this text relevance % are not compared
+ *   (default: 50); every result reports its `textRelevance` % next to the visual similarity
+ * @param {Array<string>} options.titleScripts - Scripts the title is also transliterated into for the search:
+ *   'cyrillic', 'kana', 'han' (default: Latin only; see getTitleVariations)
+ * @param {Array<string>} options.languages - Languages the title is machine-translated into when a translation
+ *   server is configured (default: TARGET_LANGUAGES; see getMultilingualTitles)
+ * @param {number} options.maxResults - Max books to fetch from the catalog (default: 50)
+ * @param {number} options.similarityThreshold - Minimum combined similarity % to include (default: 60)
+ * @param {string} options.minConfidence - Lowest confidence tier to include, the id of one of CONFIDENCE_TIERS
+ *   (default: any); every result carries a calibrated `confidence` { pValue, tier, pValues, source }, see
+ *   scoreMatchConfidence
+ * @param {Object} options.calibration - Null distribution to score matches with (default: fitted to the hash
+ *   index, see getIndexCalibration)
+ * @param {Array<string>|Object} options.algorithms - Hash algorithms to use, as names or { name: { hashSize } }
+ *   (default: every algorithm in options.weights)
+ * @param {Object} options.weights - Weight per algorithm for the combined score (default: DEFAULT_HASH_WEIGHTS)
+ * @param {Array<string>} options.transforms - Target variants also compared (keys of HASH_TRANSFORMS), so
+ *   mirrored, rotated and cropped copies still match; each result reports the winning `transform` (default: none)
+ * @param {boolean} options.trimBorders - Trim uniform borders before hashing (default: true)
+ * @param {boolean} options.regionMatching - Also look for target artwork placed inside a different layout;
+ *   such matches are kept below the similarity threshold and carry a `region` with boxes on both covers
+ *   (default: false)
+ * @param {string} options.artworkId - Artwork the target shows, for license checks (default: derived from imageName)
+ * @param {Array<Object>} options.licenses - Licenses to check matches against instead of the shared registry;
+ *   every result carries a `license` verdict { status, reason, licenseId } (see evaluateLicense)
+ * @param {string} options.licenseRegion - Market to check licenses for, e.g. 'US' (default: any)
+ * @param {boolean} options.useIndex - Query and update the local hash index (default: true)
+ * @param {Object} options.index - Hash index to use instead of the shared IndexedDB one (see createHashIndex)
+ * @param {boolean} options.offline - Only compare against the local index, never call the catalog (default: false)
+ * @param {Array<string>} options.providers - Metadata provider names to use instead of the configured ones
+ * @param {number} options.indexRadius - Max pHash Hamming distance for index lookups (default: 12)
+ * @param {number} options.topN - Max number of similar results to return (default: 10)
+ * @param {Array<string>} options.dismissedMatches - Keys (see matchKey) of matches reviewers dismissed as false
+ *   positives; they are returned apart as `dismissed` and don't count towards topN (default: none)
+ * @param {number} options.concurrency - Max covers downloaded and hashed at once (default: 4)
+ * @param {number} options.imageTimeout - Per-cover time limit in ms, 0 to disable (default: 15000)
+ * @param {AbortSignal} options.signal - Cancels the scan; the promise then rejects with an AbortError
+ * @param {Object} options.rateLimiter - Limiter (see createRateLimiter) shared across scans for catalog requests
+ * @param {Function} options.onProgress - Progress callback receiving
+ *   { total, completed, fetched, hashed, failed, skipped, book }
+ * @returns {Promise<Object>} Object containing results and target hash info, plus `failures`: the covers
+ *   that couldn't be compared, as { book, kind, format, message } (kind from ImageError, or 'other')
+ * @throws {ImageError} When the target image itself can't be read
+ */
+export async function findSimilarCovers(targetImageUrl, options = {}) {
+  const {
+    imageName = '',
+    query = 'fiction',
+    titleScripts = [],
+    languages,
+    authors: authorOption = [],
+    minTextRelevance = 50,
+    maxResults = 50,
+    similarityThreshold = 60,
+    minConfidence = null,
+    calibration: customCalibration = null,
+    topN = 10,
+    dismissedMatches = [],
+    weights = DEFAULT_HASH_WEIGHTS,
+    algorithms = Object.keys(weights),
+    transforms = [],
+    trimBorders = true,
+    regionMatching = false,
+    artworkId = toArtworkId(imageName),
+    licenses: customLicenses = null,
+    licenseRegion,
+    useIndex = true,
+    index: customIndex = null,
+    offline = false,
+    providers,
+    indexRadius = 12,
+    concurrency = 4,
+    imageTimeout = 15000,
+    signal,
+    rateLimiter,
+    onProgress = null
+  } = options;
+
+  throwIfAborted(signal);
+  const authors = (Array.isArray(authorOption) ? authorOption : [authorOption]).filter(Boolean);
+
+  // Recorded with the results so exported evidence shows how it was produced
+  const parameters = {
+    titleScripts,
+    languages: languages || null,
+    authors,
+    minTextRelevance,
+    algorithms,
+    weights,
+    transforms,
+    trimBorders,
+    regionMatching,
+    similarityThreshold,
+    minConfidence,
+    licenseRegion: licenseRegion || null,
+    indexRadius: useIndex || offline ? indexRadius : null,
+    offline
+  };
+
+  // Calculate target image hashes first, plus any variants we were asked to try
+  const { variants: targetVariants, regionSignature: targetRegion } = await analyzeImage(targetImageUrl, algorithms, {
+    transforms,
+    trimBorders,
+    regionSignature: regionMatching,
+    signal
+  });
+  const targetHashes = targetVariants.identity;
+  const targetHashesHex = toHexMap(targetHashes);
+  const primaryAlgorithm = targetHashesHex.phash ? 'phash' : Object.keys(targetHashesHex)[0];
+  const targetHashHex = targetHashesHex[primaryAlgorithm];
+
+  // Step 1: Look for near neighbours in the local index before calling the API
+  let index = null;
+  let indexMatches = [];
+  if (useIndex || offline) {
+    try {
+      index = customIndex ? await customIndex.load() : await getCoverHashIndex();
+      // Every variant gets its own lookup; keep the closest hit per ISBN
+      const nearest = new Map();
+      Object.values(targetVariants).forEach(hashes => {
+        index.query(hashes[primaryAlgorithm].toHex(), indexRadius, primaryAlgorithm).forEach(match => {
+          const known = nearest.get(match.entry.isbn);
+          if (!known || match.distance < known.distance) nearest.set(match.entry.isbn, match);
+        });
+      });
+      indexMatches = Array.from(nearest.values()).sort((a, b) => a.distance - b.distance);
+      console.log(`Found ${indexMatches.length} indexed covers within distance ${indexRadius}`);
+    } catch (error) {
+      console.warn('Local hash index unavailable:', error);
+    }
+  }
+
+  // Step 2: Search the catalog (by title, then generic). Index hits still count if the API fails.
+  // Providers that fail while others answer are reported as warnings, once per provider and kind.
+  const warnings = [];
+  const onProviderError = (provider, error) => {
+    const kind = error.kind || 'unknown';
+    if (!warnings.some(warning => warning.provider === provider && warning.kind === kind)) {
+      warnings.push({ provider, kind, message: error.message });
+    }
+  };
+
+  let books = [];
+  let searchMethod = 'none';
+  let relevanceQuery = null;
+  if (!offline) {
+    try {
+      ({ books, searchMethod, relevanceQuery } = await searchCandidateBooks(imageName, query, maxResults, {
+        signal,
+        rateLimiter,
+        providers,
+        onProviderError
+      }, {
+        scripts: titleScripts,
+        // An explicit language list is tried in full
+        ...(languages && { languages, maxLanguages: languages.length }),
+        authors,
+        minRelevance: minTextRelevance / 100
+      }));
+    } catch (error) {
+      if (isAbortError(error) || indexMatches.length === 0) throw error;
+      console.warn('Book search failed, using local index matches only:', error);
+    }
+  }
+
+  const candidates = [];
+  const seenIsbns = new Set();
+  // Index hits are visual neighbours and generic hits a fallback, so both are scored but never pruned
+  indexMatches.forEach(({ entry }) => {
+    seenIsbns.add(entry.isbn);
+    const relevance = relevanceQuery ? scoreBookRelevance(entry.book, relevanceQuery) : null;
+    candidates.push({ book: entry.book, source: 'index', relevance });
+  });
+  books.forEach(book => {
+    const resultBook = toResultBook(book);
+    if (resultBook.isbn && seenIsbns.has(resultBook.isbn)) return;
+    seenIsbns.add(resultBook.isbn);
+    const relevance = book.relevance || (relevanceQuery ? scoreBookRelevance(resultBook, relevanceQuery) : null);
+    candidates.push({ book: resultBook, source: 'api', relevance });
+  });
+
+  if (searchMethod === 'none' && indexMatches.length > 0) {
+    searchMethod = 'index';
+  }
+
+  if (candidates.length === 0) {
     return {
       targetHash: targetHashHex,
+      targetHashes: targetHashesHex,
       results: [],
+      dismissed: [],
       totalCompared: 0,
       searchMethod: 'none',
-      searchQuery: imageName || query
+      searchQuery: imageName || query,
+      artworkId,
+      parameters,
+      warnings
     };
   }
 
-  // Step 3: Compare target image with each book cover using phash
+  // Step 3: Compare target image with each book cover, a few at a time
   const comparisons = [];
-
-  for (let i = 0; i < books.length; i++) {
-    const book = books[i];
-
-    // Report progress
-    if (onProgress) {
-      onProgress(i + 1, books.length, book.title);
+  // Covers that couldn't be hashed, with why (the ImageError kind when the image was the problem)
+  const failures = [];
+  const progress = {
+    total: candidates.length,
+    completed: 0,
+    fetched: 0,
+    hashed: 0,
+    failed: 0,
+    skipped: 0,
+    book: ''
+  };
+  const reportProgress = (book) => {
+    progress.book = book.title;
+    if (onProgress && !signal?.aborted) {
+      onProgress({ ...progress });
     }
+  };
 
-    try {
-      // Calculate hash for the book cover
-      const bookHash = await calculateHash(book.image);
-      const bookHashHex = bookHash.toHex();
+  // Candidates only need a center crop of their own, for targets that are cropped copies;
+  // the index holds trimmed hashes, so it can't serve untrimmed scans
+  const candidateTransforms = transforms.includes('centerCrop') ? ['centerCrop'] : [];
+  const cacheIndex = trimBorders ? index : null;
 
-      // Calculate Hamming distance
-      const hammingDistance = targetHash.hammingDistance(bookHash);
+  const compareCandidate = async ({ book, source, relevance }, _, poolSignal) => {
+    try {
+      const { variants: bookVariants, regionSignature: bookRegion, fromIndex } = await hashCandidateCover(book, {
+        algorithms,
+        transforms: candidateTransforms,
+        trimBorders,
+        regionSignature: regionMatching,
+        index: cacheIndex,
+        expectedHashes: targetHashesHex,
+        imageTimeout,
+        signal: poolSignal,
+        onFetched: () => {
+          progress.fetched++;
+          reportProgress(book);
+        }
+      });
+      if (fromIndex) progress.skipped++;
+      else progress.hashed++;
 
-      // Calculate similarity percentage
-      const maxDistance = 8 * 8; // 8x8 hash
-      const similarity = (1.0 - (hammingDistance / maxDistance)) * 100.0;
+      // Per-algorithm Hamming distances and the weighted combined similarity of the best variant
+      const { transform, targetHashes: matchedTargetHashes, bookHashes, distances, bitLengths, similarity, pairings } =
+        bestVariantMatch(targetVariants, bookVariants, weights);
+      const bookHashesHex = toHexMap(bookHashes);
+      const region = targetRegion && bookRegion
+        ? findSharedRegion(targetRegion, bookRegion)
+        : null;
 
-      if (similarity >= similarityThreshold) {
+      if (similarity >= similarityThreshold || region) {
         comparisons.push({
-          book: {
-            title: book.title,
-            authors: book.authors || [],
-            isbn: book.isbn13 || book.isbn,
-            publisher: book.publisher,
-            image: book.image,
-            publishDate: book.date_published
-          },
+          book,
           similarity: Math.round(similarity * 100) / 100,
-          hashHex: bookHashHex,
-          hammingDistance: hammingDistance,
-          matchedByTitle: searchMethod === 'title-based'
+          hashHex: bookHashesHex[primaryAlgorithm],
+          hashes: bookHashesHex,
+          targetHashes: toHexMap(matchedTargetHashes),
+          transform,
+          region,
+          matchedByRegion: Boolean(region) && similarity < similarityThreshold,
+          hammingDistance: distances[primaryAlgorithm],
+          distances,
+          bitLengths,
+          pairings,
+          source,
+          textRelevance: relevance ? Math.round(relevance.score * 100) : null,
+          matchedTitle: relevance?.matchedTitle || null,
+          matchedByTitle: (relevance?.title ?? 0) >= TITLE_MATCH_SCORE
         });
       }
     } catch (error) {
+      if (isAbortError(error) && poolSignal?.aborted) throw error;
       console.warn(`Failed to compare with book: ${book.title}`, error);
+      progress.failed++;
+      failures.push({ book, kind: error.kind || 'other', format: error.format || null, message: error.message });
       // Continue with other books
+    } finally {
+      progress.completed++;
+      reportProgress(book);
     }
-  }
+  };
+
+  await runWithConcurrency(candidates, compareCandidate, { concurrency, signal });
 
-  // Sort by similarity (highest first) and return top N
-  const sortedResults = comparisons
-    .sort((a, b) => b.similarity - a.similarity)
-    .slice(0, topN);
+  // Step 4: How likely an unrelated cover is to come as close, calibrated on the index (now including
+  // this scan's covers, whose reprints of one another calibration leaves out); matches by region are kept
+  // whatever their confidence, like below the threshold
+  const calibration = customCalibration || getIndexCalibration(index);
+  parameters.calibration = describeCalibration(calibration);
+  const confidentResults = comparisons.filter(result => {
+    result.confidence = scoreMatchConfidence(calibration, result, { weights, pairings: result.pairings });
+    delete result.pairings;
+    return result.region || meetsConfidence(result.confidence, minConfidence);
+  });
+
+  // Most confident first (similarity, then more relevant text breaking ties) and return top N;
+  // dismissed matches are set aside first so the next ones move up into their places
+  const dismissedKeys = new Set(dismissedMatches);
+  const rankedResults = confidentResults
+    .sort((a, b) => a.confidence.pValue - b.confidence.pValue
+      || b.similarity - a.similarity
+      || (b.textRelevance ?? 0) - (a.textRelevance ?? 0));
+  const dismissed = rankedResults.filter(result => dismissedKeys.has(matchKey(result.book)));
+  const sortedResults = rankedResults.filter(result => !dismissedKeys.has(matchKey(result.book))).slice(0, topN);
+
+  // Step 5: Tell licensed uses of the artwork apart from unlicensed ones
+  const licenses = await loadLicenses(customLicenses);
+  [...sortedResults, ...dismissed].forEach(result => {
+    result.license = evaluateLicense(result.book, licenses, { artworkId, region: licenseRegion });
+  });
 
   return {
     targetHash: targetHashHex,
+    targetHashes: targetHashesHex,
     results: sortedResults,
-    totalCompared: books.length,
+    dismissed,
+    totalCompared: candidates.length,
+    failed: progress.failed,
+    failures,
+    indexMatches: indexMatches.length,
     searchMethod: searchMethod,
-    searchQuery: imageName || query
+    searchQuery: imageName || query,
+    artworkId,
+    parameters,
+    warnings
+  };
+}
+
+/**
+ * Catalog searches a monitor sweep runs, one per query, subject and publisher
+ * @returns {Array<{field: string, term: string}>} Without blanks and duplicates
+ */
+function buildSweepTerms({ queries = [], subjects = [], publishers = [] }) {
+  const terms = [
+    ...queries.map(term => ({ field: SEARCH_FIELDS.ANY, term })),
+    ...subjects.map(term => ({ field: SEARCH_FIELDS.SUBJECT, term })),
+    ...publishers.map(term => ({ field: SEARCH_FIELDS.PUBLISHER, term }))
+  ].map(({ field, term }) => ({ field, term: String(term).trim() })).filter(({ term }) => term);
+
+  const seen = new Set();
+  return terms.filter(({ field, term }) => {
+    const key = `${field}:${term.toLowerCase()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Monitor mode: find catalog covers that reuse protected artwork under any title
+ * Sweeps every query, subject and publisher through the metadata providers, hashes every cover found
+ * into the local index (covers already indexed aren't downloaded again) and reports each one within
+ * `radius` of a protected cover, with the cover it matched.
+ * @param {Array<{name: string, src: string|Uint8Array|Blob}>} protectedCovers - Our covers
+ * @param {Object} options
+ * @param {Array<string>} options.queries - Keyword searches
+ * @param {Array<string>} options.subjects - Subject searches
+ * @param {Array<string>} options.publishers - Publisher searches
+ * @param {number} options.maxResultsPerTerm - Books fetched per search (default: 40)
+ * @param {number} options.radius - Max pHash Hamming distance reported (default: 12)
+ * @param {Object} options.weights - Weight per algorithm for the combined similarity (default: DEFAULT_HASH_WEIGHTS)
+ * @param {Array<string>|Object} options.algorithms - Hash algorithms to use (default: every algorithm in weights)
+ * @param {Array<string>} options.transforms - Protected cover variants also compared (keys of HASH_TRANSFORMS)
+ * @param {boolean} options.trimBorders - Trim uniform borders before hashing (default: true)
+ * @param {boolean} options.useIndex - Read and update the local hash index (default: true)
+ * @param {Object} options.index - Hash index to use instead of the shared IndexedDB one
+ * @param {Object} options.calibration - Null distribution to score matches with (default: fitted to the hash index)
+ * @param {Array<Object>} options.licenses - Licenses to check matches against instead of the shared registry
+ * @param {string} options.licenseRegion - Market to check licenses for (default: any)
+ * @param {Array<string>} options.providers - Metadata provider names to use instead of the configured ones
+ * @param {Object} options.rateLimiter - Limiter (see createRateLimiter) for catalog requests
+ * @param {number} options.concurrency - Max covers downloaded and hashed at once (default: 4)
+ * @param {number} options.imageTimeout - Per-cover time limit in ms, 0 to disable (default: 15000)
+ * @param {AbortSignal} options.signal - Cancels the sweep; the promise then rejects with an AbortError
+ * @param {Function} options.onProgress - Progress callback receiving
+ *   { phase: 'searching'|'hashing', terms, searched, total, completed, fetched, hashed, failed, skipped, matches, book }
+ * @returns {Promise<Object>} { protectedCovers, terms, matches, totalCandidates, hashed, skipped, failed,
+ *   parameters, warnings }; matches are sorted most confident first and carry the protected `cover` they matched and a
+ *   calibrated `confidence` (see scoreMatchConfidence)
+ */
+export async function monitorCatalog(protectedCovers, options = {}) {
+  const {
+    queries = [],
+    subjects = [],
+    publishers = [],
+    maxResultsPerTerm = 40,
+    radius = 12,
+    weights = DEFAULT_HASH_WEIGHTS,
+    algorithms = Object.keys(weights),
+    transforms = [],
+    trimBorders = true,
+    useIndex = true,
+    index: customIndex = null,
+    calibration: customCalibration = null,
+    licenses: customLicenses = null,
+    licenseRegion,
+    providers,
+    rateLimiter,
+    concurrency = 4,
+    imageTimeout = 15000,
+    signal,
+    onProgress = null
+  } = options;
+
+  throwIfAborted(signal);
+  const sweepTerms = buildSweepTerms({ queries, subjects, publishers });
+  if (sweepTerms.length === 0) {
+    throw new Error('Nothing to sweep: give at least one query, subject or publisher');
+  }
+  if (protectedCovers.length === 0) {
+    throw new Error('Nothing to protect: give at least one cover');
+  }
+
+  const parameters = {
+    queries,
+    subjects,
+    publishers,
+    maxResultsPerTerm,
+    radius,
+    algorithms,
+    weights,
+    transforms,
+    trimBorders,
+    licenseRegion: licenseRegion || null
+  };
+
+  const progress = {
+    phase: 'searching',
+    terms: sweepTerms.length,
+    searched: 0,
+    total: 0,
+    completed: 0,
+    fetched: 0,
+    hashed: 0,
+    failed: 0,
+    skipped: 0,
+    matches: 0,
+    book: ''
+  };
+  const reportProgress = (book) => {
+    if (book) progress.book = book.title;
+    if (onProgress && !signal?.aborted) {
+      onProgress({ ...progress });
+    }
+  };
+
+  // Step 1: Hash our covers; one that can't be read is reported, the rest are still monitored
+  const targets = [];
+  const coverSummaries = [];
+  for (const cover of protectedCovers) {
+    const artworkId = toArtworkId(cover.name);
+    try {
+      const { variants } = await analyzeImage(cover.src, algorithms, { transforms, trimBorders, signal });
+      const hashes = toHexMap(variants.identity);
+      targets.push({ cover: { name: cover.name, artworkId }, variants, hashes });
+      coverSummaries.push({ name: cover.name, artworkId, hashes, error: null });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`Failed to hash protected cover ${cover.name}:`, error);
+      coverSummaries.push({ name: cover.name, artworkId, hashes: null, error: error.message });
+    }
+  }
+  if (targets.length === 0) {
+    throw new Error('None of the protected covers could be read');
+  }
+  const expectedHashes = targets[0].hashes;
+  const primaryAlgorithm = expectedHashes.phash ? 'phash' : Object.keys(expectedHashes)[0];
+
+  // The index holds trimmed hashes, so it can't serve untrimmed sweeps
+  let index = null;
+  if (useIndex && trimBorders) {
+    try {
+      index = customIndex ? await customIndex.load() : await getCoverHashIndex();
+    } catch (error) {
+      console.warn('Local hash index unavailable:', error);
+    }
+  }
+
+  // Step 2: Run every search; a failed search is reported and the sweep goes on
+  const warnings = [];
+  const onProviderError = (provider, error) => {
+    const kind = error.kind || 'unknown';
+    if (!warnings.some(warning => warning.provider === provider && warning.kind === kind)) {
+      warnings.push({ provider, kind, message: error.message });
+    }
+  };
+
+  const candidates = new Map();
+  const terms = [];
+  reportProgress();
+  for (const { field, term } of sweepTerms) {
+    const summary = { field, term, found: 0, error: null };
+    try {
+      const books = await searchBooks(term, 1, Math.min(maxResultsPerTerm, 20), {
+        field,
+        maxResults: maxResultsPerTerm,
+        signal,
+        rateLimiter,
+        providers,
+        onProviderError
+      });
+      books.filter(book => book.image && book.image.trim() !== '').forEach(book => {
+        const resultBook = toResultBook(book);
+        const key = resultBook.isbn || resultBook.image;
+        if (!candidates.has(key)) candidates.set(key, { book: resultBook, foundBy: [] });
+        candidates.get(key).foundBy.push({ field, term });
+        summary.found++;
+      });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`Sweep search for ${field} "${term}" failed:`, error);
+      summary.error = error.message;
+    }
+    terms.push(summary);
+    progress.searched++;
+    reportProgress();
+  }
+
+  // Step 3: Hash every candidate into the index and compare it with each protected cover
+  const matches = [];
+  progress.phase = 'hashing';
+  progress.total = candidates.size;
+  reportProgress();
+
+  // Candidates only need a center crop of their own, for protected covers that are cropped copies
+  const candidateTransforms = transforms.includes('centerCrop') ? ['centerCrop'] : [];
+
+  const compareCandidate = async ({ book, foundBy }, _, poolSignal) => {
+    try {
+      const { variants: bookVariants, fromIndex } = await hashCandidateCover(book, {
+        algorithms,
+        transforms: candidateTransforms,
+        trimBorders,
+        index,
+        expectedHashes,
+        imageTimeout,
+        signal: poolSignal,
+        onFetched: () => {
+          progress.fetched++;
+          reportProgress(book);
+        }
+      });
+      if (fromIndex) progress.skipped++;
+      else progress.hashed++;
+
+      targets.forEach(({ cover, variants }) => {
+        const { transform, targetHashes, bookHashes, distances, bitLengths, similarity, pairings } =
+          bestVariantMatch(variants, bookVariants, weights);
+        if (distances[primaryAlgorithm] > radius) return;
+
+        const bookHashesHex = toHexMap(bookHashes);
+        matches.push({
+          cover,
+          book,
+          hammingDistance: distances[primaryAlgorithm],
+          similarity: Math.round(similarity * 100) / 100,
+          hashHex: bookHashesHex[primaryAlgorithm],
+          hashes: bookHashesHex,
+          targetHashes: toHexMap(targetHashes),
+          transform,
+          distances,
+          bitLengths,
+          pairings,
+          foundBy
+        });
+        progress.matches++;
+      });
+    } catch (error) {
+      if (isAbortError(error) && poolSignal?.aborted) throw error;
+      console.warn(`Failed to hash sweep candidate: ${book.title}`, error);
+      progress.failed++;
+    } finally {
+      progress.completed++;
+      reportProgress(book);
+    }
+  };
+
+  await runWithConcurrency(Array.from(candidates.values()), compareCandidate, { concurrency, signal });
+
+  // Step 4: Calibrate on the index, now holding every swept cover, and label licensed uses of our
+  // artwork like scan results
+  const calibration = customCalibration || getIndexCalibration(index);
+  parameters.calibration = describeCalibration(calibration);
+  const licenses = await loadLicenses(customLicenses);
+  matches.forEach(match => {
+    match.confidence = scoreMatchConfidence(calibration, match, { weights, pairings: match.pairings });
+    delete match.pairings;
+    match.license = evaluateLicense(match.book, licenses, { artworkId: match.cover.artworkId, region: licenseRegion });
+  });
+  matches.sort((a, b) => a.confidence.pValue - b.confidence.pValue || a.hammingDistance - b.hammingDistance);
+
+  return {
+    protectedCovers: coverSummaries,
+    terms,
+    matches,
+    totalCandidates: candidates.size,
+    hashed: progress.hashed,
+    skipped: progress.skipped,
+    failed: progress.failed,
+    parameters,
+    warnings
   };
 }
@@ -0,0 +1,166 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { setImageDecoder } from './imageDecoder';
+import { findSimilarCovers } from './isbndbService';
+import { normalizeLicense } from './licenseRegistry';
+
+const WIDTH = 64;
+const HEIGHT = 96;
+
+function drawImage(shade) {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const i = (y * WIDTH + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = shade(x, y);
+      data[i + 3] = 255;
+    }
+  }
+  return { width: WIDTH, height: HEIGHT, data };
+}
+
+const artwork = (x, y) => 128 + 90 * Math.sin(x / 7) * Math.cos(y / 11) + 30 * Math.sin((x + y) / 5);
+
+// Images are served as their names; the decoder turns a name into pixels
+const IMAGES = {
+  target: drawImage(artwork),
+  reprint: drawImage((x, y) => artwork(x, y) + 8),
+  unrelated: drawImage((x, y) => ((Math.floor(x / 9) + Math.floor(y / 13)) % 2 ? 210 : 50))
+};
+
+const COVERS_URL = 'https://covers.openlibrary.org/b/id';
+const SEARCH_DOCS = [
+  {
+    title: 'The Hobbit',
+    author_name: ['J. R. R. Tolkien'],
+    isbn: ['9780261103344'],
+    publisher: ['HarperCollins'],
+    cover_i: 1
+  },
+  {
+    title: 'The Hobbit',
+    author_name: ['J. R. R. Tolkien'],
+    isbn: ['9780547928227'],
+    publisher: ['Mariner Books'],
+    cover_i: 2
+  }
+];
+const COVERS = { 1: 'reprint', 2: 'unrelated' };
+
+function imageResponse(name) {
+  return new Response(new TextEncoder().encode(name));
+}
+
+let searchedQueries;
+
+beforeEach(() => {
+  searchedQueries = [];
+  setImageDecoder(async bytes => IMAGES[new TextDecoder().decode(bytes)]);
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  vi.stubGlobal('fetch', vi.fn(async (input) => {
+    const url = new URL(String(input));
+    if (url.pathname === '/search.json') {
+      searchedQueries.push(url.searchParams.get('q'));
+      return Response.json({ docs: SEARCH_DOCS });
+    }
+    const cover = url.href.match(/\/b\/id\/(\d+)-L\.jpg$/);
+    if (url.href.startsWith(COVERS_URL) && COVERS[cover?.[1]]) return imageResponse(COVERS[cover[1]]);
+    return new Response(null, { status: 404, statusText: 'Not Found' });
+  }));
+});
+
+afterEach(() => {
+  setImageDecoder(null);
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+const scan = (options = {}) => findSimilarCovers(new TextEncoder().encode('target'), {
+  imageName: 'The Hobbit',
+  providers: ['openlibrary'],
+  useIndex: false,
+  licenses: [],
+  similarityThreshold: 0,
+  ...options
+});
+
+describe('findSimilarCovers', () => {
+  it('searches the catalog by the title and its translations', async () => {
+    const result = await scan();
+
+    expect(result.searchMethod).toBe('title-based');
+    expect(searchedQueries).toContain('the hobbit');
+    expect(searchedQueries).toContain('Der Hobbit');
+    expect(result.totalCompared).toBe(2);
+  });
+
+  it('ranks the reprinted artwork first with a confident match', async () => {
+    const { results } = await scan();
+
+    expect(results.map(result => result.book.isbn)).toEqual(['9780261103344', '9780547928227']);
+    const [reprint, unrelated] = results;
+    expect(reprint.similarity).toBeGreaterThan(90);
+    expect(reprint.hammingDistance).toBeLessThanOrEqual(6);
+    expect(reprint.confidence.tier).toBe('certain');
+    expect(unrelated.similarity).toBeLessThan(reprint.similarity);
+    expect(unrelated.confidence.pValue).toBeGreaterThan(reprint.confidence.pValue);
+    expect(reprint.matchedByTitle).toBe(true);
+    expect(reprint.textRelevance).toBe(100);
+  });
+
+  it('leaves out matches below the similarity threshold or confidence tier', async () => {
+    const bySimilarity = await scan({ similarityThreshold: 90 });
+    expect(bySimilarity.results.map(result => result.book.isbn)).toEqual(['9780261103344']);
+
+    const byConfidence = await scan({ minConfidence: 'strong' });
+    expect(byConfidence.results.map(result => result.book.isbn)).toEqual(['9780261103344']);
+  });
+
+  it('sets dismissed matches aside before keeping the top N', async () => {
+    const { results, dismissed } = await scan({ topN: 1, dismissedMatches: ['isbn:9780261103344'] });
+
+    expect(results.map(result => result.book.isbn)).toEqual(['9780547928227']);
+    expect(dismissed.map(result => result.book.isbn)).toEqual(['9780261103344']);
+  });
+
+  it('labels every match with its license status', async () => {
+    const license = normalizeLicense({ artworkId: 'the-hobbit', publishers: ['HarperCollins'] });
+    const { results } = await scan({ licenses: [license] });
+
+    expect(results[0].license.status).toBe('licensed');
+    expect(results[1].license.status).toBe('unlicensed');
+  });
+
+  it('skips covers that fail to download and reports why', async () => {
+    delete COVERS[2];
+    try {
+      const result = await scan();
+      expect(result.results).toHaveLength(1);
+      expect(result.failed).toBe(1);
+      expect(result.failures).toEqual([expect.objectContaining({
+        kind: 'download',
+        message: 'Failed to fetch image: 404 Not Found'
+      })]);
+      expect(result.failures[0].book.isbn).toBe('9780547928227');
+    } finally {
+      COVERS[2] = 'unrelated';
+    }
+  });
+
+  it('reports covers that download but can not be decoded', async () => {
+    COVERS[2] = 'damaged';
+    try {
+      const { failures } = await scan();
+      expect(failures).toEqual([expect.objectContaining({ kind: 'corrupt' })]);
+    } finally {
+      COVERS[2] = 'unrelated';
+    }
+  });
+
+  it('fails when the catalog is down and there is no index to fall back on', async () => {
+    fetch.mockImplementation(async () => new Response(null, { status: 503, statusText: 'Service Unavailable' }));
+
+    await expect(scan()).rejects.toThrow('Open Library API error: 503');
+  });
+});
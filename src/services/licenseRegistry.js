@@ -0,0 +1,436 @@
+import { isIndexedDbAvailable, openStore } from './idbStore';
+import { cleanIsbn, toIsbn13 } from './providers/isbn';
+
+/**
+ * License registry
+ * Records who may use which cover artwork, so a match against the rightful publisher can be told
+ * apart from a match against a pirate. A license looks like:
+ *   { id, artworkId, isbns: ['978...'], publishers: ['Orchard House'], regions: ['US', 'CA'],
+ *     validFrom: '2019-01-01', validUntil: '2025-12-31', notes }
+ * Empty isbns/publishers/regions lists and missing dates mean "no restriction" on that field,
+ * except that a license must name at least one ISBN or publisher.
+ */
+
+/**
+ * Verdicts attached to scan results
+ */
+export const LICENSE_STATUS = {
+  LICENSED: 'licensed',
+  UNLICENSED: 'unlicensed',
+  EXPIRED: 'expired'
+};
+
+// Region code meaning "everywhere"
+const WORLDWIDE = 'WORLD';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Turn a cover name into the artwork ID licenses refer to ("The Girl in the Peach Tree" -> "the-girl-in-the-peach-tree")
+ * @param {string} name - Cover or artwork name
+ * @returns {string}
+ */
+export function toArtworkId(name) {
+  return String(name || '').toLowerCase().normalize('NFKD').replace(/[̀-ͯ]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function createId() {
+  return `license-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Accept lists as arrays or as comma/semicolon separated text (CSV cells, form fields)
+ */
+function toList(value) {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  return String(value ?? '').split(/[;,|]/).map(item => item.trim()).filter(Boolean);
+}
+
+function toDate(value, field) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+  if (!DATE_PATTERN.test(text) || Number.isNaN(Date.parse(text))) {
+    throw new Error(`${field} must be a date like 2024-01-31 (got "${text}")`);
+  }
+  return text;
+}
+
+/**
+ * Validate a license and bring it to its stored shape
+ * @param {Object} input - License fields; lists may be arrays or separated text
+ * @returns {Object} Normalized license
+ * @throws {Error} When a field is missing or malformed
+ */
+export function normalizeLicense(input) {
+  const artworkId = toArtworkId(input.artworkId);
+  if (!artworkId) {
+    throw new Error('A license needs an artwork ID');
+  }
+
+  const isbns = toList(input.isbns).map(isbn => {
+    const isbn13 = toIsbn13(isbn);
+    if (!isbn13) throw new Error(`Invalid ISBN "${isbn}"`);
+    return isbn13;
+  });
+  const publishers = toList(input.publishers);
+  if (isbns.length === 0 && publishers.length === 0) {
+    throw new Error(`License for "${artworkId}" must name at least one ISBN or publisher`);
+  }
+
+  const validFrom = toDate(input.validFrom, 'Valid from');
+  const validUntil = toDate(input.validUntil, 'Valid until');
+  if (validFrom && validUntil && validFrom > validUntil) {
+    throw new Error(`License for "${artworkId}" ends before it starts`);
+  }
+
+  return {
+    id: String(input.id || '').trim() || createId(),
+    artworkId,
+    isbns,
+    publishers,
+    regions: toList(input.regions).map(region => region.toUpperCase()),
+    validFrom,
+    validUntil,
+    notes: String(input.notes ?? '').trim()
+  };
+}
+
+/**
+ * Parse licenses from JSON: an array, or { licenses: [...] } as written by the export
+ * @param {string} text - JSON document
+ * @returns {Array<Object>} Normalized licenses
+ */
+export function parseLicensesJson(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.licenses;
+  if (!Array.isArray(list)) {
+    throw new Error('Expected a JSON array of licenses or { "licenses": [...] }');
+  }
+  return list.map((license, index) => {
+    try {
+      return normalizeLicense(license);
+    } catch (error) {
+      throw new Error(`License ${index + 1}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells, doubled quotes, CRLF)
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+// CSV headers (lowercased, punctuation removed) and the license field they fill
+const CSV_COLUMNS = {
+  id: 'id',
+  artworkid: 'artworkId',
+  artwork: 'artworkId',
+  isbns: 'isbns',
+  isbn: 'isbns',
+  publishers: 'publishers',
+  publisher: 'publishers',
+  regions: 'regions',
+  region: 'regions',
+  validfrom: 'validFrom',
+  validuntil: 'validUntil',
+  notes: 'notes'
+};
+
+/**
+ * Parse licenses from CSV with a header row
+ * Columns: id, artwork_id, isbns, publishers, regions, valid_from, valid_until, notes
+ * (lists separated by ";"). Unknown columns are ignored.
+ * @param {string} text - CSV document
+ * @returns {Array<Object>} Normalized licenses
+ */
+export function parseLicensesCsv(text) {
+  const [header, ...rows] = parseCsvRows(text.replace(/^﻿/, ''));
+  if (!header) return [];
+
+  const fields = header.map(name => CSV_COLUMNS[name.toLowerCase().replace(/[^a-z]/g, '')] || null);
+  if (!fields.includes('artworkId')) {
+    throw new Error('The CSV needs an artwork_id column');
+  }
+
+  return rows.map((cells, index) => {
+    const license = {};
+    fields.forEach((field, column) => {
+      if (field) license[field] = cells[column] ?? '';
+    });
+    try {
+      return normalizeLicense(license);
+    } catch (error) {
+      throw new Error(`CSV row ${index + 2}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Parse a JSON or CSV license file, picking the format from the name or the content
+ * @param {string} text - File contents
+ * @param {string} fileName - Used for its extension
+ * @returns {Array<Object>} Normalized licenses
+ */
+export function parseLicenseFile(text, fileName = '') {
+  const looksLikeJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  return looksLikeJson ? parseLicensesJson(text) : parseLicensesCsv(text);
+}
+
+// Company forms and trade words that don't tell one publisher from another
+const PUBLISHER_FILLER_WORDS = new Set(['inc', 'ltd', 'llc', 'gmbh', 'co', 'publishing', 'publishers', 'press', 'books']);
+
+/**
+ * Reduce a publisher name to its distinctive words, in any script ("Orchard House Books, Inc." -> "orchard house")
+ */
+function normalizePublisher(name) {
+  return name.normalize('NFKC').toLowerCase().split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word && !PUBLISHER_FILLER_WORDS.has(word))
+    .join(' ');
+}
+
+function samePublisher(a, b) {
+  const normalized = normalizePublisher(a);
+  // A name with nothing distinctive left ("Books Inc") can't vouch for anyone
+  return normalized !== '' && normalized === normalizePublisher(b);
+}
+
+function describeTerm({ validFrom, validUntil }) {
+  if (validFrom && validUntil) return `${validFrom} to ${validUntil}`;
+  if (validFrom) return `from ${validFrom}`;
+  if (validUntil) return `until ${validUntil}`;
+  return 'with no end date';
+}
+
+/**
+ * Decide whether a matched book may use the artwork
+ * Licenses are matched by ISBN or publisher; the best outcome wins (licensed, then expired).
+ * @param {Object} book - Matched book ({ isbn, publisher, title })
+ * @param {Array<Object>} licenses - Normalized licenses
+ * @param {Object} options
+ * @param {string} options.artworkId - Artwork the scanned cover shows
+ * @param {string} options.date - Day the use is checked for, YYYY-MM-DD (default: today)
+ * @param {string} options.region - Market the use is checked for; regions are ignored when omitted
+ * @returns {{status: string, reason: string, licenseId: string|null}} One of LICENSE_STATUS plus an explanation
+ */
+export function evaluateLicense(book, licenses, { artworkId, date = new Date().toISOString().slice(0, 10), region } = {}) {
+  const artworkLicenses = licenses.filter(license => license.artworkId === artworkId);
+  if (artworkLicenses.length === 0) {
+    return { status: LICENSE_STATUS.UNLICENSED, reason: 'No license on file for this artwork', licenseId: null };
+  }
+
+  const isbn = book.isbn ? toIsbn13(book.isbn) || cleanIsbn(book.isbn) : null;
+  const covering = artworkLicenses
+    .map(license => ({
+      license,
+      byIsbn: Boolean(isbn) && license.isbns.includes(isbn),
+      byPublisher: Boolean(book.publisher) && license.publishers.some(name => samePublisher(name, book.publisher))
+    }))
+    .filter(({ byIsbn, byPublisher }) => byIsbn || byPublisher);
+
+  if (covering.length === 0) {
+    const holder = [isbn && `ISBN ${isbn}`, book.publisher].filter(Boolean).join(' / ') || 'this book';
+    return {
+      status: LICENSE_STATUS.UNLICENSED,
+      reason: `None of the ${artworkLicenses.length} license(s) for this artwork covers ${holder}`,
+      licenseId: null
+    };
+  }
+
+  const verdicts = covering.map(({ license, byIsbn }) => {
+    const holder = byIsbn ? `ISBN ${isbn}` : book.publisher;
+    const regionText = license.regions.length > 0 ? ` in ${license.regions.join(', ')}` : '';
+
+    if (license.validUntil && date > license.validUntil) {
+      return {
+        status: LICENSE_STATUS.EXPIRED,
+        reason: `License ${license.id} for ${holder} ended on ${license.validUntil}`,
+        licenseId: license.id
+      };
+    }
+    if (license.validFrom && date < license.validFrom) {
+      return {
+        status: LICENSE_STATUS.UNLICENSED,
+        reason: `License ${license.id} for ${holder} only starts on ${license.validFrom}`,
+        licenseId: license.id
+      };
+    }
+    if (region && license.regions.length > 0
+      && !license.regions.includes(region.toUpperCase()) && !license.regions.includes(WORLDWIDE)) {
+      return {
+        status: LICENSE_STATUS.UNLICENSED,
+        reason: `License ${license.id} for ${holder} is limited to ${license.regions.join(', ')}, not ${region.toUpperCase()}`,
+        licenseId: license.id
+      };
+    }
+    return {
+      status: LICENSE_STATUS.LICENSED,
+      reason: `Licensed to ${holder} under ${license.id}, ${describeTerm(license)}${regionText}`,
+      licenseId: license.id
+    };
+  });
+
+  const rank = { [LICENSE_STATUS.LICENSED]: 0, [LICENSE_STATUS.EXPIRED]: 1, [LICENSE_STATUS.UNLICENSED]: 2 };
+  return verdicts.sort((a, b) => rank[a.status] - rank[b.status])[0];
+}
+
+/**
+ * Storage adapter backed by the IndexedDB 'licenses' store
+ */
+export function createIndexedDbLicenseStorage() {
+  const store = openStore('licenses');
+  return {
+    loadAll: () => store.getAll(),
+    put: (license) => store.put(license),
+    delete: (id) => store.delete(id),
+    clear: () => store.clear()
+  };
+}
+
+/**
+ * Storage adapter that keeps licenses in memory only
+ * @param {Array<Object>} initialLicenses - Licenses to start with
+ */
+export function createMemoryLicenseStorage(initialLicenses = []) {
+  const licenses = new Map(initialLicenses.map(license => [license.id, license]));
+  return {
+    loadAll: async () => Array.from(licenses.values()),
+    put: async (license) => { licenses.set(license.id, license); },
+    delete: async (id) => { licenses.delete(id); },
+    clear: async () => { licenses.clear(); }
+  };
+}
+
+/**
+ * Create a license registry
+ * @param {Object} options
+ * @param {Object} options.storage - Adapter with loadAll(), put(license), delete(id) and clear()
+ * @returns {Object} License registry API
+ */
+export function createLicenseRegistry({ storage = createMemoryLicenseStorage() } = {}) {
+  const licenses = new Map();
+  let loadPromise = null;
+
+  const registry = {
+    /**
+     * Load persisted licenses (safe to call repeatedly)
+     */
+    load() {
+      if (!loadPromise) {
+        loadPromise = storage.loadAll().then(stored => {
+          stored.forEach(license => licenses.set(license.id, license));
+          return registry;
+        }).catch(error => {
+          loadPromise = null;
+          throw error;
+        });
+      }
+      return loadPromise;
+    },
+
+    /**
+     * All licenses, grouped by artwork
+     * @returns {Array<Object>}
+     */
+    list() {
+      return Array.from(licenses.values())
+        .sort((a, b) => a.artworkId.localeCompare(b.artworkId) || a.id.localeCompare(b.id));
+    },
+
+    /**
+     * Add or replace a license
+     * @param {Object} input - License fields (validated with normalizeLicense)
+     * @returns {Promise<Object>} The stored license
+     */
+    async save(input) {
+      const license = normalizeLicense(input);
+      licenses.set(license.id, license);
+      await storage.put(license);
+      return license;
+    },
+
+    /**
+     * Add or replace several licenses at once, e.g. from an imported file
+     * @param {Array<Object>} inputs - License fields
+     * @returns {Promise<Array<Object>>} The stored licenses
+     */
+    async saveAll(inputs) {
+      const normalized = inputs.map(normalizeLicense);
+      normalized.forEach(license => licenses.set(license.id, license));
+      await Promise.all(normalized.map(license => storage.put(license)));
+      return normalized;
+    },
+
+    /**
+     * Remove a license
+     * @param {string} id
+     */
+    async remove(id) {
+      licenses.delete(id);
+      await storage.delete(id);
+    },
+
+    /**
+     * Remove every license
+     */
+    async clear() {
+      licenses.clear();
+      await storage.clear();
+    }
+  };
+
+  return registry;
+}
+
+let licenseRegistry = null;
+
+/**
+ * Shared license registry, persisted to IndexedDB when available
+ * @returns {Promise<Object>} Loaded license registry
+ */
+export function getLicenseRegistry() {
+  if (!licenseRegistry) {
+    licenseRegistry = createLicenseRegistry({
+      storage: isIndexedDbAvailable() ? createIndexedDbLicenseStorage() : createMemoryLicenseStorage()
+    });
+  }
+  return licenseRegistry.load();
+}
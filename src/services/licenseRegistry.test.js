@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { evaluateLicense, LICENSE_STATUS, normalizeLicense } from './licenseRegistry';
+
+const ARTWORK = 'peach-tree';
+const DATE = '2024-06-01';
+
+const license = (fields) => normalizeLicense({ artworkId: ARTWORK, ...fields });
+const evaluate = (book, licenses, options = {}) => evaluateLicense(book, licenses, { artworkId: ARTWORK, date: DATE, ...options });
+
+describe('evaluateLicense', () => {
+  it('calls a match unlicensed when the artwork has no license on file', () => {
+    const other = normalizeLicense({ artworkId: 'another-cover', publishers: 'Orchard House' });
+    expect(evaluate({ publisher: 'Orchard House' }, [other])).toMatchObject({
+      status: LICENSE_STATUS.UNLICENSED,
+      licenseId: null
+    });
+  });
+
+  it('matches licenses by ISBN, whichever ISBN form the book has', () => {
+    const byIsbn = license({ id: 'by-isbn', isbns: '9780306406157' });
+    expect(evaluate({ isbn: '0-306-40615-2' }, [byIsbn])).toMatchObject({
+      status: LICENSE_STATUS.LICENSED,
+      licenseId: 'by-isbn'
+    });
+    expect(evaluate({ isbn: '9781234567897' }, [byIsbn]).status).toBe(LICENSE_STATUS.UNLICENSED);
+  });
+
+  it('matches publishers regardless of case, punctuation and company form', () => {
+    const orchard = license({ publishers: 'Orchard House Books, Inc.' });
+    expect(evaluate({ publisher: 'orchard house' }, [orchard]).status).toBe(LICENSE_STATUS.LICENSED);
+    expect(evaluate({ publisher: 'Orchard Lane Press' }, [orchard]).status).toBe(LICENSE_STATUS.UNLICENSED);
+  });
+
+  it('tells publishers apart in non-Latin scripts', () => {
+    const kodansha = license({ publishers: '講談社' });
+    expect(evaluate({ publisher: '講談社' }, [kodansha]).status).toBe(LICENSE_STATUS.LICENSED);
+    expect(evaluate({ publisher: '海賊出版' }, [kodansha]).status).toBe(LICENSE_STATUS.UNLICENSED);
+    expect(evaluate({ publisher: 'Эксмо' }, [license({ publishers: 'АСТ' })]).status).toBe(LICENSE_STATUS.UNLICENSED);
+  });
+
+  it('never matches a publisher name made only of generic words', () => {
+    expect(evaluate({ publisher: 'Press' }, [license({ publishers: 'Books Inc' })]).status).toBe(LICENSE_STATUS.UNLICENSED);
+    expect(evaluate({ publisher: 'Books Inc' }, [license({ publishers: 'Books Inc' })]).status).toBe(LICENSE_STATUS.UNLICENSED);
+  });
+
+  it('reports licenses outside their term as expired or not yet started', () => {
+    const ended = license({ id: 'ended', publishers: 'Orchard House', validUntil: '2023-12-31' });
+    const future = license({ id: 'future', publishers: 'Orchard House', validFrom: '2025-01-01' });
+    expect(evaluate({ publisher: 'Orchard House' }, [ended])).toMatchObject({ status: LICENSE_STATUS.EXPIRED, licenseId: 'ended' });
+    expect(evaluate({ publisher: 'Orchard House' }, [future])).toMatchObject({ status: LICENSE_STATUS.UNLICENSED, licenseId: 'future' });
+  });
+
+  it('checks regions only when one is given', () => {
+    const northAmerica = license({ publishers: 'Orchard House', regions: 'us; ca' });
+    expect(evaluate({ publisher: 'Orchard House' }, [northAmerica]).status).toBe(LICENSE_STATUS.LICENSED);
+    expect(evaluate({ publisher: 'Orchard House' }, [northAmerica], { region: 'ca' }).status).toBe(LICENSE_STATUS.LICENSED);
+    expect(evaluate({ publisher: 'Orchard House' }, [northAmerica], { region: 'GB' }).status).toBe(LICENSE_STATUS.UNLICENSED);
+    expect(evaluate({ publisher: 'Orchard House' }, [license({ publishers: 'Orchard House', regions: 'WORLD' })], { region: 'GB' }).status)
+      .toBe(LICENSE_STATUS.LICENSED);
+  });
+
+  it('prefers a current license over an expired one', () => {
+    const ended = license({ id: 'ended', publishers: 'Orchard House', validUntil: '2023-12-31' });
+    const current = license({ id: 'current', isbns: '9780306406157' });
+    expect(evaluate({ isbn: '9780306406157', publisher: 'Orchard House' }, [ended, current])).toMatchObject({
+      status: LICENSE_STATUS.LICENSED,
+      licenseId: 'current'
+    });
+  });
+});
@@ -0,0 +1,345 @@
+import { DEFAULT_HASH_WEIGHTS, HASH_ALGORITHM_VERSION } from './phashService';
+
+/**
+ * Calibrated match confidence
+ * A similarity % says how many hash bits agree, not how unusual that is: unrelated covers share
+ * plenty of layout, so their hashes routinely agree on 50-60% of the bits. Calibration samples random
+ * pairs of covers from the local hash index, fits each algorithm's Hamming distance distribution for
+ * unrelated covers (a beta-binomial, so covers that look more alike than coin flips are accounted for)
+ * and turns every match's distances into a p-value: the chance that an unrelated cover comes this
+ * close. Until the index holds enough covers the distances are compared with random hashes instead.
+ * The index also holds reprints and re-uploads of the same artwork, so pairs that are near duplicates
+ * under every algorithm are left out of the sample, and a fitted p-value never goes below one in the
+ * number of pairs sampled: the tail past that is extrapolation the sample can't back.
+ */
+
+/**
+ * Confidence tiers, most confident first; a match gets the first tier its p-value fits under
+ */
+export const CONFIDENCE_TIERS = [
+  { id: 'certain', label: 'Near certain', maxPValue: 1e-6 },
+  { id: 'strong', label: 'Strong', maxPValue: 1e-4 },
+  { id: 'possible', label: 'Possible', maxPValue: 1e-2 },
+  { id: 'weak', label: 'Weak', maxPValue: 1 }
+];
+
+// Fewer random pairs than this and the corpus says too little about the tails
+export const MIN_CALIBRATION_PAIRS = 1000;
+// Enough for the "Near certain" tier once the index holds a few thousand covers
+const MAX_CALIBRATION_PAIRS = 4000000;
+
+// Pairs this close under every algorithm (share of the bits) show the same artwork, not unrelated covers
+const NEAR_DUPLICATE_SHARE = 0.15;
+
+// Same sample every time for the same corpus, so confidence doesn't flicker between scans
+const CALIBRATION_SEED = 0x9e3779b9;
+
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Hashes as 32-bit words, so sampling millions of pairs doesn't parse hex every time
+function toWords(hex) {
+  const words = new Uint32Array(Math.ceil(hex.length / 8));
+  for (let i = 0; i < words.length; i++) words[i] = parseInt(hex.slice(i * 8, i * 8 + 8), 16);
+  return words;
+}
+
+function popcount(x) {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  return Math.imul((x + (x >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+function wordDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) distance += popcount(a[i] ^ b[i]);
+  return distance;
+}
+
+// Lanczos approximation of ln Γ(x), x > 0
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7
+];
+
+function logGamma(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const z = x - 1;
+  let sum = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i++) sum += LANCZOS[i] / (z + i);
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+function logBeta(a, b) {
+  return logGamma(a) + logGamma(b) - logGamma(a + b);
+}
+
+function logChoose(n, k) {
+  return logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1);
+}
+
+/**
+ * Cumulative distribution of the distance, cdf[d] = P(distance <= d)
+ */
+function toCdf(logPmf) {
+  const pmf = logPmf.map(Math.exp);
+  const total = pmf.reduce((sum, p) => sum + p, 0);
+  let running = 0;
+  return pmf.map(p => {
+    running += p / total;
+    return Math.min(1, running);
+  });
+}
+
+function binomialModel(bits, probability = 0.5, extra = {}) {
+  const logPmf = Array.from({ length: bits + 1 }, (_, k) => (
+    logChoose(bits, k) + k * Math.log(probability) + (bits - k) * Math.log(1 - probability)
+  ));
+  return { bits, source: 'binomial', pairs: 0, mean: bits * probability, minPValue: 0, ...extra, cdf: toCdf(logPmf) };
+}
+
+/**
+ * Fit the null distribution of one algorithm's distances (method of moments)
+ * Distances more spread out than a binomial become a beta-binomial with the same mean.
+ * @param {number} bits - Hash length
+ * @param {Array<number>} counts - counts[d] = sampled pairs at distance d
+ */
+function fitModel(bits, counts) {
+  const pairs = counts.reduce((sum, count) => sum + count, 0);
+  const mean = counts.reduce((sum, count, d) => sum + count * d, 0) / pairs;
+  const variance = counts.reduce((sum, count, d) => sum + count * (d - mean) ** 2, 0) / Math.max(1, pairs - 1);
+  const probability = Math.min(0.99, Math.max(0.01, mean / bits));
+  const stats = { pairs, mean, sd: Math.sqrt(variance), minPValue: 1 / pairs };
+
+  const overdispersion = (variance / (bits * probability * (1 - probability)) - 1) / (bits - 1);
+  if (!(overdispersion > 1e-6)) {
+    return { ...binomialModel(bits, probability, stats), source: 'corpus' };
+  }
+
+  const concentration = 1 / Math.min(0.5, overdispersion) - 1;
+  const alpha = probability * concentration;
+  const beta = (1 - probability) * concentration;
+  const logPmf = Array.from({ length: bits + 1 }, (_, k) => (
+    logChoose(bits, k) + logBeta(k + alpha, bits - k + beta) - logBeta(alpha, beta)
+  ));
+  return { bits, source: 'corpus', ...stats, cdf: toCdf(logPmf) };
+}
+
+const modelKey = (algorithm, bits) => `${algorithm}:${bits}`;
+const modelBits = (key) => Number(key.split(':')[1]);
+
+/**
+ * Calibrate against a corpus of unrelated covers
+ * @param {Array<Object>} hashMaps - Hex hashes keyed by algorithm, one map per cover
+ * @param {Object} options
+ * @param {number} options.maxPairs - Random pairs sampled at most (default 20000)
+ * @param {number} options.seed - Seed for the pair sample
+ * @returns {{corpusSize: number, nearDuplicatePairs: number, models: Object, model: Function}} Calibration;
+ *   model(algorithm, bits) gives the fitted distribution, or a binomial one for random hashes when the
+ *   corpus is too small
+ */
+export function calibrateHashDistances(hashMaps, { maxPairs = MAX_CALIBRATION_PAIRS, seed = CALIBRATION_SEED } = {}) {
+  // Every cover's hashes as words, one slot per algorithm and length (null when a cover lacks one)
+  const maps = hashMaps.filter(Boolean);
+  const keys = Array.from(new Set(maps.flatMap(hashes => (
+    Object.entries(hashes).filter(([, hex]) => hex).map(([algorithm, hex]) => modelKey(algorithm, hex.length * 4))
+  ))));
+  const bitsByKey = keys.map(modelBits);
+  const covers = maps.map(hashes => keys.map(key => {
+    const hex = hashes[key.split(':')[0]];
+    return hex && hex.length * 4 === modelBits(key) ? toWords(hex) : null;
+  }));
+  const counts = bitsByKey.map(bits => new Array(bits + 1).fill(0));
+  const distances = new Int32Array(keys.length);
+  const allPairs = (covers.length * (covers.length - 1)) / 2;
+  let nearDuplicatePairs = 0;
+
+  const addPair = (a, b) => {
+    let compared = 0;
+    let nearDuplicate = true;
+    for (let k = 0; k < keys.length; k++) {
+      if (!a[k] || !b[k]) {
+        distances[k] = -1;
+        continue;
+      }
+      distances[k] = wordDistance(a[k], b[k]);
+      compared++;
+      if (distances[k] > bitsByKey[k] * NEAR_DUPLICATE_SHARE) nearDuplicate = false;
+    }
+    if (compared === 0) return;
+    if (nearDuplicate) {
+      nearDuplicatePairs++;
+      return;
+    }
+    for (let k = 0; k < keys.length; k++) {
+      if (distances[k] >= 0) counts[k][distances[k]]++;
+    }
+  };
+
+  if (allPairs <= maxPairs) {
+    for (let i = 0; i < covers.length; i++) {
+      for (let j = i + 1; j < covers.length; j++) addPair(covers[i], covers[j]);
+    }
+  } else {
+    const random = seededRandom(seed);
+    for (let n = 0; n < maxPairs; n++) {
+      const i = Math.floor(random() * covers.length);
+      const j = (i + 1 + Math.floor(random() * (covers.length - 1))) % covers.length;
+      addPair(covers[i], covers[j]);
+    }
+  }
+
+  const models = {};
+  keys.forEach((key, k) => {
+    if (counts[k].reduce((sum, count) => sum + count, 0) >= MIN_CALIBRATION_PAIRS) {
+      models[key] = fitModel(bitsByKey[k], counts[k]);
+    }
+  });
+
+  return {
+    corpusSize: covers.length,
+    nearDuplicatePairs,
+    models,
+    model(algorithm, bits) {
+      const key = modelKey(algorithm, bits);
+      if (!models[key]) models[key] = binomialModel(bits);
+      return models[key];
+    }
+  };
+}
+
+// Calibration per index, redone once the index has grown by a tenth (or by ten covers while small)
+const indexCalibrations = new WeakMap();
+
+/**
+ * Calibration from the covers in a hash index (see createHashIndex), cached until the index grows
+ * @param {Object|null} index - Loaded hash index; without one, distances are compared with random hashes
+ * @returns {Object} See calibrateHashDistances
+ */
+export function getIndexCalibration(index) {
+  if (!index) return calibrateHashDistances([]);
+
+  const cached = indexCalibrations.get(index);
+  if (cached && index.size >= cached.size && index.size < Math.max(cached.size * 1.1, cached.size + 10)) {
+    return cached.calibration;
+  }
+
+  const hashMaps = index.entries()
+    .filter(entry => entry.version === HASH_ALGORITHM_VERSION)
+    .map(entry => entry.hashes);
+  const calibration = calibrateHashDistances(hashMaps);
+  indexCalibrations.set(index, { size: index.size, calibration });
+  return calibration;
+}
+
+/**
+ * Confidence tier of a p-value
+ * @param {number} pValue
+ * @returns {Object} One of CONFIDENCE_TIERS
+ */
+export function confidenceTier(pValue) {
+  return CONFIDENCE_TIERS.find(tier => pValue <= tier.maxPValue) || CONFIDENCE_TIERS[CONFIDENCE_TIERS.length - 1];
+}
+
+/**
+ * Whether a confidence reaches a tier ('any' or a missing tier lets everything through)
+ * @param {{tier: string}} confidence
+ * @param {string} minTier - Id of one of CONFIDENCE_TIERS
+ * @returns {boolean}
+ */
+export function meetsConfidence(confidence, minTier) {
+  const required = CONFIDENCE_TIERS.findIndex(tier => tier.id === minTier);
+  if (required < 0) return true;
+  return CONFIDENCE_TIERS.findIndex(tier => tier.id === confidence.tier) <= required;
+}
+
+/**
+ * Calibrated confidence of a match
+ * Each algorithm's distance gets its own p-value, no smaller than its model's sample can support (minPValue).
+ * They are combined with a weighted Bonferroni bound
+ * (the smallest p / weight), which holds however correlated the algorithms are, and multiplied by the
+ * number of variant pairings compared since only the closest one was kept.
+ * @param {Object} calibration - See calibrateHashDistances
+ * @param {{distances: Object, bitLengths: Object}} match - Per-algorithm Hamming distances and bit lengths
+ * @param {Object} options
+ * @param {Object} options.weights - Weight per algorithm (default DEFAULT_HASH_WEIGHTS)
+ * @param {number} options.pairings - Variant pairings the closest match was picked from (default 1)
+ * @returns {{pValue: number, tier: string, pValues: Object, source: string}} Combined p-value, tier id,
+ *   the p-value per algorithm and whether the corpus or random hashes calibrated them
+ */
+export function scoreMatchConfidence(calibration, { distances, bitLengths }, { weights = DEFAULT_HASH_WEIGHTS, pairings = 1 } = {}) {
+  const pValues = {};
+  const sources = new Set();
+  Object.entries(distances).forEach(([algorithm, distance]) => {
+    const model = calibration.model(algorithm, bitLengths[algorithm]);
+    pValues[algorithm] = Math.max(model.cdf[Math.min(distance, model.bits)], model.minPValue);
+    sources.add(model.source);
+  });
+
+  const weighted = Object.keys(pValues).filter(algorithm => (weights[algorithm] ?? 0) > 0);
+  const totalWeight = weighted.reduce((sum, algorithm) => sum + weights[algorithm], 0);
+  const bound = weighted.length > 0
+    ? Math.min(...weighted.map(algorithm => pValues[algorithm] * totalWeight / weights[algorithm]))
+    : 1;
+  const pValue = Math.min(1, bound * Math.max(1, pairings));
+
+  return {
+    pValue,
+    tier: confidenceTier(pValue).id,
+    pValues,
+    source: sources.has('binomial') ? 'binomial' : 'corpus'
+  };
+}
+
+/**
+ * What a calibration was based on, for the parameters recorded with results
+ * @param {Object} calibration
+ * @returns {{corpusSize: number, nearDuplicatePairs: number, models: Object}} Pairs, mean and spread per
+ *   fitted algorithm
+ */
+export function describeCalibration(calibration) {
+  return {
+    corpusSize: calibration.corpusSize,
+    nearDuplicatePairs: calibration.nearDuplicatePairs,
+    models: Object.fromEntries(Object.entries(calibration.models)
+      .filter(([, model]) => model.source === 'corpus')
+      .map(([key, model]) => [key, {
+        pairs: model.pairs,
+        mean: Math.round(model.mean * 100) / 100,
+        sd: Math.round(model.sd * 100) / 100
+      }]))
+  };
+}
+
+/**
+ * A p-value for display, e.g. "p = 0.03", "p = 2.1e-5" or "p < 1e-12"
+ * @param {number} pValue
+ * @returns {string}
+ */
+export function formatPValue(pValue) {
+  if (pValue < 1e-12) return 'p < 1e-12';
+  if (pValue >= 0.001) return `p = ${Number(pValue.toPrecision(2))}`;
+  return `p = ${pValue.toExponential(1)}`;
+}
+
+/**
+ * Label of a match's confidence for display, e.g. "Strong (p = 2.1e-5)"
+ * @param {{pValue: number, tier: string}} confidence - See scoreMatchConfidence
+ * @returns {string}
+ */
+export function formatConfidence(confidence) {
+  const tier = CONFIDENCE_TIERS.find(({ id }) => id === confidence.tier) || confidenceTier(confidence.pValue);
+  return `${tier.label} (${formatPValue(confidence.pValue)})`;
+}
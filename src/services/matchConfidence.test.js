@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calibrateHashDistances,
+  describeCalibration,
+  MIN_CALIBRATION_PAIRS,
+  scoreMatchConfidence
+} from './matchConfidence';
+
+// Deterministic random hashes, so the fitted numbers don't change between runs
+function createRandomHex(seed) {
+  let state = seed;
+  const nextByte = () => {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    return state >>> 24;
+  };
+  return (bits) => Array.from({ length: bits / 8 }, () => nextByte().toString(16).padStart(2, '0')).join('');
+}
+
+function randomCovers(count, algorithms = ['phash'], seed = 7) {
+  const randomHex = createRandomHex(seed);
+  return Array.from({ length: count }, () => Object.fromEntries(algorithms.map(name => [name, randomHex(64)])));
+}
+
+const pairsOf = count => (count * (count - 1)) / 2;
+const match = (distances) => ({ distances, bitLengths: Object.fromEntries(Object.keys(distances).map(name => [name, 64])) });
+
+describe('calibrateHashDistances', () => {
+  it('compares with random hashes until the corpus has enough pairs', () => {
+    const covers = randomCovers(40);
+    expect(pairsOf(covers.length)).toBeLessThan(MIN_CALIBRATION_PAIRS);
+
+    const model = calibrateHashDistances(covers).model('phash', 64);
+    expect(model.source).toBe('binomial');
+    expect(model.mean).toBe(32);
+    expect(model.minPValue).toBe(0);
+  });
+
+  it('fits every pair of a large enough corpus', () => {
+    const covers = randomCovers(60);
+    const calibration = calibrateHashDistances(covers);
+    const model = calibration.model('phash', 64);
+
+    expect(model.source).toBe('corpus');
+    expect(model.pairs).toBe(pairsOf(60));
+    expect(model.mean).toBeGreaterThan(31);
+    expect(model.mean).toBeLessThan(33);
+    expect(model.minPValue).toBe(1 / pairsOf(60));
+    expect(model.cdf[64]).toBeCloseTo(1);
+    expect(describeCalibration(calibration).models['phash:64'].pairs).toBe(pairsOf(60));
+  });
+
+  it('samples at most maxPairs pairs', () => {
+    const model = calibrateHashDistances(randomCovers(100), { maxPairs: 1500 }).model('phash', 64);
+    expect(model.pairs).toBe(1500);
+  });
+
+  it('leaves pairs that are near duplicates under every algorithm out of the sample', () => {
+    const covers = randomCovers(50, ['phash', 'dhash']);
+    // A reprint of the first cover with one bit changed, and a cover sharing only its pHash
+    const reprint = { phash: covers[0].phash.replace(/^./, c => (parseInt(c, 16) ^ 1).toString(16)), dhash: covers[0].dhash };
+    const samePhashOnly = { phash: covers[1].phash, dhash: createRandomHex(99)(64) };
+
+    const calibration = calibrateHashDistances([...covers, reprint, samePhashOnly]);
+    expect(calibration.nearDuplicatePairs).toBe(1);
+    expect(calibration.model('phash', 64).pairs).toBe(pairsOf(52) - 1);
+  });
+});
+
+describe('scoreMatchConfidence', () => {
+  it('gives identical hashes a vanishing p-value against random hashes', () => {
+    const confidence = scoreMatchConfidence(calibrateHashDistances([]), match({ phash: 0 }), { weights: { phash: 1 } });
+
+    expect(confidence.pValue / 2 ** -64).toBeCloseTo(1, 6);
+    expect(confidence.tier).toBe('certain');
+    expect(confidence.source).toBe('binomial');
+  });
+
+  it('calls a distance near half the bits weak', () => {
+    const confidence = scoreMatchConfidence(calibrateHashDistances([]), match({ phash: 30 }), { weights: { phash: 1 } });
+    expect(confidence.pValue).toBeGreaterThan(0.1);
+    expect(confidence.tier).toBe('weak');
+  });
+
+  it('never claims more than the corpus sample supports', () => {
+    const calibration = calibrateHashDistances(randomCovers(60));
+    const confidence = scoreMatchConfidence(calibration, match({ phash: 0 }), { weights: { phash: 1 } });
+
+    expect(confidence.source).toBe('corpus');
+    expect(confidence.pValue).toBe(1 / pairsOf(60));
+    expect(confidence.tier).toBe('possible');
+  });
+
+  it('combines algorithms with a weighted Bonferroni bound and counts variant pairings', () => {
+    const calibration = calibrateHashDistances([]);
+    const single = scoreMatchConfidence(calibration, match({ phash: 10 }), { weights: { phash: 1 } });
+    const combined = scoreMatchConfidence(calibration, match({ phash: 10, dhash: 40 }), { weights: { phash: 0.5, dhash: 0.5 } });
+    const withVariants = scoreMatchConfidence(calibration, match({ phash: 10 }), { weights: { phash: 1 }, pairings: 4 });
+
+    expect(combined.pValue / single.pValue).toBeCloseTo(2, 6);
+    expect(combined.pValues.dhash).toBeGreaterThan(0.9);
+    expect(withVariants.pValue / single.pValue).toBeCloseTo(4, 6);
+  });
+
+  it('ignores algorithms without weight', () => {
+    const calibration = calibrateHashDistances([]);
+    const confidence = scoreMatchConfidence(calibration, match({ phash: 10, ahash: 0 }), { weights: { phash: 1, ahash: 0 } });
+    expect(confidence.pValue).toBe(confidence.pValues.phash);
+  });
+});
@@ -1,45 +1,147 @@
+import {
+  canRasterizeSvg,
+  checkImageByteSize,
+  decodeImage,
+  IMAGE_LIMITS,
+  ImageDownloadError,
+  inspectImageBytes,
+  restoreImageError
+} from './imageDecoder';
+import { detectImageFormat } from './imageFormat';
+import { createRegionSignature } from './regionMatcher';
+import { createAbortError, isAbortError } from './taskPool';
+import {
+  GRAYSCALE_TRANSFORMS,
+  ImageHash,
+  hexHammingDistance,
+  toGrayscale,
+  trimBorders as trimGrayscaleBorders,
+  perceptualHash,
+  averageHash,
+  differenceHash,
+  waveletHash
+} from './imageHash';
+
+// The WASM build output isn't checked in, so resolve it lazily through a glob:
+// an empty match simply means we run the JavaScript implementation instead
+const wasmLoaders = import.meta.glob('../wasm/rust_phash.js');
+
+/**
+ * Version of the hashing pipeline, recorded with exported evidence
+ * Bump it whenever a change alters the bits produced for the same image.
+ */
+export const HASH_ALGORITHM_VERSION = '1.1.0';
+
+/**
+ * Image variants that can be hashed besides the image itself, with display labels
+ */
+export const HASH_TRANSFORMS = {
+  mirror: 'Mirrored',
+  rotate90: 'Rotated 90°',
+  rotate180: 'Rotated 180°',
+  rotate270: 'Rotated 270°',
+  centerCrop: 'Center crop'
+};
+
 let wasmModule = null;
+let wasmUnavailable = false;
 
 /**
  * Initialize the WASM module
+ * @returns {Promise<Object|null>} The WASM module, or null when it can't be loaded
  */
 export async function initPhash() {
   if (wasmModule) return wasmModule;
+  if (wasmUnavailable) return null;
 
   try {
-    const wasmImport = await import('../wasm/rust_phash.js');
+    const loadWasm = wasmLoaders['../wasm/rust_phash.js'];
+    if (!loadWasm) {
+      throw new Error('rust_phash.js not found');
+    }
+
+    const wasmImport = await loadWasm();
     await wasmImport.default();
     wasmModule = wasmImport;
     console.log('WASM phash module initialized');
     return wasmModule;
   } catch (error) {
-    console.error('Failed to initialize WASM module:', error);
-    throw error;
+    console.warn('WASM phash module unavailable, using JavaScript implementation:', error);
+    wasmUnavailable = true;
+    return null;
   }
 }
 
+// Formats the WASM module decodes itself; anything else is decoded here and hashed in JavaScript
+const WASM_FORMATS = ['png', 'jpeg'];
+
+/**
+ * Read a response body, giving up as soon as it grows past the byte limit
+ * so a huge file never ends up in memory whole
+ */
+async function readLimitedBody(response, maxBytes) {
+  const declared = Number(response.headers.get('content-length'));
+  if (declared) checkImageByteSize(declared, { maxBytes });
+  if (!response.body) return new Uint8Array(await response.arrayBuffer());
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    received += value.byteLength;
+    if (received > maxBytes) {
+      reader.cancel().catch(() => {});
+      checkImageByteSize(received, { maxBytes });
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(received);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes;
+}
+
 /**
  * Fetch image as bytes
+ * Byte arrays and Blobs are passed through, so callers can hash images they already hold.
+ * @throws {ImageDownloadError|ImageTooLargeError}
  */
-async function fetchImageBytes(imageUrl) {
-  const response = await fetch(imageUrl);
+async function fetchImageBytes(imageUrl, signal) {
+  if (imageUrl instanceof Uint8Array) return imageUrl;
+  if (imageUrl instanceof ArrayBuffer) return new Uint8Array(imageUrl);
+  if (typeof Blob !== 'undefined' && imageUrl instanceof Blob) {
+    checkImageByteSize(imageUrl.size);
+    return new Uint8Array(await imageUrl.arrayBuffer());
+  }
+
+  let response;
+  try {
+    response = await fetch(imageUrl, { signal });
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    throw new ImageDownloadError(`Failed to fetch image: ${error.message}`);
+  }
   if (!response.ok) {
-    throw new Error(`Failed to fetch image: ${response.statusText}`);
+    throw new ImageDownloadError(`Failed to fetch image: ${response.status} ${response.statusText}`.trim(), response.status);
   }
-  const arrayBuffer = await response.arrayBuffer();
-  return new Uint8Array(arrayBuffer);
+  return readLimitedBody(response, IMAGE_LIMITS.maxBytes);
 }
 
 /**
  * Calculate perceptual hash for an image
  * @param {string} imageUrl - URL or path to the image
+ * @param {Object} options - Same options as calculateHashes
  * @returns {Promise<Object>} Hash object with methods
  */
-export async function calculateHash(imageUrl) {
-  const wasm = await initPhash();
-  const imageBytes = await fetchImageBytes(imageUrl);
-  const hash = new wasm.ImageHash(imageBytes);
-  return hash;
+export async function calculateHash(imageUrl, options = {}) {
+  const hashes = await calculateHashes(imageUrl, { phash: { hashSize: 8 } }, options);
+  return hashes.phash;
 }
 
 /**
@@ -49,15 +151,9 @@ export async function calculateHash(imageUrl) {
  * @returns {Promise<number>} Similarity percentage (0-100)
  */
 export async function compareImages(imageUrl1, imageUrl2) {
-  const wasm = await initPhash();
-
-  const imageBytes1 = await fetchImageBytes(imageUrl1);
-  const imageBytes2 = await fetchImageBytes(imageUrl2);
-
-  const hammingDistance = wasm.compareImages(imageBytes1, imageBytes2);
-  const similarity = wasm.calculateSimilarity(hammingDistance, 8);
-
-  return similarity;
+  const [hash1, hash2] = await Promise.all([calculateHash(imageUrl1), calculateHash(imageUrl2)]);
+  const maxDistance = 8 * 8;
+  return (1.0 - (hexHammingDistance(hash1.toHex(), hash2.toHex()) / maxDistance)) * 100.0;
 }
 
 /**
@@ -69,3 +165,350 @@ export async function getImageHashHex(imageUrl) {
   const hash = await calculateHash(imageUrl);
   return hash.toHex();
 }
+
+// Registered hash algorithms, keyed by name
+const hashAlgorithms = new Map();
+
+/**
+ * Register a hash algorithm
+ * @param {string} name - Unique algorithm name (e.g. 'phash')
+ * @param {Object} algorithm - Algorithm definition
+ * @param {string} algorithm.label - Human readable name
+ * @param {Function} algorithm.compute - (grayImage, hashSize) => ImageHash
+ * @param {number} algorithm.defaultHashSize - Hash side length when none is given (bits = size^2)
+ */
+export function registerHashAlgorithm(name, algorithm) {
+  if (typeof algorithm.compute !== 'function') {
+    throw new Error(`Hash algorithm "${name}" must provide a compute function`);
+  }
+  hashAlgorithms.set(name, { defaultHashSize: 8, label: name, ...algorithm, name });
+}
+
+/**
+ * Get a registered hash algorithm by name
+ * @param {string} name - Algorithm name
+ * @returns {Object|undefined} Algorithm definition
+ */
+export function getHashAlgorithm(name) {
+  return hashAlgorithms.get(name);
+}
+
+/**
+ * List the names of all registered hash algorithms
+ * @returns {Array<string>}
+ */
+export function listHashAlgorithms() {
+  return Array.from(hashAlgorithms.keys());
+}
+
+// Built-in algorithms are also available inside the hashing workers
+registerHashAlgorithm('phash', { label: 'Perceptual (DCT)', compute: perceptualHash, builtIn: true });
+registerHashAlgorithm('ahash', { label: 'Average', compute: averageHash, builtIn: true });
+registerHashAlgorithm('dhash', { label: 'Difference', compute: differenceHash, builtIn: true });
+registerHashAlgorithm('whash', { label: 'Wavelet (Haar)', compute: waveletHash, builtIn: true });
+
+/**
+ * Default weights used to combine per-algorithm similarities
+ */
+export const DEFAULT_HASH_WEIGHTS = {
+  phash: 0.4,
+  dhash: 0.25,
+  whash: 0.2,
+  ahash: 0.15
+};
+
+/**
+ * Normalize an algorithm selection into { name: { hashSize } }
+ * Accepts an array of names or an object of per-algorithm options
+ */
+function normalizeAlgorithms(algorithms) {
+  const entries = Array.isArray(algorithms)
+    ? algorithms.map(name => [name, {}])
+    : Object.entries(algorithms);
+
+  return Object.fromEntries(entries.map(([name, config]) => {
+    const algorithm = getHashAlgorithm(name);
+    if (!algorithm) {
+      throw new Error(`Unknown hash algorithm: ${name}`);
+    }
+    return [name, { hashSize: config?.hashSize || algorithm.defaultHashSize }];
+  }));
+}
+
+/**
+ * Number of bits in a hash (works for JS and WASM hash objects)
+ * @param {Object} hash - Hash object with toHex()
+ * @returns {number}
+ */
+export function getHashBitLength(hash) {
+  return hash.bits ? hash.bits.length : hash.toHex().length * 4;
+}
+
+/**
+ * Hash already-downloaded image bytes on the current thread, once per variant
+ * This is what the hashing workers run. Uniform borders are trimmed first; the 64-bit pHash
+ * comes from WASM when available and the image had no border to trim.
+ * @param {Uint8Array} imageBytes - Encoded image
+ * @param {Object} selected - { name: { hashSize } } of registered algorithms
+ * @param {Object} options
+ * @param {Array<string>} options.transforms - Extra variants to hash (keys of HASH_TRANSFORMS)
+ * @param {boolean} options.trimBorders - Trim uniform borders before hashing (default true)
+ * @param {boolean} options.regionSignature - Also describe the untrimmed image for region matching
+ * @returns {Promise<{variants: Object, regionSignature: Object|null}>} Variants as
+ *   { identity: hashes, [transform]: hashes } (hash objects keyed by algorithm name), plus the region signature
+ */
+export async function analyzeImageBytes(imageBytes, selected, options = {}) {
+  const { transforms = [], trimBorders = true, regionSignature = false } = options;
+  // Size and format are checked before anything (WASM included) touches the bytes
+  const { format } = inspectImageBytes(imageBytes);
+  const wasm = await initPhash();
+  const wasmCanHash = wasm && selected.phash?.hashSize === 8 && WASM_FORMATS.includes(format);
+  const needsPixels = trimBorders || regionSignature || transforms.length > 0
+    || Object.keys(selected).some(name => name !== 'phash' || !wasmCanHash);
+
+  let gray = null;
+  let trimmed = false;
+  let region = null;
+  if (needsPixels) {
+    const decoded = toGrayscale(await decodeImage(imageBytes));
+    gray = trimBorders ? trimGrayscaleBorders(decoded) : decoded;
+    trimmed = gray !== decoded;
+    // Untrimmed, so region boxes line up with the image as displayed
+    if (regionSignature) region = createRegionSignature(decoded);
+  }
+
+  const hashGray = (image, useWasm) => Object.fromEntries(
+    Object.entries(selected).map(([name, { hashSize }]) => [
+      name,
+      name === 'phash' && useWasm
+        ? new wasm.ImageHash(imageBytes)
+        : getHashAlgorithm(name).compute(image, hashSize)
+    ])
+  );
+
+  const variants = { identity: hashGray(gray, wasmCanHash && !trimmed) };
+  transforms.forEach(transform => {
+    const apply = GRAYSCALE_TRANSFORMS[transform];
+    if (!apply) {
+      throw new Error(`Unknown image transform: ${transform}`);
+    }
+    variants[transform] = hashGray(apply(gray), false);
+  });
+
+  return { variants, regionSignature: region };
+}
+
+/**
+ * Hash already-downloaded image bytes on the current thread, once per variant
+ * @param {Uint8Array} imageBytes - Encoded image
+ * @param {Object} selected - { name: { hashSize } } of registered algorithms
+ * @param {Object} options - Same options as analyzeImageBytes
+ * @returns {Promise<Object>} { identity: hashes, [transform]: hashes }, hash objects keyed by algorithm name
+ */
+export async function hashImageVariants(imageBytes, selected, options = {}) {
+  const { variants } = await analyzeImageBytes(imageBytes, selected, { ...options, regionSignature: false });
+  return variants;
+}
+
+/**
+ * Hash already-downloaded image bytes on the current thread
+ * @param {Uint8Array} imageBytes - Encoded image
+ * @param {Object} selected - { name: { hashSize } } of registered algorithms
+ * @param {Object} options - Same options as hashImageVariants, without transforms
+ * @returns {Promise<Object>} Hash objects keyed by algorithm name
+ */
+export async function hashImageBytes(imageBytes, selected, options = {}) {
+  const variants = await hashImageVariants(imageBytes, selected, { ...options, transforms: [] });
+  return variants.identity;
+}
+
+// Pool of hashing workers, created on first use
+let workerPool = null;
+let workersDisabled = typeof Worker === 'undefined';
+let nextJobId = 0;
+
+function getWorkerPool() {
+  if (!workerPool) {
+    const cores = globalThis.navigator?.hardwareConcurrency || 2;
+    const size = Math.max(1, Math.min(4, cores - 1));
+    workerPool = Array.from({ length: size }, () => {
+      const worker = new Worker(new URL('../workers/hashWorker.js', import.meta.url), { type: 'module' });
+      const entry = { worker, jobs: new Map() };
+
+      worker.onmessage = (event) => {
+        const { id, variants, regionSignature, error, imageError } = event.data;
+        const job = entry.jobs.get(id);
+        if (!job) return;
+        entry.jobs.delete(id);
+        if (error) {
+          job.reject(imageError ? restoreImageError(imageError) : new Error(error));
+        } else {
+          job.resolve({
+            variants: Object.fromEntries(
+              Object.entries(variants).map(([transform, hashes]) => [transform, fromHexMap(hashes)])
+            ),
+            regionSignature
+          });
+        }
+      };
+
+      // A worker that can't start (e.g. no module worker support) disables the pool
+      worker.onerror = (event) => {
+        event.preventDefault?.();
+        disableWorkers(new Error(event.message || 'Hash worker failed'));
+      };
+
+      return entry;
+    });
+  }
+  return workerPool;
+}
+
+function disableWorkers(error) {
+  console.warn('Hashing workers unavailable, hashing on the main thread:', error);
+  workersDisabled = true;
+  (workerPool || []).forEach(({ worker, jobs }) => {
+    worker.terminate();
+    jobs.forEach(job => job.reject(Object.assign(error, { workerFailure: true })));
+  });
+  workerPool = null;
+}
+
+function fromHexMap(hexMap) {
+  return Object.fromEntries(Object.entries(hexMap).map(([name, hex]) => [name, ImageHash.fromHex(hex)]));
+}
+
+/**
+ * Hash image bytes in the least busy worker
+ * The bytes' buffer is transferred, so the caller must not reuse it.
+ */
+function hashInWorker(imageBytes, selected, analysisOptions, signal) {
+  const pool = getWorkerPool();
+  const entry = pool.reduce((best, candidate) => (
+    candidate.jobs.size < best.jobs.size ? candidate : best
+  ));
+  const id = nextJobId++;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      entry.jobs.delete(id);
+      reject(createAbortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const settle = (callback) => (value) => {
+      signal?.removeEventListener('abort', onAbort);
+      callback(value);
+    };
+    entry.jobs.set(id, { resolve: settle(resolve), reject: settle(reject) });
+
+    const buffer = imageBytes.buffer;
+    entry.worker.postMessage({ id, buffer, algorithms: selected, ...analysisOptions }, [buffer]);
+  });
+}
+
+/**
+ * Hash one image and some of its variants, decoding it only once
+ * Hashing runs in a Web Worker when possible; algorithms registered at runtime
+ * (not built in) are hashed on the main thread.
+ * @param {string|Uint8Array|Blob} imageUrl - URL or path to the image, or its bytes
+ * @param {Array<string>|Object} algorithms - Algorithm names, or { name: { hashSize } }
+ * @param {Object} options
+ * @param {Array<string>} options.transforms - Extra variants to hash (keys of HASH_TRANSFORMS)
+ * @param {boolean} options.trimBorders - Trim uniform borders before hashing (default true)
+ * @param {boolean} options.regionSignature - Also describe the image for region matching (see regionMatcher)
+ * @param {AbortSignal} options.signal - Cancels the image download and hashing
+ * @param {Function} options.onFetched - Called once the image bytes have been downloaded
+ * @returns {Promise<{variants: Object, regionSignature: Object|null}>} See analyzeImageBytes
+ * @throws {ImageError} When the image can't be downloaded or decoded (see imageDecoder), with a `kind` to show
+ */
+export async function analyzeImage(imageUrl, algorithms = Object.keys(DEFAULT_HASH_WEIGHTS), options = {}) {
+  const { transforms = [], trimBorders = true, regionSignature = false, signal, onFetched } = options;
+  const selected = normalizeAlgorithms(algorithms);
+  const analysisOptions = { transforms, trimBorders, regionSignature };
+  const imageBytes = await fetchImageBytes(imageUrl, signal);
+  if (onFetched) onFetched();
+
+  // Workers have no <img> element to rasterize SVG with, so SVG covers are hashed here
+  const canUseWorkers = !workersDisabled
+    && Object.keys(selected).every(name => getHashAlgorithm(name).builtIn)
+    && !(detectImageFormat(imageBytes) === 'svg' && canRasterizeSvg());
+
+  if (canUseWorkers) {
+    // Transfer a copy: the caller may still own imageBytes, and we need it
+    // if the worker pool fails and we hash locally
+    const transferable = imageBytes.slice();
+    try {
+      return await hashInWorker(transferable, selected, analysisOptions, signal);
+    } catch (error) {
+      if (!error.workerFailure) throw error;
+    }
+  }
+
+  return analyzeImageBytes(imageBytes, selected, analysisOptions);
+}
+
+/**
+ * Calculate several hashes for one image and some of its variants
+ * @param {string|Uint8Array|Blob} imageUrl - URL or path to the image, or its bytes
+ * @param {Array<string>|Object} algorithms - Algorithm names, or { name: { hashSize } }
+ * @param {Object} options - Same options as analyzeImage, without regionSignature
+ * @returns {Promise<Object>} { identity: hashes, [transform]: hashes }, hash objects keyed by algorithm name
+ */
+export async function calculateHashVariants(imageUrl, algorithms = Object.keys(DEFAULT_HASH_WEIGHTS), options = {}) {
+  const { variants } = await analyzeImage(imageUrl, algorithms, { ...options, regionSignature: false });
+  return variants;
+}
+
+/**
+ * Calculate several hashes for one image, decoding it only once
+ * @param {string|Uint8Array|Blob} imageUrl - URL or path to the image, or its bytes
+ * @param {Array<string>|Object} algorithms - Algorithm names, or { name: { hashSize } }
+ * @param {Object} options - Same options as calculateHashVariants, without transforms
+ * @returns {Promise<Object>} Hash objects keyed by algorithm name
+ */
+export async function calculateHashes(imageUrl, algorithms = Object.keys(DEFAULT_HASH_WEIGHTS), options = {}) {
+  const variants = await calculateHashVariants(imageUrl, algorithms, { ...options, transforms: [] });
+  return variants.identity;
+}
+
+/**
+ * Compare two sets of hashes and combine them into one weighted similarity
+ * Only algorithms present in both sets (and with a weight) contribute.
+ * @param {Object} hashesA - Hash objects keyed by algorithm name
+ * @param {Object} hashesB - Hash objects keyed by algorithm name
+ * @param {Object} weights - Weight per algorithm (default DEFAULT_HASH_WEIGHTS)
+ * @returns {{distances: Object, bitLengths: Object, similarities: Object, similarity: number}}
+ *   Per-algorithm Hamming distances, bit lengths and similarities (0-100), plus the combined similarity (0-100)
+ */
+export function compareHashSets(hashesA, hashesB, weights = DEFAULT_HASH_WEIGHTS) {
+  const distances = {};
+  const bitLengths = {};
+  const similarities = {};
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  for (const name of Object.keys(hashesA)) {
+    if (!hashesB[name]) continue;
+
+    const bitLength = getHashBitLength(hashesA[name]);
+    // Compare through hex so WASM hashes, JS hashes and indexed hashes mix freely
+    const distance = hexHammingDistance(hashesA[name].toHex(), hashesB[name].toHex());
+    const similarity = (1.0 - (distance / bitLength)) * 100.0;
+
+    distances[name] = distance;
+    bitLengths[name] = bitLength;
+    similarities[name] = similarity;
+
+    const weight = weights[name] ?? 0;
+    weightedSum += similarity * weight;
+    totalWeight += weight;
+  }
+
+  return {
+    distances,
+    bitLengths,
+    similarities,
+    similarity: totalWeight > 0 ? weightedSum / totalWeight : 0
+  };
+}
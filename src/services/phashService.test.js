@@ -0,0 +1,72 @@
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { afterAll, beforeAll, describe, expect, it, vi } from 'vitest';
+import { decodeImageInNode } from '../../cli/nodeImageDecoder';
+import { decodeImage, setImageDecoder } from './imageDecoder';
+import { detectImageFormat } from './imageFormat';
+import { perceptualHash, toGrayscale } from './imageHash';
+import { analyzeImageBytes, calculateHashes, HASH_ALGORITHM_VERSION } from './phashService';
+
+const COVERS_DIR = new URL('../../public/covers/', import.meta.url);
+const WASM_JS = new URL('../wasm/rust_phash.js', import.meta.url);
+const WASM_BINARY = new URL('../wasm/rust_phash_bg.wasm', import.meta.url);
+
+const cover = name => new Uint8Array(readFileSync(new URL(name, COVERS_DIR)));
+const toHex = hashes => Object.fromEntries(Object.entries(hashes).map(([name, hash]) => [name, hash.toHex()]));
+
+// Bits the JavaScript implementation gives the bundled raster covers (borders trimmed) under this
+// pipeline version. They were produced by the JavaScript code itself, so they catch regressions;
+// they say nothing about agreement with the WASM module, which the parity suite below checks.
+// SVG covers are left out: their raster depends on the librsvg build sharp ships with.
+const EXPECTED = {
+  '60668aa7d780b6c19684ccbfa0bf320c.jpg': { phash: 'eda511fea417da20', dhash: '86b2238687217093', whash: 'e3dbfbf3e3980000', ahash: 'e3fbfffff7980000' },
+  'Kirk2 - Copy.jpg': { phash: 'ed141eed60411ebe', dhash: 'f6f260c28606032b', whash: '10381870f3f3f3f1', ahash: '10183070f3f3fbf1' },
+  'PARADOX.png': { phash: 'e79a09cd1c3363e4', dhash: '570f8e0e464e46c6', whash: '81ffc3c7e3e3c100', ahash: 'ffffe7e7e3e3e341' },
+  'Simpk - Copy (2).png': { phash: 'bcbc07e10c6763e2', dhash: '16362e36b69e0e36', whash: 'c39fc3dfc3c70300', ahash: 'c39fc793d7c30700' },
+  'TheGirlInThePeachTree.jpg': { phash: 'cbf494c936a24a6e', dhash: '24002101021301b5', whash: 'fffff0e080f8e000', ahash: 'fffff0e0e0f8c000' },
+  'kirkification.png': { phash: 'e9f56656c2c90cc9', dhash: '4c969297bb72d30f', whash: 'f6e3fbfbd9000081', ahash: 'f6e3fbfb990000c1' }
+};
+
+beforeAll(() => {
+  setImageDecoder(decodeImageInNode);
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  setImageDecoder(null);
+  vi.restoreAllMocks();
+});
+
+describe('calculateHashes', () => {
+  it(`gives the bundled raster covers the bits recorded for pipeline ${HASH_ALGORITHM_VERSION}`, async () => {
+    for (const [name, expected] of Object.entries(EXPECTED)) {
+      expect(toHex(await calculateHashes(cover(name))), name).toEqual(expected);
+    }
+  });
+
+  it('hashes the same whichever entry point gets the bytes', async () => {
+    const bytes = cover('kirkification.png');
+    const selected = { phash: { hashSize: 8 }, dhash: { hashSize: 8 }, whash: { hashSize: 8 }, ahash: { hashSize: 8 } };
+    const { variants } = await analyzeImageBytes(bytes, selected);
+
+    expect(toHex(variants.identity)).toEqual(EXPECTED['kirkification.png']);
+    expect(toHex(await calculateHashes(new Blob([bytes])))).toEqual(EXPECTED['kirkification.png']);
+  });
+});
+
+// The WASM build isn't checked in; build it into src/wasm (wasm-pack --target web) to run this suite
+describe.skipIf(!existsSync(WASM_JS) || !existsSync(WASM_BINARY))('JavaScript pHash against the WASM module', () => {
+  it('matches bit for bit on every bundled cover the WASM module decodes', async () => {
+    const wasm = await import(/* @vite-ignore */ WASM_JS.href);
+    await wasm.default(readFileSync(WASM_BINARY));
+
+    // WASM only reads PNG and JPEG; the SVG and WebP covers never reach it
+    const names = readdirSync(COVERS_DIR).filter(name => ['png', 'jpeg'].includes(detectImageFormat(cover(name))));
+    expect(names.length).toBeGreaterThan(0);
+    for (const name of names) {
+      const bytes = cover(name);
+      const javascript = perceptualHash(toGrayscale(await decodeImage(bytes))).toHex();
+      expect(javascript, name).toBe(new wasm.ImageHash(bytes).toHex());
+    }
+  });
+});
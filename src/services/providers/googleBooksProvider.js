@@ -0,0 +1,80 @@
+// An API key is optional for Google Books but raises the quota
+const GOOGLE_BOOKS_API_KEY = import.meta.env.VITE_GOOGLE_BOOKS_API_KEY || '';
+const GOOGLE_BOOKS_BASE_URL = 'https://www.googleapis.com/books/v1';
+
+// Google caps maxResults at 40
+const MAX_PAGE_SIZE = 40;
+
+// Query keyword per SEARCH_FIELDS value; anything else is a plain keyword search
+const FIELD_KEYWORDS = {
+  subject: 'subject',
+  publisher: 'inpublisher'
+};
+
+function bestImage(imageLinks = {}) {
+  const url = imageLinks.extraLarge || imageLinks.large || imageLinks.medium
+    || imageLinks.thumbnail || imageLinks.smallThumbnail || '';
+  return url.replace(/^http:/, 'https:').replace('&edge=curl', '');
+}
+
+/**
+ * Map a Google Books volume to the shared book shape
+ */
+function normalizeVolume(volume) {
+  const info = volume.volumeInfo || {};
+  const identifiers = info.industryIdentifiers || [];
+  const isbn13 = identifiers.find(id => id.type === 'ISBN_13')?.identifier;
+  const isbn10 = identifiers.find(id => id.type === 'ISBN_10')?.identifier;
+
+  return {
+    title: info.subtitle ? `${info.title}: ${info.subtitle}` : info.title,
+    authors: info.authors || [],
+    isbn: isbn10 || isbn13,
+    isbn13,
+    publisher: info.publisher,
+    image: bestImage(info.imageLinks),
+    date_published: info.publishedDate,
+    subjects: info.categories || []
+  };
+}
+
+async function searchVolumes(q, startIndex, maxResults, signal) {
+  const url = new URL(`${GOOGLE_BOOKS_BASE_URL}/volumes`);
+  url.searchParams.set('q', q);
+  url.searchParams.set('startIndex', startIndex);
+  url.searchParams.set('maxResults', Math.min(maxResults, MAX_PAGE_SIZE));
+  if (GOOGLE_BOOKS_API_KEY) url.searchParams.set('key', GOOGLE_BOOKS_API_KEY);
+
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Google Books API error: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  return data.items || [];
+}
+
+export const googleBooksProvider = {
+  name: 'googlebooks',
+  label: 'Google Books',
+
+  isConfigured() {
+    return true;
+  },
+
+  async search(query, { field, page = 1, pageSize = 20, signal } = {}) {
+    const size = Math.min(pageSize, MAX_PAGE_SIZE);
+    const q = FIELD_KEYWORDS[field] ? `${FIELD_KEYWORDS[field]}:"${query}"` : query;
+    const volumes = await searchVolumes(q, (page - 1) * size, size, signal);
+    return volumes.map(normalizeVolume);
+  },
+
+  async getByIsbn(isbn, { signal } = {}) {
+    const volumes = await searchVolumes(`isbn:${isbn}`, 0, 1, signal);
+    return volumes.length > 0 ? normalizeVolume(volumes[0]) : null;
+  },
+
+  getCoverUrl(book) {
+    return book.image || null;
+  }
+};
@@ -0,0 +1,190 @@
+import { isAbortError } from '../taskPool';
+import { googleBooksProvider } from './googleBooksProvider';
+import { isbndbProvider } from './isbndbProvider';
+import { toIsbn13 } from './isbn';
+import { mockProvider } from './mockProvider';
+import { openLibraryProvider } from './openLibraryProvider';
+
+/**
+ * Book metadata providers
+ *
+ * Every provider implements:
+ *   name, label
+ *   isConfigured() -> boolean
+ *   search(query, { field, page, pageSize, maxResults, signal }) -> Promise<Book[]>
+ *     (field is one of SEARCH_FIELDS; providers that paginate may read further pages up to maxResults)
+ *   getByIsbn(isbn, { signal }) -> Promise<Book|null>
+ *   getCoverUrl(book) -> string|null
+ *
+ * Book: { title, authors, isbn, isbn13, publisher, image, date_published, subjects }
+ */
+
+/**
+ * What a catalog search matches the query against
+ */
+export const SEARCH_FIELDS = {
+  ANY: 'any',
+  SUBJECT: 'subject',
+  PUBLISHER: 'publisher'
+};
+
+const PROVIDERS = {
+  [isbndbProvider.name]: isbndbProvider,
+  [openLibraryProvider.name]: openLibraryProvider,
+  [googleBooksProvider.name]: googleBooksProvider,
+  [mockProvider.name]: mockProvider
+};
+
+// VITE_BOOK_PROVIDERS=isbndb,openlibrary picks providers explicitly;
+// VITE_USE_MOCK_PROVIDER=true runs everything against local fixtures
+const PROVIDER_SETTING = import.meta.env.VITE_BOOK_PROVIDERS || 'isbndb,openlibrary,googlebooks';
+const USE_MOCK_PROVIDER = import.meta.env.VITE_USE_MOCK_PROVIDER === 'true';
+
+/**
+ * Register an additional provider (or replace one with the same name)
+ * @param {Object} provider - Object implementing the provider interface
+ */
+export function registerProvider(provider) {
+  PROVIDERS[provider.name] = provider;
+}
+
+/**
+ * Look up a provider by name
+ * @param {string} name
+ * @returns {Object|undefined}
+ */
+export function getProvider(name) {
+  return PROVIDERS[name];
+}
+
+/**
+ * Providers enabled by configuration and usable right now
+ * A provider can be switched off from its own configuration (ISBNdb with VITE_ISBNDB_ENABLED=false); the
+ * ISBNdb key lives on the proxy, so a missing key shows up as an auth error on the first search instead.
+ * @param {Array<string>} names - Override the configured provider list
+ * @returns {Array<Object>}
+ */
+export function getActiveProviders(names) {
+  const selected = names || (USE_MOCK_PROVIDER ? ['mock'] : PROVIDER_SETTING.split(',').map(name => name.trim()));
+  return selected
+    .map(name => PROVIDERS[name])
+    .filter(provider => provider && provider.isConfigured());
+}
+
+/**
+ * Merge books that share an ISBN-13, keeping the first non-empty value of each field
+ * @param {Array<Object>} books - Books tagged with their provider
+ * @returns {Array<Object>} Deduplicated books with a `providers` list
+ */
+export function mergeBooks(books) {
+  const merged = new Map();
+  const withoutIsbn = [];
+
+  books.forEach(book => {
+    const isbn13 = toIsbn13(book.isbn13 || book.isbn);
+    if (!isbn13) {
+      withoutIsbn.push({ ...book, providers: [book.provider] });
+      return;
+    }
+
+    const existing = merged.get(isbn13);
+    if (!existing) {
+      merged.set(isbn13, { ...book, isbn13, providers: [book.provider] });
+      return;
+    }
+
+    Object.entries(book).forEach(([key, value]) => {
+      const current = existing[key];
+      const isEmpty = current === undefined || current === null || current === ''
+        || (Array.isArray(current) && current.length === 0);
+      if (isEmpty && value) existing[key] = value;
+    });
+    if (!existing.providers.includes(book.provider)) existing.providers.push(book.provider);
+  });
+
+  return [...merged.values(), ...withoutIsbn];
+}
+
+/**
+ * Search every active provider and merge the results
+ * Fails only if every provider fails.
+ * @param {string} query - Search query
+ * @param {Object} options
+ * @param {string} options.field - What the query is matched against, one of SEARCH_FIELDS (default: any)
+ * @param {number} options.page - Page number (default 1)
+ * @param {number} options.pageSize - Results per provider page (default 20)
+ * @param {number} options.maxResults - Result budget per provider for paginating providers (default pageSize)
+ * @param {AbortSignal} options.signal - Cancels the requests
+ * @param {Object} options.rateLimiter - Shared limiter, one token per provider request
+ * @param {Array<string>} options.providers - Provider names to use instead of the configured ones
+ * @param {Function} options.onProviderError - (providerName, error) => void for providers that failed
+ *   while others succeeded
+ * @returns {Promise<Array<Object>>} Merged books
+ */
+export async function searchCatalog(query, options = {}) {
+  const {
+    field = SEARCH_FIELDS.ANY,
+    page = 1,
+    pageSize = 20,
+    maxResults = pageSize,
+    signal,
+    rateLimiter,
+    providers: providerNames,
+    onProviderError = null
+  } = options;
+  const providers = getActiveProviders(providerNames);
+
+  if (providers.length === 0) {
+    throw new Error('No book metadata provider is configured. Check VITE_BOOK_PROVIDERS in .env file');
+  }
+
+  const settled = await Promise.allSettled(providers.map(async (provider) => {
+    await rateLimiter?.acquire(signal);
+    const books = await provider.search(query, { field, page, pageSize, maxResults, signal });
+    return books.map(book => ({ ...book, provider: provider.name }));
+  }));
+
+  const failures = settled
+    .map((entry, i) => ({ ...entry, provider: providers[i].name }))
+    .filter(entry => entry.status === 'rejected');
+  const abort = failures.find(entry => isAbortError(entry.reason));
+  if (abort) throw abort.reason;
+
+  if (failures.length === settled.length) throw failures[0].reason;
+  failures.forEach(entry => {
+    console.warn(`Book provider ${entry.provider} failed for "${query}":`, entry.reason);
+    if (onProviderError) onProviderError(entry.provider, entry.reason);
+  });
+
+  return mergeBooks(settled.flatMap(entry => (entry.status === 'fulfilled' ? entry.value : [])));
+}
+
+/**
+ * Look up one book by ISBN across active providers and merge what they know
+ * @param {string} isbn - ISBN-10 or ISBN-13
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the requests
+ * @param {Array<string>} options.providers - Provider names to use instead of the configured ones
+ * @returns {Promise<Object|null>} Merged book, or null when nobody knows it
+ */
+export async function getBookByIsbn(isbn, { signal, providers: providerNames } = {}) {
+  const providers = getActiveProviders(providerNames);
+
+  const settled = await Promise.allSettled(providers.map(async (provider) => {
+    const book = await provider.getByIsbn(isbn, { signal });
+    return book ? { ...book, provider: provider.name } : null;
+  }));
+
+  const books = settled
+    .filter(entry => entry.status === 'fulfilled' && entry.value)
+    .map(entry => entry.value);
+
+  if (books.length === 0) return null;
+
+  const [book] = mergeBooks(books);
+  if (!book.image) {
+    const provider = providers.find(candidate => candidate.getCoverUrl(book));
+    book.image = provider ? provider.getCoverUrl(book) : '';
+  }
+  return book;
+}
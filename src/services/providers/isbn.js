@@ -0,0 +1,29 @@
+/**
+ * ISBN helpers used to merge records coming from different providers
+ */
+
+/**
+ * Strip everything but digits and a trailing X
+ * @param {string} isbn
+ * @returns {string}
+ */
+export function cleanIsbn(isbn) {
+  return String(isbn || '').toUpperCase().replace(/[^0-9X]/g, '');
+}
+
+/**
+ * Convert an ISBN-10 or ISBN-13 to ISBN-13
+ * @param {string} isbn - ISBN in any common format
+ * @returns {string|null} ISBN-13, or null if the input isn't a valid length
+ */
+export function toIsbn13(isbn) {
+  const clean = cleanIsbn(isbn);
+
+  if (clean.length === 13) return clean;
+  if (clean.length !== 10) return null;
+
+  const core = `978${clean.slice(0, 9)}`;
+  const sum = Array.from(core).reduce((acc, digit, i) => acc + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+  const check = (10 - (sum % 10)) % 10;
+  return `${core}${check}`;
+}
@@ -0,0 +1,48 @@
+import { getIsbndbBook, getProxiedCoverUrl, isIsbndbConfigured, searchIsbndbBooks } from '../isbndbClient';
+
+/**
+ * ISBNDB books already use the shape shared by all providers
+ * Cover images are rewritten to go through the API proxy.
+ */
+function normalizeBook(book) {
+  const isbn = book.isbn13 || book.isbn;
+  return {
+    title: book.title,
+    authors: book.authors || [],
+    isbn: book.isbn,
+    isbn13: book.isbn13,
+    publisher: book.publisher,
+    image: book.image && isbn ? getProxiedCoverUrl(isbn) : '',
+    date_published: book.date_published,
+    subjects: book.subjects || []
+  };
+}
+
+// ISBNdb can limit a search to subjects; publishers are found by keyword
+const FIELD_COLUMNS = {
+  subject: 'subjects'
+};
+
+export const isbndbProvider = {
+  name: 'isbndb',
+  label: 'ISBNdb',
+
+  isConfigured() {
+    return isIsbndbConfigured();
+  },
+
+  async search(query, { field, page = 1, pageSize = 20, maxResults, signal } = {}) {
+    const books = await searchIsbndbBooks(query, { column: FIELD_COLUMNS[field], page, pageSize, maxResults, signal });
+    return books.map(normalizeBook);
+  },
+
+  async getByIsbn(isbn, { signal } = {}) {
+    const book = await getIsbndbBook(isbn, { signal });
+    return book ? normalizeBook(book) : null;
+  },
+
+  getCoverUrl(book) {
+    const isbn = book.isbn13 || book.isbn;
+    return book.image || (isbn ? getProxiedCoverUrl(isbn) : null);
+  }
+};
@@ -0,0 +1,57 @@
+import fixtureBooks from './fixtures/books.json';
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Book fields searched per SEARCH_FIELDS value; anything else searches them all
+const FIELD_TEXT = {
+  subject: (book) => (book.subjects || []).join(' '),
+  publisher: (book) => book.publisher
+};
+
+function searchableText(book) {
+  return [book.title, ...(book.authors || []), book.publisher, ...(book.subjects || [])].join(' ');
+}
+
+/**
+ * Create an offline provider backed by fixture books
+ * A book matches when every query token appears in its title, authors, publisher or subjects
+ * (only its subjects or publisher when the search is limited to that field).
+ * @param {Array<Object>} books - Books in the shared shape (default: fixtures/books.json)
+ * @returns {Object} Provider
+ */
+export function createMockProvider(books = fixtureBooks) {
+  const tokensOf = (book, field) => new Set(tokenize((FIELD_TEXT[field] || searchableText)(book)));
+
+  return {
+    name: 'mock',
+    label: 'Local fixtures',
+
+    isConfigured() {
+      return true;
+    },
+
+    async search(query, { field, page = 1, pageSize = 20 } = {}) {
+      const queryTokens = tokenize(query);
+      const matches = books
+        .filter(book => {
+          const tokens = tokensOf(book, field);
+          return queryTokens.every(token => tokens.has(token));
+        })
+        .map(book => ({ ...book, isbn: book.isbn || book.isbn13 }));
+      return matches.slice((page - 1) * pageSize, page * pageSize);
+    },
+
+    async getByIsbn(isbn) {
+      const book = books.find(candidate => candidate.isbn13 === isbn || candidate.isbn === isbn);
+      return book ? { ...book, isbn: book.isbn || book.isbn13 } : null;
+    },
+
+    getCoverUrl(book) {
+      return book.image || null;
+    }
+  };
+}
+
+export const mockProvider = createMockProvider();
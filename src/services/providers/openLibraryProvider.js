@@ -0,0 +1,74 @@
+const OPEN_LIBRARY_BASE_URL = 'https://openlibrary.org';
+const OPEN_LIBRARY_COVERS_URL = 'https://covers.openlibrary.org';
+
+// Search parameter per SEARCH_FIELDS value; anything else is a keyword search
+const FIELD_PARAMS = {
+  subject: 'subject',
+  publisher: 'publisher'
+};
+
+function coverUrlFor(doc, isbn) {
+  if (doc.cover_i) return `${OPEN_LIBRARY_COVERS_URL}/b/id/${doc.cover_i}-L.jpg`;
+  if (isbn) return `${OPEN_LIBRARY_COVERS_URL}/b/isbn/${isbn}-L.jpg?default=false`;
+  return '';
+}
+
+/**
+ * Map an Open Library search document to the shared book shape
+ */
+function normalizeDoc(doc) {
+  const isbns = doc.isbn || [];
+  const isbn13 = isbns.find(isbn => isbn.length === 13);
+  const isbn10 = isbns.find(isbn => isbn.length === 10);
+
+  return {
+    title: doc.title,
+    authors: doc.author_name || [],
+    isbn: isbn10 || isbn13,
+    isbn13,
+    publisher: doc.publisher?.[0],
+    // Only trust cover ids: ISBN covers may not exist
+    image: doc.cover_i ? coverUrlFor(doc) : '',
+    date_published: doc.first_publish_year ? String(doc.first_publish_year) : undefined,
+    subjects: (doc.subject || []).slice(0, 10)
+  };
+}
+
+async function searchDocs(params, signal) {
+  const url = new URL(`${OPEN_LIBRARY_BASE_URL}/search.json`);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  url.searchParams.set('fields', 'title,author_name,isbn,publisher,cover_i,first_publish_year,subject');
+
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Open Library API error: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  return data.docs || [];
+}
+
+export const openLibraryProvider = {
+  name: 'openlibrary',
+  label: 'Open Library',
+
+  isConfigured() {
+    return true;
+  },
+
+  async search(query, { field, page = 1, pageSize = 20, signal } = {}) {
+    const docs = await searchDocs({ [FIELD_PARAMS[field] || 'q']: query, page, limit: pageSize }, signal);
+    return docs.map(normalizeDoc);
+  },
+
+  async getByIsbn(isbn, { signal } = {}) {
+    const docs = await searchDocs({ isbn, limit: 1 }, signal);
+    if (docs.length === 0) return null;
+    const book = normalizeDoc(docs[0]);
+    return { ...book, image: book.image || coverUrlFor({}, isbn) };
+  },
+
+  getCoverUrl(book) {
+    return book.image || coverUrlFor({}, book.isbn13 || book.isbn) || null;
+  }
+};
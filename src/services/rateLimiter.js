@@ -0,0 +1,84 @@
+import { createAbortError, throwIfAborted } from './taskPool';
+
+/**
+ * Token-bucket rate limiter
+ * Holds up to `capacity` tokens and refills `tokensPerInterval` every `interval` ms.
+ * One limiter can be shared by several scans so together they stay within a budget.
+ * @param {Object} options
+ * @param {number} options.tokensPerInterval - Tokens added per interval (default 1)
+ * @param {number} options.interval - Refill interval in ms (default 1000)
+ * @param {number} options.capacity - Maximum burst size (default tokensPerInterval)
+ * @returns {{acquire: Function, tryAcquire: Function}} Limiter API
+ */
+export function createRateLimiter({ tokensPerInterval = 1, interval = 1000, capacity = tokensPerInterval } = {}) {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  const waiting = [];
+  let timer = null;
+
+  const refill = () => {
+    const now = Date.now();
+    const elapsed = now - lastRefill;
+    if (elapsed <= 0) return;
+    tokens = Math.min(capacity, tokens + (elapsed / interval) * tokensPerInterval);
+    lastRefill = now;
+  };
+
+  const drain = () => {
+    timer = null;
+    refill();
+
+    while (waiting.length > 0 && tokens >= 1) {
+      tokens -= 1;
+      waiting.shift().resolve();
+    }
+
+    if (waiting.length > 0) {
+      const wait = ((1 - tokens) / tokensPerInterval) * interval;
+      timer = setTimeout(drain, Math.max(1, Math.ceil(wait)));
+    }
+  };
+
+  return {
+    /**
+     * Take a token without waiting
+     * @returns {boolean} Whether a token was available
+     */
+    tryAcquire() {
+      refill();
+      if (waiting.length === 0 && tokens >= 1) {
+        tokens -= 1;
+        return true;
+      }
+      return false;
+    },
+
+    /**
+     * Wait for a token (in FIFO order)
+     * @param {AbortSignal} signal - Stops waiting and rejects with an AbortError
+     * @returns {Promise<void>}
+     */
+    acquire(signal) {
+      throwIfAborted(signal);
+      if (this.tryAcquire()) return Promise.resolve();
+
+      return new Promise((resolve, reject) => {
+        const entry = {
+          resolve: () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+          }
+        };
+        const onAbort = () => {
+          const position = waiting.indexOf(entry);
+          if (position !== -1) waiting.splice(position, 1);
+          reject(createAbortError());
+        };
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+        waiting.push(entry);
+        if (!timer) drain();
+      });
+    }
+  };
+}
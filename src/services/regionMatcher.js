@@ -0,0 +1,273 @@
+import { resizeGrayscale } from './imageHash';
+
+/**
+ * Region matching
+ * Finds artwork from the target that reappears inside a candidate cover with a different
+ * layout (new title block, moved or rescaled illustration), which whole-image hashes miss.
+ *
+ * Every cover is reduced to a fixed-size image and described twice with a 128-bit gradient hash
+ * (horizontal + vertical dHash over box means): once per tile of a grid, and once per sliding
+ * window at several scales. Target tiles are looked up among the candidate's windows, and the
+ * tiles whose best windows agree on one scale and offset form the shared region.
+ */
+
+// Covers are resized to this size (roughly 2:3) before being described
+const REGION_IMAGE_WIDTH = 192;
+const REGION_IMAGE_HEIGHT = 288;
+
+const GRID_COLUMNS = 6;
+const GRID_ROWS = 6;
+const TILE_WIDTH = REGION_IMAGE_WIDTH / GRID_COLUMNS;
+const TILE_HEIGHT = REGION_IMAGE_HEIGHT / GRID_ROWS;
+const WINDOW_SCALES = [0.75, 0.8, 0.86, 0.93, 1, 1.07, 1.15, 1.23, 1.32];
+const WINDOW_STRIDE = 6;
+const DESCRIPTOR_WORDS = 4;
+const DESCRIPTOR_BITS = DESCRIPTOR_WORDS * 32;
+
+// Tiles flatter than this luma standard deviation match anything, so they're skipped
+const MIN_TILE_DEVIATION = 12;
+
+/**
+ * Summed-area tables of the pixel values and their squares
+ */
+function buildIntegralImages({ width, height, data }) {
+  const stride = width + 1;
+  const sums = new Float64Array(stride * (height + 1));
+  const squares = new Float64Array(stride * (height + 1));
+
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    let rowSquares = 0;
+    for (let x = 0; x < width; x++) {
+      const value = data[y * width + x];
+      rowSum += value;
+      rowSquares += value * value;
+      sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + rowSum;
+      squares[(y + 1) * stride + x + 1] = squares[y * stride + x + 1] + rowSquares;
+    }
+  }
+
+  const boxSum = (table, x0, y0, x1, y1) => (
+    table[y1 * stride + x1] - table[y0 * stride + x1] - table[y1 * stride + x0] + table[y0 * stride + x0]
+  );
+
+  return {
+    mean: (x0, y0, x1, y1) => boxSum(sums, x0, y0, x1, y1) / Math.max(1, (x1 - x0) * (y1 - y0)),
+    deviation(x0, y0, x1, y1) {
+      const area = Math.max(1, (x1 - x0) * (y1 - y0));
+      const mean = boxSum(sums, x0, y0, x1, y1) / area;
+      return Math.sqrt(Math.max(0, boxSum(squares, x0, y0, x1, y1) / area - mean * mean));
+    }
+  };
+}
+
+/**
+ * Write the 128-bit gradient hash of a window into `out` at `offset`: the signs of horizontal
+ * and vertical differences between neighbouring cell means on a 9x8 (and 8x9) grid
+ */
+function describeWindow(integral, x, y, width, height, out, offset) {
+  let bit = 0;
+
+  const cellMean = (column, row, columns, rows) => integral.mean(
+    Math.round(x + (column * width) / columns),
+    Math.round(y + (row * height) / rows),
+    Math.round(x + ((column + 1) * width) / columns),
+    Math.round(y + ((row + 1) * height) / rows)
+  );
+  const setBit = (on) => {
+    if (on) out[offset + (bit >> 5)] |= 1 << (bit & 31);
+    bit++;
+  };
+
+  for (let row = 0; row < 8; row++) {
+    for (let column = 0; column < 8; column++) {
+      setBit(cellMean(column + 1, row, 9, 8) > cellMean(column, row, 9, 8));
+    }
+  }
+  for (let row = 0; row < 8; row++) {
+    for (let column = 0; column < 8; column++) {
+      setBit(cellMean(column, row + 1, 8, 9) > cellMean(column, row, 8, 9));
+    }
+  }
+}
+
+function popcount(value) {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+function descriptorDistance(a, aOffset, b, bOffset) {
+  let distance = 0;
+  for (let i = 0; i < DESCRIPTOR_WORDS; i++) {
+    distance += popcount(a[aOffset + i] ^ b[bOffset + i]);
+  }
+  return distance;
+}
+
+/**
+ * Describe a cover for region matching
+ * Expensive (thousands of window hashes), so the hashing workers compute it next to the hashes.
+ * Everything is held in typed arrays, so signatures can be transferred between threads.
+ * @param {{width: number, height: number, data: Float32Array}} gray - Grayscale image
+ * @returns {{tiles: Int16Array, tileDescriptors: Uint32Array, windows: Int16Array, windowScales: Uint8Array,
+ *   windowDescriptors: Uint32Array}} Textured tiles as [x, y] pairs, windows as [x, y, width, height]
+ *   with the index of their scale, and one descriptor (DESCRIPTOR_WORDS words) per tile and window
+ */
+export function createRegionSignature(gray) {
+  const image = resizeGrayscale(gray, REGION_IMAGE_WIDTH, REGION_IMAGE_HEIGHT);
+  const integral = buildIntegralImages(image);
+
+  const tilePositions = [];
+  for (let row = 0; row < GRID_ROWS; row++) {
+    for (let column = 0; column < GRID_COLUMNS; column++) {
+      const x = column * TILE_WIDTH;
+      const y = row * TILE_HEIGHT;
+      if (integral.deviation(x, y, x + TILE_WIDTH, y + TILE_HEIGHT) >= MIN_TILE_DEVIATION) {
+        tilePositions.push(x, y);
+      }
+    }
+  }
+  const tiles = Int16Array.from(tilePositions);
+  const tileDescriptors = new Uint32Array((tiles.length / 2) * DESCRIPTOR_WORDS);
+  for (let i = 0; i < tiles.length / 2; i++) {
+    describeWindow(integral, tiles[2 * i], tiles[2 * i + 1], TILE_WIDTH, TILE_HEIGHT, tileDescriptors, i * DESCRIPTOR_WORDS);
+  }
+
+  const windowRects = [];
+  const scaleIndexes = [];
+  WINDOW_SCALES.forEach((scale, scaleIndex) => {
+    const width = Math.round(TILE_WIDTH * scale);
+    const height = Math.round(TILE_HEIGHT * scale);
+    for (let y = 0; y + height <= image.height; y += WINDOW_STRIDE) {
+      for (let x = 0; x + width <= image.width; x += WINDOW_STRIDE) {
+        windowRects.push(x, y, width, height);
+        scaleIndexes.push(scaleIndex);
+      }
+    }
+  });
+  const windows = Int16Array.from(windowRects);
+  const windowDescriptors = new Uint32Array(scaleIndexes.length * DESCRIPTOR_WORDS);
+  for (let i = 0; i < scaleIndexes.length; i++) {
+    describeWindow(
+      integral, windows[4 * i], windows[4 * i + 1], windows[4 * i + 2], windows[4 * i + 3],
+      windowDescriptors, i * DESCRIPTOR_WORDS
+    );
+  }
+
+  return { tiles, tileDescriptors, windows, windowScales: Uint8Array.from(scaleIndexes), windowDescriptors };
+}
+
+/**
+ * Buffers of a signature, for postMessage transfer lists
+ * @param {Object} signature - Output of createRegionSignature
+ * @returns {Array<ArrayBuffer>}
+ */
+export function regionSignatureBuffers(signature) {
+  return Object.values(signature).map(array => array.buffer);
+}
+
+/**
+ * Bounding box of a list of rectangles, normalized to 0-1 of the region image
+ */
+function normalizedBounds(rects) {
+  const left = Math.min(...rects.map(rect => rect.x));
+  const top = Math.min(...rects.map(rect => rect.y));
+  const right = Math.max(...rects.map(rect => rect.x + rect.width));
+  const bottom = Math.max(...rects.map(rect => rect.y + rect.height));
+  return {
+    x: left / REGION_IMAGE_WIDTH,
+    y: top / REGION_IMAGE_HEIGHT,
+    width: (right - left) / REGION_IMAGE_WIDTH,
+    height: (bottom - top) / REGION_IMAGE_HEIGHT
+  };
+}
+
+/**
+ * Find a region of the target that reappears inside the candidate
+ * @param {Object} target - Region signature of the target (see createRegionSignature)
+ * @param {Object} candidate - Region signature of the candidate
+ * @param {Object} options
+ * @param {number} options.maxDistance - Max descriptor distance (of 128 bits) for a tile to match (default 26)
+ * @param {number} options.minTiles - Tiles that must agree on one placement (default 4)
+ * @param {number} options.offsetTolerance - Pixels two tile placements may differ by (default 9)
+ * @returns {Object|null} { targetBox, matchBox, tiles, totalTiles, coverage, scale, meanDistance, similarity },
+ *   boxes as { x, y, width, height } fractions of each image, or null when no region is shared
+ */
+export function findSharedRegion(target, candidate, options = {}) {
+  const {
+    maxDistance = 26,
+    minTiles = 4,
+    offsetTolerance = 9
+  } = options;
+
+  const windowCount = candidate.windowScales.length;
+
+  // Up to three close windows per textured tile; repetitive artwork can have several
+  const tileMatches = [];
+  for (let t = 0; t < target.tiles.length / 2; t++) {
+    const tile = { index: t, x: target.tiles[2 * t], y: target.tiles[2 * t + 1], width: TILE_WIDTH, height: TILE_HEIGHT };
+    const closest = [];
+
+    for (let w = 0; w < windowCount; w++) {
+      const distance = descriptorDistance(
+        target.tileDescriptors, t * DESCRIPTOR_WORDS,
+        candidate.windowDescriptors, w * DESCRIPTOR_WORDS
+      );
+      if (distance > maxDistance) continue;
+      if (closest.length === 3 && distance >= closest[2].distance) continue;
+      closest.push({ w, distance });
+      closest.sort((a, b) => a.distance - b.distance);
+      if (closest.length > 3) closest.pop();
+    }
+
+    closest.forEach(({ w, distance }) => {
+      const scale = WINDOW_SCALES[candidate.windowScales[w]];
+      const window = {
+        x: candidate.windows[4 * w],
+        y: candidate.windows[4 * w + 1],
+        width: candidate.windows[4 * w + 2],
+        height: candidate.windows[4 * w + 3]
+      };
+      tileMatches.push({
+        tile,
+        window,
+        scale,
+        distance,
+        offsetX: window.x - tile.x * scale,
+        offsetY: window.y - tile.y * scale
+      });
+    });
+  }
+
+  // Largest group of distinct tiles that agree on scale and offset
+  let best = [];
+  tileMatches.forEach(seed => {
+    const byTile = new Map();
+    tileMatches.forEach(match => {
+      if (match.scale !== seed.scale) return;
+      if (Math.abs(match.offsetX - seed.offsetX) > offsetTolerance) return;
+      if (Math.abs(match.offsetY - seed.offsetY) > offsetTolerance) return;
+      const known = byTile.get(match.tile.index);
+      if (!known || match.distance < known.distance) byTile.set(match.tile.index, match);
+    });
+    if (byTile.size > best.length) {
+      best = Array.from(byTile.values());
+    }
+  });
+
+  if (best.length < minTiles) return null;
+
+  const totalTiles = GRID_COLUMNS * GRID_ROWS;
+  const meanDistance = best.reduce((sum, match) => sum + match.distance, 0) / best.length;
+  return {
+    targetBox: normalizedBounds(best.map(match => match.tile)),
+    matchBox: normalizedBounds(best.map(match => match.window)),
+    tiles: best.length,
+    totalTiles,
+    coverage: best.length / totalTiles,
+    scale: best[0].scale,
+    meanDistance: Math.round(meanDistance * 10) / 10,
+    similarity: Math.round((1 - meanDistance / DESCRIPTOR_BITS) * 10000) / 100
+  };
+}
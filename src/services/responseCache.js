@@ -0,0 +1,44 @@
+import { isIndexedDbAvailable, openStore } from './idbStore';
+
+/**
+ * Key/value cache with a time-to-live, persisted in IndexedDB
+ * Falls back to memory when IndexedDB isn't available. Storage failures
+ * never break callers: a failed read is a miss, a failed write is ignored.
+ * @param {Object} options
+ * @param {number} options.ttl - Entry lifetime in ms
+ * @param {string} options.namespace - Prefix so several caches can share the store
+ * @returns {{get: Function, set: Function}} Cache API
+ */
+export function createResponseCache({ ttl, namespace }) {
+  const store = isIndexedDbAvailable() ? openStore('apiCache') : null;
+  const memory = new Map();
+  const fullKey = (key) => `${namespace}:${key}`;
+
+  return {
+    async get(key) {
+      try {
+        const entry = store ? await store.get(fullKey(key)) : memory.get(fullKey(key));
+        if (!entry) return undefined;
+        if (entry.expiresAt < Date.now()) {
+          if (store) await store.delete(fullKey(key));
+          else memory.delete(fullKey(key));
+          return undefined;
+        }
+        return entry.value;
+      } catch (error) {
+        console.warn('Response cache read failed:', error);
+        return undefined;
+      }
+    },
+
+    async set(key, value) {
+      const entry = { key: fullKey(key), value, expiresAt: Date.now() + ttl };
+      try {
+        if (store) await store.put(entry);
+        else memory.set(entry.key, entry);
+      } catch (error) {
+        console.warn('Response cache write failed:', error);
+      }
+    }
+  };
+}
@@ -0,0 +1,249 @@
+import { isIndexedDbAvailable, openStore } from './idbStore';
+import { toArtworkId } from './licenseRegistry';
+
+/**
+ * Scan history and match reviews
+ * Every scan of a cover is kept with its timestamp, parameters and results, so reviewers can come
+ * back to it over several days. Reviews record a verdict and notes per (cover, matched book) and
+ * outlive individual scans: a match dismissed as a false positive stays hidden in later scans.
+ */
+
+/**
+ * Reviewer verdicts on a match
+ */
+export const REVIEW_VERDICTS = {
+  CONFIRMED: 'confirmed',
+  FALSE_POSITIVE: 'false-positive',
+  LICENSED: 'licensed'
+};
+
+// Older scans of a cover are dropped beyond this
+const MAX_SCANS_PER_COVER = 50;
+
+/**
+ * Stable key of a gallery cover: uploads by their id, bundled covers by name
+ * @param {{id: *, name: string, uploaded: boolean}} image
+ * @returns {string}
+ */
+export function coverKey(image) {
+  return image.uploaded ? String(image.id) : `cover:${toArtworkId(image.name)}`;
+}
+
+/**
+ * Stable key of a matched book: its ISBN, else its cover URL
+ * @param {{isbn: string, image: string}} book
+ * @returns {string}
+ */
+export function matchKey(book) {
+  return book.isbn ? `isbn:${book.isbn}` : `image:${book.image}`;
+}
+
+function createId() {
+  return `scan-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Keys of the matches dismissed as false positives, for findSimilarCovers' dismissedMatches
+ * @param {Array<Object>} reviews - Reviews of a cover
+ * @returns {Array<string>}
+ */
+export function dismissedMatchKeys(reviews = []) {
+  return reviews.filter(review => review.verdict === REVIEW_VERDICTS.FALSE_POSITIVE).map(review => review.matchKey);
+}
+
+/**
+ * Attach reviews to a scan result and set aside matches dismissed as false positives
+ * Matches the scan already set aside are sorted again too, so restoring one brings it back.
+ * @param {Object} scanResult - Result of findSimilarCovers
+ * @param {Array<Object>} reviews - Reviews of this cover
+ * @returns {Object} Scan result whose results carry their `review`, plus `dismissed` (the hidden results)
+ */
+export function applyReviews(scanResult, reviews = []) {
+  const byMatch = new Map(reviews.map(review => [review.matchKey, review]));
+  const results = [];
+  const dismissed = [];
+
+  [...scanResult.results, ...(scanResult.dismissed || [])].forEach(result => {
+    const review = byMatch.get(matchKey(result.book)) || null;
+    const reviewed = { ...result, review };
+    if (review?.verdict === REVIEW_VERDICTS.FALSE_POSITIVE) dismissed.push(reviewed);
+    else results.push(reviewed);
+  });
+
+  return { ...scanResult, results, dismissed };
+}
+
+/**
+ * Storage adapter backed by the IndexedDB 'scanHistory' and 'matchReviews' stores
+ */
+export function createIndexedDbHistoryStorage() {
+  const adapt = (store) => ({
+    loadAll: () => store.getAll(),
+    put: (record) => store.put(record),
+    delete: (key) => store.delete(key)
+  });
+  return {
+    scans: adapt(openStore('scanHistory')),
+    reviews: adapt(openStore('matchReviews'))
+  };
+}
+
+/**
+ * Storage adapter that keeps history in memory only
+ */
+export function createMemoryHistoryStorage() {
+  const adapt = (keyPath) => {
+    const records = new Map();
+    return {
+      loadAll: async () => Array.from(records.values()),
+      put: async (record) => { records.set(record[keyPath], record); },
+      delete: async (key) => { records.delete(key); }
+    };
+  };
+  return {
+    scans: adapt('id'),
+    reviews: adapt('key')
+  };
+}
+
+/**
+ * Create a scan history
+ * @param {Object} options
+ * @param {Object} options.storage - Adapter with `scans` and `reviews`, each offering loadAll(), put(record)
+ *   and delete(key)
+ * @returns {Object} Scan history API
+ */
+export function createScanHistory({ storage = createMemoryHistoryStorage() } = {}) {
+  const scans = new Map();
+  const reviews = new Map();
+  let loadPromise = null;
+
+  const history = {
+    /**
+     * Load persisted scans and reviews (safe to call repeatedly)
+     */
+    load() {
+      if (!loadPromise) {
+        loadPromise = Promise.all([storage.scans.loadAll(), storage.reviews.loadAll()]).then(([storedScans, storedReviews]) => {
+          storedScans.forEach(scan => scans.set(scan.id, scan));
+          storedReviews.forEach(review => reviews.set(review.key, review));
+          return history;
+        }).catch(error => {
+          loadPromise = null;
+          throw error;
+        });
+      }
+      return loadPromise;
+    },
+
+    /**
+     * Scans of a cover, newest first
+     * @param {string} key - See coverKey
+     * @returns {Array<Object>} { id, coverKey, coverName, scannedAt, parameters, result }
+     */
+    scansFor(key) {
+      return Array.from(scans.values())
+        .filter(scan => scan.coverKey === key)
+        .sort((a, b) => b.scannedAt.localeCompare(a.scannedAt));
+    },
+
+    /**
+     * Keep a finished scan
+     * @param {{id: *, name: string, uploaded: boolean}} image - The scanned cover
+     * @param {Object} scanResult - Result of findSimilarCovers
+     * @returns {Promise<Object>} The stored scan
+     */
+    async recordScan(image, scanResult) {
+      // Reviews live in their own store; the scan keeps what the scanner returned
+      const { dismissed, ...result } = scanResult;
+      const scan = {
+        id: createId(),
+        coverKey: coverKey(image),
+        coverName: image.name,
+        scannedAt: new Date().toISOString(),
+        parameters: result.parameters || {},
+        result: {
+          ...result,
+          results: [...result.results, ...(dismissed || [])].map(({ review, ...match }) => match)
+        }
+      };
+      scans.set(scan.id, scan);
+      await storage.scans.put(scan);
+
+      const stale = history.scansFor(scan.coverKey).slice(MAX_SCANS_PER_COVER);
+      await Promise.all(stale.map(old => history.removeScan(old.id)));
+
+      return scan;
+    },
+
+    /**
+     * Forget a scan
+     * @param {string} id
+     */
+    async removeScan(id) {
+      scans.delete(id);
+      await storage.scans.delete(id);
+    },
+
+    /**
+     * Reviews of a cover's matches
+     * @param {string} key - See coverKey
+     * @returns {Array<Object>} { key, coverKey, matchKey, book, verdict, notes, reviewedAt }
+     */
+    reviewsFor(key) {
+      return Array.from(reviews.values()).filter(review => review.coverKey === key);
+    },
+
+    /**
+     * Record a verdict and notes on a match; a review with neither is removed
+     * @param {string} key - Cover key (see coverKey)
+     * @param {{title: string, isbn: string, image: string}} book - The matched book
+     * @param {Object} review
+     * @param {string|null} review.verdict - One of REVIEW_VERDICTS, or null
+     * @param {string} review.notes - Free-text notes
+     * @returns {Promise<Object|null>} The stored review
+     */
+    async reviewMatch(key, book, { verdict = null, notes = '' }) {
+      if (verdict && !Object.values(REVIEW_VERDICTS).includes(verdict)) {
+        throw new Error(`Unknown review verdict "${verdict}"`);
+      }
+
+      const reviewKey = `${key}|${matchKey(book)}`;
+      if (!verdict && !notes.trim()) {
+        reviews.delete(reviewKey);
+        await storage.reviews.delete(reviewKey);
+        return null;
+      }
+
+      const review = {
+        key: reviewKey,
+        coverKey: key,
+        matchKey: matchKey(book),
+        book: { title: book.title, isbn: book.isbn || null, image: book.image || null },
+        verdict,
+        notes: notes.trim(),
+        reviewedAt: new Date().toISOString()
+      };
+      reviews.set(reviewKey, review);
+      await storage.reviews.put(review);
+      return review;
+    }
+  };
+
+  return history;
+}
+
+let scanHistory = null;
+
+/**
+ * Shared scan history, persisted to IndexedDB when available
+ * @returns {Promise<Object>} Loaded scan history
+ */
+export function getScanHistory() {
+  if (!scanHistory) {
+    scanHistory = createScanHistory({
+      storage: isIndexedDbAvailable() ? createIndexedDbHistoryStorage() : createMemoryHistoryStorage()
+    });
+  }
+  return scanHistory.load();
+}
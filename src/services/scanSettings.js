@@ -0,0 +1,384 @@
+import { CONFIDENCE_TIERS } from './matchConfidence';
+import { TARGET_LANGUAGES } from './translationService';
+
+/**
+ * Scan settings and presets
+ * The knobs a scan runs with from the UI, kept in local storage so they survive reloads, including the
+ * searches a monitor sweep runs (see monitorCatalog). Named presets
+ * bundle a full set of settings and can be shared as JSON or as a link carrying the preset in its
+ * `preset` query parameter. A preset looks like:
+ *   { id: 'strict', name: 'Strict', settings: { query, maxResults, similarityThreshold, ... } }
+ */
+
+/**
+ * Allowed range of every numeric setting
+ */
+export const SETTING_LIMITS = {
+  maxResults: { min: 1, max: 200 },
+  similarityThreshold: { min: 0, max: 100 },
+  topN: { min: 1, max: 100 },
+  minTextRelevance: { min: 0, max: 100 },
+  concurrency: { min: 1, max: 16 },
+  batchConcurrency: { min: 1, max: 8 },
+  sweepRadius: { min: 0, max: 32 },
+  sweepResults: { min: 1, max: 200 }
+};
+
+// Lowest confidence tier a match needs to be shown; 'any' shows everything above the similarity threshold
+const CONFIDENCE_CHOICES = ['any', ...CONFIDENCE_TIERS.map(tier => tier.id)];
+
+// Lists of search terms for monitor sweeps
+const SWEEP_LISTS = ['sweepQueries', 'sweepSubjects', 'sweepPublishers'];
+
+/**
+ * Settings used until the user changes them
+ */
+export const DEFAULT_SCAN_SETTINGS = {
+  query: 'fiction',
+  maxResults: 50,
+  similarityThreshold: 60,
+  minConfidence: 'possible',
+  topN: 10,
+  minTextRelevance: 50,
+  languages: TARGET_LANGUAGES.slice(0, 5),
+  concurrency: 4,
+  batchConcurrency: 2,
+  sweepQueries: [],
+  sweepSubjects: [],
+  sweepPublishers: [],
+  sweepRadius: 12,
+  sweepResults: 40
+};
+
+/**
+ * Presets that ship with the app; they can't be overwritten or deleted
+ */
+export const BUILT_IN_PRESETS = [
+  { id: 'default', name: 'Default', settings: DEFAULT_SCAN_SETTINGS },
+  {
+    id: 'strict',
+    name: 'Strict',
+    settings: {
+      ...DEFAULT_SCAN_SETTINGS,
+      similarityThreshold: 80,
+      minConfidence: 'strong',
+      topN: 5,
+      minTextRelevance: 70
+    }
+  },
+  {
+    id: 'broad-sweep',
+    name: 'Broad sweep',
+    settings: {
+      ...DEFAULT_SCAN_SETTINGS,
+      maxResults: 150,
+      similarityThreshold: 45,
+      minConfidence: 'any',
+      topN: 25,
+      minTextRelevance: 30,
+      languages: TARGET_LANGUAGES
+    }
+  }
+];
+
+const SETTINGS_KEY = 'scanSettings';
+const PRESETS_KEY = 'scanPresets';
+const PRESET_PARAM = 'preset';
+
+function toNumber(value, field) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || Number.isNaN(number)) {
+    throw new Error(`${field} must be a number (got "${value}")`);
+  }
+  const { min, max } = SETTING_LIMITS[field];
+  return Math.min(max, Math.max(min, Math.round(number)));
+}
+
+function toTermList(value, field) {
+  if (!Array.isArray(value)) throw new Error(`${field} must be a list of search terms`);
+  const terms = value.map(term => String(term).trim()).filter(Boolean);
+  return Array.from(new Set(terms));
+}
+
+/**
+ * Validate settings, filling in defaults for anything missing
+ * Numbers are rounded and clamped to SETTING_LIMITS; unknown fields and languages are dropped, and
+ * languages are kept in TARGET_LANGUAGES order. minConfidence is 'any' or a CONFIDENCE_TIERS id.
+ * @param {Object} input - Partial settings
+ * @returns {Object} Complete settings
+ * @throws {Error} When a field has the wrong type
+ */
+export function normalizeScanSettings(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Settings must be an object');
+  }
+  const merged = { ...DEFAULT_SCAN_SETTINGS, ...input };
+
+  const query = String(merged.query ?? '').trim();
+  if (!query) throw new Error('The fallback query can\'t be empty');
+
+  if (!Array.isArray(merged.languages)) {
+    throw new Error('languages must be a list of language codes');
+  }
+  const requested = new Set(merged.languages.map(code => String(code).trim().toLowerCase()));
+  const languages = TARGET_LANGUAGES.filter(code => requested.has(code));
+
+  const minConfidence = String(merged.minConfidence);
+  if (!CONFIDENCE_CHOICES.includes(minConfidence)) {
+    throw new Error(`minConfidence must be one of ${CONFIDENCE_CHOICES.join(', ')} (got "${merged.minConfidence}")`);
+  }
+
+  return {
+    query,
+    minConfidence,
+    ...Object.fromEntries(Object.keys(SETTING_LIMITS).map(field => [field, toNumber(merged[field], field)])),
+    languages,
+    ...Object.fromEntries(SWEEP_LISTS.map(field => [field, toTermList(merged[field], field)]))
+  };
+}
+
+/**
+ * Options for findSimilarCovers from settings
+ * @param {Object} settings - See normalizeScanSettings
+ * @returns {Object}
+ */
+export function toScanOptions(settings) {
+  const { query, maxResults, similarityThreshold, minConfidence, topN, minTextRelevance, languages, concurrency } = settings;
+  return {
+    query,
+    maxResults,
+    similarityThreshold,
+    minConfidence: minConfidence === 'any' ? null : minConfidence,
+    topN,
+    minTextRelevance,
+    languages,
+    concurrency
+  };
+}
+
+/**
+ * Options for monitorCatalog from settings
+ * @param {Object} settings - See normalizeScanSettings
+ * @returns {Object}
+ */
+export function toMonitorOptions(settings) {
+  return {
+    queries: settings.sweepQueries,
+    subjects: settings.sweepSubjects,
+    publishers: settings.sweepPublishers,
+    radius: settings.sweepRadius,
+    maxResultsPerTerm: settings.sweepResults,
+    concurrency: settings.concurrency
+  };
+}
+
+/**
+ * Whether two sets of settings are the same
+ */
+export function sameSettings(a, b) {
+  return JSON.stringify(normalizeScanSettings(a)) === JSON.stringify(normalizeScanSettings(b));
+}
+
+function toPresetId(name) {
+  return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Validate a preset
+ * @param {{name: string, settings: Object}} input
+ * @returns {{id: string, name: string, settings: Object}}
+ * @throws {Error} When the name is missing or the settings are invalid
+ */
+export function normalizePreset(input) {
+  const name = String(input?.name ?? '').trim();
+  const id = toPresetId(name);
+  if (!id) throw new Error('A preset needs a name');
+  try {
+    return { id, name, settings: normalizeScanSettings(input.settings) };
+  } catch (error) {
+    throw new Error(`Preset "${name}": ${error.message}`);
+  }
+}
+
+/**
+ * Parse presets shared as JSON: one preset, an array of them, or { "presets": [...] }
+ * @param {string} text
+ * @returns {Array<Object>} Normalized presets
+ */
+export function parsePresetsJson(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : Array.isArray(data?.presets) ? data.presets : [data];
+  return list.map(normalizePreset);
+}
+
+function toBase64Url(text) {
+  const binary = Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Link that opens the app with a preset
+ * @param {Object} preset
+ * @param {string} baseUrl - Page to link to (default: the current page)
+ * @returns {string}
+ */
+export function presetToUrl(preset, baseUrl = window.location.href) {
+  const url = new URL(baseUrl);
+  const { name, settings } = normalizePreset(preset);
+  url.searchParams.set(PRESET_PARAM, toBase64Url(JSON.stringify({ name, settings })));
+  return url.toString();
+}
+
+/**
+ * Read a preset shared through presetToUrl
+ * @param {string} url
+ * @returns {Object|null} The preset, or null when the link has none
+ * @throws {Error} When the link carries a preset that can't be read
+ */
+export function presetFromUrl(url) {
+  const encoded = new URL(url).searchParams.get(PRESET_PARAM);
+  if (!encoded) return null;
+  try {
+    return normalizePreset(JSON.parse(fromBase64Url(encoded)));
+  } catch (error) {
+    throw new Error(`The shared preset can't be read: ${error.message}`);
+  }
+}
+
+/**
+ * The URL without its shared preset, once that has been imported
+ * @param {string} url
+ * @returns {string}
+ */
+export function withoutPresetParam(url) {
+  const cleaned = new URL(url);
+  cleaned.searchParams.delete(PRESET_PARAM);
+  return cleaned.toString();
+}
+
+function getLocalStorage() {
+  try {
+    return typeof localStorage === 'undefined' ? null : localStorage;
+  } catch {
+    // Accessing localStorage throws when storage is disabled
+    return null;
+  }
+}
+
+function readJson(storage, key) {
+  try {
+    const text = storage?.getItem(key);
+    return text ? JSON.parse(text) : null;
+  } catch (error) {
+    console.warn(`Ignoring unreadable ${key}:`, error);
+    return null;
+  }
+}
+
+function writeJson(storage, key, value) {
+  try {
+    storage?.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Failed to save ${key}:`, error);
+  }
+}
+
+/**
+ * Saved settings, or the defaults
+ * @param {Storage} storage - Defaults to localStorage
+ * @returns {Object}
+ */
+export function loadScanSettings(storage = getLocalStorage()) {
+  const saved = readJson(storage, SETTINGS_KEY);
+  if (!saved) return DEFAULT_SCAN_SETTINGS;
+  try {
+    return normalizeScanSettings(saved);
+  } catch (error) {
+    console.warn('Ignoring invalid saved settings:', error);
+    return DEFAULT_SCAN_SETTINGS;
+  }
+}
+
+/**
+ * Save settings
+ * @param {Object} settings
+ * @param {Storage} storage - Defaults to localStorage
+ * @returns {Object} The normalized settings
+ */
+export function saveScanSettings(settings, storage = getLocalStorage()) {
+  const normalized = normalizeScanSettings(settings);
+  writeJson(storage, SETTINGS_KEY, normalized);
+  return normalized;
+}
+
+/**
+ * Presets the user saved or imported (built-in ones excluded)
+ * @param {Storage} storage - Defaults to localStorage
+ * @returns {Array<Object>}
+ */
+export function loadCustomPresets(storage = getLocalStorage()) {
+  const saved = readJson(storage, PRESETS_KEY);
+  if (!Array.isArray(saved)) return [];
+  return saved.flatMap(preset => {
+    try {
+      return [normalizePreset(preset)];
+    } catch (error) {
+      console.warn('Ignoring invalid saved preset:', error);
+      return [];
+    }
+  });
+}
+
+/**
+ * Add or replace custom presets (matched by id)
+ * @param {Array<Object>} presets - Presets to add
+ * @param {Storage} storage - Defaults to localStorage
+ * @returns {Array<Object>} All custom presets
+ * @throws {Error} When a preset would replace a built-in one
+ */
+export function saveCustomPresets(presets, storage = getLocalStorage()) {
+  const added = presets.map(normalizePreset);
+  const builtIn = added.find(preset => BUILT_IN_PRESETS.some(({ id }) => id === preset.id));
+  if (builtIn) throw new Error(`"${builtIn.name}" is a built-in preset; pick another name`);
+
+  const addedIds = new Set(added.map(preset => preset.id));
+  const all = [...loadCustomPresets(storage).filter(preset => !addedIds.has(preset.id)), ...added];
+  writeJson(storage, PRESETS_KEY, all);
+  return all;
+}
+
+/**
+ * Import a preset shared through presetToUrl and make its settings the current ones
+ * Built-in presets are only applied: every copy of the app already has them, and they can't be saved over.
+ * @param {string} url - Page URL, possibly carrying a preset
+ * @param {Storage} storage - Defaults to localStorage
+ * @returns {{preset: Object, settings: Object, customPresets: Array<Object>}|null} null when the link has no preset
+ * @throws {Error} When the link carries a preset that can't be read
+ */
+export function importSharedPreset(url, storage = getLocalStorage()) {
+  const preset = presetFromUrl(url);
+  if (!preset) return null;
+  const builtIn = BUILT_IN_PRESETS.some(({ id }) => id === preset.id);
+  return {
+    preset,
+    settings: saveScanSettings(preset.settings, storage),
+    customPresets: builtIn ? loadCustomPresets(storage) : saveCustomPresets([preset], storage)
+  };
+}
+
+/**
+ * Delete a custom preset
+ * @param {string} id
+ * @param {Storage} storage - Defaults to localStorage
+ * @returns {Array<Object>} Remaining custom presets
+ */
+export function removeCustomPreset(id, storage = getLocalStorage()) {
+  const remaining = loadCustomPresets(storage).filter(preset => preset.id !== id);
+  writeJson(storage, PRESETS_KEY, remaining);
+  return remaining;
+}
@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import {
+  BUILT_IN_PRESETS,
+  DEFAULT_SCAN_SETTINGS,
+  importSharedPreset,
+  loadCustomPresets,
+  loadScanSettings,
+  presetFromUrl,
+  presetToUrl,
+  withoutPresetParam
+} from './scanSettings';
+
+const APP_URL = 'https://covers.example.org/app/?tab=gallery';
+
+// Just enough of the Storage interface for the settings functions
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); }
+  };
+}
+
+const NIGHT_DESK = {
+  name: 'Nuit blanche — Équipe 2',
+  settings: { ...DEFAULT_SCAN_SETTINGS, similarityThreshold: 72, topN: 3, languages: ['fr', 'ja'], sweepQueries: ['romance'] }
+};
+
+describe('presetToUrl and presetFromUrl', () => {
+  it('carry a preset through a link unchanged', () => {
+    const url = presetToUrl(NIGHT_DESK, APP_URL);
+    expect(new URL(url).searchParams.get('tab')).toBe('gallery');
+
+    const shared = presetFromUrl(url);
+    expect(shared.name).toBe(NIGHT_DESK.name);
+    expect(shared.settings).toMatchObject({ similarityThreshold: 72, topN: 3, languages: ['fr', 'ja'], sweepQueries: ['romance'] });
+    expect(withoutPresetParam(url)).toBe(APP_URL);
+  });
+
+  it('find no preset in a plain link and refuse a damaged one', () => {
+    expect(presetFromUrl(APP_URL)).toBeNull();
+    expect(() => presetFromUrl(`${APP_URL}&preset=not-a-preset`)).toThrow('The shared preset can\'t be read');
+  });
+});
+
+describe('importSharedPreset', () => {
+  it('saves a shared custom preset and applies its settings', () => {
+    const storage = createStorage();
+    const imported = importSharedPreset(presetToUrl(NIGHT_DESK, APP_URL), storage);
+
+    expect(imported.preset.name).toBe(NIGHT_DESK.name);
+    expect(loadCustomPresets(storage)).toEqual([imported.preset]);
+    expect(imported.customPresets).toEqual([imported.preset]);
+    expect(loadScanSettings(storage)).toEqual(imported.preset.settings);
+  });
+
+  it('applies a shared built-in preset without saving a copy', () => {
+    const storage = createStorage();
+    for (const builtIn of BUILT_IN_PRESETS) {
+      const imported = importSharedPreset(presetToUrl(builtIn, APP_URL), storage);
+      expect(imported.preset.id).toBe(builtIn.id);
+      expect(loadScanSettings(storage)).toEqual(builtIn.settings);
+    }
+    expect(loadCustomPresets(storage)).toEqual([]);
+  });
+
+  it('does nothing for a link without a preset', () => {
+    const storage = createStorage();
+    expect(importSharedPreset(APP_URL, storage)).toBeNull();
+    expect(loadScanSettings(storage)).toEqual(DEFAULT_SCAN_SETTINGS);
+  });
+});
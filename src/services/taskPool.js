@@ -0,0 +1,102 @@
+/**
+ * Helpers for running async work with bounded concurrency, timeouts and cancellation
+ */
+
+/**
+ * Create the error thrown when work is cancelled
+ * Matches what fetch() throws so callers can check error.name === 'AbortError'
+ */
+export function createAbortError(message = 'The operation was aborted') {
+  return new DOMException(message, 'AbortError');
+}
+
+/**
+ * Whether an error came from cancellation
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ * @param {AbortSignal} signal
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+}
+
+/**
+ * Run a task with a time limit
+ * The task receives a signal that aborts on timeout or when the parent signal aborts.
+ * @param {Function} task - (signal) => Promise
+ * @param {number} timeoutMs - Time limit in milliseconds (0 disables it)
+ * @param {AbortSignal} parentSignal - Optional signal to follow
+ * @returns {Promise<*>} Task result
+ */
+export async function withTimeout(task, timeoutMs, parentSignal) {
+  throwIfAborted(parentSignal);
+
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  parentSignal?.addEventListener('abort', abort, { once: true });
+
+  let timer = null;
+  const timeout = new Promise((_, reject) => {
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`Timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+    }
+  });
+  const cancelled = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => {
+      if (parentSignal?.aborted) reject(createAbortError());
+    }, { once: true });
+  });
+
+  try {
+    return await Promise.race([task(controller.signal), timeout, cancelled]);
+  } finally {
+    clearTimeout(timer);
+    parentSignal?.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * Run a worker over every item with at most `concurrency` tasks in flight
+ * Failures don't stop the pool; each item gets a settled result like Promise.allSettled.
+ * @param {Array} items - Items to process
+ * @param {Function} worker - (item, index, signal) => Promise
+ * @param {Object} options
+ * @param {number} options.concurrency - Max tasks in flight (default 4)
+ * @param {AbortSignal} options.signal - Stops picking up new items and rejects with AbortError
+ * @returns {Promise<Array<{status: string, value?: *, reason?: *}>>} Results in item order
+ */
+export async function runWithConcurrency(items, worker, { concurrency = 4, signal } = {}) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      throwIfAborted(signal);
+      const index = nextIndex++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index, signal) };
+      } catch (error) {
+        if (isAbortError(error) && signal?.aborted) throw error;
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  const lanes = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, runNext);
+  await Promise.all(lanes);
+  throwIfAborted(signal);
+
+  return results;
+}
@@ -0,0 +1,187 @@
+import { foldDiacritics } from './transliteration';
+
+/**
+ * Text relevance of candidate books
+ * Scores how well a book's title (and optionally its authors) fits the title we searched for,
+ * so search hits that only share a word or two can be dropped before their covers are hashed.
+ * Scores are 0-1; a title is compared as a whole (normalized edit distance) and as a set of
+ * words (token-set similarity, which ignores word order and extra words such as subtitles).
+ */
+
+// Words that carry no meaning on their own and make unrelated titles look alike
+const STOPWORDS = new Set(['the', 'a', 'an', 'of', 'and', 'in', 'on', 'to', 'el', 'la', 'los', 'las', 'de', 'del',
+  'y', 'le', 'les', 'des', 'du', 'et', 'der', 'die', 'das', 'und', 'il', 'di', 'e', 'o']);
+
+/**
+ * Lowercase, accent-free, punctuation-free form of a text ("TheGirlInThePeachTree" -> "the girl in the peach tree")
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return foldDiacritics(String(text || '').replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2'))
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function tokenize(text) {
+  return normalizeText(text).split(' ').filter(Boolean);
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Edit-distance similarity of two normalized texts
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0-1, 1 for identical texts
+ */
+export function editSimilarity(a, b) {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  const length = Math.max(left.length, right.length);
+  return length === 0 ? 0 : 1 - editDistance(left, right) / length;
+}
+
+/**
+ * Token-set similarity: compares the words two texts share with each text's full word set, so
+ * "Paradox" fits "Paradox: A Novel" but not "Paradox Engine Mechanics Handbook" as well
+ * Stopwords only count when both texts are nothing but stopwords.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0-1
+ */
+export function tokenSetSimilarity(a, b) {
+  const meaningful = (tokens) => {
+    const words = tokens.filter(token => !STOPWORDS.has(token));
+    return words.length > 0 ? words : tokens;
+  };
+  const left = new Set(meaningful(tokenize(a)));
+  const right = new Set(meaningful(tokenize(b)));
+  if (left.size === 0 || right.size === 0) return 0;
+
+  const shared = [...left].filter(token => right.has(token)).sort();
+  if (shared.length === 0) return 0;
+
+  const onlyLeft = [...left].filter(token => !right.has(token)).sort();
+  const onlyRight = [...right].filter(token => !left.has(token)).sort();
+  const base = shared.join(' ');
+  const withLeft = [base, ...onlyLeft].join(' ');
+  const withRight = [base, ...onlyRight].join(' ');
+
+  // The shared words judged against each side's full set; the weaker side decides
+  return Math.max(
+    Math.min(editSimilarity(base, withLeft), editSimilarity(base, withRight)),
+    editSimilarity(withLeft, withRight)
+  );
+}
+
+/**
+ * How well a book title fits any of the searched titles
+ * Titles are also compared without their subtitle ("Dune: Part One" -> "Dune").
+ * @param {string} bookTitle
+ * @param {Array<string>} searchedTitles - The title and its variations (translations, transliterations)
+ * @returns {{score: number, matchedTitle: string|null}} Best score (0-1) and the searched title that gave it
+ */
+export function titleSimilarity(bookTitle, searchedTitles) {
+  const forms = [bookTitle, String(bookTitle || '').split(/[:(]|\s[-–—]\s/)[0]];
+  let best = { score: 0, matchedTitle: null };
+
+  searchedTitles.forEach(searched => {
+    forms.forEach(form => {
+      const score = Math.max(editSimilarity(searched, form), tokenSetSimilarity(searched, form));
+      if (score > best.score) best = { score, matchedTitle: searched };
+    });
+  });
+
+  return best;
+}
+
+/**
+ * Put "Last, First" names in reading order
+ */
+function toReadingOrder(name) {
+  const [last, first] = String(name || '').split(',').map(part => part.trim());
+  return first ? `${first} ${last}` : last;
+}
+
+/**
+ * How well a book's authors fit the expected ones
+ * Full names are compared by token set, so initials and middle names cost little; a matching
+ * surname alone still counts for most of the score.
+ * @param {Array<string>} bookAuthors
+ * @param {Array<string>} expectedAuthors
+ * @returns {number|null} 0-1, or null when either side has no authors
+ */
+export function authorSimilarity(bookAuthors = [], expectedAuthors = []) {
+  if (bookAuthors.length === 0 || expectedAuthors.length === 0) return null;
+
+  let best = 0;
+  expectedAuthors.map(toReadingOrder).forEach(expected => {
+    bookAuthors.map(toReadingOrder).forEach(author => {
+      const surname = (name) => tokenize(name).pop() || '';
+      const surnameScore = surname(expected) && surname(expected) === surname(author) ? 0.8 : 0;
+      best = Math.max(best, tokenSetSimilarity(expected, author), surnameScore);
+    });
+  });
+  return best;
+}
+
+// Share of the relevance score that comes from the authors, when any are expected
+const AUTHOR_WEIGHT = 0.3;
+
+/**
+ * Text relevance of a book to a title search
+ * @param {{title: string, authors: Array<string>}} book
+ * @param {Object} query
+ * @param {Array<string>} query.titles - Searched title and its variations
+ * @param {Array<string>} query.authors - Expected authors (default: none, title only)
+ * @returns {{score: number, title: number, author: number|null, matchedTitle: string|null}} Scores 0-1
+ */
+export function scoreBookRelevance(book, { titles, authors = [] }) {
+  const { score: title, matchedTitle } = titleSimilarity(book.title, titles);
+  const author = authorSimilarity(book.authors || [], authors);
+  const score = author === null ? title : (1 - AUTHOR_WEIGHT) * title + AUTHOR_WEIGHT * author;
+  return { score, title, author, matchedTitle };
+}
+
+/**
+ * Score, rank and prune search hits
+ * @param {Array<Object>} books - Books with title and authors
+ * @param {Object} query - See scoreBookRelevance
+ * @param {Object} options
+ * @param {number} options.minScore - Books scoring below this are dropped (0-1, default 0.5)
+ * @param {number} options.limit - Max books kept (default: all)
+ * @returns {Array<Object>} Books with a `relevance` score, most relevant first
+ */
+export function rankBooksByRelevance(books, query, { minScore = 0.5, limit = Infinity } = {}) {
+  return books
+    .map(book => ({ ...book, relevance: scoreBookRelevance(book, query) }))
+    .filter(book => book.relevance.score >= minScore)
+    .sort((a, b) => b.relevance.score - a.relevance.score)
+    .slice(0, limit);
+}
@@ -1,20 +1,28 @@
+import bundledDictionary from './translations/titles.json';
+import { createResponseCache } from './responseCache';
+import { isAbortError } from './taskPool';
+import { detectScript, foldDiacritics, transliterate } from './transliteration';
+
 /**
- * Simple translation service
- * For production, you might want to use Google Translate API, DeepL, or similar
+ * Title translation service
+ * Expands a title into the spellings other editions may be catalogued under: known translations
+ * from the title dictionary, transliterations into other scripts, accent-free spellings and, when
+ * a LibreTranslate server is configured, machine translations.
  */
 
-// Common book title translations (you can expand this)
-const COMMON_TRANSLATIONS = {
-  // Example: if your image is named after a famous book
-  'harry potter': ['harry potter', 'гарри поттер', 'ハリー・ポッター', '哈利·波特'],
-  'lord of the rings': ['lord of the rings', 'señor de los anillos', 'властелин колец'],
-  // Add more as needed
-};
+// LibreTranslate-compatible endpoint, e.g. a self-hosted instance; machine translation is off without it
+const TRANSLATE_URL = (import.meta.env.VITE_TRANSLATE_URL || '').replace(/\/$/, '');
+const TRANSLATE_API_KEY = import.meta.env.VITE_TRANSLATE_API_KEY || '';
+// Extra dictionary merged over the bundled one on first use, e.g. /translations.json
+const DICTIONARY_URL = import.meta.env.VITE_TRANSLATION_DICTIONARY_URL || '';
+
+const TRANSLATION_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_VARIATIONS = 8;
 
 /**
- * Get common language codes for broader searches
+ * Common language codes for broader searches, in the order they're tried
  */
-const TARGET_LANGUAGES = [
+export const TARGET_LANGUAGES = [
   'en', // English
   'es', // Spanish
   'fr', // French
@@ -29,120 +37,305 @@ const TARGET_LANGUAGES = [
   'hi', // Hindi
 ];
 
+// Languages implied by a writing system
+const SCRIPT_LANGUAGES = {
+  cyrillic: 'ru',
+  kana: 'ja',
+  han: 'zh',
+  hangul: 'ko',
+  greek: 'el',
+  arabic: 'ar',
+  devanagari: 'hi'
+};
+
+// Short words and letters that give away a Latin-script language
+const LATIN_LANGUAGE_CUES = {
+  en: { words: ['the', 'of', 'and', 'in', 'a', 'an', 'to', 'with'] },
+  es: { words: ['el', 'los', 'las', 'del', 'y', 'una', 'con'], letters: /[ñ¿¡]/ },
+  fr: { words: ['le', 'les', 'des', 'du', 'et', 'une', 'au', 'aux'], letters: /[çœèêë]/ },
+  de: { words: ['der', 'die', 'das', 'und', 'ein', 'eine', 'im', 'von'], letters: /[äöüß]/ },
+  it: { words: ['il', 'gli', 'di', 'degli', 'della', 'e', 'uno'], letters: /[àòù]/ },
+  pt: { words: ['o', 'os', 'do', 'dos', 'da', 'das', 'um', 'uma'], letters: /[ãõ]/ }
+};
+
+const translationCache = createResponseCache({ ttl: TRANSLATION_CACHE_TTL_MS, namespace: 'translate' });
+
+/**
+ * Title dictionary: groups of equivalent titles keyed by language, and a Pinyin table for Han text
+ */
+const dictionary = {
+  groups: [],
+  // Folded title -> { group, language }
+  lookup: new Map(),
+  pinyin: {}
+};
+
+let extraDictionaryPromise = null;
+
 /**
  * Clean and normalize title
  */
 function normalizeTitle(title) {
   return title
+    .replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2')
     .toLowerCase()
     .replace(/[_-]/g, ' ')
     .replace(/\s+/g, ' ')
     .trim();
 }
 
+/**
+ * Dictionary key: normalized, without accents or punctuation
+ */
+function foldTitle(title) {
+  return foldDiacritics(normalizeTitle(title))
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Merge a title dictionary into the one in use
+ * @param {Object} source - { titles: [{ en: ['The Hobbit'], ru: ['Хоббит'] }, ...], pinyin: { 霍: 'huò' } };
+ *   each title may be a string or a list of strings
+ * @returns {number} Title groups added
+ */
+export function loadTranslationDictionary(source) {
+  const groups = Array.isArray(source?.titles) ? source.titles : [];
+
+  groups.forEach(entry => {
+    const group = Object.fromEntries(Object.entries(entry).map(([language, titles]) => [
+      language,
+      (Array.isArray(titles) ? titles : [titles]).map(String).filter(Boolean)
+    ]));
+    dictionary.groups.push(group);
+
+    Object.entries(group).forEach(([language, titles]) => {
+      titles.forEach(title => {
+        dictionary.lookup.set(foldTitle(title), { group, language });
+      });
+    });
+  });
+
+  Object.assign(dictionary.pinyin, source?.pinyin || {});
+  return groups.length;
+}
+
+/**
+ * Fetch a dictionary file and merge it (see loadTranslationDictionary)
+ * @param {string} url - JSON dictionary URL
+ * @param {Object} options
+ * @param {AbortSignal} options.signal
+ * @returns {Promise<number>} Title groups added
+ */
+export async function loadTranslationDictionaryFromUrl(url, { signal } = {}) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Failed to load translation dictionary ${url}: ${response.status} ${response.statusText}`);
+  }
+  return loadTranslationDictionary(await response.json());
+}
+
+/**
+ * Load the configured extra dictionary once; a missing file only costs the extra titles
+ */
+function loadConfiguredDictionary(signal) {
+  if (!DICTIONARY_URL) return Promise.resolve();
+  if (!extraDictionaryPromise) {
+    extraDictionaryPromise = loadTranslationDictionaryFromUrl(DICTIONARY_URL, { signal }).catch(error => {
+      extraDictionaryPromise = null;
+      if (isAbortError(error)) throw error;
+      console.warn('Translation dictionary unavailable:', error);
+    });
+  }
+  return extraDictionaryPromise;
+}
+
+loadTranslationDictionary(bundledDictionary);
+
+/**
+ * Guess the language of a title
+ * Known titles answer from the dictionary, non-Latin scripts imply their language, and Latin
+ * titles are judged by their short words and accented letters.
+ * @param {string} title
+ * @returns {string|null} Language code, or null when there's nothing to go on
+ */
+export function detectLanguage(title) {
+  const known = dictionary.lookup.get(foldTitle(title));
+  if (known) return known.language;
+
+  const script = detectScript(title);
+  if (script === 'cyrillic' && /[іїєґ]/i.test(title)) return 'uk';
+  if (SCRIPT_LANGUAGES[script]) return SCRIPT_LANGUAGES[script];
+  if (script !== 'latin') return null;
+
+  const lower = title.toLowerCase();
+  const words = normalizeTitle(title).split(/[^\p{L}']+/u);
+  const scores = Object.entries(LATIN_LANGUAGE_CUES).map(([language, cues]) => [
+    language,
+    words.filter(word => cues.words.includes(word)).length + (cues.letters?.test(lower) ? 2 : 0)
+  ]);
+  const [best] = scores.sort((a, b) => b[1] - a[1]);
+  return best[1] > 0 ? best[0] : null;
+}
+
+/**
+ * Known translations of a title: every title of its dictionary group, plus the translations of
+ * any dictionary title it contains ("Harry Potter and the Cursed Child" -> "Гарри Поттер")
+ */
+function dictionaryTranslations(title) {
+  const folded = foldTitle(title);
+  const translations = [];
+
+  const exact = dictionary.lookup.get(folded);
+  if (exact) {
+    Object.values(exact.group).forEach(titles => translations.push(...titles));
+  }
+
+  dictionary.lookup.forEach(({ group }, key) => {
+    if (key === folded || group === exact?.group) return;
+    if (` ${folded} `.includes(` ${key} `)) {
+      Object.values(group).forEach(titles => translations.push(...titles));
+    }
+  });
+
+  return translations;
+}
+
 /**
  * Get search variations for a title
+ * Most useful first, so the cap drops the long tail: the title itself, known translations,
+ * an accent-free spelling, transliterations, then shortened forms.
  * @param {string} title - The title to translate/vary
+ * @param {Object} options
+ * @param {Array<string>} options.scripts - Scripts to transliterate into besides Latin: 'cyrillic', 'kana', 'han'
+ *   (default: Latin only)
+ * @param {number} options.maxVariations - Max variations returned (default 8)
  * @returns {Array<string>} Array of title variations
  */
-export function getTitleVariations(title) {
+export function getTitleVariations(title, { scripts = [], maxVariations = DEFAULT_MAX_VARIATIONS } = {}) {
   const normalized = normalizeTitle(title);
-  const variations = new Set([normalized, title]);
+  const variations = [];
+  const seen = new Set();
+  const add = (variation) => {
+    const text = String(variation || '').trim();
+    if (!text || seen.has(text.toLowerCase())) return;
+    seen.add(text.toLowerCase());
+    variations.push(text);
+  };
 
-  // Check if we have pre-defined translations
-  const lowerTitle = normalized.toLowerCase();
-  if (COMMON_TRANSLATIONS[lowerTitle]) {
-    COMMON_TRANSLATIONS[lowerTitle].forEach(trans => variations.add(trans));
-  }
+  add(normalized);
+  add(title);
+  dictionaryTranslations(title).forEach(add);
+  add(foldDiacritics(normalized));
+  transliterate(normalized, { scripts: ['latin', ...scripts], pinyinTable: dictionary.pinyin }).forEach(add);
 
   // Add variations with common words removed
   const withoutCommon = normalized
     .replace(/\b(the|a|an|copy|book|novel)\b/gi, '')
     .replace(/\s+/g, ' ')
     .trim();
-
-  if (withoutCommon && withoutCommon !== normalized) {
-    variations.add(withoutCommon);
-  }
+  add(withoutCommon);
 
   // Add variation with numbers spelled out/vice versa
-  const withNumbers = normalized.replace(/\bone\b/g, '1')
+  add(normalized.replace(/\bone\b/g, '1')
     .replace(/\btwo\b/g, '2')
-    .replace(/\bthree\b/g, '3');
-  if (withNumbers !== normalized) {
-    variations.add(withNumbers);
-  }
+    .replace(/\bthree\b/g, '3'));
 
-  return Array.from(variations).filter(v => v.length > 0);
+  return variations.slice(0, maxVariations);
+}
+
+/**
+ * Whether machine translation is configured (VITE_TRANSLATE_URL)
+ * @returns {boolean}
+ */
+export function isTranslationConfigured() {
+  return Boolean(TRANSLATE_URL);
 }
 
 /**
- * Use a free translation API (LibreTranslate or similar)
- * Note: For production, you'd want to use a proper API key and service
+ * Translate text with the configured LibreTranslate server
+ * Translations are cached for 30 days, so rescans don't translate again. Failures
+ * aren't cached, so the next scan asks the server again.
  * @param {string} text - Text to translate
  * @param {string} targetLang - Target language code
- * @returns {Promise<string>} Translated text
+ * @param {Object} options
+ * @param {string} options.source - Source language code (default: detected from the text, else 'auto')
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<string|null>} Translated text, or null when translation is off or failed
  */
-export async function translateText(text, targetLang) {
+export async function translateText(text, targetLang, { source = detectLanguage(text) || 'auto', signal } = {}) {
+  if (!TRANSLATE_URL) return null;
+
+  const cacheKey = `${source}:${targetLang}:${text}`;
+  const cached = await translationCache.get(cacheKey);
+  if (cached) return cached;
+
   try {
-    // Using LibreTranslate free API (you can replace with Google Translate API if you have a key)
-    const response = await fetch('https://libretranslate.com/translate', {
+    const response = await fetch(`${TRANSLATE_URL}/translate`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
         q: text,
-        source: 'en',
+        source,
         target: targetLang,
-        format: 'text'
-      })
+        format: 'text',
+        ...(TRANSLATE_API_KEY ? { api_key: TRANSLATE_API_KEY } : {})
+      }),
+      signal
     });
 
     if (!response.ok) {
-      throw new Error(`Translation failed: ${response.statusText}`);
+      throw new Error(`Translation failed: ${response.status} ${response.statusText}`);
     }
 
     const data = await response.json();
-    return data.translatedText;
+    const translated = data.translatedText || null;
+    if (translated) await translationCache.set(cacheKey, translated);
+    return translated;
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.warn(`Translation to ${targetLang} failed:`, error);
     return null;
   }
 }
 
 /**
- * Get translations for multiple languages
+ * Get title variations plus machine translations into other languages
+ * Without a translation server this is getTitleVariations with the configured dictionary loaded.
  * @param {string} title - Title to translate
- * @param {number} maxLanguages - Maximum number of languages to translate to (default: 5)
+ * @param {Object} options
+ * @param {Array<string>} options.languages - Languages to translate to, in order (default: TARGET_LANGUAGES)
+ * @param {number} options.maxLanguages - Maximum number of languages to translate to (default: 5)
+ * @param {Array<string>} options.scripts - See getTitleVariations
+ * @param {number} options.maxVariations - See getTitleVariations
+ * @param {AbortSignal} options.signal - Cancels dictionary and translation requests
  * @returns {Promise<Array<string>>} Array of translated titles
  */
-export async function getMultilingualTitles(title, maxLanguages = 5) {
-  const normalized = normalizeTitle(title);
-  const translations = new Set([normalized]);
+export async function getMultilingualTitles(title, {
+  languages = TARGET_LANGUAGES,
+  maxLanguages = 5,
+  scripts,
+  maxVariations,
+  signal
+} = {}) {
+  await loadConfiguredDictionary(signal);
+
+  const translations = new Set(getTitleVariations(title, { scripts, maxVariations }));
+  if (!TRANSLATE_URL) return Array.from(translations);
 
-  // Add pre-defined variations first
-  const variations = getTitleVariations(title);
-  variations.forEach(v => translations.add(v));
+  const normalized = normalizeTitle(title);
+  const source = detectLanguage(title);
 
   // Try to translate to common languages (limit to avoid rate limiting)
-  const languagesToTry = TARGET_LANGUAGES.slice(0, maxLanguages);
-
-  const translationPromises = languagesToTry.map(async (lang) => {
-    try {
-      const translated = await translateText(normalized, lang);
-      if (translated && translated !== normalized) {
-        return translated;
-      }
-    } catch (error) {
-      console.warn(`Failed to translate to ${lang}:`, error);
-    }
-    return null;
-  });
+  const languagesToTry = languages.filter(lang => lang !== source).slice(0, maxLanguages);
 
-  const results = await Promise.all(translationPromises);
+  const results = await Promise.all(languagesToTry.map(lang => (
+    translateText(normalized, lang, { source: source || 'auto', signal })
+  )));
   results.forEach(result => {
-    if (result) translations.add(result);
+    if (result && result.toLowerCase() !== normalized) translations.add(result);
   });
 
   return Array.from(translations).filter(t => t.length > 0);
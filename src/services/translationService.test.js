@@ -0,0 +1,99 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { extractBookTitle, getTitleVariations } from './translationService';
+
+describe('extractBookTitle', () => {
+  it('drops the extension and turns separators into spaces', () => {
+    expect(extractBookTitle('harry-potter.webp')).toBe('harry potter');
+    expect(extractBookTitle('the_hobbit.PNG')).toBe('the hobbit');
+  });
+
+  it('drops "copy" suffixes left by file managers', () => {
+    expect(extractBookTitle('Kirk2 - Copy.jpg')).toBe('Kirk2');
+    expect(extractBookTitle('Simpk - Copy (2).png')).toBe('Simpk');
+    expect(extractBookTitle('the_hobbit-copy3.jpg')).toBe('the hobbit');
+  });
+
+  it('leaves names without a pattern alone', () => {
+    expect(extractBookTitle('TheGirlInThePeachTree.jpg')).toBe('TheGirlInThePeachTree');
+    expect(extractBookTitle('  Dune  ')).toBe('Dune');
+  });
+});
+
+describe('getTitleVariations', () => {
+  it('starts with the normalized title and adds its dictionary translations', () => {
+    const variations = getTitleVariations('The Hobbit');
+    expect(variations[0]).toBe('the hobbit');
+    expect(variations).toEqual(expect.arrayContaining(['Der Hobbit', 'Хоббит', '霍比特人']));
+  });
+
+  it('finds the group from a translated title and romanizes it', () => {
+    const variations = getTitleVariations('Хоббит');
+    expect(variations).toContain('The Hobbit');
+    expect(variations).toContain('khobbit');
+  });
+
+  it('adds an accent-free spelling', () => {
+    expect(getTitleVariations('Les Misérables')).toEqual(['les misérables', 'les miserables']);
+  });
+
+  it('translates titles that contain a known title', () => {
+    expect(getTitleVariations('Harry Potter and the Cursed Child')).toContain('Гарри Поттер');
+  });
+
+  it('transliterates into the requested scripts', () => {
+    expect(getTitleVariations('Dune')).not.toContain('дуне');
+    expect(getTitleVariations('Dune', { scripts: ['cyrillic'] })).toContain('дуне');
+  });
+
+  it('spells out numbers and drops common words', () => {
+    expect(getTitleVariations('One Day')).toContain('1 day');
+    expect(getTitleVariations('The Novel of the Rose')).toContain('of rose');
+  });
+
+  it('never repeats a variation and stops at maxVariations', () => {
+    const variations = getTitleVariations('The Hobbit', { maxVariations: 3 });
+    expect(variations).toHaveLength(3);
+    expect(new Set(variations.map(variation => variation.toLowerCase())).size).toBe(3);
+  });
+});
+
+describe('translateText', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    vi.resetModules();
+  });
+
+  // The server URL is read when the module loads
+  async function loadWithServer() {
+    vi.stubEnv('VITE_TRANSLATE_URL', 'https://translate.example.org');
+    vi.resetModules();
+    return import('./translationService');
+  }
+
+  it('asks the server again after a failed translation, then caches the answer', async () => {
+    const { translateText } = await loadWithServer();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const fetch = vi.fn()
+      .mockResolvedValueOnce(new Response(null, { status: 503, statusText: 'Service Unavailable' }))
+      .mockResolvedValueOnce(Response.json({ translatedText: 'Le Hobbit' }));
+    vi.stubGlobal('fetch', fetch);
+
+    expect(await translateText('The Hobbit', 'fr', { source: 'en' })).toBeNull();
+    expect(await translateText('The Hobbit', 'fr', { source: 'en' })).toBe('Le Hobbit');
+    expect(await translateText('The Hobbit', 'fr', { source: 'en' })).toBe('Le Hobbit');
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not cache an empty answer', async () => {
+    const { translateText } = await loadWithServer();
+    const fetch = vi.fn()
+      .mockResolvedValueOnce(Response.json({ translatedText: '' }))
+      .mockResolvedValueOnce(Response.json({ translatedText: 'Der Hobbit' }));
+    vi.stubGlobal('fetch', fetch);
+
+    expect(await translateText('The Hobbit', 'de', { source: 'en' })).toBeNull();
+    expect(await translateText('The Hobbit', 'de', { source: 'en' })).toBe('Der Hobbit');
+  });
+});
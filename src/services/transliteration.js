@@ -0,0 +1,347 @@
+/**
+ * Script detection and transliteration
+ * Lets a title written in one script find editions catalogued in another: Cyrillic and Kana are
+ * romanized (and Latin can be written back in either), Han characters are spelled out in Pinyin from
+ * a character table, and diacritics can be folded away for accent-insensitive catalogs.
+ */
+
+const SCRIPT_PATTERNS = {
+  latin: /\p{Script=Latin}/u,
+  cyrillic: /\p{Script=Cyrillic}/u,
+  kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/u,
+  han: /\p{Script=Han}/u,
+  hangul: /\p{Script=Hangul}/u,
+  greek: /\p{Script=Greek}/u,
+  arabic: /\p{Script=Arabic}/u,
+  devanagari: /\p{Script=Devanagari}/u
+};
+
+/**
+ * Dominant writing system of a text
+ * Any Kana makes it Japanese ('kana'), since Japanese mixes Kana with Han characters.
+ * @param {string} text
+ * @returns {string} 'latin', 'cyrillic', 'kana', 'han', 'hangul', 'greek', 'arabic', 'devanagari' or 'unknown'
+ */
+export function detectScript(text) {
+  const counts = {};
+  for (const char of String(text || '')) {
+    const script = Object.keys(SCRIPT_PATTERNS).find(name => SCRIPT_PATTERNS[name].test(char));
+    if (script) counts[script] = (counts[script] || 0) + 1;
+  }
+
+  if (counts.kana) return 'kana';
+  const [dominant] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return dominant ? dominant[0] : 'unknown';
+}
+
+// Letters that don't decompose into a base letter plus a combining mark
+const FOLDED_LETTERS = {
+  ß: 'ss', æ: 'ae', Æ: 'AE', œ: 'oe', Œ: 'OE', ø: 'o', Ø: 'O', ł: 'l', Ł: 'L', đ: 'd', Đ: 'D', þ: 'th', Þ: 'Th', ı: 'i'
+};
+
+/**
+ * Strip accents and tone marks ("Señor" -> "Senor", "nǚ hái" -> "nu hai")
+ * @param {string} text
+ * @returns {string}
+ */
+export function foldDiacritics(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[ßæÆœŒøØłŁđĐþÞı]/g, char => FOLDED_LETTERS[char])
+    .normalize('NFC');
+}
+
+/**
+ * Apply the case of `source` (a single letter) to `replacement`
+ */
+function matchCase(source, replacement) {
+  if (source === source.toLowerCase()) return replacement;
+  return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+}
+
+// Russian (and Ukrainian) Cyrillic romanized in the style used by library catalogs
+const CYRILLIC_TO_LATIN = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'yo', ж: 'zh', з: 'z', и: 'i', й: 'y', к: 'k', л: 'l',
+  м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh',
+  щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya', і: 'i', ї: 'yi', є: 'ye', ґ: 'g'
+};
+
+/**
+ * Romanize Cyrillic ("Гарри Поттер" -> "Garri Potter")
+ * @param {string} text
+ * @returns {string}
+ */
+export function cyrillicToLatin(text) {
+  return Array.from(String(text || ''), char => {
+    const latin = CYRILLIC_TO_LATIN[char.toLowerCase()];
+    return latin === undefined ? char : matchCase(char, latin);
+  }).join('');
+}
+
+/**
+ * English "y" after a consonant is a vowel ("Harry"), which the phonetic tables can't tell
+ */
+function respellEnglish(text) {
+  return text.replace(/([bcdfghjklmnpqrstvwxz])y(?![aeiou])/gi, '$1i');
+}
+
+// Longest sequences first, so "shch" wins over "sh" + "ch"
+const LATIN_TO_CYRILLIC = [
+  ['shch', 'щ'], ['sch', 'щ'], ['zh', 'ж'], ['kh', 'х'], ['ts', 'ц'], ['ch', 'ч'], ['sh', 'ш'], ['yu', 'ю'],
+  ['ya', 'я'], ['yo', 'ё'], ['ye', 'е'], ['ph', 'ф'], ['th', 'т'], ['ck', 'к'], ['qu', 'кв'], ['a', 'а'], ['b', 'б'],
+  ['c', 'к'], ['d', 'д'], ['e', 'е'], ['f', 'ф'], ['g', 'г'], ['h', 'х'], ['i', 'и'], ['j', 'дж'], ['k', 'к'],
+  ['l', 'л'], ['m', 'м'], ['n', 'н'], ['o', 'о'], ['p', 'п'], ['q', 'к'], ['r', 'р'], ['s', 'с'], ['t', 'т'],
+  ['u', 'у'], ['v', 'в'], ['w', 'в'], ['x', 'кс'], ['y', 'й'], ['z', 'з']
+];
+
+/**
+ * Write Latin text in Cyrillic, phonetically ("Potter" -> "Поттер")
+ * @param {string} text
+ * @returns {string}
+ */
+export function latinToCyrillic(text) {
+  const source = respellEnglish(foldDiacritics(text));
+  let result = '';
+  let i = 0;
+  while (i < source.length) {
+    const rest = source.slice(i).toLowerCase();
+    const pair = LATIN_TO_CYRILLIC.find(([latin]) => rest.startsWith(latin));
+    if (pair) {
+      result += matchCase(source[i], pair[1]);
+      i += pair[0].length;
+    } else {
+      result += source[i];
+      i++;
+    }
+  }
+  return result;
+}
+
+// Hepburn romanization of the hiragana syllabary (katakana is shifted onto it first)
+const KANA_SYLLABLES = {
+  あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o', か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko', が: 'ga', ぎ: 'gi',
+  ぐ: 'gu', げ: 'ge', ご: 'go', さ: 'sa', し: 'shi', す: 'su', せ: 'se', そ: 'so', ざ: 'za', じ: 'ji', ず: 'zu',
+  ぜ: 'ze', ぞ: 'zo', た: 'ta', ち: 'chi', つ: 'tsu', て: 'te', と: 'to', だ: 'da', ぢ: 'ji', づ: 'zu', で: 'de',
+  ど: 'do', な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no', は: 'ha', ひ: 'hi', ふ: 'fu', へ: 'he', ほ: 'ho',
+  ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo', ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po', ま: 'ma',
+  み: 'mi', む: 'mu', め: 'me', も: 'mo', や: 'ya', ゆ: 'yu', よ: 'yo', ら: 'ra', り: 'ri', る: 'ru', れ: 're',
+  ろ: 'ro', わ: 'wa', ゐ: 'i', ゑ: 'e', を: 'o', ん: 'n', ゔ: 'vu', ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o'
+};
+
+const SMALL_Y = { ゃ: 'a', ゅ: 'u', ょ: 'o' };
+
+/**
+ * Romanize Hiragana and Katakana ("ハリー・ポッター" -> "hari potta")
+ * Long-vowel marks are dropped, which is how most catalogs spell romanized titles.
+ * @param {string} text
+ * @returns {string}
+ */
+export function kanaToLatin(text) {
+  // Katakana sits 0x60 code points above the matching hiragana
+  const chars = Array.from(String(text || ''), char => {
+    const code = char.codePointAt(0);
+    return code >= 0x30a1 && code <= 0x30f6 ? String.fromCodePoint(code - 0x60) : char;
+  });
+
+  let result = '';
+  let doubleNext = false;
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    if (char === 'っ') {
+      doubleNext = true;
+      continue;
+    }
+    if (char === 'ー') continue;
+    if (char === '・' || char === '　') {
+      result += ' ';
+      continue;
+    }
+
+    let syllable = KANA_SYLLABLES[char];
+    if (syllable === undefined) {
+      result += char;
+      doubleNext = false;
+      continue;
+    }
+
+    // Contracted sounds: き + ゃ -> kya, し + ゃ -> sha
+    const small = SMALL_Y[chars[i + 1]];
+    if (small && syllable.endsWith('i') && syllable.length > 1) {
+      syllable = /^(shi|chi|ji)$/.test(syllable) ? `${syllable.slice(0, -1)}${small}` : `${syllable.slice(0, -1)}y${small}`;
+      i++;
+    }
+
+    if (doubleNext) {
+      syllable = syllable.startsWith('ch') ? `t${syllable}` : `${syllable[0]}${syllable}`;
+      doubleNext = false;
+    }
+    result += syllable;
+  }
+  return result;
+}
+
+// Romaji syllables to katakana, longest first
+const ROMAJI_TO_KATAKANA = Object.entries(KANA_SYLLABLES)
+  .filter(([kana]) => !/[ぁぃぅぇぉゐゑを]/.test(kana))
+  .map(([kana, latin]) => [latin, String.fromCodePoint(kana.codePointAt(0) + 0x60)])
+  .concat([
+    ['kya', 'キャ'], ['kyu', 'キュ'], ['kyo', 'キョ'], ['sha', 'シャ'], ['shu', 'シュ'], ['sho', 'ショ'],
+    ['cha', 'チャ'], ['chu', 'チュ'], ['cho', 'チョ'], ['nya', 'ニャ'], ['nyu', 'ニュ'], ['nyo', 'ニョ'],
+    ['rya', 'リャ'], ['ryu', 'リュ'], ['ryo', 'リョ'], ['ja', 'ジャ'], ['ju', 'ジュ'], ['jo', 'ジョ'],
+    ['ti', 'ティ'], ['di', 'ディ'], ['tu', 'トゥ'], ['fa', 'ファ'], ['fi', 'フィ'], ['fe', 'フェ'], ['fo', 'フォ'],
+    ['wi', 'ウィ'], ['we', 'ウェ'], ['va', 'ヴァ'], ['vi', 'ヴィ'], ['ve', 'ヴェ'], ['vo', 'ヴォ'],
+    ['la', 'ラ'], ['li', 'リ'], ['lu', 'ル'], ['le', 'レ'], ['lo', 'ロ'], ['ca', 'カ'], ['ci', 'シ'], ['cu', 'ク'],
+    ['ce', 'セ'], ['co', 'コ'], ['ye', 'イェ'], ['xa', 'クサ'], ['tha', 'サ'], ['thi', 'シ'], ['thu', 'ス'],
+    ['the', 'ザ'], ['tho', 'ソ']
+  ])
+  .sort((a, b) => b[0].length - a[0].length);
+
+// Consonants left without a vowel get the vowel Japanese loanwords usually add
+const BARE_CONSONANTS = { th: 'ス', t: 'ト', d: 'ド', ch: 'チ', sh: 'シュ', j: 'ジ', r: 'ル', l: 'ル', k: 'ク', c: 'ク', g: 'グ',
+  s: 'ス', z: 'ズ', b: 'ブ', p: 'プ', m: 'ム', f: 'フ', v: 'ヴ', h: 'フ', x: 'クス', q: 'ク', w: 'ウ', y: 'イ' };
+
+/**
+ * Write Latin text in Katakana, the way loanwords are ("Harry Potter" -> "ハリ・ポッター")
+ * @param {string} text
+ * @returns {string}
+ */
+export function latinToKatakana(text) {
+  // A final "er" is a long "a" in loanwords ("Potter" -> ポッター)
+  const source = respellEnglish(foldDiacritics(text).toLowerCase()).replace(/er\b/g, 'aー');
+  let result = '';
+  let i = 0;
+  while (i < source.length) {
+    const rest = source.slice(i);
+    const char = source[i];
+
+    // Doubled consonant -> small tsu ("tt" -> ット); Japanese has no long r or l
+    if (/[bcdfghjkmpqstvwxz]/.test(char) && source[i + 1] === char) {
+      result += 'ッ';
+      i++;
+      continue;
+    }
+    if (/[rl]/.test(char) && source[i + 1] === char) {
+      i++;
+      continue;
+    }
+    // n before a consonant or at the end of a word
+    if (char === 'n' && !/^n[aiueoy]/.test(rest)) {
+      result += 'ン';
+      i += rest.startsWith('nn') ? 2 : 1;
+      continue;
+    }
+
+    const syllable = ROMAJI_TO_KATAKANA.find(([latin]) => rest.startsWith(latin));
+    if (syllable) {
+      result += syllable[1];
+      i += syllable[0].length;
+      continue;
+    }
+
+    const bare = ['ch', 'sh', 'th'].find(pair => rest.startsWith(pair)) || char;
+    if (BARE_CONSONANTS[bare]) {
+      result += BARE_CONSONANTS[bare];
+      i += bare.length;
+      continue;
+    }
+
+    result += char === ' ' ? '・' : char;
+    i++;
+  }
+  return result;
+}
+
+/**
+ * Spell Han characters in Pinyin ("哈利·波特" -> "hā lì bō tè")
+ * @param {string} text
+ * @param {Object<string, string>} table - Pinyin per character
+ * @returns {string|null} Null when no character is in the table
+ */
+export function hanToPinyin(text, table) {
+  let known = 0;
+  const syllables = [];
+  let word = '';
+
+  const flushWord = () => {
+    if (word) syllables.push(word);
+    word = '';
+  };
+
+  for (const char of String(text || '')) {
+    if (SCRIPT_PATTERNS.han.test(char)) {
+      flushWord();
+      const pinyin = table[char];
+      if (pinyin) known++;
+      syllables.push(pinyin || char);
+    } else if (/[\s·・，,：:]/.test(char)) {
+      flushWord();
+    } else {
+      word += char;
+    }
+  }
+  flushWord();
+
+  return known > 0 ? syllables.join(' ') : null;
+}
+
+/**
+ * Write toneless or tone-marked Pinyin back in Han characters ("ha li bo te" -> "哈利波特")
+ * Each syllable takes the first character of the table that reads that way, so the result is a
+ * plausible spelling rather than a certain one.
+ * @param {string} text
+ * @param {Object<string, string>} table - Pinyin per character
+ * @returns {string|null} Null unless every word is a known syllable
+ */
+export function pinyinToHan(text, table) {
+  const bySyllable = new Map();
+  Object.entries(table).forEach(([char, pinyin]) => {
+    const syllable = foldDiacritics(pinyin).toLowerCase();
+    if (!bySyllable.has(syllable)) bySyllable.set(syllable, char);
+  });
+
+  const words = foldDiacritics(text).toLowerCase().split(/[^a-z]+/).filter(Boolean);
+  if (words.length === 0 || !words.every(word => bySyllable.has(word))) return null;
+  return words.map(word => bySyllable.get(word)).join('');
+}
+
+/**
+ * Every transliteration of a text into the requested scripts
+ * @param {string} text
+ * @param {Object} options
+ * @param {Array<string>} options.scripts - Target scripts: 'latin', 'cyrillic', 'kana', 'han' (default ['latin'])
+ * @param {Object<string, string>} options.pinyinTable - Pinyin per Han character (default: none)
+ * @returns {Array<string>} Transliterations that differ from the input
+ */
+export function transliterate(text, { scripts = ['latin'], pinyinTable = {} } = {}) {
+  const source = detectScript(text);
+  const results = new Set();
+
+  const toLatin = {
+    latin: () => text,
+    cyrillic: () => cyrillicToLatin(text),
+    kana: () => kanaToLatin(text),
+    han: () => hanToPinyin(text, pinyinTable)
+  }[source];
+  if (!toLatin) return [];
+
+  const latin = toLatin();
+  if (!latin) return [];
+
+  scripts.forEach(script => {
+    if (script === 'latin') {
+      results.add(latin);
+      results.add(foldDiacritics(latin));
+    } else if (script === 'cyrillic' && source !== 'cyrillic') {
+      results.add(latinToCyrillic(latin));
+    } else if (script === 'kana' && source !== 'kana') {
+      results.add(latinToKatakana(latin));
+    } else if (script === 'han' && source !== 'han') {
+      const han = pinyinToHan(latin, pinyinTable);
+      if (han) results.add(han);
+    }
+  });
+
+  results.delete(text);
+  return Array.from(results).filter(Boolean);
+}
@@ -0,0 +1,58 @@
+/**
+ * Disjoint-set forest over the integers 0..size-1
+ * Path halving and union by size keep both operations close to constant time.
+ */
+export class UnionFind {
+  /**
+   * @param {number} size - Number of elements
+   */
+  constructor(size) {
+    this.parent = Array.from({ length: size }, (_, i) => i);
+    this.sizes = new Array(size).fill(1);
+  }
+
+  /**
+   * Representative element of the set containing i
+   * @param {number} i
+   * @returns {number}
+   */
+  find(i) {
+    let node = i;
+    while (this.parent[node] !== node) {
+      this.parent[node] = this.parent[this.parent[node]];
+      node = this.parent[node];
+    }
+    return node;
+  }
+
+  /**
+   * Merge the sets containing a and b
+   * @param {number} a
+   * @param {number} b
+   * @returns {boolean} False when they were already in the same set
+   */
+  union(a, b) {
+    let rootA = this.find(a);
+    let rootB = this.find(b);
+    if (rootA === rootB) return false;
+
+    if (this.sizes[rootA] < this.sizes[rootB]) [rootA, rootB] = [rootB, rootA];
+    this.parent[rootB] = rootA;
+    this.sizes[rootA] += this.sizes[rootB];
+    return true;
+  }
+
+  /**
+   * Every set, as lists of elements in ascending order
+   * @returns {Array<Array<number>>} Sets ordered by their smallest element
+   */
+  groups() {
+    const byRoot = new Map();
+    this.parent.forEach((_, i) => {
+      const root = this.find(i);
+      if (!byRoot.has(root)) byRoot.set(root, []);
+      byRoot.get(root).push(i);
+    });
+    return Array.from(byRoot.values());
+  }
+}
@@ -0,0 +1,36 @@
+import { ImageError } from '../services/imageDecoder';
+import { analyzeImageBytes } from '../services/phashService';
+import { regionSignatureBuffers } from '../services/regionMatcher';
+
+/**
+ * Hashing worker
+ * Receives { id, buffer, algorithms, transforms, trimBorders, regionSignature } with the image
+ * bytes as a transferred ArrayBuffer and replies with { id, variants, regionSignature } (hashes
+ * as hex strings keyed by transform, then algorithm) or { id, error, imageError } (imageError is
+ * the ImageError as JSON when the image itself was the problem).
+ */
+self.onmessage = async (event) => {
+  const { id, buffer, algorithms, transforms, trimBorders, regionSignature } = event.data;
+
+  try {
+    const analysis = await analyzeImageBytes(new Uint8Array(buffer), algorithms, {
+      transforms,
+      trimBorders,
+      regionSignature
+    });
+    self.postMessage({
+      id,
+      variants: Object.fromEntries(Object.entries(analysis.variants).map(([transform, hashes]) => [
+        transform,
+        Object.fromEntries(Object.entries(hashes).map(([name, hash]) => [name, hash.toHex()]))
+      ])),
+      regionSignature: analysis.regionSignature
+    }, analysis.regionSignature ? regionSignatureBuffers(analysis.regionSignature) : []);
+  } catch (error) {
+    self.postMessage({
+      id,
+      error: error.message || String(error),
+      imageError: error instanceof ImageError ? error.toJSON() : null
+    });
+  }
+};
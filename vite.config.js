@@ -1,12 +1,43 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createApiMiddleware } from './server/apiHandler.js'
+
+/**
+ * Serve the ISBNdb proxy from the dev and preview servers
+ * The key is read from ISBNDB_API_KEY (no VITE_ prefix) so it never reaches the bundle.
+ */
+function apiProxy(env) {
+  const middleware = () => createApiMiddleware({
+    apiKey: env.ISBNDB_API_KEY || '',
+    corsOrigin: env.CORS_ORIGIN || null
+  })
+
+  return {
+    name: 'isbndb-api-proxy',
+    configureServer(server) {
+      server.middlewares.use(middleware())
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(middleware())
+    }
+  }
+}
 
 // https://vitejs.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  css: {
-    modules: {
-      localsConvention: 'camelCase'
+export default defineConfig(({ mode }) => {
+  // Load every variable, not just VITE_ ones, for the server-side proxy
+  const env = loadEnv(mode, process.cwd(), '')
+
+  return {
+    plugins: [react(), apiProxy(env)],
+    css: {
+      modules: {
+        localsConvention: 'camelCase'
+      }
+    },
+    worker: {
+      // The hashing worker lazy-loads the WASM module, which needs code splitting
+      format: 'es'
     }
   }
 })